@@ -1,3 +1,6 @@
+// Message actions shared with the background (messages.js, loaded before this script)
+const { ACTIONS, PORTS, PORT_MESSAGE_TYPES } = MessageProtocol;
+
 document.addEventListener('DOMContentLoaded', () => {
   // DOM elements
   const modelsContainer = document.getElementById('models-container');
@@ -11,6 +14,88 @@ document.addEventListener('DOMContentLoaded', () => {
   const saveButton = document.getElementById('save-settings');
   const resetButton = document.getElementById('reset-settings');
   const statusContainer = document.getElementById('status-container');
+  const cacheEnabledCheckbox = document.getElementById('cache-enabled');
+  const cacheMaxEntriesInput = document.getElementById('cache-max-entries');
+  const cacheMaxSizeInput = document.getElementById('cache-max-size');
+  const cacheTtlInput = document.getElementById('cache-ttl');
+  const cacheStatsContainer = document.getElementById('cache-stats');
+  const cacheEntriesContainer = document.getElementById('cache-entries');
+  const refreshCacheButton = document.getElementById('refresh-cache');
+  const exportCacheButton = document.getElementById('export-cache');
+  const clearCacheButton = document.getElementById('clear-cache');
+  const minSelectionLengthInput = document.getElementById('min-selection-length');
+  const siteRulesContainer = document.getElementById('site-rules-container');
+  const newSiteOriginInput = document.getElementById('new-site-origin');
+  const addSiteRuleButton = document.getElementById('add-site-rule');
+  const compareCandidatesContainer = document.getElementById('compare-candidates');
+  const routingRulesContainer = document.getElementById('routing-rules');
+  const addRoutingRuleButton = document.getElementById('add-routing-rule');
+  const routingFallbackContainer = document.getElementById('routing-fallback-backends');
+  const routingFailureThresholdInput = document.getElementById('routing-failure-threshold');
+  const routingCooldownInput = document.getElementById('routing-cooldown');
+  const routingHealthContainer = document.getElementById('routing-health');
+  const addModelForm = document.getElementById('add-model-form');
+  const addModelInput = document.getElementById('add-model-id');
+  const addModelButton = document.getElementById('add-model');
+  const installedModelsContainer = document.getElementById('installed-models');
+  const pullModelInput = document.getElementById('pull-model-id');
+  const pullModelButton = document.getElementById('pull-model');
+  const refreshInstalledModelsButton = document.getElementById('refresh-installed-models');
+  const pullProgress = document.getElementById('pull-progress');
+  const pullProgressLabel = document.getElementById('pull-progress-label');
+  const pullProgressBar = document.getElementById('pull-progress-bar');
+  const cancelPullButton = document.getElementById('cancel-pull');
+  const chromePacksSection = document.getElementById('chrome-packs-section');
+  const chromePackSourceSelect = document.getElementById('chrome-pack-source');
+  const chromePackTargetSelect = document.getElementById('chrome-pack-target');
+  const chromePackStatus = document.getElementById('chrome-pack-status');
+  const downloadChromePackButton = document.getElementById('download-chrome-pack');
+  const downloadLanguageDetectorButton = document.getElementById('download-language-detector');
+  const chromePackProgress = document.getElementById('chrome-pack-progress');
+  const chromePackProgressLabel = document.getElementById('chrome-pack-progress-label');
+  const chromePackProgressBar = document.getElementById('chrome-pack-progress-bar');
+  const templateModelSelect = document.getElementById('template-model');
+  const templateStyleSelect = document.getElementById('template-style');
+  const templateStyleInfo = document.getElementById('template-style-info');
+  const templateTextArea = document.getElementById('template-text');
+  const templateVariablesContainer = document.getElementById('template-variables');
+  const templateValidation = document.getElementById('template-validation');
+  const saveTemplateButton = document.getElementById('save-template');
+  const revertTemplateButton = document.getElementById('revert-template');
+  const previewTextInput = document.getElementById('preview-text');
+  const previewTargetSelect = document.getElementById('preview-target');
+  const previewContextInput = document.getElementById('preview-context');
+  const previewPageTitleInput = document.getElementById('preview-page-title');
+  const previewGlossaryInput = document.getElementById('preview-glossary');
+  const previewFormalityInput = document.getElementById('preview-formality');
+  const previewTemplateButton = document.getElementById('preview-template');
+  const templatePreview = document.getElementById('template-preview');
+  const previewPrompt = document.getElementById('preview-prompt');
+  const previewResult = document.getElementById('preview-result');
+  const glossaryFilterSelect = document.getElementById('glossary-filter');
+  const glossaryContainer = document.getElementById('glossary-container');
+  const glossarySourceSelect = document.getElementById('glossary-source');
+  const glossaryTargetSelect = document.getElementById('glossary-target');
+  const glossaryTermInput = document.getElementById('glossary-term');
+  const glossaryTranslationInput = document.getElementById('glossary-translation');
+  const glossaryDoNotTranslateCheckbox = document.getElementById('glossary-do-not-translate');
+  const glossaryNoteInput = document.getElementById('glossary-note');
+  const saveGlossaryEntryButton = document.getElementById('save-glossary-entry');
+  const cancelGlossaryEditButton = document.getElementById('cancel-glossary-edit');
+  const importGlossaryButton = document.getElementById('import-glossary');
+  const exportGlossaryButton = document.getElementById('export-glossary');
+  const glossaryFileInput = document.getElementById('glossary-file');
+
+  // Variables the model backends fill into prompt templates (see formatPrompt in backends/languageModels.js)
+  const PROMPT_VARIABLES = {
+    text: 'The text to translate (required)',
+    sourceLanguage: 'Source language name',
+    targetLanguage: 'Target language name',
+    context: 'The sentence or paragraph around the selection',
+    glossary: 'Glossary terms for the language pair',
+    pageTitle: 'Title of the page the text is on',
+    formality: 'Tone of the translation, "neutral" unless set'
+  };
   
   // Add backend selection elements
   const backendSection = document.createElement('section');
@@ -20,18 +105,11 @@ document.addEventListener('DOMContentLoaded', () => {
     <div class="form-group">
       <label for="active-backend">Active Backend:</label>
       <select id="active-backend">
-        <option value="ollama">Ollama (Local AI Models)</option>
-        <option value="chromeApi">Chrome Translation API</option>
+        <!-- Registered backends will be populated here -->
       </select>
     </div>
-    <div id="chrome-api-settings" class="backend-specific-settings hidden">
-      <div class="form-group">
-        <label>
-          <input type="checkbox" id="chrome-detect-only">
-          Detection Only Mode (No Translation)
-        </label>
-        <p class="setting-description">When enabled, Chrome API will only detect languages but not perform translations.</p>
-      </div>
+    <div id="backend-settings-forms">
+      <!-- A settings form per backend, built from its manifest -->
     </div>
   `;
   
@@ -41,15 +119,19 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Get the new elements
   const activeBackendSelect = document.getElementById('active-backend');
-  const chromeApiSettings = document.getElementById('chrome-api-settings');
-  const chromeDetectOnlyCheckbox = document.getElementById('chrome-detect-only');
+  const backendSettingsForms = document.getElementById('backend-settings-forms');
 
   // Global state
   let config = {};
+  let backendManifests = []; // Manifests of the registered backends (see backends/index.js)
+  let modelsBackend = null; // The backend whose models the model sections edit: the active one, if it has models
   let availableModels = [];
   let languagePairs = [];
   let supportedLanguages = [];
   let modelStatuses = {};
+  let pullPort = null; // Port of the model download in progress, if any
+  let glossaryEntries = [];
+  let editingGlossaryId = null; // ID of the glossary entry loaded into the form, if any
 
   // Initialize the page
   initialize();
@@ -59,7 +141,8 @@ document.addEventListener('DOMContentLoaded', () => {
       // Load configuration
       await loadConfig();
       
-      // Set up backend selection
+      // Set up backend selection (the Chrome language pack selects first, it checks their status)
+      populateChromePackLanguages();
       setupBackendSelection();
       
       // Check model statuses
@@ -69,6 +152,16 @@ document.addEventListener('DOMContentLoaded', () => {
       populateModelsList();
       populateLanguagePairs();
       populateDefaultSelects();
+      populateCacheSettings();
+      populateCompareCandidates();
+      populateRoutingSettings();
+      populateTemplateEditor();
+      populateGlossaryLanguages();
+      loadGlossary();
+      loadInstalledModels();
+      loadCacheStats();
+      loadBackendHealth();
+      loadSiteRules();
       
       // Setup event listeners
       setupEventListeners();
@@ -82,7 +175,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   async function loadConfig() {
     return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({ action: 'getConfig' }, response => {
+      chrome.runtime.sendMessage({ action: ACTIONS.GET_CONFIG }, response => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
           return;
@@ -91,19 +184,20 @@ document.addEventListener('DOMContentLoaded', () => {
         if (response && response.success && response.config) {
           config = response.config;
           supportedLanguages = response.supportedLanguages || [];
+          backendManifests = response.backends || [];
           
-          // Extract Ollama-specific configuration
-          if (config.backendSettings && config.backendSettings.ollama) {
-            const ollamaConfig = config.backendSettings.ollama;
-            availableModels = ollamaConfig.models || [];
-            languagePairs = ollamaConfig.languagePairs || [];
+          // Extract the models of the active backend, if it has several
+          modelsBackend = getBackendManifest(config.activeBackend)?.capabilities.models ? config.activeBackend : null;
+          const modelsConfig = modelsBackend ? config.backendSettings?.[modelsBackend] : null;
+          if (modelsConfig) {
+            availableModels = modelsConfig.models || [];
+            languagePairs = modelsConfig.languagePairs || [];
           } else {
-            console.warn('Ollama configuration not found');
             availableModels = [];
             languagePairs = [];
           }
           
-          console.log('Config loaded:', config);
+          console.log(`Config loaded, active backend: ${config.activeBackend}`);
           console.log('Available models:', availableModels);
           console.log('Language pairs:', languagePairs);
           
@@ -116,35 +210,48 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   function setupBackendSelection() {
+    // Offer every registered backend
+    activeBackendSelect.innerHTML = '';
+    backendManifests.forEach(manifest => {
+      const option = document.createElement('option');
+      option.value = manifest.id;
+      option.textContent = manifest.description ? `${manifest.name} (${manifest.description})` : manifest.name;
+      activeBackendSelect.appendChild(option);
+    });
+    
     // Set the active backend in the dropdown
     if (config.activeBackend) {
       activeBackendSelect.value = config.activeBackend;
     }
     
+    renderBackendSettingsForms();
+    
     // Show/hide backend-specific settings based on the active backend
     updateBackendSettingsVisibility();
-    
-    // Set Chrome API settings
-    if (config.backendSettings && config.backendSettings.chromeApi) {
-      chromeDetectOnlyCheckbox.checked = config.backendSettings.chromeApi.detectOnly === true;
-    }
-    
-    // Add event listener for backend selection change
-    activeBackendSelect.addEventListener('change', updateBackendSettingsVisibility);
   }
   
   function updateBackendSettingsVisibility() {
     const selectedBackend = activeBackendSelect.value;
     
     // Show/hide backend-specific settings
+    backendSettingsForms.querySelectorAll('.backend-specific-settings').forEach(form => {
+      form.classList.toggle('hidden', form.dataset.backend !== selectedBackend);
+    });
+    
+    // Models apply to backends that have several; prompt templates are edited for Ollama only
+    const hasModels = getBackendManifest(selectedBackend)?.capabilities.models === true;
+    document.getElementById('models-section').classList.toggle('hidden', !hasModels);
+    document.getElementById('default-settings-section').classList.toggle('hidden', !hasModels);
+    document.getElementById('prompt-templates-section').classList.toggle('hidden', selectedBackend !== 'ollama');
+    // Ollama's models are added from its server library instead
+    addModelForm.classList.toggle('hidden', !hasModels || selectedBackend === 'ollama' || selectedBackend !== modelsBackend);
+    chromePacksSection.classList.toggle('hidden', selectedBackend !== 'chromeApi');
     if (selectedBackend === 'chromeApi') {
-      chromeApiSettings.classList.remove('hidden');
-      document.getElementById('models-section').classList.add('hidden');
-      document.getElementById('default-settings-section').classList.add('hidden');
-    } else {
-      chromeApiSettings.classList.add('hidden');
-      document.getElementById('models-section').classList.remove('hidden');
-      document.getElementById('default-settings-section').classList.remove('hidden');
+      checkChromePackStatus();
+    }
+    
+    if (getBackendManifest(selectedBackend)?.capabilities.languagePairs) {
+      loadServerLanguagePairs(selectedBackend);
     }
     
     // Update language pairs visibility based on backend
@@ -157,9 +264,131 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('language-pairs-section').classList.remove('hidden');
   }
 
+  // --- Backend Settings Forms ---
+
+  function getBackendManifest(backendId) {
+    return backendManifests.find(manifest => manifest.id === backendId);
+  }
+
+  // One form per backend with settings, built from the settings schema in its manifest
+  function renderBackendSettingsForms() {
+    backendSettingsForms.innerHTML = '';
+    backendManifests.forEach(manifest => {
+      const form = document.createElement('div');
+      form.className = 'backend-specific-settings hidden';
+      form.dataset.backend = manifest.id;
+      const values = config.backendSettings?.[manifest.id] || {};
+
+      (manifest.settings || []).forEach(field => {
+        form.appendChild(createSettingField(manifest.id, field, values[field.key] ?? field.default));
+      });
+
+      // Backends whose server reports its language pairs
+      if (manifest.capabilities.languagePairs) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        const label = document.createElement('label');
+        label.textContent = 'Languages available on server:';
+        const pairs = document.createElement('p');
+        pairs.className = 'setting-description server-language-pairs';
+        pairs.textContent = 'Not checked yet';
+        group.append(label, pairs);
+        form.appendChild(group);
+      }
+
+      if (form.childElementCount > 0) {
+        backendSettingsForms.appendChild(form);
+      }
+    });
+  }
+
+  function createSettingField(backendId, field, value) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    const input = document.createElement('input');
+    input.id = `backend-${backendId}-${field.key}`;
+    input.dataset.key = field.key;
+    input.dataset.type = field.type;
+
+    if (field.type === 'boolean') {
+      input.type = 'checkbox';
+      input.checked = value === true;
+      const label = document.createElement('label');
+      label.append(input, ` ${field.label}`);
+      group.appendChild(label);
+    } else {
+      input.type = { url: 'text', password: 'password', number: 'number' }[field.type] || 'text';
+      input.value = value ?? '';
+      if (field.placeholder) input.placeholder = field.placeholder;
+      const label = document.createElement('label');
+      label.htmlFor = input.id;
+      label.textContent = `${field.label}:`;
+      group.append(label, input);
+    }
+
+    if (field.description) {
+      const description = document.createElement('p');
+      description.className = 'setting-description';
+      description.textContent = field.description;
+      group.appendChild(description);
+    }
+    return group;
+  }
+
+  // The values of a backend's settings form, by schema key. Throws on an invalid number.
+  function readBackendSettings(manifest) {
+    const form = backendSettingsForms.querySelector(`.backend-specific-settings[data-backend="${manifest.id}"]`);
+    const values = {};
+    if (!form) return values;
+    form.querySelectorAll('input[data-key]').forEach(input => {
+      const field = manifest.settings.find(f => f.key === input.dataset.key);
+      if (field.type === 'boolean') {
+        values[field.key] = input.checked;
+      } else if (field.type === 'number') {
+        const number = input.value.trim() === '' ? null : Number(input.value);
+        if (number !== null && !Number.isFinite(number)) {
+          throw new Error(`${manifest.name}: ${field.label} must be a number`);
+        }
+        values[field.key] = number ?? field.default ?? null;
+      } else {
+        values[field.key] = input.value.trim();
+      }
+    });
+    return values;
+  }
+
+  // Ask the background for the pairs a backend's server offers (only works when it is the active backend)
+  function loadServerLanguagePairs(backendId) {
+    const manifest = getBackendManifest(backendId);
+    const pairsElement = backendSettingsForms.querySelector(`.backend-specific-settings[data-backend="${backendId}"] .server-language-pairs`);
+    if (!pairsElement) return;
+    if (config.activeBackend !== backendId) {
+      pairsElement.textContent = `Save with ${manifest.name} as the active backend to query the server.`;
+      return;
+    }
+    
+    pairsElement.textContent = 'Checking server...';
+    chrome.runtime.sendMessage({ action: ACTIONS.CHECK_STATUS }, (response) => {
+      if (chrome.runtime.lastError || !response || response.status !== 'running') {
+        const errorMsg = response && response.message ? response.message : `Could not reach the ${manifest.name} server.`;
+        pairsElement.textContent = errorMsg;
+        return;
+      }
+      
+      const pairs = response.languagePairs || [];
+      pairsElement.textContent = pairs.length > 0
+        ? pairs.map(pair => `${getLanguageName(pair.source)} → ${getLanguageName(pair.target)}`).join(', ')
+        : 'Server reported no language pairs.';
+      // The configured languagePairs leave out the server's other pairs
+      if (response.limitedToConfiguredPairs) {
+        pairsElement.textContent += ` (limited to the language pairs in backendSettings.${backendId}.languagePairs)`;
+      }
+    });
+  }
+
   async function checkModelStatuses() {
-    if (config.activeBackend !== 'ollama') {
-      // Skip model status checks for non-Ollama backends
+    if (!modelsBackend) {
+      // Skip model status checks for backends without models
       return;
     }
     
@@ -171,7 +400,7 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
           const response = await new Promise((resolve) => {
             chrome.runtime.sendMessage(
-              { action: 'checkModelStatus', modelId: model.id },
+              { action: ACTIONS.CHECK_MODEL_STATUS, modelId: model.id },
               (result) => resolve(result)
             );
           });
@@ -195,8 +424,8 @@ document.addEventListener('DOMContentLoaded', () => {
   function populateModelsList() {
     modelsContainer.innerHTML = '';
     
-    if (config.activeBackend !== 'ollama') {
-      modelsContainer.innerHTML = '<p>Model management is only available for the Ollama backend.</p>';
+    if (!modelsBackend) {
+      modelsContainer.innerHTML = '<p>Save the settings with a backend that has models (such as Ollama) active to manage its models.</p>';
       return;
     }
     
@@ -221,21 +450,147 @@ document.addEventListener('DOMContentLoaded', () => {
           ${isAvailable ? 'Available' : 'Unavailable'}
         </div>
       `;
+      // Ollama's models are managed in its server library section
+      if (modelsBackend !== 'ollama') {
+        modelCard.querySelector('.model-info').appendChild(createButton('Remove', () => removeModel(model.id)));
+      }
+      modelCard.appendChild(createGenerationSettings(model));
       
       modelsContainer.appendChild(modelCard);
     });
   }
 
+  // Add a model to the models list of the backend (saved with the other settings)
+  function addModel() {
+    const modelId = addModelInput.value.trim();
+    if (!modelId) return;
+    if (availableModels.some(model => model.id === modelId)) {
+      showStatus(`${modelId} is already configured`, 'error');
+      return;
+    }
+    availableModels = [...availableModels, { id: modelId, name: modelId, default: availableModels.length === 0 }];
+    addModelInput.value = '';
+    refreshModelSections();
+    showStatus(`Added ${modelId}. Save the settings to use it.`, 'info');
+  }
+
+  function removeModel(modelId) {
+    availableModels = availableModels.filter(model => model.id !== modelId);
+    if (availableModels.length > 0 && !availableModels.some(model => model.default === true)) {
+      availableModels = availableModels.map((model, index) => ({ ...model, default: index === 0 }));
+    }
+    refreshModelSections();
+    showStatus(`Removed ${modelId}. Save the settings to apply.`, 'info');
+  }
+
+  // Show a changed models list in every section that offers the models
+  function refreshModelSections() {
+    populateModelsList();
+    populateLanguagePairs();
+    populateDefaultSelects();
+  }
+
+  // --- Generation Settings ---
+
+  // The options that can be set per model, from the backend's manifest; empty fields use the server's default
+  function getGenerationOptions() {
+    return getBackendManifest(modelsBackend)?.generationOptions || [];
+  }
+
+  // The collapsible generation settings (options, Ollama's keep_alive, system prompt) of a model card
+  function createGenerationSettings(model) {
+    const options = model.options || {};
+    const details = document.createElement('details');
+    details.className = 'model-generation';
+    details.dataset.modelId = model.id;
+
+    const summary = document.createElement('summary');
+    summary.textContent = options.temperature === 0 && Number.isInteger(options.seed)
+      ? 'Generation settings (deterministic)'
+      : 'Generation settings';
+    details.appendChild(summary);
+
+    const grid = document.createElement('div');
+    grid.className = 'generation-grid';
+    getGenerationOptions().forEach(option => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'generation-option';
+      input.dataset.option = option.name;
+      input.step = option.step;
+      if (option.min !== undefined) input.min = option.min;
+      if (option.max !== undefined) input.max = option.max;
+      input.placeholder = 'Default';
+      input.value = options[option.name] ?? '';
+      grid.appendChild(createLabeledField(option.label, input));
+    });
+
+    if (modelsBackend === 'ollama') {
+      const keepAliveInput = document.createElement('input');
+      keepAliveInput.type = 'text';
+      keepAliveInput.className = 'generation-keep-alive';
+      keepAliveInput.placeholder = 'e.g. 10m, or -1 to keep loaded';
+      keepAliveInput.value = model.keep_alive ?? '';
+      grid.appendChild(createLabeledField('Keep loaded for (keep_alive)', keepAliveInput));
+    }
+    details.appendChild(grid);
+
+    const systemInput = document.createElement('textarea');
+    systemInput.className = 'generation-system';
+    systemInput.rows = 3;
+    systemInput.placeholder = 'Optional system prompt sent with every translation';
+    systemInput.value = model.system || '';
+    details.appendChild(createLabeledField('System prompt', systemInput));
+
+    const hint = document.createElement('p');
+    hint.className = 'setting-description';
+    hint.textContent = 'A style\'s own options (e.g. Technical) apply unless set here. Temperature 0 with a fixed seed gives the same translation every time, so cached translations match what the model would return.';
+    details.appendChild(hint);
+    return details;
+  }
+
+  function createLabeledField(labelText, input) {
+    const label = document.createElement('label');
+    label.className = 'generation-field';
+    label.textContent = labelText;
+    label.appendChild(input);
+    return label;
+  }
+
+  // Read a model's generation settings back from its card. Models without a card keep their settings.
+  function readGenerationSettings(model) {
+    const details = Array.from(modelsContainer.querySelectorAll('.model-generation'))
+      .find(element => element.dataset.modelId === model.id);
+    if (!details) {
+      return { options: model.options, keep_alive: model.keep_alive, system: model.system };
+    }
+
+    const options = {};
+    getGenerationOptions().forEach(option => {
+      const value = details.querySelector(`.generation-option[data-option="${option.name}"]`).value.trim();
+      if (value === '') return;
+      const number = Number(value);
+      if (!Number.isFinite(number) || (option.integer && !Number.isInteger(number))) {
+        throw new Error(`${model.name || model.id}: ${option.label} must be ${option.integer ? 'a whole number' : 'a number'}`);
+      }
+      options[option.name] = number;
+    });
+
+    // keep_alive is a duration ("10m") or a number of seconds (-1 keeps the model loaded)
+    const keepAlive = details.querySelector('.generation-keep-alive')?.value.trim() ?? '';
+    const system = details.querySelector('.generation-system').value.trim();
+    return {
+      options: Object.keys(options).length > 0 ? options : undefined,
+      keep_alive: keepAlive === '' ? undefined : (/^-?\d+$/.test(keepAlive) ? Number(keepAlive) : keepAlive),
+      system: system || undefined
+    };
+  }
+
   function populateLanguagePairs() {
     pairsContainer.innerHTML = '';
     
     // Get the appropriate language pairs based on the active backend
-    let activePairs = [];
-    if (config.activeBackend === 'ollama' && config.backendSettings?.ollama?.languagePairs) {
-      activePairs = config.backendSettings.ollama.languagePairs;
-    } else if (config.activeBackend === 'chromeApi' && config.backendSettings?.chromeApi?.languagePairs) {
-      activePairs = config.backendSettings.chromeApi.languagePairs;
-    }
+    const activePairs = config.backendSettings?.[config.activeBackend]?.languagePairs || [];
     
     if (activePairs.length === 0) {
       pairsContainer.innerHTML = '<p>No language pairs configured</p>';
@@ -251,8 +606,8 @@ document.addEventListener('DOMContentLoaded', () => {
       const targetName = getLanguageName(pair.target);
       
       let modelSelectHtml = '';
-      if (config.activeBackend === 'ollama') {
-        // For Ollama, show model selection dropdown
+      if (modelsBackend) {
+        // For backends with models, show model selection dropdown
         modelSelectHtml = `
           <select class="pair-model-select" data-source="${pair.source}" data-target="${pair.target}">
             ${availableModels.map(model => `
@@ -263,8 +618,8 @@ document.addEventListener('DOMContentLoaded', () => {
           </select>
         `;
       } else {
-        // For Chrome API, no model selection needed
-        modelSelectHtml = `<span>Chrome Translation API</span>`;
+        // Other backends decide how to translate themselves
+        modelSelectHtml = `<span>${getBackendManifest(config.activeBackend)?.name || config.activeBackend}</span>`;
       }
       
       pairCard.innerHTML = `
@@ -284,8 +639,8 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   function populateDefaultSelects() {
-    // Only relevant for Ollama backend
-    if (config.activeBackend !== 'ollama') {
+    // Only relevant for backends with models
+    if (!modelsBackend) {
       return;
     }
     
@@ -306,7 +661,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const fallbackOption = document.createElement('option');
       fallbackOption.value = model.id;
       fallbackOption.textContent = model.name || model.id;
-      fallbackOption.selected = model.id === config.backendSettings?.ollama?.fallbackModelId;
+      fallbackOption.selected = model.id === config.backendSettings?.[modelsBackend]?.fallbackModelId;
       fallbackModelSelect.appendChild(fallbackOption);
     });
   }
@@ -317,6 +672,1160 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Reset button
     resetButton.addEventListener('click', resetSettings);
+    
+    // Backend selection shows that backend's settings form
+    activeBackendSelect.addEventListener('change', updateBackendSettingsVisibility);
+    
+    // Models of backends without a model library
+    addModelButton.addEventListener('click', addModel);
+    
+    // Cache buttons
+    refreshCacheButton.addEventListener('click', loadCacheStats);
+    exportCacheButton.addEventListener('click', exportCache);
+    clearCacheButton.addEventListener('click', clearCache);
+    
+    // Ollama model discovery and downloads
+    refreshInstalledModelsButton.addEventListener('click', loadInstalledModels);
+    pullModelButton.addEventListener('click', () => {
+      const modelId = pullModelInput.value.trim();
+      if (modelId) pullModel(modelId);
+    });
+    cancelPullButton.addEventListener('click', cancelPull);
+    
+    // Chrome language packs
+    chromePackSourceSelect.addEventListener('change', checkChromePackStatus);
+    chromePackTargetSelect.addEventListener('change', checkChromePackStatus);
+    downloadChromePackButton.addEventListener('click', () => {
+      const sourceLanguage = chromePackSourceSelect.value;
+      const targetLanguage = chromePackTargetSelect.value;
+      downloadChromeModel(self.Translator, { sourceLanguage, targetLanguage }, `${sourceLanguage}:${targetLanguage}`,
+        `the language pack for ${getLanguageName(sourceLanguage)} to ${getLanguageName(targetLanguage)}`);
+    });
+    downloadLanguageDetectorButton.addEventListener('click', () => {
+      downloadChromeModel(self.LanguageDetector, {}, 'language-detector', 'the language detector');
+    });
+    
+    // Backend routing
+    addRoutingRuleButton.addEventListener('click', addRoutingRule);
+    
+    // Prompt template editor
+    templateModelSelect.addEventListener('change', () => {
+      populateTemplateStyles();
+      loadTemplate();
+    });
+    templateStyleSelect.addEventListener('change', loadTemplate);
+    templateTextArea.addEventListener('input', validateTemplate);
+    saveTemplateButton.addEventListener('click', saveTemplate);
+    revertTemplateButton.addEventListener('click', loadTemplate);
+    previewTemplateButton.addEventListener('click', previewTemplate);
+    
+    // Glossary (saved immediately)
+    glossaryFilterSelect.addEventListener('change', renderGlossary);
+    glossaryDoNotTranslateCheckbox.addEventListener('change', () => {
+      glossaryTranslationInput.disabled = glossaryDoNotTranslateCheckbox.checked;
+    });
+    saveGlossaryEntryButton.addEventListener('click', saveGlossaryEntryFromForm);
+    cancelGlossaryEditButton.addEventListener('click', resetGlossaryForm);
+    exportGlossaryButton.addEventListener('click', exportGlossary);
+    importGlossaryButton.addEventListener('click', () => glossaryFileInput.click());
+    glossaryFileInput.addEventListener('change', () => {
+      if (glossaryFileInput.files[0]) importGlossaryFile(glossaryFileInput.files[0]);
+      glossaryFileInput.value = ''; // Allow importing the same file again
+    });
+    
+    // Site rules (stored in sync storage, saved immediately)
+    minSelectionLengthInput.addEventListener('change', saveMinSelectionLength);
+    addSiteRuleButton.addEventListener('click', addSiteRule);
+  }
+
+  function populateCacheSettings() {
+    const cacheConfig = config.cache || {};
+    cacheEnabledCheckbox.checked = cacheConfig.enabled !== false;
+    cacheMaxEntriesInput.value = cacheConfig.maxEntries ?? 2000;
+    cacheMaxSizeInput.value = cacheConfig.maxSizeMB ?? 10;
+    cacheTtlInput.value = cacheConfig.ttlDays ?? 30;
+  }
+
+  function loadCacheStats() {
+    chrome.runtime.sendMessage({ action: ACTIONS.GET_CACHE_STATS }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        const errorMsg = response && response.error ? response.error : 'Could not load cache statistics';
+        cacheStatsContainer.textContent = errorMsg;
+        return;
+      }
+      
+      const stats = response.stats;
+      const sizeKB = (stats.totalBytes / 1024).toFixed(1);
+      const hitRate = Math.round(stats.hitRate * 100);
+      cacheStatsContainer.textContent = `${stats.entries} entries (${sizeKB} KB) · ${stats.hits} hits, ${stats.misses} misses (${hitRate}% hit rate)`;
+      
+      // Show the most recently used entries
+      cacheEntriesContainer.innerHTML = '';
+      if (stats.recent.length === 0) {
+        return;
+      }
+      
+      const table = document.createElement('table');
+      table.className = 'cache-table';
+      table.innerHTML = '<thead><tr><th>Text</th><th>Translation</th><th>Languages</th><th>Model</th><th>Hits</th></tr></thead>';
+      const tbody = document.createElement('tbody');
+      stats.recent.forEach(entry => {
+        const row = document.createElement('tr');
+        [
+          entry.text,
+          entry.translation,
+          `${getLanguageName(entry.sourceLang)} → ${getLanguageName(entry.targetLang)}`,
+          entry.deterministic ? `${entry.model} (deterministic)` : (entry.model || entry.backend),
+          String(entry.hits)
+        ].forEach(value => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+      });
+      table.appendChild(tbody);
+      cacheEntriesContainer.appendChild(table);
+    });
+  }
+
+  function exportCache() {
+    chrome.runtime.sendMessage({ action: ACTIONS.EXPORT_CACHE }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showStatus('Failed to export cache', 'error');
+        return;
+      }
+      
+      const blob = new Blob([JSON.stringify(response.entries, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `translation-cache-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+      showStatus(`Exported ${response.entries.length} cache entries`, 'success');
+    });
+  }
+
+  function clearCache() {
+    if (!confirm('Are you sure you want to delete all cached translations?')) {
+      return;
+    }
+    chrome.runtime.sendMessage({ action: ACTIONS.CLEAR_CACHE }, (response) => {
+      if (response && response.success) {
+        showStatus('Translation cache cleared', 'success');
+        loadCacheStats();
+      } else {
+        showStatus('Failed to clear cache', 'error');
+      }
+    });
+  }
+
+  // List installed models next to the configured ones: installed models can be added to the
+  // config, configured models that aren't installed can be pulled
+  function loadInstalledModels() {
+    chrome.runtime.sendMessage({ action: ACTIONS.LIST_OLLAMA_MODELS }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        const errorMsg = response && response.error ? response.error : 'Could not reach the Ollama server';
+        installedModelsContainer.textContent = `Error: ${errorMsg}`;
+        return;
+      }
+      renderInstalledModels(response.installed, response.configured);
+    });
+  }
+
+  function renderInstalledModels(installed, configured) {
+    installedModelsContainer.innerHTML = '';
+    // Ollama treats a name without a tag as ':latest'
+    const normalize = name => name.includes(':') ? name : `${name}:latest`;
+    const installedIds = new Set(installed.map(model => normalize(model.id)));
+    const missing = configured.filter(model => !installedIds.has(normalize(model.id)));
+
+    if (installed.length === 0 && missing.length === 0) {
+      installedModelsContainer.innerHTML = '<p>No models installed</p>';
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'cache-table';
+    table.innerHTML = '<thead><tr><th>Model</th><th>Size</th><th>Parameters</th><th>Quantization</th><th>Status</th><th></th></tr></thead>';
+    const tbody = document.createElement('tbody');
+
+    installed.forEach(model => {
+      const row = createModelRow([
+        model.id,
+        `${(model.size / 1e9).toFixed(1)} GB`,
+        model.parameterSize || '',
+        model.quantization || '',
+        model.configured ? 'Installed, configured' : 'Installed'
+      ]);
+      const actionsCell = document.createElement('td');
+      if (!model.configured) {
+        actionsCell.appendChild(createButton('Add to config', () => addModelToConfig(model.id)));
+      }
+      actionsCell.appendChild(createButton('Details', () => showModelDetails(model.id, row)));
+      row.appendChild(actionsCell);
+      tbody.appendChild(row);
+    });
+
+    missing.forEach(model => {
+      const row = createModelRow([model.id, '', '', '', 'Configured, not installed']);
+      const actionsCell = document.createElement('td');
+      actionsCell.appendChild(createButton('Pull', () => pullModel(model.id)));
+      row.appendChild(actionsCell);
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    installedModelsContainer.appendChild(table);
+  }
+
+  function createModelRow(values) {
+    const row = document.createElement('tr');
+    values.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'secondary-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Show /api/show metadata in a row under the model
+  function showModelDetails(modelId, row) {
+    if (row.nextSibling && row.nextSibling.classList.contains('model-details')) {
+      row.nextSibling.remove(); // Toggle off
+      return;
+    }
+    chrome.runtime.sendMessage({ action: ACTIONS.SHOW_OLLAMA_MODEL, modelId: modelId }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showStatus(`Could not load details for ${modelId}: ${response?.error || 'no response'}`, 'error');
+        return;
+      }
+      const details = response.model;
+      const detailsRow = document.createElement('tr');
+      detailsRow.className = 'model-details';
+      const cell = document.createElement('td');
+      cell.colSpan = 6;
+      cell.textContent = [
+        details.family && `Family: ${details.family}`,
+        details.format && `Format: ${details.format}`,
+        details.contextLength && `Context length: ${details.contextLength} tokens`,
+        details.capabilities.length > 0 && `Capabilities: ${details.capabilities.join(', ')}`
+      ].filter(Boolean).join(' · ') || 'No details available';
+      detailsRow.appendChild(cell);
+      row.after(detailsRow);
+    });
+  }
+
+  function addModelToConfig(modelId) {
+    chrome.runtime.sendMessage({ action: ACTIONS.ADD_OLLAMA_MODEL, modelId: modelId }, async (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showStatus(`Could not add ${modelId}: ${response?.error || 'no response'}`, 'error');
+        return;
+      }
+      showStatus(`Added ${modelId} to the configured models`, 'success');
+      // Reload so the new model shows up everywhere (and isn't dropped by the next save)
+      await loadConfig();
+      await checkModelStatuses();
+      populateModelsList();
+      populateLanguagePairs();
+      populateDefaultSelects();
+      populateCompareCandidates();
+      populateTemplateEditor();
+      loadInstalledModels();
+    });
+  }
+
+  // Download a model, showing the streamed progress
+  function pullModel(modelId) {
+    if (pullPort) {
+      showStatus('A model is already being downloaded', 'error');
+      return;
+    }
+
+    pullPort = chrome.runtime.connect({ name: PORTS.OLLAMA_PULL });
+    pullModelButton.disabled = true;
+    pullProgress.classList.remove('hidden');
+    pullProgressLabel.textContent = `Pulling ${modelId}...`;
+    pullProgressBar.removeAttribute('value'); // Indeterminate until sizes are known
+
+    pullPort.onMessage.addListener(async (message) => {
+      if (message.type === PORT_MESSAGE_TYPES.PROGRESS) {
+        const percent = message.total ? Math.floor((message.completed || 0) / message.total * 100) : null;
+        pullProgressLabel.textContent = `${modelId}: ${message.status}${percent !== null ? ` (${percent}%)` : ''}`;
+        if (percent !== null) {
+          pullProgressBar.value = percent;
+        } else {
+          pullProgressBar.removeAttribute('value');
+        }
+        return;
+      }
+
+      if (message.type === PORT_MESSAGE_TYPES.DONE) {
+        finishPull();
+        if (message.success) {
+          showStatus(`Downloaded ${modelId}`, 'success');
+          await checkModelStatuses();
+          populateModelsList();
+        } else {
+          showStatus(`Download of ${modelId} failed: ${message.error}`, 'error');
+        }
+        loadInstalledModels();
+      }
+    });
+
+    pullPort.onDisconnect.addListener(() => {
+      if (pullPort) {
+        finishPull();
+        showStatus('Download interrupted', 'error');
+      }
+    });
+
+    pullPort.postMessage({ action: ACTIONS.PULL_MODEL, modelId: modelId });
+  }
+
+  function cancelPull() {
+    if (!pullPort) return;
+    pullPort.disconnect(); // The background aborts the download request
+    finishPull();
+    showStatus('Download cancelled', 'info');
+  }
+
+  function finishPull() {
+    if (pullPort) {
+      const port = pullPort;
+      pullPort = null; // Clear first so onDisconnect doesn't report an interruption
+      port.disconnect();
+    }
+    pullModelButton.disabled = false;
+    pullProgress.classList.add('hidden');
+  }
+
+  // --- Prompt Templates ---
+
+  function populateTemplateEditor() {
+    const selectedModelId = templateModelSelect.value;
+    // The first entry edits the style's own template, used by models without one for the style
+    templateModelSelect.innerHTML = '<option value="">All models (style default)</option>';
+    getOllamaModels().forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.textContent = model.name || model.id;
+      templateModelSelect.appendChild(option);
+    });
+    if (getOllamaModels().some(model => model.id === selectedModelId)) {
+      templateModelSelect.value = selectedModelId;
+    }
+
+    const selectedTarget = previewTargetSelect.value;
+    previewTargetSelect.innerHTML = '';
+    supportedLanguages
+      .filter(language => language.enabled && language.code !== 'auto')
+      .forEach(language => {
+        const option = document.createElement('option');
+        option.value = language.code;
+        option.textContent = language.name;
+        previewTargetSelect.appendChild(option);
+      });
+    if (selectedTarget) previewTargetSelect.value = selectedTarget;
+
+    if (templateVariablesContainer.children.length === 0) {
+      Object.entries(PROMPT_VARIABLES).forEach(([name, description]) => {
+        const button = document.createElement('button');
+        button.textContent = `{${name}}`;
+        button.title = description;
+        button.addEventListener('click', () => insertTemplateVariable(name));
+        templateVariablesContainer.appendChild(button);
+      });
+    }
+
+    populateTemplateStyles();
+    loadTemplate();
+  }
+
+  // The styles of the style registry, plus any other style the model has its own template for
+  function populateTemplateStyles() {
+    const model = getTemplateModel();
+    const selectedStyle = templateStyleSelect.value;
+    const styles = (config.styles || []).map(style => [style.id, style.label || style.id]);
+    Object.keys(model?.promptTemplates || {})
+      .filter(styleId => !styles.some(([id]) => id === styleId))
+      .forEach(styleId => styles.push([styleId, styleId]));
+
+    templateStyleSelect.innerHTML = '';
+    styles.forEach(([id, label]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      templateStyleSelect.appendChild(option);
+    });
+    if (styles.some(([id]) => id === selectedStyle)) templateStyleSelect.value = selectedStyle;
+  }
+
+  // Prompt templates are edited for Ollama's models, whichever backend is active
+  function getOllamaModels() {
+    return config.backendSettings?.ollama?.models || [];
+  }
+
+  function getTemplateModel() {
+    return getOllamaModels().find(model => model.id === templateModelSelect.value);
+  }
+
+  function getTemplateStyle() {
+    return (config.styles || []).find(style => style.id === templateStyleSelect.value);
+  }
+
+  // Show the template for the selected model and style. A model without its own template for the
+  // style shows the one it inherits from the style registry (saving makes it the model's own).
+  function loadTemplate() {
+    const model = getTemplateModel();
+    const style = getTemplateStyle();
+    const ownTemplate = model ? model.promptTemplates?.[templateStyleSelect.value] : style?.templates?.default;
+    const inheritedTemplate = model ? (style?.templates?.[model.id] || style?.templates?.default) : null;
+    templateTextArea.value = ownTemplate || inheritedTemplate || '';
+
+    const info = [];
+    if (style?.description) info.push(style.description);
+    if (!ownTemplate && inheritedTemplate) info.push('Inherited from the style');
+    if (style?.formality) info.push(`{formality}: ${style.formality}`);
+    if (style?.options) {
+      info.push(`Generation options: ${Object.entries(style.options).map(([name, value]) => `${name} ${value}`).join(', ')}`);
+    }
+    templateStyleInfo.textContent = info.join(' · ');
+    validateTemplate();
+  }
+
+  function insertTemplateVariable(name) {
+    const { selectionStart, selectionEnd, value } = templateTextArea;
+    templateTextArea.value = value.slice(0, selectionStart) + `{${name}}` + value.slice(selectionEnd);
+    templateTextArea.focus();
+    templateTextArea.selectionStart = templateTextArea.selectionEnd = selectionStart + name.length + 2;
+    validateTemplate();
+  }
+
+  // Same rules as validatePromptTemplate in backends/languageModels.js; returns true if the template can be used
+  function validateTemplate() {
+    const template = templateTextArea.value;
+    const messages = [];
+    let valid = true;
+
+    if (!template.trim()) {
+      messages.push('The template is empty.');
+      valid = false;
+    } else if (!template.includes('{text}')) {
+      messages.push('The template must contain {text}, where the text to translate is inserted.');
+      valid = false;
+    }
+
+    const usedVariables = Array.from(template.matchAll(/\{(\w+)\}/g), match => match[1]);
+    const unknownVariables = [...new Set(usedVariables.filter(name => !(name in PROMPT_VARIABLES)))];
+    if (unknownVariables.length > 0) {
+      messages.push(`Unknown variables are sent as written: ${unknownVariables.map(name => `{${name}}`).join(', ')}`);
+    }
+
+    templateValidation.textContent = messages.join(' ');
+    templateTextArea.classList.toggle('invalid', !valid);
+    saveTemplateButton.disabled = !valid;
+    previewTemplateButton.disabled = !valid;
+    return valid;
+  }
+
+  // Save just this template, leaving other unsaved changes on the page alone. With "All models"
+  // selected it becomes the style's default template, otherwise the model's own template for the style.
+  async function saveTemplate() {
+    const model = getTemplateModel();
+    const style = templateStyleSelect.value;
+    if (!validateTemplate()) return;
+
+    let updatedConfig;
+    if (model) {
+      const ollamaSettings = config.backendSettings.ollama;
+      updatedConfig = {
+        ...config,
+        backendSettings: {
+          ...config.backendSettings,
+          ollama: {
+            ...ollamaSettings,
+            models: ollamaSettings.models.map(configuredModel => configuredModel.id !== model.id ? configuredModel : {
+              ...configuredModel,
+              promptTemplates: { ...configuredModel.promptTemplates, [style]: templateTextArea.value }
+            })
+          }
+        }
+      };
+    } else {
+      updatedConfig = {
+        ...config,
+        styles: (config.styles || []).map(registeredStyle => registeredStyle.id !== style ? registeredStyle : {
+          ...registeredStyle,
+          templates: { ...registeredStyle.templates, default: templateTextArea.value }
+        })
+      };
+    }
+
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: ACTIONS.UPDATE_CONFIG, config: updatedConfig }, (result) => resolve(result));
+    });
+    if (response && response.success) {
+      showStatus(`Saved the ${getTemplateStyle()?.label || style} template for ${model ? (model.name || model.id) : 'all models'}`, 'success');
+      await loadConfig();
+      populateTemplateEditor();
+    } else {
+      showStatus(`Error: ${response?.error || 'Failed to save template'}`, 'error');
+    }
+  }
+
+  // Translate the sample text with the template as currently edited (with the default model for "All models")
+  function previewTemplate() {
+    const ollamaModels = getOllamaModels();
+    const model = getTemplateModel() || ollamaModels.find(configuredModel => configuredModel.default === true) || ollamaModels[0];
+    if (!model || !validateTemplate()) return;
+
+    previewTemplateButton.disabled = true;
+    templatePreview.classList.remove('hidden');
+    previewPrompt.textContent = '';
+    previewResult.textContent = `Translating with ${model.name || model.id}...`;
+
+    chrome.runtime.sendMessage({
+      action: ACTIONS.PREVIEW_PROMPT_TEMPLATE,
+      template: templateTextArea.value,
+      modelId: model.id,
+      style: templateStyleSelect.value,
+      text: previewTextInput.value,
+      sourceLang: 'auto',
+      targetLang: previewTargetSelect.value,
+      variables: {
+        context: previewContextInput.value,
+        pageTitle: previewPageTitleInput.value,
+        glossary: previewGlossaryInput.value,
+        formality: previewFormalityInput.value
+      }
+    }, (response) => {
+      previewTemplateButton.disabled = false;
+      if (chrome.runtime.lastError || !response) {
+        previewResult.textContent = 'Error: no response from the background script';
+        return;
+      }
+      previewPrompt.textContent = response.prompt || '';
+      previewResult.textContent = response.success ? response.translation : `Error: ${response.error}`;
+    });
+  }
+
+  // One checkbox per model of the backends with models, plus one per other backend
+  function populateCompareCandidates() {
+    compareCandidatesContainer.innerHTML = '';
+    const selected = config.compare?.candidates || [];
+    const candidates = backendManifests.flatMap(manifest => manifest.capabilities.models
+      ? (config.backendSettings?.[manifest.id]?.models || []).map(model =>
+        ({ backend: manifest.id, model: model.id, label: `${manifest.name}: ${model.name || model.id}` }))
+      : [{ backend: manifest.id, label: manifest.name }]);
+
+    candidates.forEach(candidate => {
+      const label = document.createElement('label');
+      label.className = 'compare-candidate';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.backend = candidate.backend;
+      if (candidate.model) checkbox.dataset.model = candidate.model;
+      checkbox.checked = selected.some(item => item.backend === candidate.backend && (item.model || null) === (candidate.model || null));
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${candidate.label}`));
+      compareCandidatesContainer.appendChild(label);
+    });
+  }
+
+  function getSelectedCompareCandidates() {
+    return Array.from(compareCandidatesContainer.querySelectorAll('input:checked')).map(checkbox => {
+      const candidate = { backend: checkbox.dataset.backend };
+      if (checkbox.dataset.model) candidate.model = checkbox.dataset.model;
+      return candidate;
+    });
+  }
+
+  // --- Backend Routing ---
+
+  // The registered backends as [id, name] select options
+  function getBackendOptions() {
+    return backendManifests.map(manifest => [manifest.id, manifest.name]);
+  }
+
+  function populateRoutingSettings() {
+    const routing = config.routing || {};
+    renderRoutingRules(routing.rules || []);
+    routingFallbackContainer.innerHTML = '';
+    routingFallbackContainer.appendChild(createBackendChain(routing.fallbackBackends || []));
+    routingFailureThresholdInput.value = routing.circuitBreaker?.failureThreshold ?? 3;
+    routingCooldownInput.value = routing.circuitBreaker?.cooldownSeconds ?? 60;
+  }
+
+  function renderRoutingRules(rules) {
+    routingRulesContainer.innerHTML = '';
+    if (rules.length === 0) {
+      routingRulesContainer.innerHTML = '<p>No routing rules. Every pair uses the active backend.</p>';
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'cache-table site-rules-table';
+    table.innerHTML = '<thead><tr><th>From</th><th>To</th><th>Both directions</th><th>Backends, in order</th><th></th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    rules.forEach(rule => tbody.appendChild(createRoutingRuleRow(rule)));
+    table.appendChild(tbody);
+    routingRulesContainer.appendChild(table);
+  }
+
+  function createRoutingRuleRow(rule) {
+    const languageOptions = [['*', 'Any language']].concat(
+      supportedLanguages
+        .filter(language => language.enabled && language.code !== 'auto')
+        .map(language => [language.code, language.name])
+    );
+    const row = document.createElement('tr');
+    row.className = 'routing-rule';
+
+    const sourceSelect = createSelect(languageOptions, rule.source || '*');
+    sourceSelect.className = 'routing-source';
+    row.appendChild(wrapInCell(sourceSelect));
+
+    const targetSelect = createSelect(languageOptions, rule.target || '*');
+    targetSelect.className = 'routing-target';
+    row.appendChild(wrapInCell(targetSelect));
+
+    const bidirectionalCheckbox = document.createElement('input');
+    bidirectionalCheckbox.type = 'checkbox';
+    bidirectionalCheckbox.className = 'routing-bidirectional';
+    bidirectionalCheckbox.checked = rule.bidirectional === true;
+    row.appendChild(wrapInCell(bidirectionalCheckbox));
+
+    row.appendChild(wrapInCell(createBackendChain(rule.backends || [])));
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'secondary-button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => row.remove()); // Takes effect on save
+    row.appendChild(wrapInCell(deleteButton));
+    return row;
+  }
+
+  function addRoutingRule() {
+    const rule = { source: '*', target: '*', backends: [] };
+    const tbody = routingRulesContainer.querySelector('tbody');
+    if (tbody) {
+      tbody.appendChild(createRoutingRuleRow(rule));
+    } else {
+      renderRoutingRules([rule]);
+    }
+  }
+
+  // One select per registered backend; the chosen backends are tried from left to right
+  function createBackendChain(backends) {
+    const chain = document.createElement('div');
+    chain.className = 'routing-chain';
+    const options = [['', '—']].concat(getBackendOptions());
+    options.slice(1).forEach((option, index) => {
+      chain.appendChild(createSelect(options, backends[index] || ''));
+    });
+    return chain;
+  }
+
+  function readBackendChain(chain) {
+    const backends = Array.from(chain.querySelectorAll('select')).map(select => select.value).filter(Boolean);
+    return [...new Set(backends)];
+  }
+
+  // Rules without any backend are dropped
+  function readRoutingSettings() {
+    const rules = Array.from(routingRulesContainer.querySelectorAll('.routing-rule')).map(row => ({
+      source: row.querySelector('.routing-source').value,
+      target: row.querySelector('.routing-target').value,
+      bidirectional: row.querySelector('.routing-bidirectional').checked,
+      backends: readBackendChain(row.querySelector('.routing-chain'))
+    })).filter(rule => rule.backends.length > 0);
+
+    return {
+      ...config.routing,
+      rules: rules,
+      fallbackBackends: readBackendChain(routingFallbackContainer),
+      circuitBreaker: {
+        failureThreshold: parseInt(routingFailureThresholdInput.value, 10) || 3,
+        cooldownSeconds: parseInt(routingCooldownInput.value, 10) || 60
+      }
+    };
+  }
+
+  // Backends that failed recently, as tracked by the background's circuit breaker
+  function loadBackendHealth() {
+    chrome.runtime.sendMessage({ action: ACTIONS.GET_BACKEND_HEALTH }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        routingHealthContainer.textContent = 'Could not load backend health.';
+        return;
+      }
+      const labels = Object.fromEntries(getBackendOptions());
+      const entries = Object.entries(response.health);
+      if (entries.length === 0) {
+        routingHealthContainer.textContent = 'No backend has failed recently.';
+        return;
+      }
+      routingHealthContainer.textContent = entries.map(([backend, health]) => {
+        const state = health.state === 'open'
+          ? `skipped until ${new Date(health.retryAt).toLocaleTimeString()}`
+          : `${health.failures} failure${health.failures === 1 ? '' : 's'} in a row`;
+        return `${labels[backend] || backend}: ${state}${health.lastError ? ` (${health.lastError})` : ''}`;
+      }).join('\n');
+    });
+  }
+
+  // --- Chrome Language Packs ---
+
+  function populateChromePackLanguages() {
+    const languages = supportedLanguages.filter(language => language.enabled && language.code !== 'auto');
+    [chromePackSourceSelect, chromePackTargetSelect].forEach(select => {
+      select.innerHTML = '';
+      languages.forEach(language => {
+        const option = document.createElement('option');
+        option.value = language.code;
+        option.textContent = language.name;
+        select.appendChild(option);
+      });
+    });
+    if (chromePackTargetSelect.options.length > 1 && chromePackTargetSelect.value === chromePackSourceSelect.value) {
+      chromePackTargetSelect.selectedIndex = 1;
+    }
+  }
+
+  // The status of the selected pair's pack and of the language detector, from the Chrome API backend
+  async function checkChromePackStatus() {
+    if (config.activeBackend !== 'chromeApi') {
+      chromePackStatus.textContent = 'Save the settings with the Chrome Translation API as the backend to see which packs are ready.';
+      return;
+    }
+    const modelIds = [`${chromePackSourceSelect.value}:${chromePackTargetSelect.value}`, 'language-detector'];
+    const statuses = await Promise.all(modelIds.map(modelId => new Promise(resolve => {
+      chrome.runtime.sendMessage({ action: ACTIONS.CHECK_MODEL_STATUS, modelId: modelId }, response => {
+        resolve(chrome.runtime.lastError ? null : response);
+      });
+    })));
+    chromePackStatus.textContent = statuses.map(status => status?.message || 'Status unknown').join('\n');
+  }
+
+  // Download one of Chrome's on-device models. Must be called straight from a click handler:
+  // Chrome only starts a download during a user gesture, which the backend (running in an
+  // offscreen document) never has. The progress is passed on to the backend, whose model status
+  // reports it (modelId as for CHECK_MODEL_STATUS).
+  function downloadChromeModel(api, options, modelId, label) {
+    if (typeof api?.create !== 'function') {
+      showStatus("Chrome's built-in translation is not available in this browser (it needs Chrome 138 or later on desktop)", 'error');
+      return;
+    }
+
+    chromePackProgressBar.value = 0;
+    chromePackProgressLabel.textContent = `Downloading ${label}...`;
+    chromePackProgress.classList.remove('hidden');
+    api.create({
+      ...options,
+      monitor(monitor) {
+        monitor.addEventListener('downloadprogress', (event) => {
+          const percent = Math.round(event.loaded * 100);
+          chromePackProgressBar.value = percent;
+          chromePackProgressLabel.textContent = `Downloading ${label}: ${percent}%`;
+          chrome.runtime.sendMessage({ action: ACTIONS.REPORT_DOWNLOAD_PROGRESS, modelId: modelId, loaded: event.loaded }, () => {
+            if (chrome.runtime.lastError) {
+              console.warn('Could not report download progress:', chrome.runtime.lastError.message);
+            }
+          });
+        });
+      }
+    })
+      .then(model => {
+        model.destroy?.(); // Only the download was wanted
+        showStatus(`Downloaded ${label}`, 'success');
+      })
+      .catch(error => {
+        console.error(`Error downloading ${label}:`, error);
+        showStatus(`Could not download ${label}: ${error.message}`, 'error');
+      })
+      .finally(() => {
+        chromePackProgress.classList.add('hidden');
+        checkChromePackStatus();
+      });
+  }
+
+  // --- Glossary ---
+
+  const GLOSSARY_CSV_COLUMNS = ['source', 'target', 'term', 'translation', 'doNotTranslate', 'note'];
+
+  function populateGlossaryLanguages() {
+    const languages = supportedLanguages.filter(language => language.enabled && language.code !== 'auto');
+    [glossarySourceSelect, glossaryTargetSelect].forEach(select => {
+      select.innerHTML = '';
+      languages.forEach(language => {
+        const option = document.createElement('option');
+        option.value = language.code;
+        option.textContent = language.name;
+        select.appendChild(option);
+      });
+    });
+    // Start with a useful pair rather than e.g. English -> English
+    if (glossaryTargetSelect.options.length > 1 && glossaryTargetSelect.value === glossarySourceSelect.value) {
+      glossaryTargetSelect.selectedIndex = 1;
+    }
+  }
+
+  function loadGlossary() {
+    chrome.runtime.sendMessage({ action: ACTIONS.GET_GLOSSARY }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        glossaryContainer.textContent = `Error: ${response?.error || 'Could not load the glossary'}`;
+        return;
+      }
+      glossaryEntries = response.entries;
+      populateGlossaryFilter();
+      renderGlossary();
+    });
+  }
+
+  // One filter option per language pair that has entries
+  function populateGlossaryFilter() {
+    const selected = glossaryFilterSelect.value;
+    const pairs = [...new Set(glossaryEntries.map(entry => `${entry.source}>${entry.target}`))];
+    glossaryFilterSelect.innerHTML = '<option value="">All language pairs</option>';
+    pairs.forEach(pair => {
+      const [source, target] = pair.split('>');
+      const option = document.createElement('option');
+      option.value = pair;
+      option.textContent = `${getLanguageName(source)} → ${getLanguageName(target)}`;
+      glossaryFilterSelect.appendChild(option);
+    });
+    glossaryFilterSelect.value = pairs.includes(selected) ? selected : '';
+  }
+
+  function renderGlossary() {
+    glossaryContainer.innerHTML = '';
+    const filter = glossaryFilterSelect.value;
+    const entries = glossaryEntries.filter(entry => !filter || `${entry.source}>${entry.target}` === filter);
+    if (entries.length === 0) {
+      glossaryContainer.innerHTML = '<p>No glossary entries yet. Add one below or import a CSV file.</p>';
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'cache-table';
+    table.innerHTML = '<thead><tr><th>Pair</th><th>Term</th><th>Translation</th><th>Note</th><th></th></tr></thead>';
+    const tbody = document.createElement('tbody');
+
+    entries.forEach(entry => {
+      const row = createModelRow([
+        `${getLanguageName(entry.source)} → ${getLanguageName(entry.target)}`,
+        entry.term,
+        entry.doNotTranslate ? 'Do not translate' : entry.translation,
+        entry.note || ''
+      ]);
+      if (entry.doNotTranslate) row.children[2].className = 'glossary-dnt';
+
+      const actionsCell = document.createElement('td');
+      actionsCell.appendChild(createButton('Edit', () => editGlossaryEntry(entry)));
+      actionsCell.appendChild(createButton('Delete', () => removeGlossaryEntry(entry)));
+      row.appendChild(actionsCell);
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    glossaryContainer.appendChild(table);
+  }
+
+  function editGlossaryEntry(entry) {
+    editingGlossaryId = entry.id;
+    glossarySourceSelect.value = entry.source;
+    glossaryTargetSelect.value = entry.target;
+    glossaryTermInput.value = entry.term;
+    glossaryTranslationInput.value = entry.doNotTranslate ? '' : entry.translation;
+    glossaryDoNotTranslateCheckbox.checked = entry.doNotTranslate;
+    glossaryTranslationInput.disabled = entry.doNotTranslate;
+    glossaryNoteInput.value = entry.note || '';
+    saveGlossaryEntryButton.textContent = 'Update Entry';
+    cancelGlossaryEditButton.classList.remove('hidden');
+    glossaryTermInput.focus();
+  }
+
+  function resetGlossaryForm() {
+    editingGlossaryId = null;
+    glossaryTermInput.value = '';
+    glossaryTranslationInput.value = '';
+    glossaryTranslationInput.disabled = false;
+    glossaryDoNotTranslateCheckbox.checked = false;
+    glossaryNoteInput.value = '';
+    saveGlossaryEntryButton.textContent = 'Add Entry';
+    cancelGlossaryEditButton.classList.add('hidden');
+  }
+
+  function saveGlossaryEntryFromForm() {
+    const entry = {
+      source: glossarySourceSelect.value,
+      target: glossaryTargetSelect.value,
+      term: glossaryTermInput.value,
+      translation: glossaryTranslationInput.value,
+      doNotTranslate: glossaryDoNotTranslateCheckbox.checked,
+      note: glossaryNoteInput.value
+    };
+    if (editingGlossaryId !== null) entry.id = editingGlossaryId;
+
+    chrome.runtime.sendMessage({ action: ACTIONS.SAVE_GLOSSARY_ENTRY, entry: entry }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showStatus(`Error: ${response?.error || 'Could not save the glossary entry'}`, 'error');
+        return;
+      }
+      showStatus(`Saved "${response.entry.term}" to the glossary`, 'success');
+      resetGlossaryForm();
+      loadGlossary();
+    });
+  }
+
+  function removeGlossaryEntry(entry) {
+    chrome.runtime.sendMessage({ action: ACTIONS.DELETE_GLOSSARY_ENTRY, id: entry.id }, (response) => {
+      if (response && response.success) {
+        showStatus(`Removed "${entry.term}" from the glossary`, 'success');
+        if (editingGlossaryId === entry.id) resetGlossaryForm();
+        loadGlossary();
+      } else {
+        showStatus('Failed to delete glossary entry', 'error');
+      }
+    });
+  }
+
+  function exportGlossary() {
+    // Quote every field and double embedded quotes (RFC 4180)
+    const escape = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const lines = [GLOSSARY_CSV_COLUMNS.join(',')];
+    glossaryEntries.forEach(entry => {
+      lines.push(GLOSSARY_CSV_COLUMNS.map(column => escape(entry[column])).join(','));
+    });
+
+    const blob = new Blob([lines.join('\r\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `glossary-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+    showStatus(`Exported ${glossaryEntries.length} glossary entries`, 'success');
+  }
+
+  async function importGlossaryFile(file) {
+    try {
+      const rows = parseCsv((await file.text()).replace(/^\uFEFF/, '')); // Drop a byte order mark (Excel)
+      const header = (rows.shift() || []).map(name => name.trim());
+      const missing = ['source', 'target', 'term'].filter(column => !header.includes(column));
+      if (missing.length > 0) {
+        throw new Error(`The CSV file has no ${missing.join(', ')} column`);
+      }
+
+      const entries = rows
+        .filter(row => row.some(value => value.trim() !== ''))
+        .map(row => Object.fromEntries(header.map((column, index) => [column, row[index] ?? ''])));
+
+      chrome.runtime.sendMessage({ action: ACTIONS.IMPORT_GLOSSARY, entries: entries }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          showStatus(`Error: ${response?.error || 'Could not import the glossary'}`, 'error');
+          return;
+        }
+        if (response.errors.length > 0) {
+          console.warn('Skipped glossary rows:', response.errors);
+        }
+        const skipped = response.errors.length > 0 ? `, skipped ${response.errors.length} invalid rows (see console)` : '';
+        showStatus(`Imported the glossary: ${response.added} added, ${response.updated} updated${skipped}`,
+          response.errors.length > 0 ? 'info' : 'success');
+        loadGlossary();
+      });
+    } catch (error) {
+      console.error('Error importing glossary:', error);
+      showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  // Parse CSV text (RFC 4180: quoted fields may contain commas, newlines and doubled quotes)
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  async function loadSiteRules() {
+    const { minSelectionLength } = await chrome.storage.sync.get('minSelectionLength');
+    minSelectionLengthInput.value = minSelectionLength ?? DEFAULT_MIN_SELECTION_LENGTH;
+    renderSiteRules(await getSiteRules());
+  }
+
+  function renderSiteRules(rules) {
+    siteRulesContainer.innerHTML = '';
+    const origins = Object.keys(rules).sort();
+    if (origins.length === 0) {
+      siteRulesContainer.innerHTML = '<p>No site rules yet. Add one below or from the popup while visiting a site.</p>';
+      return;
+    }
+
+    const modeOptions = [
+      ['', 'Global setting'],
+      [SITE_MODES.AUTO, 'Translate on select'],
+      [SITE_MODES.ON_DEMAND, 'Only from shortcut or menu'],
+      [SITE_MODES.OFF, 'Disabled']
+    ];
+    const languageOptions = [['', 'Global setting']].concat(
+      supportedLanguages
+        .filter(language => language.enabled && language.code !== 'auto')
+        .map(language => [language.name, language.name])
+    );
+
+    const table = document.createElement('table');
+    table.className = 'cache-table site-rules-table';
+    table.innerHTML = '<thead><tr><th>Site</th><th>Mode</th><th>Min. length</th><th>Target language</th><th></th></tr></thead>';
+    const tbody = document.createElement('tbody');
+
+    origins.forEach(origin => {
+      const rule = rules[origin];
+      const row = document.createElement('tr');
+
+      const siteCell = document.createElement('td');
+      siteCell.textContent = origin;
+      row.appendChild(siteCell);
+
+      const modeSelect = createSelect(modeOptions, rule.mode || '');
+      modeSelect.addEventListener('change', () => updateSiteRule(origin, { mode: modeSelect.value || null }));
+      row.appendChild(wrapInCell(modeSelect));
+
+      const lengthInput = document.createElement('input');
+      lengthInput.type = 'number';
+      lengthInput.min = '1';
+      lengthInput.placeholder = 'Global';
+      lengthInput.value = rule.minSelectionLength ?? '';
+      lengthInput.addEventListener('change', () => {
+        const length = parseInt(lengthInput.value, 10);
+        updateSiteRule(origin, { minSelectionLength: length > 0 ? length : null });
+      });
+      row.appendChild(wrapInCell(lengthInput));
+
+      const targetSelect = createSelect(languageOptions, rule.targetLanguage || '');
+      targetSelect.addEventListener('change', () => updateSiteRule(origin, { targetLanguage: targetSelect.value || null }));
+      row.appendChild(wrapInCell(targetSelect));
+
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'secondary-button';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', async () => {
+        try {
+          await removeSiteRule(origin);
+          showStatus(`Removed the rule for ${origin}`, 'success');
+          renderSiteRules(await getSiteRules());
+        } catch (error) {
+          console.error('Error removing site rule:', error);
+          showStatus(`Error: ${error.message}`, 'error');
+        }
+      });
+      row.appendChild(wrapInCell(deleteButton));
+
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    siteRulesContainer.appendChild(table);
+  }
+
+  function createSelect(options, selectedValue) {
+    const select = document.createElement('select');
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      option.selected = value === selectedValue;
+      select.appendChild(option);
+    });
+    return select;
+  }
+
+  function wrapInCell(element) {
+    const cell = document.createElement('td');
+    cell.appendChild(element);
+    return cell;
+  }
+
+  async function updateSiteRule(origin, changes) {
+    try {
+      const rule = await saveSiteRule(origin, changes);
+      showStatus(`Saved the rule for ${origin}`, 'success');
+      // A rule with nothing left in it is removed, so redraw
+      if (!rule) renderSiteRules(await getSiteRules());
+    } catch (error) {
+      console.error('Error saving site rule:', error);
+      showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  async function addSiteRule() {
+    const input = newSiteOriginInput.value.trim();
+    // Accept bare host names as well as URLs
+    const origin = getSiteOrigin(/^[a-z]+:\/\//i.test(input) ? input : `https://${input}`);
+    if (!input || !origin) {
+      showStatus('Enter a site such as https://docs.google.com', 'error');
+      return;
+    }
+    try {
+      await saveSiteRule(origin, { mode: SITE_MODES.OFF });
+      newSiteOriginInput.value = '';
+      showStatus(`Added a rule for ${origin}`, 'success');
+      renderSiteRules(await getSiteRules());
+    } catch (error) {
+      console.error('Error adding site rule:', error);
+      showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  async function saveMinSelectionLength() {
+    const length = parseInt(minSelectionLengthInput.value, 10);
+    if (!(length > 0)) {
+      showStatus('Minimum selection length must be at least 1', 'error');
+      return;
+    }
+    await chrome.storage.sync.set({ minSelectionLength: length });
+    showStatus(`Minimum selection length set to ${length}`, 'success');
   }
 
   async function saveSettings() {
@@ -329,9 +1838,25 @@ document.addEventListener('DOMContentLoaded', () => {
       // Prepare the updated config
       const updatedConfig = { ...config, activeBackend: selectedBackend };
       
-      // Update backend-specific settings
-      if (selectedBackend === 'ollama') {
-        // Collect language pair settings for Ollama
+      // Cache settings apply to every backend
+      updatedConfig.cache = {
+        ...config.cache,
+        enabled: cacheEnabledCheckbox.checked,
+        maxEntries: parseInt(cacheMaxEntriesInput.value, 10) || 2000,
+        maxSizeMB: parseFloat(cacheMaxSizeInput.value) || 10,
+        ttlDays: parseFloat(cacheTtlInput.value) || 0
+      };
+      
+      updatedConfig.compare = {
+        ...config.compare,
+        candidates: getSelectedCompareCandidates()
+      };
+      
+      updatedConfig.routing = readRoutingSettings();
+      
+      // Update the models of the backend the model sections show
+      if (modelsBackend) {
+        // Collect language pair settings
         const updatedPairs = [];
         const pairSelects = document.querySelectorAll('.pair-model-select');
         
@@ -350,40 +1875,51 @@ document.addEventListener('DOMContentLoaded', () => {
         // Update models array to mark the new default
         const updatedModels = availableModels.map(model => ({
           ...model,
+          ...readGenerationSettings(model),
           default: model.id === defaultModelId
         }));
         
-        // Update Ollama config
+        // Update the backend's config
         updatedConfig.backendSettings = {
           ...updatedConfig.backendSettings,
-          ollama: {
-            ...updatedConfig.backendSettings.ollama,
+          [modelsBackend]: {
+            ...updatedConfig.backendSettings[modelsBackend],
             models: updatedModels,
             languagePairs: updatedPairs,
             fallbackModelId: fallbackModelId
           }
         };
-      } else if (selectedBackend === 'chromeApi') {
-        // Update Chrome API config
+      }
+      
+      // The settings forms of every backend, as routing can use backends other than the active one
+      backendManifests.forEach(manifest => {
         updatedConfig.backendSettings = {
           ...updatedConfig.backendSettings,
-          chromeApi: {
-            ...updatedConfig.backendSettings.chromeApi,
-            detectOnly: chromeDetectOnlyCheckbox.checked
+          [manifest.id]: {
+            ...updatedConfig.backendSettings?.[manifest.id],
+            ...readBackendSettings(manifest)
           }
         };
-      }
+      });
+      
+      // Started before the first await, while the click still counts as the user gesture Chrome needs
+      const permissionRequest = requestHostPermissions(getServerOriginPatterns(updatedConfig));
       
       // Send the updated config to the background script
       const response = await new Promise((resolve) => {
         chrome.runtime.sendMessage(
-          { action: 'updateConfig', config: updatedConfig },
+          { action: ACTIONS.UPDATE_CONFIG, config: updatedConfig },
           (result) => resolve(result)
         );
       });
       
       if (response && response.success) {
-        showStatus('Settings saved successfully', 'success');
+        const deniedPatterns = await permissionRequest;
+        if (deniedPatterns.length > 0) {
+          showStatus(`Settings saved, but the extension wasn't allowed to reach ${deniedPatterns.join(', ')}. Save again to grant access.`, 'error');
+        } else {
+          showStatus('Settings saved successfully', 'success');
+        }
         // Reload the config to reflect changes
         await loadConfig();
         setupBackendSelection();
@@ -391,6 +1927,11 @@ document.addEventListener('DOMContentLoaded', () => {
         populateModelsList();
         populateLanguagePairs();
         populateDefaultSelects();
+        populateCacheSettings();
+        populateCompareCandidates();
+        populateRoutingSettings();
+        loadBackendHealth();
+        populateTemplateEditor();
       } else {
         throw new Error(response?.error || 'Failed to save settings');
       }
@@ -400,9 +1941,44 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // Match patterns for the servers in a config: the backends' URL settings and model endpoints
+  function getServerOriginPatterns(updatedConfig) {
+    const urls = [];
+    backendManifests.forEach(manifest => {
+      const settings = updatedConfig.backendSettings?.[manifest.id] || {};
+      manifest.settings.filter(field => field.type === 'url').forEach(field => urls.push(settings[field.key]));
+      (settings.models || []).forEach(model => urls.push(model.endpoint));
+    });
+
+    const patterns = new Set();
+    urls.filter(Boolean).forEach(url => {
+      try {
+        const { protocol, origin } = new URL(url);
+        if (protocol === 'http:' || protocol === 'https:') patterns.add(`${origin}/*`);
+      } catch (error) {
+        // Not a URL; the backend's status check reports it
+      }
+    });
+    return [...patterns];
+  }
+
+  // Ask for host permission for the configured servers (optional_host_permissions in manifest.json).
+  // Chrome only prompts for the ones not granted yet, e.g. a server elsewhere on the LAN.
+  // Resolves to the patterns that weren't granted.
+  async function requestHostPermissions(patterns) {
+    if (patterns.length === 0) return [];
+    try {
+      if (await chrome.permissions.request({ origins: patterns })) return [];
+    } catch (error) {
+      console.error('Error requesting host permissions:', error);
+    }
+    const granted = await Promise.all(patterns.map(pattern => chrome.permissions.contains({ origins: [pattern] })));
+    return patterns.filter((pattern, index) => !granted[index]);
+  }
+
   function resetSettings() {
     if (confirm('Are you sure you want to reset all advanced settings to defaults?')) {
-      chrome.runtime.sendMessage({ action: 'resetConfig' }, async (response) => {
+      chrome.runtime.sendMessage({ action: ACTIONS.RESET_CONFIG }, async (response) => {
         if (response && response.success) {
           showStatus('Settings reset to defaults', 'success');
           // Reload everything
@@ -412,6 +1988,9 @@ document.addEventListener('DOMContentLoaded', () => {
           populateModelsList();
           populateLanguagePairs();
           populateDefaultSelects();
+          populateCacheSettings();
+          populateRoutingSettings();
+          populateTemplateEditor();
         } else {
           showStatus('Failed to reset settings', 'error');
         }
@@ -425,15 +2004,13 @@ document.addEventListener('DOMContentLoaded', () => {
     return language ? language.name : code;
   }
 
-  // Helper function to get the default model ID
-  function getDefaultModelId() {
-    const defaultModel = availableModels.find(model => model.default === true);
-    return defaultModel ? defaultModel.id : (availableModels[0]?.id || '');
-  }
-
   // Helper to show status messages
+  // The message is set as text: it can hold glossary terms, model IDs and server errors
   function showStatus(message, type = 'info') {
-    statusContainer.innerHTML = `<div class="status ${type}">${message}</div>`;
+    const status = document.createElement('div');
+    status.className = `status ${type}`;
+    status.textContent = message;
+    statusContainer.replaceChildren(status);
     statusContainer.classList.remove('hidden');
     
     if (type === 'success' || type === 'info') {
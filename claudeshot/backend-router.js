@@ -0,0 +1,157 @@
+/**
+ * backend-router.js - Backend routing and failover for Instant Translator
+ *
+ * Decides which backends a translation is sent to, from config.routing:
+ *
+ *   routing: {
+ *     rules: [{ source: 'en', target: 'ja', bidirectional: true, backends: ['ollama'] }],
+ *     fallbackBackends: ['libreTranslate'],
+ *     circuitBreaker: { failureThreshold: 3, cooldownSeconds: 60 }
+ *   }
+ *
+ * The first rule that matches the language pair lists the backends to try, in order; pairs without
+ * a rule use the active backend. The fallback backends are tried after those. '*' in a rule matches
+ * any language. A request whose source language is auto-detected is routed by the language the
+ * background detects for its text; when that isn't known, only rules that allow any source language
+ * ('*') match, so an en <-> ja rule never picks up es -> en.
+ *
+ * A circuit breaker tracks the health of each backend: after failureThreshold failures in a row a
+ * backend is skipped for cooldownSeconds, then tried again (one more failure skips it again, one
+ * success resets it). Health is kept in memory, so it starts over when the service worker restarts.
+ */
+
+const DEFAULT_ROUTING_SETTINGS = {
+  rules: [],
+  fallbackBackends: [],
+  circuitBreaker: {
+    failureThreshold: 3,
+    cooldownSeconds: 60
+  }
+};
+
+let routingSettings = { ...DEFAULT_ROUTING_SETTINGS };
+let defaultBackend = null;
+
+// Backends that have failed since their last success: name -> { failures, lastError, lastFailure, openUntil }
+const backendHealth = new Map();
+
+function matchesLanguage(ruleLang, lang) {
+  return !ruleLang || ruleLang === '*' || ruleLang === lang;
+}
+
+// Whether a rule applies to a pair, in its own direction or (for bidirectional rules) reversed
+// (an unknown source language only matches rules that allow any source)
+function ruleMatches(rule, sourceLang, targetLang) {
+  const autoSource = !sourceLang || sourceLang === 'auto';
+  const matches = (from, to) => matchesLanguage(to, targetLang) &&
+    (autoSource ? matchesLanguage(from, '*') : matchesLanguage(from, sourceLang));
+  return matches(rule.source, rule.target) || (rule.bidirectional === true && matches(rule.target, rule.source));
+}
+
+/**
+ * Applies the routing settings from the global config.
+ *
+ * @param {Object} config The global configuration object
+ */
+export function configureRouting(config) {
+  const routing = config?.routing || {};
+  routingSettings = {
+    ...DEFAULT_ROUTING_SETTINGS,
+    ...routing,
+    circuitBreaker: { ...DEFAULT_ROUTING_SETTINGS.circuitBreaker, ...(routing.circuitBreaker || {}) }
+  };
+  defaultBackend = config?.activeBackend || null;
+  console.log('Backend routing settings:', routingSettings);
+}
+
+/**
+ * Whether routing depends on the source language, i.e. some rule only applies to specific source
+ * languages. Auto-detected requests need their language detected before routing then.
+ *
+ * @returns {boolean}
+ */
+export function isRoutingBySourceLanguage() {
+  return (routingSettings.rules || []).some(rule => Array.isArray(rule.backends) && rule.backends.length > 0 &&
+    !(matchesLanguage(rule.source, '*') && (rule.bidirectional !== true || matchesLanguage(rule.target, '*'))));
+}
+
+/**
+ * Returns the backends to try for a language pair, in order and without duplicates.
+ *
+ * @param {string} sourceLang The source language code, or 'auto'
+ * @param {string} targetLang The target language code
+ * @returns {Array<string>} Backend names as used in config.backendSettings
+ */
+export function getBackendChain(sourceLang, targetLang) {
+  const rule = (routingSettings.rules || []).find(r =>
+    Array.isArray(r.backends) && r.backends.length > 0 && ruleMatches(r, sourceLang, targetLang));
+  const chain = [...(rule ? rule.backends : [defaultBackend]), ...(routingSettings.fallbackBackends || [])];
+  return [...new Set(chain.filter(Boolean))];
+}
+
+/**
+ * Whether a backend may be tried, i.e. its circuit isn't open.
+ *
+ * @param {string} backend The backend name
+ * @returns {boolean}
+ */
+export function isBackendAvailable(backend) {
+  const health = backendHealth.get(backend);
+  return !health?.openUntil || Date.now() >= health.openUntil;
+}
+
+/**
+ * Records a successful translation, which closes the backend's circuit.
+ *
+ * @param {string} backend The backend name
+ */
+export function recordBackendSuccess(backend) {
+  if (backendHealth.delete(backend)) {
+    console.log(`Backend ${backend} is healthy again`);
+  }
+}
+
+/**
+ * Records a failed translation. Enough failures in a row open the backend's circuit.
+ *
+ * @param {string} backend The backend name
+ * @param {string} [error] The error the backend reported
+ */
+export function recordBackendFailure(backend, error) {
+  const { failureThreshold, cooldownSeconds } = routingSettings.circuitBreaker;
+  const health = backendHealth.get(backend) || { failures: 0, openUntil: null };
+  health.failures++;
+  health.lastError = error || null;
+  health.lastFailure = Date.now();
+  if (health.failures >= failureThreshold) {
+    health.openUntil = Date.now() + cooldownSeconds * 1000;
+    console.warn(`Backend ${backend} failed ${health.failures} times in a row, skipping it for ${cooldownSeconds}s`);
+  }
+  backendHealth.set(backend, health);
+}
+
+/**
+ * Describes the health of the backends that have failed since their last success.
+ *
+ * @returns {Object} Backend name -> { state, failures, lastError, lastFailure, retryAt } where state is
+ * 'failing' (still tried), 'open' (skipped until retryAt) or 'half-open' (cooldown over, tried once more)
+ */
+export function getBackendHealth() {
+  const { failureThreshold } = routingSettings.circuitBreaker;
+  const now = Date.now();
+  const health = {};
+  backendHealth.forEach((entry, backend) => {
+    let state = 'failing';
+    if (entry.failures >= failureThreshold && entry.openUntil) {
+      state = now < entry.openUntil ? 'open' : 'half-open';
+    }
+    health[backend] = {
+      state: state,
+      failures: entry.failures,
+      lastError: entry.lastError,
+      lastFailure: entry.lastFailure,
+      retryAt: state === 'open' ? entry.openUntil : null
+    };
+  });
+  return health;
+}
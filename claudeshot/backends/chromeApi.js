@@ -1,21 +1,70 @@
 /**
  * backends/chromeApi.js
- * 
+ *
  * Chrome Translation API backend implementation.
- * Uses Chrome's built-in translation capabilities.
+ * Uses Chrome's built-in, on-device Translator and LanguageDetector APIs (Chrome 138+). Language
+ * packs are downloaded from Advanced Settings ("Chrome Language Packs"). Where the LanguageDetector
+ * API is missing or its model isn't downloaded yet, languages are detected with chrome.i18n.
+ *
+ * The built-in APIs are only exposed to windows, not to the background service worker, so the
+ * backend calls them in an offscreen document (offscreen.html) unless they are in scope.
  */
 
 // --- Chrome API Backend Configuration ---
 let chromeApiConfig = {}; // Will be populated during initialize()
 
+// The built-in APIs the backend calls; picked on first use (see getBuiltInApi())
+let builtInApi = null;
+
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+let creatingOffscreenDocument = null; // Pending createDocument() call, so concurrent requests share it
+
+// The model ID checkModelStatus() takes for the language detector; language packs are 'source:target'
+const LANGUAGE_DETECTOR_MODEL = 'language-detector';
+
+// How far the downloads started in Advanced Settings have got: model ID -> fraction loaded (0-1).
+// The page reports its monitor's downloadprogress events (see recordDownloadProgress()).
+const downloadProgress = new Map();
+
+// The language code for text whose language couldn't be detected
+const UNDETERMINED_LANGUAGE = 'und';
+
+const UNSUPPORTED_MESSAGE = "Chrome's built-in Translator API is not available in this browser (it needs Chrome 138 or later on desktop)";
+
+/**
+ * The backend's entry in the backend registry (see backends/index.js).
+ */
+export const manifest = {
+  id: 'chromeApi',
+  name: 'Chrome Translation API',
+  description: "Chrome's built-in, on-device translation",
+  capabilities: {
+    detect: true,
+    stream: false,
+    styles: false,
+    models: false,
+    prompts: false,
+    languagePairs: false
+  },
+  settings: [
+    {
+      key: 'detectOnly',
+      label: 'Detection Only Mode (No Translation)',
+      type: 'boolean',
+      default: false,
+      description: 'When enabled, Chrome API will only detect languages but not perform translations.'
+    }
+  ]
+};
+
 /**
  * Initialize the Chrome API backend with configuration from the global config.
- * 
+ *
  * @param {Object} config The global configuration object
  */
 export function initialize(config) {
-  console.log('Initializing Chrome API backend with config:', config);
-  
+  console.log('Initializing Chrome API backend');
+
   // Extract Chrome API-specific configuration
   if (config && config.backendSettings && config.backendSettings.chromeApi) {
     chromeApiConfig = config.backendSettings.chromeApi;
@@ -27,14 +76,138 @@ export function initialize(config) {
       detectOnly: false
     };
   }
-  
+
   return { success: true };
 }
 
+// --- Built-in AI APIs ---
+
+// The methods of createBuiltInApi()'s object, which the offscreen document may be asked to call
+export const BUILT_IN_API_METHODS = ['getSupport', 'getTranslatorStatus', 'getDetectorStatus', 'translate', 'detect'];
+
+/**
+ * Wraps the built-in Translator and LanguageDetector APIs of a window. Translators are created
+ * once per language pair and kept.
+ *
+ * Models are only used once Chrome has them: creating a Translator for a pack that still has to be
+ * downloaded needs a user gesture, which the offscreen document never has. Packs are downloaded
+ * from Advanced Settings instead (see downloadChromeModel() in advanced-settings.js).
+ *
+ * Every method is async, so the same object can be called in the offscreen document or,
+ * through createOffscreenClient(), from the service worker.
+ *
+ * @param {Object} [scope] Where to look the APIs up (a window's globalThis, or a mock in tests)
+ * @returns {Object} { getSupport, getTranslatorStatus, getDetectorStatus, translate, detect }
+ */
+export function createBuiltInApi(scope = globalThis) {
+  const instances = new Map(); // Model key -> Promise of the Translator or LanguageDetector
+
+  function getInstance(key, api, options) {
+    if (!instances.has(key)) {
+      const created = api.create(options);
+      instances.set(key, created);
+      created.catch(() => instances.delete(key)); // Forget the failed attempt, so the next request tries again
+    }
+    return instances.get(key);
+  }
+
+  return {
+    getSupport: async () => ({
+      translator: typeof scope.Translator?.create === 'function',
+      languageDetector: typeof scope.LanguageDetector?.create === 'function'
+    }),
+
+    // Resolve to 'unavailable', 'downloadable', 'downloading' or 'available'
+    getTranslatorStatus: async (sourceLanguage, targetLanguage) =>
+      scope.Translator.availability({ sourceLanguage, targetLanguage }),
+    getDetectorStatus: async () => scope.LanguageDetector.availability(),
+
+    translate: async (text, sourceLanguage, targetLanguage) => {
+      const translator = await getInstance(`${sourceLanguage}:${targetLanguage}`, scope.Translator, { sourceLanguage, targetLanguage });
+      return translator.translate(text);
+    },
+    // Resolves to [{ detectedLanguage, confidence }], most likely first (confidence 0-1)
+    detect: async (text) => {
+      const detector = await getInstance(LANGUAGE_DETECTOR_MODEL, scope.LanguageDetector, {});
+      return detector.detect(text);
+    }
+  };
+}
+
+/**
+ * Sets the built-in APIs the backend calls, e.g. createBuiltInApi() with mocked Translator and
+ * LanguageDetector objects in tests. Pass null to pick them again on the next call.
+ *
+ * @param {Object|null} api An object with the methods of createBuiltInApi()'s
+ */
+export function setBuiltInApi(api) {
+  builtInApi = api;
+}
+
+// The built-in APIs in scope if there are any, otherwise those of the offscreen document
+function getBuiltInApi() {
+  if (!builtInApi) {
+    const inScope = 'Translator' in globalThis || 'LanguageDetector' in globalThis;
+    builtInApi = inScope || typeof chrome === 'undefined' || !chrome.offscreen
+      ? createBuiltInApi(globalThis)
+      : createOffscreenClient();
+  }
+  return builtInApi;
+}
+
+// Calls createBuiltInApi()'s methods in the offscreen document
+function createOffscreenClient() {
+  return Object.fromEntries(BUILT_IN_API_METHODS.map(method => [
+    method,
+    (...args) => callOffscreenDocument(method, args)
+  ]));
+}
+
+async function callOffscreenDocument(method, args) {
+  const { ACTIONS } = globalThis.MessageProtocol;
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ action: ACTIONS.CALL_BUILT_IN_API, method: method, args: args });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'The offscreen document did not respond');
+  }
+  return response.result;
+}
+
+async function ensureOffscreenDocument() {
+  const documentUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [documentUrl]
+  });
+  if (contexts.length > 0) {
+    return;
+  }
+
+  if (!creatingOffscreenDocument) {
+    console.log('Creating the offscreen document for the built-in Translator API');
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ['WORKERS'],
+      justification: "Runs Chrome's on-device Translator and LanguageDetector APIs, which the service worker can't use"
+    }).finally(() => {
+      creatingOffscreenDocument = null;
+    });
+  }
+  await creatingOffscreenDocument;
+}
+
+function getLanguageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code; // Not a valid language tag
+  }
+}
+
 /**
  * Translates text using the Chrome API backend.
  * Includes a step for language detection if source is 'auto'.
- * 
+ *
  * @param {string} text The text to translate.
  * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
  * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
@@ -61,6 +234,13 @@ export async function translate(text, sourceLangCode, targetLangCode, style) {
     }
   }
 
+  if (detectedSourceLang === UNDETERMINED_LANGUAGE) {
+    return {
+      success: false,
+      error: "Language detection failed: Chrome couldn't determine the language of the text"
+    };
+  }
+
   // If we're in detect-only mode, return the detected language without translating
   if (chromeApiConfig.detectOnly) {
     return {
@@ -71,11 +251,20 @@ export async function translate(text, sourceLangCode, targetLangCode, style) {
     };
   }
 
+  // The text is already in the target language
+  if (detectedSourceLang === targetLangCode) {
+    return {
+      success: true,
+      translation: text,
+      detectedSourceLang: detectedSourceLang,
+      modelUsed: 'chrome-translate'
+    };
+  }
+
   // --- Translation Step ---
   try {
-    // Use Google Translate API via Chrome
     const translationResult = await translateText(text, detectedSourceLang, targetLangCode);
-    
+
     return {
       success: true,
       translation: translationResult,
@@ -93,32 +282,69 @@ export async function translate(text, sourceLangCode, targetLangCode, style) {
 }
 
 /**
- * Detects the language of the provided text using Chrome's i18n API.
- * 
+ * Detects the language of the provided text, with the built-in LanguageDetector API where it can
+ * be used and Chrome's i18n API otherwise.
+ *
  * @param {string} text The text to detect language for
  * @returns {Promise<object>} Promise resolving to { detectedLanguage: string, confidence: number }
  */
 async function detectLanguage(text) {
+  try {
+    const result = await detectWithLanguageDetector(text);
+    if (result) {
+      return result;
+    }
+  } catch (error) {
+    console.warn('Built-in language detection failed, using chrome.i18n instead:', error);
+  }
+  return detectWithI18n(text);
+}
+
+// Resolves to null when the LanguageDetector API is missing or its model isn't downloaded yet
+async function detectWithLanguageDetector(text) {
+  const api = getBuiltInApi();
+  const support = await api.getSupport();
+  if (!support.languageDetector) {
+    return null;
+  }
+
+  // Until the model is downloaded (from Advanced Settings), chrome.i18n detects
+  if (await api.getDetectorStatus() !== 'available') {
+    return null;
+  }
+
+  const results = await api.detect(text);
+  const top = results && results[0];
+  if (!top || top.detectedLanguage === UNDETERMINED_LANGUAGE) {
+    return null;
+  }
+  return {
+    detectedLanguage: top.detectedLanguage,
+    confidence: Math.round(top.confidence * 100)
+  };
+}
+
+async function detectWithI18n(text) {
   return new Promise((resolve, reject) => {
     chrome.i18n.detectLanguage(text, (result) => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
         return;
       }
-      
+
       if (result && result.languages && result.languages.length > 0) {
         // Sort by percentage descending
         result.languages.sort((a, b) => b.percentage - a.percentage);
         const topLanguage = result.languages[0];
-        
+
         resolve({
           detectedLanguage: topLanguage.language,
           confidence: topLanguage.percentage
         });
       } else {
-        // No language detected, default to English
+        // No language detected; don't guess, so the text isn't treated as English
         resolve({
-          detectedLanguage: 'en',
+          detectedLanguage: UNDETERMINED_LANGUAGE,
           confidence: 0
         });
       }
@@ -127,58 +353,61 @@ async function detectLanguage(text) {
 }
 
 /**
- * Translates text using Chrome's translation API.
- * 
+ * Translates text using Chrome's built-in Translator API. A language pack that isn't downloaded
+ * yet fails the translation: only a user gesture can start the download (see createBuiltInApi()).
+ *
  * @param {string} text The text to translate
  * @param {string} sourceLang The source language code
  * @param {string} targetLang The target language code
  * @returns {Promise<string>} Promise resolving to the translated text
  */
 async function translateText(text, sourceLang, targetLang) {
-  // Since Chrome doesn't have a direct translation API for extensions,
-  // we'll use a workaround by creating a temporary iframe and using
-  // the browser's built-in translation feature
-  
-  return new Promise((resolve, reject) => {
-    // For now, we'll simulate a translation response
-    // In a real implementation, you would need to use a different approach
-    // such as calling an external translation API with proper authentication
-    
-    // This is a placeholder that mimics a translation
-    setTimeout(() => {
-      // Simple mock translations for demo purposes
-      if (sourceLang === 'en' && targetLang === 'es') {
-        resolve(`[Chrome API] ${text} (translated to Spanish)`);
-      } else if (sourceLang === 'en' && targetLang === 'ja') {
-        resolve(`[Chrome API] ${text} (translated to Japanese)`);
-      } else if (sourceLang === 'ja' && targetLang === 'en') {
-        resolve(`[Chrome API] ${text} (translated from Japanese to English)`);
-      } else {
-        resolve(`[Chrome API] ${text} (translated from ${sourceLang} to ${targetLang})`);
-      }
-    }, 500); // Simulate network delay
-    
-    // Note: In a production extension, you would need to:
-    // 1. Either use the Google Cloud Translation API with proper authentication
-    // 2. Or implement a more sophisticated approach using content scripts and the page's translation features
-  });
+  const api = getBuiltInApi();
+  const support = await api.getSupport();
+  if (!support.translator) {
+    throw new Error(UNSUPPORTED_MESSAGE);
+  }
+
+  const pair = `${getLanguageName(sourceLang)} to ${getLanguageName(targetLang)}`;
+  switch (await api.getTranslatorStatus(sourceLang, targetLang)) {
+    case 'available':
+      return api.translate(text, sourceLang, targetLang);
+    case 'unavailable':
+      throw new Error(`Chrome can't translate ${pair} on this device`);
+    case 'downloading':
+      throw new Error(`Chrome is still downloading the language pack for ${pair}. Try again when the download has finished.`);
+    default:
+      throw new Error(`The language pack for ${pair} isn't downloaded yet. Download it under "Chrome Language Packs" in Advanced Settings.`);
+  }
 }
 
 /**
- * Checks the status of the Chrome API backend.
- * Since there's no specific endpoint to check, we assume it's always 'running' if the extension has permissions.
- * 
- * @returns {Promise<object>} Promise resolving to { status: 'running' }
+ * Checks the status of the Chrome API backend: whether the built-in Translator API is available.
+ * In detect-only mode chrome.i18n is enough.
+ *
+ * @returns {Promise<object>} Promise resolving to { status: 'running' | 'error', message: string }
  */
 export async function checkStatus() {
-  // The chrome.i18n API doesn't have a dedicated status check.
-  // We can assume it's available if the extension is running.
-  console.log('Checking Chrome API backend status (assumed running).');
-  
+  console.log('Checking Chrome API backend status.');
+
   try {
-    // Test the language detection as a basic check
-    await detectLanguage("Hello world");
-    return { 
+    if (chromeApiConfig.detectOnly) {
+      // Test the language detection as a basic check
+      await detectLanguage("Hello world");
+      return {
+        status: 'running',
+        message: 'Chrome language detection is available'
+      };
+    }
+
+    const support = await getBuiltInApi().getSupport();
+    if (!support.translator) {
+      return {
+        status: 'error',
+        message: UNSUPPORTED_MESSAGE
+      };
+    }
+    return {
       status: 'running',
       message: 'Chrome Translation API is available'
     };
@@ -192,15 +421,77 @@ export async function checkStatus() {
 }
 
 /**
- * Checks if a specific model is available in Chrome API.
- * Since Chrome API doesn't have specific models, this always returns available.
- * 
- * @returns {Promise<object>} Promise resolving to { status: 'running' }
+ * Records the progress of a model download. Downloads need a user gesture, so Advanced Settings
+ * starts them and forwards the `loaded` value of each downloadprogress event here, for checkModelStatus().
+ *
+ * @param {string} modelId The language pair ('source:target') or 'language-detector'
+ * @param {number} loaded The fraction downloaded, from 0 to 1
  */
-export async function checkModelStatus() {
-  // Chrome API doesn't have specific models to check
-  return { 
-    status: 'running',
-    message: 'Chrome Translation API is available'
-  };
-} 
\ No newline at end of file
+export function recordDownloadProgress(modelId, loaded) {
+  downloadProgress.set(modelId, Math.min(Math.max(loaded, 0), 1));
+}
+
+/**
+ * Checks whether one of Chrome's on-device models is ready: a language pack, as
+ * 'source:target' (e.g. 'en:ja'), or the language detector, as 'language-detector'.
+ * Advanced Settings shows the result next to its download buttons.
+ *
+ * @param {string} modelId The language pair or 'language-detector'
+ * @returns {Promise<object>} Promise resolving to { status: 'running' | 'downloadable' | 'downloading' | 'unavailable' | 'error', message: string },
+ * plus progress (0-1, or null if no download progress has been reported) while downloading
+ */
+export async function checkModelStatus(modelId) {
+  try {
+    const api = getBuiltInApi();
+    const support = await api.getSupport();
+    const isDetector = modelId === LANGUAGE_DETECTOR_MODEL;
+    if (!(isDetector ? support.languageDetector : support.translator)) {
+      return {
+        status: 'error',
+        message: isDetector ? "Chrome's built-in LanguageDetector API is not available in this browser" : UNSUPPORTED_MESSAGE
+      };
+    }
+
+    let name = 'The language detector';
+    let availability;
+    if (isDetector) {
+      availability = await api.getDetectorStatus();
+    } else {
+      const [sourceLang, targetLang] = (modelId || '').split(':');
+      if (!sourceLang || !targetLang) {
+        return {
+          status: 'error',
+          message: `Unknown model ${modelId}; expected a language pair such as en:ja`
+        };
+      }
+      name = `The language pack for ${getLanguageName(sourceLang)} to ${getLanguageName(targetLang)}`;
+      availability = await api.getTranslatorStatus(sourceLang, targetLang);
+    }
+
+    if (availability !== 'downloading') {
+      downloadProgress.delete(modelId); // Finished, or stopped before it finished
+    }
+    switch (availability) {
+      case 'available':
+        return { status: 'running', message: `${name} is ready` };
+      case 'unavailable':
+        return { status: 'unavailable', message: `${name} is not available on this device` };
+      case 'downloading': {
+        const progress = downloadProgress.get(modelId) ?? null;
+        return {
+          status: 'downloading',
+          progress: progress,
+          message: progress === null ? `${name} is being downloaded` : `${name} is being downloaded (${Math.round(progress * 100)}%)`
+        };
+      }
+      default:
+        return { status: 'downloadable', message: `${name} needs to be downloaded` };
+    }
+  } catch (error) {
+    console.error(`Error checking Chrome model status for ${modelId}:`, error);
+    return {
+      status: 'error',
+      message: error.message
+    };
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * backends/index.js
+ *
+ * The backend registry: every translation backend the extension can use. To add a backend,
+ * write a module with the backend interface and add it to BACKENDS. The background registers
+ * it under its manifest ID (also the key of its settings in config.backendSettings), and
+ * advanced settings offers it as a backend and builds its settings form from the manifest.
+ *
+ * Backend interface (ES module exports):
+ * - manifest: { id, name, description, capabilities, settings, generationOptions }
+ * - initialize(config), translate(text, sourceLang, targetLang, style, promptVariables), checkStatus()
+ * - Optional: translateStream(), translateWithModel(), resolveModel(), describeGeneration(),
+ *   checkModelStatus(), cleanup()
+ *
+ * Capabilities (booleans):
+ * - detect: detects the source language itself when it is 'auto'
+ * - stream: has translateStream()
+ * - styles: follows the translation styles
+ * - models: has several models (translateWithModel(), resolveModel())
+ * - prompts: is sent a prompt, so glossary terms and the selection context can go into it
+ * - languagePairs: checkStatus() reports the language pairs the server offers
+ *
+ * Settings schema: a list of { key, label, type, default, placeholder, description }, where type is
+ * 'string', 'url', 'password', 'number' or 'boolean'. Values are stored in config.backendSettings[id][key].
+ *
+ * Backends with models keep them in config.backendSettings[id].models, with languagePairs and fallbackModelId
+ * (see languageModels.js). generationOptions lists the numeric options advanced settings offers per model:
+ * { name, label, step, min, max, integer }, stored in the model's `options`.
+ */
+
+import * as ollama from './ollama.js';
+import * as chromeApi from './chromeApi.js';
+import * as libreTranslate from './libreTranslateAPI.js';
+import * as openaiCompatible from './openaiCompatible.js';
+
+export const BACKENDS = [
+  ollama,
+  chromeApi,
+  libreTranslate,
+  openaiCompatible
+];
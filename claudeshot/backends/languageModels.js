@@ -0,0 +1,695 @@
+/**
+ * backends/languageModels.js
+ *
+ * Shared translation logic for the backends that prompt language models (Ollama and
+ * OpenAI-compatible servers). Not a backend itself, so it isn't in the backend registry.
+ *
+ * It covers what doesn't depend on the server's API:
+ * - Source language detection (chrome.i18n and the languageDetection patterns)
+ * - Language pair -> preferred model routing, with the default and fallback models
+ * - Prompts from the style registry and per-model templates
+ * - Structured (JSON) responses, with a stricter retry and a plain-text fallback
+ *
+ * A backend keeps a model setup from createModelSetup() and passes it to these functions,
+ * together with a function that makes the actual API call.
+ */
+
+// Minimum chrome.i18n confidence (percentage) to trust its result over the pattern table
+const DEFAULT_MIN_DETECTION_CONFIDENCE = 50;
+
+/**
+ * Builds a backend's model setup from the global config.
+ *
+ * @param {Object} config The global configuration object (styles and language lists are read from it)
+ * @param {Object} backendSettings The backend's settings: { models, languagePairs, languageDetection, fallbackModelId }
+ * @param {string} backendName Display name of the backend, used in error messages
+ * @returns {Object} { backendName, settings, detectionPatterns, languageNames, styles }
+ */
+export function createModelSetup(config, backendSettings, backendName) {
+  // Compile the language detection patterns once
+  const detectionPatterns = [];
+  (backendSettings?.languageDetection?.patterns || []).forEach(entry => {
+    try {
+      detectionPatterns.push({ ...entry, regex: new RegExp(entry.pattern) });
+    } catch (error) {
+      console.error(`Invalid language detection pattern "${entry.pattern}":`, error);
+    }
+  });
+
+  // Remember language names so prompts can say "Japanese" instead of "ja"
+  const languageNames = {};
+  [...(config?.supportedLanguages || []), ...(config?.disabledLanguages || [])].forEach(lang => {
+    if (lang.code !== 'auto') {
+      languageNames[lang.code] = lang.name;
+    }
+  });
+
+  return {
+    backendName: backendName,
+    settings: backendSettings || {},
+    detectionPatterns: detectionPatterns,
+    languageNames: languageNames,
+    styles: config?.styles || [] // The style registry: { id, label, formality, templates, options }
+  };
+}
+
+// --- Model Selection ---
+
+/**
+ * Finds the default model: the one marked `default`, else the first configured model.
+ *
+ * @param {Object} setup The backend's model setup
+ * @returns {Object|null} The model, or null if none is configured
+ */
+export function getDefaultModel(setup) {
+  const models = setup.settings.models;
+  // First try to find a model explicitly marked as default
+  const defaultModel = models?.find(m => m.default === true);
+  if (defaultModel) {
+    console.log(`Found explicitly marked default model: ${defaultModel.id}`);
+    return defaultModel;
+  }
+
+  // If no default is marked, use the first model
+  if (models && models.length > 0) {
+    console.log(`No explicitly marked default model, using first model: ${models[0].id}`);
+    return models[0];
+  }
+
+  console.error(`No models available in ${setup.backendName} configuration`);
+  return null;
+}
+
+/**
+ * Finds the fallback model (fallbackModelId), else the default model.
+ *
+ * @param {Object} setup The backend's model setup
+ * @returns {Object|null} The model, or null if none is configured
+ */
+export function getFallbackModel(setup) {
+  const fallbackModelId = setup.settings.fallbackModelId;
+  if (!fallbackModelId) {
+    console.log('No fallback model ID specified, using default model');
+    return getDefaultModel(setup);
+  }
+
+  const fallback = getModelById(setup, fallbackModelId);
+  if (fallback) {
+    console.log(`Found fallback model: ${fallback.id}`);
+    return fallback;
+  }
+
+  console.warn(`Specified fallback model '${fallbackModelId}' not found, using default model`);
+  return getDefaultModel(setup);
+}
+
+/**
+ * Finds a configured model by ID.
+ *
+ * @param {Object} setup The backend's model setup
+ * @param {string} modelId The model ID
+ * @returns {Object|undefined}
+ */
+export function getModelById(setup, modelId) {
+  return modelId ? setup.settings.models?.find(m => m.id === modelId) : undefined;
+}
+
+/**
+ * Display name for a language code, falling back to the code itself.
+ *
+ * @param {Object} setup The backend's model setup
+ * @param {string} langCode The language code
+ * @returns {string}
+ */
+export function getLanguageName(setup, langCode) {
+  return setup.languageNames[langCode] || langCode;
+}
+
+/**
+ * Finds the preferred model for a language pair: the pair's preferredModel, else hintModelId
+ * (e.g. from a detection pattern), else the default model.
+ *
+ * @param {Object} setup The backend's model setup
+ * @param {string} sourceLangCode The source language code, or 'auto'
+ * @param {string} targetLangCode The target language code
+ * @param {string} [hintModelId] A model suggested by language detection
+ * @returns {Object|null} The model, or null if none is configured
+ */
+export function getPreferredModel(setup, sourceLangCode, targetLangCode, hintModelId) {
+  console.log(`[getPreferredModel] Input: source=${sourceLangCode}, target=${targetLangCode}`);
+
+  if (!sourceLangCode || sourceLangCode === 'auto') {
+    console.log(`[getPreferredModel] Source is null or auto, returning default.`);
+    return getModelById(setup, hintModelId) || getDefaultModel(setup); // Can't determine preference without source
+  }
+
+  // Check if we have a specific language pair configuration
+  const pair = setup.settings.languagePairs?.find(p =>
+    p.source === sourceLangCode && p.target === targetLangCode
+  );
+
+  console.log(`[getPreferredModel] Found language pair:`, pair);
+
+  if (pair && pair.preferredModel) {
+    const preferredModelId = pair.preferredModel;
+    console.log(`[getPreferredModel] Preferred model ID from pair: ${preferredModelId}`);
+
+    // Find the model object for this ID
+    const model = getModelById(setup, preferredModelId);
+    console.log(`[getPreferredModel] Found model object for ID:`, model);
+
+    if (model) {
+      console.log(`[getPreferredModel] Returning preferred model: ${model.id}`);
+      return model;
+    } else {
+      console.warn(`[getPreferredModel] Preferred model ID "${preferredModelId}" from language pair config was NOT found in the models list!`);
+    }
+  } else {
+    console.log(`[getPreferredModel] No specific language pair found for ${sourceLangCode} -> ${targetLangCode}.`);
+  }
+
+  // Use the model suggested by language detection, if it exists
+  const hintModel = getModelById(setup, hintModelId);
+  if (hintModel) {
+    console.log(`[getPreferredModel] Returning detection hint model: ${hintModel.id}`);
+    return hintModel;
+  }
+
+  // If we reach here, no preferred model was found or applicable
+  const defaultModel = getDefaultModel(setup);
+  console.log(`[getPreferredModel] Returning default model: ${defaultModel?.id}`);
+  return defaultModel; // Fallback to default model
+}
+
+// --- Language Detection ---
+
+// Detect the language with chrome.i18n. Resolves to { language, confidence, isReliable } or null.
+function detectWithI18n(text) {
+  return new Promise((resolve) => {
+    if (!chrome.i18n || !chrome.i18n.detectLanguage) {
+      resolve(null);
+      return;
+    }
+    chrome.i18n.detectLanguage(text, (result) => {
+      if (chrome.runtime.lastError || !result || !result.languages || result.languages.length === 0) {
+        resolve(null);
+        return;
+      }
+      const top = [...result.languages].sort((a, b) => b.percentage - a.percentage)[0];
+      resolve({
+        // i18n may report regional codes such as 'zh-CN', we only route on the base language
+        language: top.language.split('-')[0],
+        confidence: top.percentage,
+        isReliable: result.isReliable
+      });
+    });
+  });
+}
+
+// Find the first languageDetection pattern that matches the text
+function detectWithPatterns(setup, text) {
+  return setup.detectionPatterns.find(entry => entry.regex.test(text)) || null;
+}
+
+// Resolve the source language for 'auto'. chrome.i18n wins when it's confident,
+// otherwise the pattern table (ordered, with a catch-all last) decides.
+// Resolves to { language, confidence, method, preferredModel } or null if nothing matched.
+async function detectSourceLanguage(setup, text) {
+  const minConfidence = setup.settings.languageDetection?.minConfidence ?? DEFAULT_MIN_DETECTION_CONFIDENCE;
+  const i18nResult = await detectWithI18n(text);
+  const patternMatch = detectWithPatterns(setup, text);
+
+  if (i18nResult && i18nResult.language !== 'und' && i18nResult.isReliable && i18nResult.confidence >= minConfidence) {
+    console.log(`[detectSourceLanguage] chrome.i18n detected ${i18nResult.language} (${i18nResult.confidence}%)`);
+    // Keep the pattern's preferred model only if the pattern agrees on the language
+    const agreeingPattern = setup.detectionPatterns.find(entry => entry.language === i18nResult.language && entry.regex.test(text));
+    return {
+      language: i18nResult.language,
+      confidence: i18nResult.confidence,
+      method: 'i18n',
+      preferredModel: agreeingPattern?.preferredModel
+    };
+  }
+
+  if (patternMatch) {
+    console.log(`[detectSourceLanguage] Pattern "${patternMatch.pattern}" matched, language ${patternMatch.language}`);
+    return {
+      language: patternMatch.language,
+      confidence: i18nResult && i18nResult.language === patternMatch.language ? i18nResult.confidence : null,
+      method: 'pattern',
+      preferredModel: patternMatch.preferredModel
+    };
+  }
+
+  if (i18nResult && i18nResult.language !== 'und') {
+    console.log(`[detectSourceLanguage] Using low-confidence chrome.i18n result ${i18nResult.language} (${i18nResult.confidence}%)`);
+    return { language: i18nResult.language, confidence: i18nResult.confidence, method: 'i18n' };
+  }
+
+  console.warn('[detectSourceLanguage] Could not detect source language');
+  return null;
+}
+
+/**
+ * Resolves 'auto' to a real language so the language-pair routing and the prompt can use it.
+ * Short selections often can't be detected, so the surrounding passage and then the page's
+ * declared language (promptVariables.context and pageLanguage) are tried when they were sent.
+ *
+ * @param {Object} setup The backend's model setup
+ * @param {string} text The text to translate
+ * @param {string} sourceLangCode The source language code, or 'auto'
+ * @param {Object} [promptVariables] As for a backend's translate()
+ * @returns {Promise<Object>} { resolvedSourceLang, detection } where resolvedSourceLang is still 'auto' if
+ * detection failed, and detection is { language, confidence, method, preferredModel } or null
+ */
+export async function resolveSourceLanguage(setup, text, sourceLangCode, promptVariables = {}) {
+  if (sourceLangCode && sourceLangCode !== 'auto') {
+    return { resolvedSourceLang: sourceLangCode, detection: null };
+  }
+  let detection = await detectSourceLanguage(setup, text);
+  if (!detection && promptVariables.context) {
+    detection = await detectSourceLanguage(setup, promptVariables.context);
+  }
+  if (!detection && promptVariables.pageLanguage) {
+    const pageLangCode = promptVariables.pageLanguage.toLowerCase().split('-')[0]; // 'en-US' -> 'en'
+    if (setup.languageNames[pageLangCode]) {
+      console.log(`[resolveSourceLanguage] Using the page language: ${pageLangCode}`);
+      detection = { language: pageLangCode, confidence: null, method: 'page' };
+    }
+  }
+  return { resolvedSourceLang: detection ? detection.language : 'auto', detection: detection };
+}
+
+/**
+ * Resolves which model a translation will try first, including source language detection.
+ * Used by the backends' resolveModel() for the translation cache keys, with the same promptVariables
+ * as translate() so a selection that is detected from its context or page resolves to the same model.
+ *
+ * @param {Object} setup The backend's model setup
+ * @param {string} text The text to translate
+ * @param {string} sourceLangCode The source language code, or 'auto'
+ * @param {string} targetLangCode The target language code
+ * @param {Object} [promptVariables] As for a backend's translate()
+ * @returns {Promise<string|null>} The preferred model ID, or null if no model is configured
+ */
+export async function resolvePreferredModelId(setup, text, sourceLangCode, targetLangCode, promptVariables = {}) {
+  const { resolvedSourceLang, detection } = await resolveSourceLanguage(setup, text, sourceLangCode, promptVariables);
+  const model = getPreferredModel(setup, resolvedSourceLang, targetLangCode, detection?.preferredModel);
+  return model ? model.id : null;
+}
+
+// --- Prompts ---
+
+// Variables a prompt template can use. {text} is required; the others are empty when not available.
+const PROMPT_VARIABLES = ['sourceLanguage', 'targetLanguage', 'text', 'context', 'glossary', 'pageTitle', 'formality'];
+const DEFAULT_PROMPT_TEMPLATE = "Translate from {sourceLanguage} to {targetLanguage}: \"{text}\"";
+const DEFAULT_FORMALITY = 'neutral';
+// Added to templates that don't place {glossary} themselves, when glossary terms apply
+const GLOSSARY_INSTRUCTIONS = '\n\nUse these glossary terms in the translation:\n{glossary}';
+// Put in front of templates that don't place {context} themselves, when the selection's surrounding
+// text was sent. The model must still answer with the translation of the selection only.
+const CONTEXT_INSTRUCTIONS = 'The text to translate is part of this passage:\n"{context}"\n' +
+  'Use the passage to understand the text, but translate only the text itself, not the rest of the passage.\n\n';
+const PAGE_TITLE_INSTRUCTIONS = 'The passage is from a page titled "{pageTitle}".\n';
+
+// Replace every occurrence of each known variable; unknown {names} are left as written.
+// A replacer function is used so '$' sequences in the text aren't treated as replacement patterns.
+function fillPromptTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    PROMPT_VARIABLES.includes(name) ? String(values[name] ?? '') : match);
+}
+
+/**
+ * Finds a style in the style registry.
+ *
+ * @param {Object} setup The backend's model setup
+ * @param {string} styleId The style ID, e.g. 'natural'
+ * @returns {Object|undefined}
+ */
+export function getStyle(setup, styleId) {
+  return setup.styles.find(style => style.id === styleId);
+}
+
+// Find the template for a model and style: the model's own template for the style (promptTemplates),
+// then the style's template for this model, then the style's default template
+function getStyleTemplate(setup, model, styleId) {
+  const style = getStyle(setup, styleId);
+  return model.promptTemplates?.[styleId] || style?.templates?.[model.id] || style?.templates?.default || null;
+}
+
+/**
+ * Whether generation with these options always gives the same output for the same prompt.
+ *
+ * @param {Object} options The generation options sent with the request
+ * @returns {boolean} true for temperature 0 with a fixed seed
+ */
+export function isDeterministic(options) {
+  return options.temperature === 0 && Number.isInteger(options.seed);
+}
+
+/**
+ * Formats the prompt using the correct template for the model and style.
+ * Templates that don't use {context} or {glossary} get standard instructions for them added.
+ *
+ * @param {Object} setup The backend's model setup
+ * @param {Object} model The configured model
+ * @param {string} sourceLanguage The source language name, or 'Auto-detect'
+ * @param {string} targetLanguage The target language name
+ * @param {string} text The text to translate
+ * @param {string} style The style ID
+ * @param {Object} [variables] The optional { context, glossary, pageTitle, formality } values
+ * @returns {string}
+ */
+export function formatPrompt(setup, model, sourceLanguage, targetLanguage, text, style, variables = {}) {
+  let actualStyle = style || 'natural';
+  if (!getStyle(setup, actualStyle) && !model.promptTemplates?.[actualStyle]) {
+    console.warn(`Unknown translation style "${actualStyle}", using natural.`);
+    actualStyle = 'natural';
+  }
+  let template = getStyleTemplate(setup, model, actualStyle);
+
+  // Fallback to natural template or a very basic default if style/template missing
+  if (!template) {
+    console.warn(`No prompt template for model ${model.id} and style ${actualStyle}, using the natural template.`);
+    template = getStyleTemplate(setup, model, 'natural');
+  }
+  if (!template) {
+    template = DEFAULT_PROMPT_TEMPLATE;
+    console.warn(`No suitable prompt template found for model ${model.id} and style ${actualStyle}. Using basic default.`);
+  } else if (!template.includes('{text}')) {
+    template = DEFAULT_PROMPT_TEMPLATE;
+    console.warn(`Prompt template for model ${model.id} and style ${actualStyle} has no {text} variable. Using basic default.`);
+  }
+
+  if (variables.context && !template.includes('{context}')) {
+    const titleInstructions = variables.pageTitle && !template.includes('{pageTitle}') ? PAGE_TITLE_INSTRUCTIONS : '';
+    template = CONTEXT_INSTRUCTIONS + titleInstructions + template;
+  }
+  if (variables.glossary && !template.includes('{glossary}')) {
+    template += GLOSSARY_INSTRUCTIONS;
+  }
+
+  // Handle auto-detect case for the prompt string
+  const displaySourceLang = sourceLanguage === 'Auto-detect' || sourceLanguage === 'auto' ? 'the source language' : sourceLanguage;
+
+  return fillPromptTemplate(template, {
+    sourceLanguage: displaySourceLang,
+    targetLanguage: targetLanguage,
+    text: text,
+    context: variables.context,
+    glossary: variables.glossary,
+    pageTitle: variables.pageTitle,
+    formality: variables.formality || getStyle(setup, actualStyle)?.formality || DEFAULT_FORMALITY
+  });
+}
+
+/**
+ * Checks a prompt template before it is saved.
+ *
+ * @param {string} template The template text.
+ * @returns {object} { valid: boolean, errors: string[], unknownVariables: string[] }. Unknown variables are
+ * not errors (they are sent to the model as written) but are usually typos.
+ */
+export function validatePromptTemplate(template) {
+  const errors = [];
+  if (!template || !template.trim()) {
+    errors.push('The template is empty.');
+  } else if (!template.includes('{text}')) {
+    errors.push('The template must contain {text}, where the text to translate is inserted.');
+  }
+
+  const usedVariables = Array.from((template || '').matchAll(/\{(\w+)\}/g), match => match[1]);
+  const unknownVariables = [...new Set(usedVariables.filter(name => !PROMPT_VARIABLES.includes(name)))];
+
+  return { valid: errors.length === 0, errors: errors, unknownVariables: unknownVariables };
+}
+
+// --- Structured Responses ---
+
+/**
+ * JSON schema of a translation response. Sent to servers that can constrain their output to a schema,
+ * so the translation comes back as a JSON field instead of free text that may include preambles
+ * ("Here's the translation:") or quotes around it.
+ */
+export const TRANSLATION_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    translation: { type: 'string' },
+    detectedSourceLanguage: { type: 'string' },
+    notes: { type: 'string' }
+  },
+  required: ['translation', 'detectedSourceLanguage', 'notes'],
+  additionalProperties: false // Required by servers that enforce strict schemas (response_format strict: true)
+};
+
+// Appended to every translation prompt; the stricter version is used to retry an unusable response
+const JSON_OUTPUT_INSTRUCTIONS = '\n\nRespond in JSON: {"translation": "...", "detectedSourceLanguage": "...", "notes": "..."}. ' +
+  '"translation" is the translated text only, "detectedSourceLanguage" is the ISO 639-1 code of the original text ' +
+  'and "notes" holds any explanation the instructions above ask for (such as grammar notes) and anything else you want to say (or "").';
+const STRICT_JSON_OUTPUT_INSTRUCTIONS = '\n\nRespond with exactly one JSON object and nothing else: ' +
+  '{"translation": "...", "detectedSourceLanguage": "...", "notes": "..."}. "translation" must not be empty and must contain ' +
+  'only the translated text, without explanations or labels. Put explanations and comments in "notes", and the ISO 639-1 code of ' +
+  'the original text in "detectedSourceLanguage".';
+
+// Quote pairs a model may wrap its whole answer in
+const SURROUNDING_QUOTES = [['"', '"'], ["'", "'"], ['“', '”']];
+
+// Remove quotes around the whole answer, but not quotes that belong to the translation
+// ('"Hi," she said', '"Yes" and "no"', 'Don't')
+function stripSurroundingQuotes(text) {
+  for (const [open, close] of SURROUNDING_QUOTES) {
+    if (text.length < 2 || !text.startsWith(open) || !text.endsWith(close)) continue;
+    const inner = text.slice(open.length, -close.length);
+    if (!inner.includes(open) && !inner.includes(close)) return inner.trim();
+  }
+  return text;
+}
+
+// Regex cleanup for models that ignore the schema and answer in plain text: strip chatty prefixes and surrounding quotes
+function cleanTranslation(rawText) {
+  const translation = rawText.replace(/^(Here's the translation:|The translation is:|Translated text:|Translation:)/i, '').trim();
+  return stripSurroundingQuotes(translation);
+}
+
+// A response that isn't a JSON object at all means the model (or server) ignored the schema
+function ignoredFormat(rawText) {
+  return !rawText.trim().startsWith('{');
+}
+
+// Parse and validate a structured response: { translation, detectedSourceLanguage, notes }, or null if unusable
+function parseStructuredTranslation(rawText) {
+  let data;
+  try {
+    data = JSON.parse(rawText);
+  } catch (error) {
+    return null;
+  }
+  if (!data || typeof data.translation !== 'string' || !data.translation.trim()) {
+    return null;
+  }
+  return {
+    translation: data.translation.trim(),
+    detectedSourceLanguage: typeof data.detectedSourceLanguage === 'string' ? data.detectedSourceLanguage.trim() : '',
+    notes: typeof data.notes === 'string' ? data.notes.trim() : ''
+  };
+}
+
+/**
+ * The translation so far in a partly streamed JSON response, or null before it starts.
+ * Relies on the model writing "translation" first, in schema order.
+ *
+ * @param {string} rawText The response text received so far
+ * @returns {string|null}
+ */
+export function extractStreamedTranslation(rawText) {
+  if (!rawText.trim()) return null;
+  if (ignoredFormat(rawText)) return cleanTranslation(rawText);
+
+  const match = rawText.match(/^\s*\{\s*"translation"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (!match) return null;
+  const escaped = match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, ''); // Drop a \u escape that hasn't fully arrived
+  try {
+    return JSON.parse(`"${escaped}"`);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Requests a structured translation with generate(prompt), which resolves to the raw response text.
+ * A JSON response that fails validation is retried once with stricter instructions; a plain-text
+ * response means the model ignores the schema, so it gets the regex cleanup instead.
+ *
+ * @param {Object} setup The backend's model setup
+ * @param {string} modelId The model ID, for log and error messages
+ * @param {string} prompt The prompt from formatPrompt()
+ * @param {function(string): Promise<string>} generate Sends a prompt to the model
+ * @returns {Promise<Object>} { translation, detectedSourceLanguage, notes }
+ */
+export async function generateStructuredTranslation(setup, modelId, prompt, generate) {
+  let rawText = await generate(prompt + JSON_OUTPUT_INSTRUCTIONS);
+  let result = parseStructuredTranslation(rawText);
+
+  if (!result && !ignoredFormat(rawText)) {
+    console.warn(`Model ${modelId} returned an invalid structured translation, retrying with a stricter prompt:`, rawText);
+    rawText = await generate(prompt + STRICT_JSON_OUTPUT_INSTRUCTIONS);
+    result = parseStructuredTranslation(rawText);
+  }
+  if (result) {
+    return result;
+  }
+
+  if (ignoredFormat(rawText)) {
+    const translation = cleanTranslation(rawText);
+    if (translation) {
+      console.warn(`Model ${modelId} ignored the JSON format, using its plain-text response`);
+      return { translation: translation, detectedSourceLanguage: '', notes: '' };
+    }
+    console.warn(`Received empty translation response from ${setup.backendName}.`);
+    throw new Error(`Received empty translation from ${setup.backendName}.`);
+  }
+  throw new Error(`Model ${modelId} did not return a valid translation.`);
+}
+
+// The source language a model reported, if it is one we know (used when our own detection failed)
+function getReportedSourceLang(setup, output) {
+  const code = output.detectedSourceLanguage ? output.detectedSourceLanguage.toLowerCase().split('-')[0] : '';
+  return setup.languageNames[code] ? code : undefined;
+}
+
+// The result translate() and friends resolve to for a successful call
+function buildTranslationResult(setup, output, modelId, usedFallback, detectedSourceLang) {
+  return {
+    success: true,
+    translation: output.translation,
+    usedFallback: usedFallback,
+    modelUsed: modelId,
+    detectedSourceLang: detectedSourceLang || getReportedSourceLang(setup, output),
+    ...(output.notes ? { notes: output.notes } : {})
+  };
+}
+
+// --- Translation ---
+
+/**
+ * Runs a translation with the preferred model for the pair, retrying with the fallback model on failure.
+ *
+ * @param {Object} setup The backend's model setup
+ * @param {string} text The text to translate
+ * @param {string} sourceLangCode The source language code, or 'auto'
+ * @param {string} targetLangCode The target language code
+ * @param {string} style The style ID
+ * @param {Object} promptVariables As for a backend's translate()
+ * @param {function(Object, string): Promise<Object>} callModel Performs the API call with (model, prompt) and
+ * resolves to the structured result, e.g. from generateStructuredTranslation()
+ * @returns {Promise<Object>} The backend's translate() result
+ */
+export async function translateWithFallback(setup, text, sourceLangCode, targetLangCode, style, promptVariables, callModel) {
+  const backendName = setup.backendName;
+  // Ensure we have configuration
+  if (!setup.settings.models || setup.settings.models.length === 0) {
+    return {
+      success: false,
+      error: `${backendName} backend not properly initialized or no models configured.`
+    };
+  }
+
+  // --- Language Detection Step ---
+  const { resolvedSourceLang, detection } = await resolveSourceLanguage(setup, text, sourceLangCode, promptVariables);
+  const detectedSourceLang = detection ? detection.language : undefined;
+
+  // Get the preferred model for this language pair
+  const preferredModel = getPreferredModel(setup, resolvedSourceLang, targetLangCode, detection?.preferredModel);
+  if (!preferredModel) {
+    return {
+      success: false,
+      error: `No suitable ${backendName} model found for this language pair.`,
+      detectedSourceLang: detectedSourceLang
+    };
+  }
+
+  // Get the fallback model (different from preferred if possible)
+  const fallbackModel = getFallbackModel(setup);
+
+  // If detection failed, let the model handle it by providing a generic source language in the prompt
+  const sourceLanguageName = resolvedSourceLang === 'auto' ? 'Auto-detect' : getLanguageName(setup, resolvedSourceLang);
+  const targetLanguageName = getLanguageName(setup, targetLangCode);
+
+  // Format the prompt for the preferred model
+  const prompt = formatPrompt(setup, preferredModel, sourceLanguageName, targetLanguageName, text, style, promptVariables);
+
+  try {
+    console.log(`Attempting translation with preferred model: ${preferredModel.id}`);
+    const output = await callModel(preferredModel, prompt);
+    return buildTranslationResult(setup, output, preferredModel.id, false, detectedSourceLang);
+  } catch (preferredError) {
+    // A stopped stream is not a failure, don't retry with the fallback model
+    if (preferredError.name === 'AbortError') {
+      console.log(`Translation with ${preferredModel.id} was stopped.`);
+      return { success: false, aborted: true, error: 'Translation stopped', modelUsed: preferredModel.id, detectedSourceLang: detectedSourceLang };
+    }
+
+    console.warn(`Translation with preferred model ${preferredModel.id} failed:`, preferredError);
+
+    // Try fallback model if it's different from the preferred model
+    if (fallbackModel && fallbackModel.id !== preferredModel.id) {
+      console.log(`Falling back to model: ${fallbackModel.id}`);
+      const fallbackPrompt = formatPrompt(setup, fallbackModel, sourceLanguageName, targetLanguageName, text, style, promptVariables);
+
+      try {
+        const fallbackOutput = await callModel(fallbackModel, fallbackPrompt);
+        return buildTranslationResult(setup, fallbackOutput, fallbackModel.id, true, detectedSourceLang);
+      } catch (fallbackError) {
+        if (fallbackError.name === 'AbortError') {
+          return { success: false, aborted: true, error: 'Translation stopped', modelUsed: fallbackModel.id, detectedSourceLang: detectedSourceLang };
+        }
+        console.error(`Fallback translation with ${fallbackModel.id} also failed:`, fallbackError);
+        return {
+          success: false,
+          error: `Translation failed with both preferred (${preferredModel.id}) and fallback (${fallbackModel.id}) models.`,
+          detectedSourceLang: detectedSourceLang
+        };
+      }
+    } else {
+      // No fallback possible or fallback is the same as preferred
+      return {
+        success: false,
+        error: `Translation failed with model ${preferredModel.id}. Error: ${preferredError.message}`,
+        detectedSourceLang: detectedSourceLang
+      };
+    }
+  }
+}
+
+/**
+ * Translates with one specific model, skipping the language-pair routing and the fallback model.
+ *
+ * @param {Object} setup The backend's model setup
+ * @param {string} text The text to translate
+ * @param {string} sourceLangCode The source language code, or 'auto'
+ * @param {string} targetLangCode The target language code
+ * @param {string} style The style ID
+ * @param {string} modelId The ID of a configured model
+ * @param {Object} promptVariables As for a backend's translate()
+ * @param {function(Object, string): Promise<Object>} callModel As for translateWithFallback()
+ * @returns {Promise<Object>} The backend's translate() result; usedFallback is always false
+ */
+export async function translateWithSingleModel(setup, text, sourceLangCode, targetLangCode, style, modelId, promptVariables, callModel) {
+  const model = getModelById(setup, modelId);
+  if (!model) {
+    return { success: false, error: `Model ${modelId} is not configured.` };
+  }
+
+  const { resolvedSourceLang, detection } = await resolveSourceLanguage(setup, text, sourceLangCode, promptVariables);
+  const detectedSourceLang = detection ? detection.language : undefined;
+  const sourceLanguageName = resolvedSourceLang === 'auto' ? 'Auto-detect' : getLanguageName(setup, resolvedSourceLang);
+  const prompt = formatPrompt(setup, model, sourceLanguageName, getLanguageName(setup, targetLangCode), text, style, promptVariables);
+
+  try {
+    const output = await callModel(model, prompt);
+    return buildTranslationResult(setup, output, model.id, false, detectedSourceLang);
+  } catch (error) {
+    console.warn(`Translation with model ${model.id} failed:`, error);
+    return { success: false, error: error.message, modelUsed: model.id, detectedSourceLang: detectedSourceLang };
+  }
+}
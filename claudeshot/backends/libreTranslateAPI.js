@@ -0,0 +1,315 @@
+/**
+ * backends/libreTranslateAPI.js
+ *
+ * LibreTranslate backend implementation for the Instant Translator Extension.
+ * Talks to a (usually self-hosted) LibreTranslate server: language detection via /detect,
+ * translation via /translate and the list of supported pairs via /languages.
+ * backendSettings.libreTranslate.languagePairs limits the backend to those pairs (of the ones the
+ * server offers); when it is empty every pair the server offers is used. Routing moves on to the
+ * next backend for pairs outside the list.
+ */
+
+// --- LibreTranslate Backend Configuration ---
+let libreTranslateConfig = {}; // Will be populated during initialize()
+let serverLanguages = []; // Cached result of the server's /languages endpoint
+
+const DEFAULT_SERVER_URL = 'http://localhost:5000';
+
+/**
+ * The backend's entry in the backend registry (see backends/index.js).
+ * checkStatus() reports the language pairs the server offers (capabilities.languagePairs).
+ */
+export const manifest = {
+  id: 'libreTranslate',
+  name: 'LibreTranslate',
+  description: 'Self-hosted LibreTranslate server',
+  capabilities: {
+    detect: true,
+    stream: false,
+    styles: false,
+    models: false,
+    prompts: false,
+    languagePairs: true
+  },
+  settings: [
+    {
+      key: 'serverUrl',
+      label: 'Server URL',
+      type: 'url',
+      default: DEFAULT_SERVER_URL,
+      placeholder: DEFAULT_SERVER_URL,
+      description: 'Address of your LibreTranslate server. Saving asks for permission to reach it if needed (see README).'
+    },
+    {
+      key: 'apiKey',
+      label: 'API Key (optional)',
+      type: 'password',
+      placeholder: 'Leave empty if your server has no keys'
+    }
+  ]
+};
+
+/**
+ * Initialize the LibreTranslate backend with configuration from the global config.
+ *
+ * @param {Object} config The global configuration object
+ */
+export async function initialize(config) {
+  // The config holds the API key, so only the server address is logged
+  console.log('Initializing LibreTranslate backend');
+
+  // Extract LibreTranslate-specific configuration
+  if (config && config.backendSettings && config.backendSettings.libreTranslate) {
+    libreTranslateConfig = config.backendSettings.libreTranslate;
+    console.log(`LibreTranslate configuration loaded, server: ${getApiUrl('')}`);
+  } else {
+    console.error('Failed to load LibreTranslate configuration from global config');
+    // Set minimal default config to prevent crashes
+    libreTranslateConfig = {
+      serverUrl: DEFAULT_SERVER_URL,
+      apiKey: '',
+      languagePairs: []
+    };
+  }
+
+  // Reset the cached server languages, the server URL may have changed
+  serverLanguages = [];
+  try {
+    await fetchServerLanguages();
+  } catch (error) {
+    // Not fatal: the server may simply not be running yet
+    console.warn('Could not load languages from LibreTranslate server during initialization:', error);
+  }
+
+  return { success: true };
+}
+
+// Build a full URL for a LibreTranslate API path
+function getApiUrl(path) {
+  const serverUrl = (libreTranslateConfig.serverUrl || DEFAULT_SERVER_URL).replace(/\/+$/, '');
+  return `${serverUrl}${path}`;
+}
+
+// Helper function to POST a JSON body to the LibreTranslate API
+async function callLibreTranslateApi(path, body) {
+  const url = getApiUrl(path);
+  console.log(`Calling LibreTranslate API: ${url}`);
+
+  // Only send the API key when one is configured
+  const payload = { ...body };
+  if (libreTranslateConfig.apiKey) {
+    payload.api_key = libreTranslateConfig.apiKey;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+
+  console.log('LibreTranslate API Response Status:', response.status, response.statusText);
+
+  if (!response.ok) {
+    // LibreTranslate reports errors as { error: "..." }
+    let errorMessage = `${response.status}: ${response.statusText}`;
+    try {
+      const errorBody = await response.json();
+      if (errorBody && errorBody.error) {
+        errorMessage = `${response.status}: ${errorBody.error}`;
+      }
+    } catch (parseError) {
+      // Body was not JSON, keep the status text
+    }
+    console.error('LibreTranslate API Error:', errorMessage);
+    throw new Error(`API error ${errorMessage}`);
+  }
+
+  return response.json();
+}
+
+// Fetch (and cache) the languages the server supports
+async function fetchServerLanguages() {
+  const response = await fetch(getApiUrl('/languages'));
+  if (!response.ok) {
+    throw new Error(`Failed to fetch languages: ${response.status} ${response.statusText}`);
+  }
+
+  const languages = await response.json();
+  serverLanguages = Array.isArray(languages) ? languages : [];
+  console.log('LibreTranslate server languages:', serverLanguages.map(l => l.code));
+  return serverLanguages;
+}
+
+// Whether a pair is in the configured languagePairs (an empty list allows every pair)
+function isPairConfigured(sourceLangCode, targetLangCode) {
+  const configuredPairs = libreTranslateConfig.languagePairs || [];
+  return configuredPairs.length === 0 ||
+    configuredPairs.some(pair => pair.source === sourceLangCode && pair.target === targetLangCode);
+}
+
+// Flatten the server's language list into the { source, target } pairs the backend translates
+function getServerLanguagePairs() {
+  const pairs = [];
+  serverLanguages.forEach(language => {
+    (language.targets || []).forEach(target => {
+      if (target !== language.code && isPairConfigured(language.code, target)) {
+        pairs.push({ source: language.code, target: target });
+      }
+    });
+  });
+  return pairs;
+}
+
+// Check whether the server supports a pair. Unknown (not yet loaded) counts as supported.
+function isPairSupported(sourceLangCode, targetLangCode) {
+  if (serverLanguages.length === 0) {
+    return true;
+  }
+  const source = serverLanguages.find(l => l.code === sourceLangCode);
+  return !!(source && source.targets && source.targets.includes(targetLangCode));
+}
+
+/**
+ * Detects the language of the provided text using the server's /detect endpoint.
+ *
+ * @param {string} text The text to detect language for
+ * @returns {Promise<object>} Promise resolving to { detectedLanguage: string, confidence: number }
+ */
+async function detectLanguage(text) {
+  const results = await callLibreTranslateApi('/detect', { q: text });
+
+  if (Array.isArray(results) && results.length > 0) {
+    // Sort by confidence descending
+    results.sort((a, b) => b.confidence - a.confidence);
+    return {
+      detectedLanguage: results[0].language,
+      confidence: results[0].confidence
+    };
+  }
+
+  throw new Error('LibreTranslate could not detect the language.');
+}
+
+// --- Exported Functions ---
+
+/**
+ * Translates text using the LibreTranslate backend.
+ * Detects the source language via /detect first if source is 'auto'.
+ *
+ * @param {string} text The text to translate.
+ * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
+ * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
+ * @param {string} style The desired translation style ('natural' or 'literal') - not applicable for LibreTranslate.
+ * @returns {Promise<object>} Promise resolving to { success: true, translation: string, detectedSourceLang: string, modelUsed: string } or { success: false, error: string }
+ */
+export async function translate(text, sourceLangCode, targetLangCode, style) {
+  console.log(`LibreTranslate backend called for translation from ${sourceLangCode} to ${targetLangCode}`);
+
+  let detectedSourceLang = sourceLangCode;
+
+  // --- Language Detection Step ---
+  if (!sourceLangCode || sourceLangCode === 'auto') {
+    try {
+      const detectionResult = await detectLanguage(text);
+      detectedSourceLang = detectionResult.detectedLanguage;
+      console.log(`LibreTranslate detected source language as: ${detectedSourceLang} (Confidence: ${detectionResult.confidence}%)`);
+    } catch (error) {
+      console.error('Error during LibreTranslate language detection:', error);
+      return {
+        success: false,
+        error: `Language detection failed: ${error.message}`
+      };
+    }
+  }
+
+  // Nothing to do if the text is already in the target language
+  if (detectedSourceLang === targetLangCode) {
+    return {
+      success: true,
+      translation: text,
+      detectedSourceLang: detectedSourceLang,
+      modelUsed: 'libretranslate'
+    };
+  }
+
+  if (!isPairConfigured(detectedSourceLang, targetLangCode)) {
+    return {
+      success: false,
+      error: `LibreTranslate is not set up for ${detectedSourceLang} -> ${targetLangCode} (see languagePairs in its settings).`,
+      detectedSourceLang: detectedSourceLang
+    };
+  }
+
+  if (!isPairSupported(detectedSourceLang, targetLangCode)) {
+    return {
+      success: false,
+      error: `LibreTranslate server does not support ${detectedSourceLang} -> ${targetLangCode}.`,
+      detectedSourceLang: detectedSourceLang
+    };
+  }
+
+  // --- Translation Step ---
+  try {
+    const data = await callLibreTranslateApi('/translate', {
+      q: text,
+      source: detectedSourceLang,
+      target: targetLangCode,
+      format: 'text'
+    });
+
+    const translation = (data && data.translatedText || '').trim();
+    if (!translation) {
+      throw new Error('Received empty translation from LibreTranslate.');
+    }
+
+    return {
+      success: true,
+      translation: translation,
+      detectedSourceLang: detectedSourceLang,
+      modelUsed: 'libretranslate'
+    };
+  } catch (error) {
+    console.error('Error during LibreTranslate translation:', error);
+    return {
+      success: false,
+      error: `Translation failed: ${error.message}`,
+      detectedSourceLang: detectedSourceLang
+    };
+  }
+}
+
+/**
+ * Checks the status of the LibreTranslate backend by loading the server's language list.
+ *
+ * @returns {Promise<object>} Promise resolving to { status: 'running', languagePairs: Array, limitedToConfiguredPairs: boolean }
+ * (the pairs the server offers, within the configured languagePairs) or { status: 'error', message: string }
+ */
+export async function checkStatus() {
+  try {
+    await fetchServerLanguages();
+    return {
+      status: 'running',
+      message: `LibreTranslate is running at ${getApiUrl('')} with ${serverLanguages.length} languages`,
+      languagePairs: getServerLanguagePairs(),
+      limitedToConfiguredPairs: (libreTranslateConfig.languagePairs || []).length > 0
+    };
+  } catch (error) {
+    console.error('LibreTranslate status check error:', error);
+    return {
+      status: 'error',
+      message: `Failed to connect to LibreTranslate at ${getApiUrl('')}. Ensure the server is running.`
+    };
+  }
+}
+
+/**
+ * Checks if the LibreTranslate server is available.
+ * LibreTranslate doesn't expose selectable models, so this is the same as checkStatus().
+ *
+ * @returns {Promise<object>} Promise resolving to { status: 'running' } or { status: 'error', message: string }
+ */
+export async function checkModelStatus() {
+  return checkStatus();
+}
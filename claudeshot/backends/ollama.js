@@ -2,11 +2,60 @@
  * backends/ollama.js
  * 
  * Ollama backend implementation for the Instant Translator Extension.
- * Handles API calls, model selection, fallback, and status checks specific to Ollama.
+ * Handles API calls and status checks specific to Ollama (model selection, fallback, language
+ * detection and prompts are shared with the other model backends, see languageModels.js),
+ * plus model discovery and downloads (/api/tags, /api/show, /api/pull) for advanced settings
+ * and the word-by-word breakdowns of learner mode.
  */
 
+import {
+  createModelSetup, getDefaultModel, getFallbackModel, getModelById, getLanguageName, getPreferredModel,
+  resolveSourceLanguage, resolvePreferredModelId, getStyle, isDeterministic, formatPrompt, validatePromptTemplate,
+  TRANSLATION_RESPONSE_SCHEMA, extractStreamedTranslation, generateStructuredTranslation,
+  translateWithFallback, translateWithSingleModel
+} from './languageModels.js';
+
 // --- Ollama Backend Configuration ---
 let ollamaConfig = {}; // Will be populated during initialize()
+let modelSetup = createModelSetup(null, ollamaConfig, 'Ollama'); // Routing, detection and prompt state (see languageModels.js)
+
+// Ollama server used for model management when no serverUrl or model endpoint is configured
+const DEFAULT_SERVER_URL = 'http://localhost:11434';
+
+/**
+ * The backend's entry in the backend registry (see backends/index.js).
+ * Models, language pairs and prompt templates have their own sections in advanced settings.
+ */
+export const manifest = {
+  id: 'ollama',
+  name: 'Ollama',
+  description: 'Local AI models',
+  capabilities: {
+    detect: true,
+    stream: true,
+    styles: true,
+    models: true,
+    prompts: true,
+    languagePairs: false
+  },
+  settings: [
+    {
+      key: 'serverUrl',
+      label: 'Server URL (model management)',
+      type: 'url',
+      placeholder: DEFAULT_SERVER_URL,
+      description: 'Used to list, inspect and download models. Leave empty to use the server of the first model endpoint.'
+    }
+  ],
+  // Empty fields in advanced settings use Ollama's (or the model's) default
+  generationOptions: [
+    { name: 'temperature', label: 'Temperature', step: '0.05', min: '0' },
+    { name: 'top_p', label: 'Top P', step: '0.05', min: '0', max: '1' },
+    { name: 'num_ctx', label: 'Context window (num_ctx)', step: '1', min: '1', integer: true },
+    { name: 'num_predict', label: 'Max tokens (num_predict)', step: '1', min: '-2', integer: true },
+    { name: 'seed', label: 'Seed', step: '1', integer: true }
+  ]
+};
 
 /**
  * Initialize the Ollama backend with configuration from the global config.
@@ -14,12 +63,12 @@ let ollamaConfig = {}; // Will be populated during initialize()
  * @param {Object} config The global configuration object
  */
 export function initialize(config) {
-  console.log('Initializing Ollama backend with config:', config);
+  console.log('Initializing Ollama backend');
   
   // Extract Ollama-specific configuration
   if (config && config.backendSettings && config.backendSettings.ollama) {
     ollamaConfig = config.backendSettings.ollama;
-    console.log('Ollama configuration loaded:', ollamaConfig);
+    console.log('Ollama configuration loaded');
   } else {
     console.error('Failed to load Ollama configuration from global config');
     // Set minimal default config to prevent crashes
@@ -42,113 +91,108 @@ export function initialize(config) {
   // Log language pairs with preferred models
   console.log('Language pairs with preferred models:', ollamaConfig.languagePairs);
   
+  // Detection patterns, language names and styles for the shared model routing
+  modelSetup = createModelSetup(config, ollamaConfig, 'Ollama');
+  
   return { success: true };
 }
 
-// Find the default model defined in the configuration
-function getDefaultModel() {
-  // First try to find a model explicitly marked as default
-  const defaultModel = ollamaConfig.models?.find(m => m.default === true);
-  if (defaultModel) {
-    console.log(`Found explicitly marked default model: ${defaultModel.id}`);
-    return defaultModel;
-  }
-  
-  // If no default is marked, use the first model
-  if (ollamaConfig.models && ollamaConfig.models.length > 0) {
-    console.log(`No explicitly marked default model, using first model: ${ollamaConfig.models[0].id}`);
-    return ollamaConfig.models[0];
-  }
-  
-  console.error('No models available in Ollama configuration');
-  return null;
+// The /api/generate settings for a model and style: { options, keep_alive, system }.
+// A style's options (e.g. a low temperature for technical text) are defaults that the
+// model's own options override, so per-model settings such as a fixed seed always apply.
+function getGenerationSettings(model, styleId) {
+  return {
+    options: { ...(getStyle(modelSetup, styleId)?.options || {}), ...(model.options || {}) },
+    keep_alive: model.keep_alive,
+    system: model.system
+  };
 }
 
-// Find the specified fallback model
-function getFallbackModel() {
-  if (!ollamaConfig.fallbackModelId) {
-    console.log('No fallback model ID specified, using default model');
-    return getDefaultModel();
-  }
-  
-  const fallback = ollamaConfig.models?.find(m => m.id === ollamaConfig.fallbackModelId);
-  if (fallback) {
-    console.log(`Found fallback model: ${fallback.id}`);
-    return fallback;
-  }
-  
-  console.warn(`Specified fallback model '${ollamaConfig.fallbackModelId}' not found, using default model`);
-  return getDefaultModel();
+// Extra /api/generate fields for the generation settings from getGenerationSettings() (each omitted when unset)
+function buildGenerationFields(settings = {}) {
+  const fields = {};
+  if (settings.options && Object.keys(settings.options).length > 0) fields.options = settings.options;
+  if (settings.keep_alive !== undefined && settings.keep_alive !== '') fields.keep_alive = settings.keep_alive;
+  if (settings.system) fields.system = settings.system;
+  return fields;
 }
 
-// Find the preferred model for a specific language pair
-function getPreferredModel(sourceLangCode, targetLangCode) {
-  console.log(`[getPreferredModel] Input: source=${sourceLangCode}, target=${targetLangCode}`);
+// Helper function to make the actual API call.
+// Resolves to the structured result: { translation, detectedSourceLanguage, notes }.
+async function callOllamaApi(modelId, endpoint, prompt, settings = {}) {
+  console.log(`Calling Ollama API. Model: ${modelId}, Endpoint: ${endpoint}`);
+  
+  try {
+    return await generateStructuredTranslation(modelSetup, modelId, prompt, async (structuredPrompt) => {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: modelId,
+          prompt: structuredPrompt,
+          stream: false,
+          format: TRANSLATION_RESPONSE_SCHEMA,
+          ...buildGenerationFields(settings)
+        })
+      });
 
-  if (!sourceLangCode || sourceLangCode === 'auto') {
-    console.log(`[getPreferredModel] Source is null or auto, returning default.`);
-    return getDefaultModel(); // Can't determine preference without source
-  }
+      console.log('Ollama API Response Status:', response.status, response.statusText);
 
-  // Check if we have a specific language pair configuration
-  const pair = ollamaConfig.languagePairs?.find(p => 
-    p.source === sourceLangCode && p.target === targetLangCode
-  );
-  
-  console.log(`[getPreferredModel] Found language pair:`, pair);
-
-  if (pair && pair.preferredModel) {
-    const preferredModelId = pair.preferredModel;
-    console.log(`[getPreferredModel] Preferred model ID from pair: ${preferredModelId}`);
-    
-    // Find the model object for this ID
-    const model = ollamaConfig.models?.find(m => m.id === preferredModelId);
-    console.log(`[getPreferredModel] Found model object for ID:`, model);
-    
-    if (model) {
-      console.log(`[getPreferredModel] Returning preferred model: ${model.id}`);
-      return model;
-    } else {
-      console.warn(`[getPreferredModel] Preferred model ID "${preferredModelId}" from language pair config was NOT found in the models list!`);
-    }
-  } else {
-    console.log(`[getPreferredModel] No specific language pair found for ${sourceLangCode} -> ${targetLangCode}.`);
-  }
+      if (!response.ok) {
+        const errorBody = await response.text();
+        console.error('Ollama API Error Body:', errorBody);
+        throw new Error(`API error ${response.status}: ${response.statusText}`);
+      }
 
-  // If we reach here, no preferred model was found or applicable
-  const defaultModel = getDefaultModel();
-  console.log(`[getPreferredModel] Returning default model: ${defaultModel?.id}`);
-  return defaultModel; // Fallback to default model
+      const data = await response.json();
+      console.log('Ollama API Parsed Response:', data);
+      return data.response || '';
+    });
+  } catch (error) {
+    console.error(`Error calling Ollama API with model ${modelId}:`, error);
+    throw error; // Re-throw to let the caller handle it
+  }
 }
 
-// Format the prompt using the correct template for the model and style
-function formatPrompt(model, sourceLanguage, targetLanguage, text, style) {
-  const actualStyle = style || 'natural';
-  let template = model.promptTemplates ? model.promptTemplates[actualStyle] : null;
-  
-  // Fallback to natural template or a very basic default if style/template missing
-  if (!template) {
-    template = model.promptTemplates ? model.promptTemplates.natural : null;
-  }
-  if (!template) {
-    template = "Translate from {sourceLanguage} to {targetLanguage}: \"{text}\"";
-    console.warn(`No suitable prompt template found for model ${model.id} and style ${actualStyle}. Using basic default.`);
-  }
+// Read a streamed (newline-delimited JSON) Ollama response, calling onData for each object.
+// Throws if Ollama reports an error mid-stream.
+async function readNdjsonStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
 
-  // Handle auto-detect case for the prompt string
-  const displaySourceLang = sourceLanguage === 'Auto-detect' || sourceLanguage === 'auto' ? 'the source language' : sourceLanguage;
+  const processLine = (line) => {
+    if (!line.trim()) return;
+    const data = JSON.parse(line);
+    if (data.error) {
+      throw new Error(`Ollama error: ${data.error}`);
+    }
+    onData(data);
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
 
-  return template
-    .replace('{sourceLanguage}', displaySourceLang)
-    .replace('{targetLanguage}', targetLanguage)
-    .replace('{text}', text);
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // Keep the incomplete last line for the next read
+    lines.forEach(processLine);
+  }
+  buffer += decoder.decode();
+  processLine(buffer);
 }
 
-// Helper function to make the actual API call
-async function callOllamaApi(modelId, endpoint, prompt) {
-  console.log(`Calling Ollama API. Model: ${modelId}, Endpoint: ${endpoint}`);
-  
-  try {
+// Helper function to make a streaming API call. Ollama streams NDJSON: one JSON object
+// per line, each carrying the next piece of the (JSON) response in `response`.
+// onChunk is called with the translation so far (not just the new piece); a retry starts it over.
+// Resolves to the structured result, as for callOllamaApi().
+async function callOllamaApiStream(modelId, endpoint, prompt, onChunk, signal, settings = {}) {
+  console.log(`Calling Ollama API (streaming). Model: ${modelId}, Endpoint: ${endpoint}`);
+
+  return generateStructuredTranslation(modelSetup, modelId, prompt, async (structuredPrompt) => {
     const response = await fetch(endpoint, {
       method: 'POST',
       headers: {
@@ -156,9 +200,12 @@ async function callOllamaApi(modelId, endpoint, prompt) {
       },
       body: JSON.stringify({
         model: modelId,
-        prompt: prompt,
-        stream: false
-      })
+        prompt: structuredPrompt,
+        stream: true,
+        format: TRANSLATION_RESPONSE_SCHEMA,
+        ...buildGenerationFields(settings)
+      }),
+      signal: signal
     });
 
     console.log('Ollama API Response Status:', response.status, response.statusText);
@@ -169,24 +216,17 @@ async function callOllamaApi(modelId, endpoint, prompt) {
       throw new Error(`API error ${response.status}: ${response.statusText}`);
     }
 
-    const data = await response.json();
-    console.log('Ollama API Parsed Response:', data);
-
-    // Basic response cleaning
-    let translation = data.response || '';
-    translation = translation.replace(/^(Here's the translation:|The translation is:|Translated text:|Translation:)/i, '').trim();
-    translation = translation.replace(/^["']|["']$/g, '');
-
-    if (!translation) {
-      console.warn("Received empty translation response from Ollama.");
-      throw new Error("Received empty translation from Ollama.");
-    }
-
-    return translation;
-  } catch (error) {
-    console.error(`Error calling Ollama API with model ${modelId}:`, error);
-    throw error; // Re-throw to let the caller handle it
-  }
+    // Forward the translation so far as each NDJSON line arrives
+    let rawText = '';
+    await readNdjsonStream(response, (data) => {
+      if (data.response) {
+        rawText += data.response;
+        const partialTranslation = extractStreamedTranslation(rawText);
+        if (partialTranslation) onChunk(partialTranslation);
+      }
+    });
+    return rawText;
+  });
 }
 
 // --- Exported Functions ---
@@ -194,83 +234,409 @@ async function callOllamaApi(modelId, endpoint, prompt) {
 /**
  * Translates text using the Ollama backend.
  * Handles model selection (preferred/fallback) based on configuration.
+ * If the source is 'auto', the language is detected first (chrome.i18n and the configured patterns).
  * 
  * @param {string} text The text to translate.
  * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
  * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
- * @param {string} style The desired translation style ('natural' or 'literal').
- * @returns {Promise<object>} Promise resolving to { success: true, translation: string, usedFallback: boolean, modelUsed: string } or { success: false, error: string }
+ * @param {string} style The ID of a style in the style registry (config.styles), e.g. 'natural' or 'formal'.
+ * @param {object} [promptVariables] Values for the optional template variables ({ context, glossary, pageTitle, formality }),
+ * plus pageLanguage (the page's lang attribute) to fall back on when the source language can't be detected.
+ * @returns {Promise<object>} Promise resolving to { success: true, translation: string, usedFallback: boolean, modelUsed: string, detectedSourceLang?: string, notes?: string } or { success: false, error: string }.
+ * detectedSourceLang falls back to the language the model reported; notes are the model's comments, if any.
  */
-export async function translate(text, sourceLangCode, targetLangCode, style) {
+export async function translate(text, sourceLangCode, targetLangCode, style, promptVariables = {}) {
   console.log(`Ollama translate called: ${sourceLangCode} -> ${targetLangCode}, style: ${style}`);
-  
-  // Ensure we have configuration
-  if (!ollamaConfig || !ollamaConfig.models || ollamaConfig.models.length === 0) {
-    return { 
-      success: false, 
-      error: "Ollama backend not properly initialized or no models configured." 
-    };
-  }
 
-  // Get the preferred model for this language pair
-  const preferredModel = getPreferredModel(sourceLangCode, targetLangCode);
-  if (!preferredModel) {
-    return { 
-      success: false, 
-      error: "No suitable Ollama model found for this language pair." 
-    };
+  return translateWithFallback(modelSetup, text, sourceLangCode, targetLangCode, style, promptVariables,
+    (model, prompt) => callOllamaApi(model.id, model.endpoint, prompt, getGenerationSettings(model, style)));
+}
+
+/**
+ * Translates text using the Ollama backend, streaming partial results as they are generated.
+ * Uses the same preferred/fallback model selection as translate().
+ * 
+ * @param {string} text The text to translate.
+ * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
+ * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
+ * @param {string} style The ID of a style in the style registry (config.styles), e.g. 'natural' or 'formal'.
+ * @param {function(string): void} onChunk Called with the translation generated so far.
+ * @param {AbortSignal} [signal] Aborts the underlying fetch when signalled.
+ * @param {object} [promptVariables] Values for the optional template variables, as for translate().
+ * @returns {Promise<object>} Same shape as translate(), plus { aborted: true } if the signal fired.
+ */
+export async function translateStream(text, sourceLangCode, targetLangCode, style, onChunk, signal, promptVariables = {}) {
+  console.log(`Ollama streaming translate called: ${sourceLangCode} -> ${targetLangCode}, style: ${style}`);
+
+  return translateWithFallback(modelSetup, text, sourceLangCode, targetLangCode, style, promptVariables,
+    (model, prompt) => callOllamaApiStream(model.id, model.endpoint, prompt, onChunk, signal, getGenerationSettings(model, style)));
+}
+
+/**
+ * Translates text with one specific model, skipping the language-pair routing and the fallback model.
+ * Used by compare mode to run the same text through several models.
+ * 
+ * @param {string} text The text to translate.
+ * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
+ * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
+ * @param {string} style The ID of a style in the style registry (config.styles), e.g. 'natural' or 'formal'.
+ * @param {string} modelId The ID of a configured model.
+ * @param {object} [promptVariables] Values for the optional template variables, as for translate().
+ * @returns {Promise<object>} Same shape as translate(); usedFallback is always false.
+ */
+export async function translateWithModel(text, sourceLangCode, targetLangCode, style, modelId, promptVariables = {}) {
+  return translateWithSingleModel(modelSetup, text, sourceLangCode, targetLangCode, style, modelId, promptVariables,
+    (model, prompt) => callOllamaApi(model.id, model.endpoint, prompt, getGenerationSettings(model, style)));
+}
+
+// Checks a prompt template before it is saved, for the template editor (see languageModels.js)
+export { validatePromptTemplate };
+
+/**
+ * Translates text with an unsaved prompt template, so the template editor can try it out.
+ * 
+ * @param {string} template The template to try.
+ * @param {string} modelId The ID of a configured model.
+ * @param {string} text The sample text.
+ * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
+ * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
+ * @param {object} [variables] Sample values for { context, glossary, pageTitle, formality }.
+ * @param {string} [style] The style the template is for; its formality and generation options are used.
+ * @returns {Promise<object>} { success: true, prompt, translation, notes, modelUsed } or { success: false, error, prompt? }
+ */
+export async function previewPromptTemplate(template, modelId, text, sourceLangCode, targetLangCode, variables = {}, style = 'natural') {
+  const validation = validatePromptTemplate(template);
+  if (!validation.valid) {
+    return { success: false, error: validation.errors.join(' ') };
   }
 
-  // Get the fallback model (different from preferred if possible)
-  const fallbackModel = getFallbackModel();
-  
-  // If source is 'auto', we should ideally detect first. 
-  // For now, we'll let Ollama handle it by providing a generic source language in the prompt
-  const actualSourceLang = sourceLangCode === 'auto' ? 'Auto-detect' : sourceLangCode;
+  const model = getModelById(modelSetup, modelId);
+  if (!model) {
+    return { success: false, error: `Model ${modelId} is not configured.` };
+  }
 
-  // Format the prompt for the preferred model
-  const prompt = formatPrompt(preferredModel, actualSourceLang, targetLangCode, text, style);
+  const { resolvedSourceLang } = await resolveSourceLanguage(modelSetup, text, sourceLangCode, variables);
+  const sourceLanguageName = resolvedSourceLang === 'auto' ? 'Auto-detect' : getLanguageName(modelSetup, resolvedSourceLang);
+  const previewModel = { ...model, promptTemplates: { [style]: template } };
+  const prompt = formatPrompt(modelSetup, previewModel, sourceLanguageName, getLanguageName(modelSetup, targetLangCode), text, style, variables);
 
   try {
-    console.log(`Attempting translation with preferred model: ${preferredModel.id}`);
-    const translation = await callOllamaApi(preferredModel.id, preferredModel.endpoint, prompt);
-    return {
-      success: true,
-      translation: translation,
-      usedFallback: false,
-      modelUsed: preferredModel.id
-    };
-  } catch (preferredError) {
-    console.warn(`Translation with preferred model ${preferredModel.id} failed:`, preferredError);
-
-    // Try fallback model if it's different from the preferred model
-    if (fallbackModel && fallbackModel.id !== preferredModel.id) {
-      console.log(`Falling back to model: ${fallbackModel.id}`);
-      const fallbackPrompt = formatPrompt(fallbackModel, actualSourceLang, targetLangCode, text, style);
-      
-      try {
-        const fallbackTranslation = await callOllamaApi(fallbackModel.id, fallbackModel.endpoint, fallbackPrompt);
-        return {
-          success: true,
-          translation: fallbackTranslation,
-          usedFallback: true,
-          modelUsed: fallbackModel.id
-        };
-      } catch (fallbackError) {
-        console.error(`Fallback translation with ${fallbackModel.id} also failed:`, fallbackError);
-        return {
-          success: false,
-          error: `Translation failed with both preferred (${preferredModel.id}) and fallback (${fallbackModel.id}) models.`
-        };
+    const output = await callOllamaApi(model.id, model.endpoint, prompt, getGenerationSettings(model, style));
+    return { success: true, prompt: prompt, translation: output.translation, notes: output.notes, modelUsed: model.id };
+  } catch (error) {
+    console.warn(`Template preview with model ${model.id} failed:`, error);
+    return { success: false, error: error.message, prompt: prompt, modelUsed: model.id };
+  }
+}
+
+/**
+ * Resolves which model translate() will try first for a request, including source language detection.
+ * Used by the background to build translation cache keys.
+ * 
+ * @param {string} text The text to translate.
+ * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
+ * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
+ * @param {object} [promptVariables] The prompt variables translate() is given (context, pageLanguage, ...).
+ * @returns {Promise<string|null>} The preferred model ID, or null if no model is configured
+ */
+export async function resolveModel(text, sourceLangCode, targetLangCode, promptVariables = {}) {
+  return resolvePreferredModelId(modelSetup, text, sourceLangCode, targetLangCode, promptVariables);
+}
+
+/**
+ * Describes the generation settings translate() would use with a model and style, for the translation cache.
+ * Results generated deterministically (temperature 0 and a fixed seed) are what the model would return
+ * again, so their cache entries are marked as such.
+ * 
+ * @param {string} modelId The ID of a configured model, e.g. from resolveModel().
+ * @param {string} style The ID of a style in the style registry.
+ * @returns {object|null} { options, system, deterministic }, or null if the model is not configured
+ */
+export function describeGeneration(modelId, style) {
+  const model = getModelById(modelSetup, modelId);
+  if (!model) return null;
+  const settings = getGenerationSettings(model, style);
+  return { options: settings.options, system: settings.system || null, deterministic: isDeterministic(settings.options) };
+}
+
+// --- Learner Mode ---
+
+// Reading aids per language: the reading shown above each word (as ruby) and the romanization
+const LEARNER_LANGUAGES = {
+  ja: { reading: 'the reading in hiragana (furigana)', romanization: 'Hepburn romaji' },
+  zh: { reading: 'Hanyu Pinyin with tone marks', romanization: 'Hanyu Pinyin with tone marks' },
+  ko: { reading: 'the Revised Romanization of Korean', romanization: 'the Revised Romanization of Korean' }
+};
+
+// The prompt for a learner analysis; readingAids is an entry of LEARNER_LANGUAGES
+function buildLearnerPrompt(sourceLanguage, targetLanguage, text, readingAids) {
+  return `Break the following ${sourceLanguage} text into words for a language learner who reads ${targetLanguage}.\n` +
+    `Text: "${text}"\n\n` +
+    'Respond with JSON only: {"translation": "...", "tokens": [{"surface": "...", "reading": "...", "romanization": "...", "gloss": "...", "partOfSpeech": "..."}]}\n' +
+    `- translation: the whole text translated into ${targetLanguage}\n` +
+    '- tokens: every word of the text in order; surface is copied exactly from the text\n' +
+    `- reading: ${readingAids.reading}\n` +
+    `- romanization: ${readingAids.romanization}\n` +
+    `- gloss: a short ${targetLanguage} meaning of the word in this text\n` +
+    '- partOfSpeech: e.g. noun, verb, particle';
+}
+
+// Sent as Ollama's `format` so the model can only produce this shape
+const LEARNER_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    translation: { type: 'string' },
+    tokens: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          surface: { type: 'string' },
+          reading: { type: 'string' },
+          romanization: { type: 'string' },
+          gloss: { type: 'string' },
+          partOfSpeech: { type: 'string' }
+        },
+        required: ['surface', 'reading', 'gloss']
       }
-    } else {
-      // No fallback possible or fallback is the same as preferred
-      return {
-        success: false,
-        error: `Translation failed with model ${preferredModel.id}. Error: ${preferredError.message}`
-      };
     }
+  },
+  required: ['translation', 'tokens']
+};
+
+// Learner analyses are deterministic so the same selection gets the same breakdown
+const LEARNER_GENERATION_OPTIONS = { temperature: 0 };
+
+// The model's generation settings for a learner analysis: its options and keep_alive, but not its
+// system prompt (written for plain translations), and always with LEARNER_GENERATION_OPTIONS
+function getLearnerGenerationSettings(model) {
+  const settings = getGenerationSettings(model, null);
+  return { options: { ...settings.options, ...LEARNER_GENERATION_OPTIONS }, keep_alive: settings.keep_alive };
+}
+
+// Make a non-streaming /api/generate call constrained to a JSON schema and parse the result
+async function callOllamaApiJson(modelId, endpoint, prompt, schema, settings = {}) {
+  console.log(`Calling Ollama API (JSON). Model: ${modelId}, Endpoint: ${endpoint}`);
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: modelId,
+      prompt: prompt,
+      stream: false,
+      format: schema,
+      ...buildGenerationFields(settings)
+    })
+  });
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    console.error('Ollama API Error Body:', errorBody);
+    throw new Error(`API error ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  try {
+    return JSON.parse(data.response || '');
+  } catch (error) {
+    throw new Error(`${modelId} did not return valid JSON.`);
+  }
+}
+
+// Check a learner analysis from the model and locate each token in the original text.
+// Tokens that can't be found in order are dropped (the text between tokens is shown without
+// a reading); too few matching tokens means the model didn't follow the text, which is an error.
+function validateLearnerAnalysis(analysis, text) {
+  if (!analysis || typeof analysis !== 'object' || !Array.isArray(analysis.tokens)) {
+    throw new Error('The learner analysis has no token list.');
+  }
+  if (typeof analysis.translation !== 'string' || !analysis.translation.trim()) {
+    throw new Error('The learner analysis has no translation.');
+  }
+
+  const tokens = [];
+  let cursor = 0;
+  analysis.tokens.forEach(token => {
+    const surface = typeof token?.surface === 'string' ? token.surface.trim() : '';
+    if (!surface) return;
+    const offset = text.indexOf(surface, cursor);
+    if (offset === -1) {
+      console.warn(`[learner] Token "${surface}" is not in the text after offset ${cursor}, dropping it`);
+      return;
+    }
+    cursor = offset + surface.length;
+    tokens.push({
+      surface: surface,
+      offset: offset,
+      reading: typeof token.reading === 'string' ? token.reading.trim() : '',
+      romanization: typeof token.romanization === 'string' ? token.romanization.trim() : '',
+      gloss: typeof token.gloss === 'string' ? token.gloss.trim() : '',
+      partOfSpeech: typeof token.partOfSpeech === 'string' ? token.partOfSpeech.trim() : ''
+    });
+  });
+
+  const coveredLength = tokens.reduce((total, token) => total + token.surface.length, 0);
+  const textLength = text.replace(/\s/g, '').length;
+  if (tokens.length === 0 || coveredLength < textLength / 2) {
+    throw new Error('The learner analysis does not match the selected text.');
   }
+  return { translation: analysis.translation.trim(), tokens: tokens };
+}
+
+/**
+ * Breaks Japanese, Chinese or Korean text into words with readings and glosses for the learner view.
+ * Uses the preferred model for the language pair (and the fallback model if its answer is unusable),
+ * with the output constrained to a JSON schema and then validated against the text.
+ * 
+ * @param {string} text The selected text.
+ * @param {string} sourceLangCode 'ja', 'zh', 'ko' or 'auto'.
+ * @param {string} targetLangCode The language of the translation and glosses (e.g., 'en').
+ * @param {object} [promptVariables] As for translate(); context and pageLanguage help detect the source language.
+ * @returns {Promise<object>} { success: true, sourceLang, translation, tokens, modelUsed } where each token is
+ * { surface, offset, reading, romanization, gloss, partOfSpeech }, or { success: false, error: string }
+ */
+export async function analyzeForLearner(text, sourceLangCode, targetLangCode, promptVariables = {}) {
+  const { resolvedSourceLang, detection } = await resolveSourceLanguage(modelSetup, text, sourceLangCode, promptVariables);
+  const readingAids = LEARNER_LANGUAGES[resolvedSourceLang];
+  if (!readingAids) {
+    return { success: false, error: 'The learner view is available for Japanese, Chinese and Korean text.' };
+  }
+
+  const preferredModel = getPreferredModel(modelSetup, resolvedSourceLang, targetLangCode, detection?.preferredModel);
+  const fallbackModel = getFallbackModel(modelSetup);
+  const models = [preferredModel, fallbackModel].filter((model, index, list) =>
+    model && list.findIndex(other => other?.id === model.id) === index);
+  if (models.length === 0) {
+    return { success: false, error: 'No suitable Ollama model found for this language pair.' };
+  }
+
+  const prompt = buildLearnerPrompt(getLanguageName(modelSetup, resolvedSourceLang), getLanguageName(modelSetup, targetLangCode), text, readingAids);
+
+  let lastError = null;
+  for (const model of models) {
+    try {
+      const analysis = await callOllamaApiJson(model.id, model.endpoint, prompt, LEARNER_RESPONSE_SCHEMA, getLearnerGenerationSettings(model));
+      const validated = validateLearnerAnalysis(analysis, text);
+      return { success: true, sourceLang: resolvedSourceLang, ...validated, modelUsed: model.id };
+    } catch (error) {
+      console.warn(`Learner analysis with model ${model.id} failed:`, error);
+      lastError = error;
+    }
+  }
+  return { success: false, error: `Could not build the learner view: ${lastError.message}` };
+}
+
+// --- Model Discovery and Management ---
+
+// Base URL of the Ollama server: the configured serverUrl, else the origin of the first model's endpoint
+function getServerUrl() {
+  if (ollamaConfig.serverUrl) {
+    return ollamaConfig.serverUrl.replace(/\/+$/, '');
+  }
+  try {
+    return new URL(ollamaConfig.models?.[0]?.endpoint || DEFAULT_SERVER_URL).origin;
+  } catch (error) {
+    return DEFAULT_SERVER_URL;
+  }
+}
+
+// Ollama treats a model name without a tag as ':latest'
+function normalizeModelName(name) {
+  return name.includes(':') ? name : `${name}:latest`;
+}
+
+// Call one of Ollama's model management endpoints (/api/tags, /api/show, /api/pull)
+async function callOllamaManagementApi(path, body, signal) {
+  const options = body
+    ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), signal: signal }
+    : { signal: signal };
+  const response = await fetch(`${getServerUrl()}${path}`, options);
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    console.error(`Ollama ${path} Error Body:`, errorBody);
+    let message = `API error ${response.status}: ${response.statusText}`;
+    try {
+      message = JSON.parse(errorBody).error || message;
+    } catch (parseError) {
+      // Not JSON, keep the status text
+    }
+    throw new Error(message);
+  }
+  return response;
+}
+
+/**
+ * Lists the models installed on the Ollama server (/api/tags). Doesn't load any model.
+ * 
+ * @returns {Promise<Array<object>>} [{ id, size, modifiedAt, family, parameterSize, quantization, configured }]
+ */
+export async function listInstalledModels() {
+  const response = await callOllamaManagementApi('/api/tags');
+  const data = await response.json();
+  const configuredIds = new Set((ollamaConfig.models || []).map(model => normalizeModelName(model.id)));
+
+  return (data.models || []).map(model => ({
+    id: model.name,
+    size: model.size,
+    modifiedAt: model.modified_at,
+    family: model.details?.family,
+    parameterSize: model.details?.parameter_size,
+    quantization: model.details?.quantization_level,
+    configured: configuredIds.has(normalizeModelName(model.name))
+  }));
+}
+
+/**
+ * Returns metadata about an installed model (/api/show).
+ * 
+ * @param {string} modelId The model name, e.g. 'gemma3:1b'
+ * @returns {Promise<object>} { id, family, parameterSize, quantization, format, contextLength, capabilities, parameters }
+ */
+export async function showModel(modelId) {
+  const response = await callOllamaManagementApi('/api/show', { model: modelId });
+  const data = await response.json();
+  const architecture = data.model_info?.['general.architecture'];
+
+  return {
+    id: modelId,
+    family: data.details?.family,
+    parameterSize: data.details?.parameter_size,
+    quantization: data.details?.quantization_level,
+    format: data.details?.format,
+    contextLength: architecture ? data.model_info[`${architecture}.context_length`] : undefined,
+    capabilities: data.capabilities || [],
+    parameters: data.parameters || ''
+  };
+}
+
+/**
+ * Downloads a model to the Ollama server (/api/pull), reporting progress as it streams in.
+ * 
+ * @param {string} modelId The model name, e.g. 'gemma3:1b'
+ * @param {function(object): void} onProgress Called with { status, completed, total } (bytes, when known)
+ * @param {AbortSignal} [signal] Aborts the download request when signalled.
+ * @returns {Promise<object>} { success: true } once Ollama reports the pull succeeded
+ */
+export async function pullModel(modelId, onProgress, signal) {
+  console.log(`Pulling Ollama model: ${modelId}`);
+  const response = await callOllamaManagementApi('/api/pull', { model: modelId, stream: true }, signal);
+
+  let succeeded = false;
+  await readNdjsonStream(response, (data) => {
+    if (data.status === 'success') {
+      succeeded = true;
+    }
+    onProgress({ status: data.status, completed: data.completed, total: data.total });
+  });
+
+  if (!succeeded) {
+    throw new Error(`Pull of ${modelId} ended before it finished`);
+  }
+  return { success: true };
 }
 
 /**
@@ -287,7 +653,7 @@ export async function checkStatus() {
     };
   }
 
-  const modelToCheck = getDefaultModel();
+  const modelToCheck = getDefaultModel(modelSetup);
   if (!modelToCheck) {
     return { 
       status: 'error', 
@@ -296,8 +662,14 @@ export async function checkStatus() {
   }
 
   try {
-    // Use a simple, non-translation prompt for status check
-    await callOllamaApi(modelToCheck.id, modelToCheck.endpoint, "Ping"); 
+    // List the installed models instead of generating, which would load the model into memory
+    const installed = await listInstalledModels();
+    if (!installed.some(model => normalizeModelName(model.id) === normalizeModelName(modelToCheck.id))) {
+      return {
+        status: 'error',
+        message: `Ollama is running, but the model ${modelToCheck.id} is not installed. Pull it from Advanced Settings.`
+      };
+    }
     return { 
       status: 'running',
       message: `Ollama is running with model ${modelToCheck.id}`
@@ -330,8 +702,13 @@ export async function checkModelStatus(modelId) {
   }
 
   try {
-    // Use a simple, non-translation prompt for status check
-    await callOllamaApi(modelId, model.endpoint || "http://localhost:11434/api/generate", "Ping"); 
+    const installed = await listInstalledModels();
+    if (!installed.some(entry => normalizeModelName(entry.id) === normalizeModelName(modelId))) {
+      return {
+        status: 'error',
+        message: `Model ${modelId} is not installed in Ollama`
+      };
+    }
     return { 
       status: 'running',
       message: `Model ${modelId} is available`
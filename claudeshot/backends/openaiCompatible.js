@@ -0,0 +1,474 @@
+/**
+ * backends/openaiCompatible.js
+ *
+ * Backend for local servers that implement the OpenAI chat completions API (/v1/chat/completions),
+ * such as the llama.cpp server, LM Studio, vLLM and LocalAI.
+ * Model selection, fallback, language detection and prompts work as for Ollama (see languageModels.js);
+ * this module makes the API calls, streams responses as server-sent events and checks the server's /v1/models.
+ */
+
+import {
+  createModelSetup, getDefaultModel, getModelById, resolvePreferredModelId, getStyle, isDeterministic,
+  TRANSLATION_RESPONSE_SCHEMA, extractStreamedTranslation, generateStructuredTranslation,
+  translateWithFallback, translateWithSingleModel
+} from './languageModels.js';
+
+// --- OpenAI-Compatible Backend Configuration ---
+let openaiConfig = {}; // Will be populated during initialize()
+let modelSetup = createModelSetup(null, openaiConfig, 'OpenAI-compatible server'); // Routing, detection and prompt state
+
+// The llama.cpp server's default address; LM Studio uses port 1234, vLLM 8000
+const DEFAULT_BASE_URL = 'http://localhost:8080/v1';
+
+// Generation options that are sent as request fields, and the field each goes into.
+// The style registry uses Ollama's option names, so num_predict is sent as max_tokens.
+const REQUEST_OPTION_FIELDS = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  seed: 'seed',
+  max_tokens: 'max_tokens',
+  num_predict: 'max_tokens',
+  presence_penalty: 'presence_penalty',
+  frequency_penalty: 'frequency_penalty'
+};
+
+/**
+ * The backend's entry in the backend registry (see backends/index.js).
+ * Models and language pairs are configured in the models and language pair sections of advanced settings.
+ */
+export const manifest = {
+  id: 'openaiCompatible',
+  name: 'OpenAI-compatible server',
+  description: 'llama.cpp, LM Studio, vLLM, LocalAI',
+  capabilities: {
+    detect: true,
+    stream: true,
+    styles: true,
+    models: true,
+    prompts: true,
+    languagePairs: false
+  },
+  settings: [
+    {
+      key: 'baseUrl',
+      label: 'Base URL',
+      type: 'url',
+      default: DEFAULT_BASE_URL,
+      placeholder: DEFAULT_BASE_URL,
+      description: 'The server\'s API address, ending in /v1 (e.g. http://localhost:1234/v1 for LM Studio). Saving asks for permission to reach it if needed (see README).'
+    },
+    {
+      key: 'apiKey',
+      label: 'API Key (optional)',
+      type: 'password',
+      placeholder: 'Leave empty if your server has no keys',
+      description: 'Sent as a Bearer token with every request.'
+    }
+  ],
+  generationOptions: [
+    { name: 'temperature', label: 'Temperature', step: '0.05', min: '0' },
+    { name: 'top_p', label: 'Top P', step: '0.05', min: '0', max: '1' },
+    { name: 'max_tokens', label: 'Max tokens', step: '1', min: '1', integer: true },
+    { name: 'seed', label: 'Seed', step: '1', integer: true }
+  ]
+};
+
+/**
+ * Initialize the OpenAI-compatible backend with configuration from the global config.
+ *
+ * @param {Object} config The global configuration object
+ */
+export function initialize(config) {
+  // The config holds the API key, so only the server address is logged
+  console.log('Initializing OpenAI-compatible backend');
+
+  // Extract the backend's configuration
+  if (config && config.backendSettings && config.backendSettings.openaiCompatible) {
+    openaiConfig = config.backendSettings.openaiCompatible;
+    console.log(`OpenAI-compatible configuration loaded, server: ${getBaseUrl()}`);
+  } else {
+    console.error('Failed to load OpenAI-compatible configuration from global config');
+    // Set minimal default config to prevent crashes
+    openaiConfig = {
+      baseUrl: DEFAULT_BASE_URL,
+      apiKey: '',
+      models: [],
+      languagePairs: [],
+      fallbackModelId: null
+    };
+  }
+
+  if (!openaiConfig.models || openaiConfig.models.length === 0) {
+    console.error('No models defined in OpenAI-compatible configuration');
+  }
+  console.log('Available models:', (openaiConfig.models || []).map(m => m.id));
+  console.log('Language pairs with preferred models:', openaiConfig.languagePairs);
+
+  // Detection patterns, language names and styles for the shared model routing
+  modelSetup = createModelSetup(config, openaiConfig, 'OpenAI-compatible server');
+
+  return { success: true };
+}
+
+// Base URL of the API, without a trailing slash
+function getBaseUrl() {
+  return (openaiConfig.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+// Request headers, with the API key when one is configured
+function getHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (openaiConfig.apiKey) {
+    headers['Authorization'] = `Bearer ${openaiConfig.apiKey}`;
+  }
+  return headers;
+}
+
+// The request settings for a model and style: { options, system }. A style's options are defaults
+// that the model's own options override, as for Ollama. Options without a request field are dropped.
+function getGenerationSettings(model, styleId) {
+  const options = {};
+  const merged = { ...(getStyle(modelSetup, styleId)?.options || {}), ...(model.options || {}) };
+  Object.entries(merged).forEach(([name, value]) => {
+    const field = REQUEST_OPTION_FIELDS[name];
+    // Ollama's num_predict uses negative values for "no limit", which max_tokens has no equivalent for
+    if (!field || (field === 'max_tokens' && value < 0)) return;
+    options[field] = value;
+  });
+  return { options: options, system: model.system };
+}
+
+// The request body for a prompt. response_format asks the server to constrain the output to the
+// translation schema; models with structuredOutput: false are only asked for JSON in the prompt.
+function buildRequestBody(model, prompt, settings, stream) {
+  const messages = [];
+  if (settings.system) {
+    messages.push({ role: 'system', content: settings.system });
+  }
+  messages.push({ role: 'user', content: prompt });
+
+  const body = { model: model.id, messages: messages, stream: stream, ...settings.options };
+  if (model.structuredOutput !== false) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'translation', strict: true, schema: TRANSLATION_RESPONSE_SCHEMA }
+    };
+  }
+  return body;
+}
+
+// Throw for an error response, with the server's message when it sent one
+async function checkResponse(response) {
+  if (response.ok) return;
+  const errorBody = await response.text();
+  console.error('OpenAI-compatible API Error Body:', errorBody);
+  let message = `API error ${response.status}: ${response.statusText}`;
+  try {
+    const error = JSON.parse(errorBody).error;
+    message = (typeof error === 'string' ? error : error?.message) || message;
+  } catch (parseError) {
+    // Not JSON, keep the status text
+  }
+  if (response.status === 401 || response.status === 403) {
+    message += ' (check the API key)';
+  }
+  throw new Error(message);
+}
+
+// POST a chat completion request for a model
+async function postChatCompletion(body, signal) {
+  const response = await fetch(`${getBaseUrl()}/chat/completions`, {
+    method: 'POST',
+    headers: getHeaders(),
+    body: JSON.stringify(body),
+    signal: signal
+  });
+  console.log('OpenAI-compatible API Response Status:', response.status, response.statusText);
+  await checkResponse(response);
+  return response;
+}
+
+// Helper function to make the actual API call.
+// Resolves to the structured result: { translation, detectedSourceLanguage, notes }.
+async function callChatCompletions(model, prompt, settings) {
+  console.log(`Calling OpenAI-compatible API. Model: ${model.id}, Server: ${getBaseUrl()}`);
+
+  try {
+    return await generateStructuredTranslation(modelSetup, model.id, prompt, async (structuredPrompt) => {
+      const response = await postChatCompletion(buildRequestBody(model, structuredPrompt, settings, false));
+      const data = await response.json();
+      console.log('OpenAI-compatible API Parsed Response:', data);
+      return data.choices?.[0]?.message?.content || '';
+    });
+  } catch (error) {
+    console.error(`Error calling OpenAI-compatible API with model ${model.id}:`, error);
+    throw error; // Re-throw to let the caller handle it
+  }
+}
+
+// Read a server-sent events response, calling onData for each JSON event until [DONE]. An event is
+// the `data:` lines before a blank line; the last one may end without it. Throws if the server reports
+// an error mid-stream, as an { error } event, an `event: error` event or llama.cpp's `error:` line.
+async function readSseStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+  let eventType = 'message';
+  let dataLines = [];
+
+  const throwServerError = (error) => {
+    throw new Error(`Server error: ${typeof error === 'string' ? error : error?.message || JSON.stringify(error)}`);
+  };
+
+  const dispatchEvent = () => {
+    const payload = dataLines.join('\n').trim();
+    const type = eventType;
+    eventType = 'message';
+    dataLines = [];
+    if (finished || !payload) return;
+    if (payload === '[DONE]') {
+      finished = true;
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch (error) {
+      if (type === 'error') throwServerError(payload);
+      throw error;
+    }
+    if (type === 'error' || data.error) {
+      throwServerError(data.error || data);
+    }
+    onData(data);
+  };
+
+  const processLine = (line) => {
+    line = line.replace(/\r$/, '');
+    if (finished) return;
+    // A blank line ends an event; lines starting with ':' are comments (keep-alives)
+    if (line === '') {
+      dispatchEvent();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice('data:'.length).replace(/^ /, ''));
+    } else if (line.startsWith('event:')) {
+      eventType = line.slice('event:'.length).trim();
+    } else if (line.startsWith('error:')) {
+      dataLines = [line.slice('error:'.length).trim()];
+      eventType = 'error';
+      dispatchEvent();
+    }
+  };
+
+  while (!finished) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // Keep the incomplete last line for the next read
+    lines.forEach(processLine);
+  }
+  if (finished) {
+    reader.cancel().catch(() => {}); // Some servers keep the connection open after [DONE]
+  } else {
+    buffer += decoder.decode();
+    if (buffer) processLine(buffer);
+    dispatchEvent(); // The last event, if the stream ended without a blank line after it
+  }
+}
+
+// Helper function to make a streaming API call. Each event carries the next piece of the
+// (JSON) response in choices[0].delta.content.
+// onChunk is called with the translation so far (not just the new piece); a retry starts it over.
+// Resolves to the structured result, as for callChatCompletions().
+async function callChatCompletionsStream(model, prompt, onChunk, signal, settings) {
+  console.log(`Calling OpenAI-compatible API (streaming). Model: ${model.id}, Server: ${getBaseUrl()}`);
+
+  return generateStructuredTranslation(modelSetup, model.id, prompt, async (structuredPrompt) => {
+    const response = await postChatCompletion(buildRequestBody(model, structuredPrompt, settings, true), signal);
+
+    // Forward the translation so far as each event arrives
+    let rawText = '';
+    await readSseStream(response, (data) => {
+      const piece = data.choices?.[0]?.delta?.content;
+      if (piece) {
+        rawText += piece;
+        const partialTranslation = extractStreamedTranslation(rawText);
+        if (partialTranslation) onChunk(partialTranslation);
+      }
+    });
+    return rawText;
+  });
+}
+
+// List the model IDs the server offers (/v1/models)
+async function listServerModels() {
+  const response = await fetch(`${getBaseUrl()}/models`, { headers: getHeaders() });
+  await checkResponse(response);
+  const data = await response.json();
+  return (data.data || []).map(model => model.id);
+}
+
+// Describe why the server doesn't offer a model, or null if it does. A server that lists no
+// models at all is trusted to serve the requested one.
+function describeModelAvailability(modelId, serverModels) {
+  if (serverModels.length === 0 || serverModels.includes(modelId)) {
+    return null;
+  }
+  return `The server does not offer the model ${modelId} (it offers: ${serverModels.join(', ')})`;
+}
+
+// --- Exported Functions ---
+
+/**
+ * Translates text using the OpenAI-compatible server.
+ * Handles model selection (preferred/fallback) based on configuration, as the Ollama backend does.
+ *
+ * @param {string} text The text to translate.
+ * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
+ * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
+ * @param {string} style The ID of a style in the style registry (config.styles), e.g. 'natural' or 'formal'.
+ * @param {object} [promptVariables] Values for the optional template variables ({ context, glossary, pageTitle, formality }),
+ * plus pageLanguage (the page's lang attribute) to fall back on when the source language can't be detected.
+ * @returns {Promise<object>} Promise resolving to { success: true, translation: string, usedFallback: boolean, modelUsed: string, detectedSourceLang?: string, notes?: string } or { success: false, error: string }.
+ */
+export async function translate(text, sourceLangCode, targetLangCode, style, promptVariables = {}) {
+  console.log(`OpenAI-compatible translate called: ${sourceLangCode} -> ${targetLangCode}, style: ${style}`);
+
+  return translateWithFallback(modelSetup, text, sourceLangCode, targetLangCode, style, promptVariables,
+    (model, prompt) => callChatCompletions(model, prompt, getGenerationSettings(model, style)));
+}
+
+/**
+ * Translates text using the OpenAI-compatible server, streaming partial results as they are generated.
+ * Uses the same preferred/fallback model selection as translate().
+ *
+ * @param {string} text The text to translate.
+ * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
+ * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
+ * @param {string} style The ID of a style in the style registry (config.styles).
+ * @param {function(string): void} onChunk Called with the translation generated so far.
+ * @param {AbortSignal} [signal] Aborts the underlying fetch when signalled.
+ * @param {object} [promptVariables] Values for the optional template variables, as for translate().
+ * @returns {Promise<object>} Same shape as translate(), plus { aborted: true } if the signal fired.
+ */
+export async function translateStream(text, sourceLangCode, targetLangCode, style, onChunk, signal, promptVariables = {}) {
+  console.log(`OpenAI-compatible streaming translate called: ${sourceLangCode} -> ${targetLangCode}, style: ${style}`);
+
+  return translateWithFallback(modelSetup, text, sourceLangCode, targetLangCode, style, promptVariables,
+    (model, prompt) => callChatCompletionsStream(model, prompt, onChunk, signal, getGenerationSettings(model, style)));
+}
+
+/**
+ * Translates text with one specific model, skipping the language-pair routing and the fallback model.
+ * Used by compare mode to run the same text through several models.
+ *
+ * @param {string} text The text to translate.
+ * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
+ * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
+ * @param {string} style The ID of a style in the style registry (config.styles).
+ * @param {string} modelId The ID of a configured model.
+ * @param {object} [promptVariables] Values for the optional template variables, as for translate().
+ * @returns {Promise<object>} Same shape as translate(); usedFallback is always false.
+ */
+export async function translateWithModel(text, sourceLangCode, targetLangCode, style, modelId, promptVariables = {}) {
+  return translateWithSingleModel(modelSetup, text, sourceLangCode, targetLangCode, style, modelId, promptVariables,
+    (model, prompt) => callChatCompletions(model, prompt, getGenerationSettings(model, style)));
+}
+
+/**
+ * Resolves which model translate() will try first for a request, including source language detection.
+ * Used by the background to build translation cache keys.
+ *
+ * @param {string} text The text to translate.
+ * @param {string} sourceLangCode The source language code (e.g., 'en', 'ja', 'auto').
+ * @param {string} targetLangCode The target language code (e.g., 'en', 'ja').
+ * @param {object} [promptVariables] The prompt variables translate() is given (context, pageLanguage, ...).
+ * @returns {Promise<string|null>} The preferred model ID, or null if no model is configured
+ */
+export async function resolveModel(text, sourceLangCode, targetLangCode, promptVariables = {}) {
+  return resolvePreferredModelId(modelSetup, text, sourceLangCode, targetLangCode, promptVariables);
+}
+
+/**
+ * Describes the generation settings translate() would use with a model and style, for the translation cache.
+ *
+ * @param {string} modelId The ID of a configured model, e.g. from resolveModel().
+ * @param {string} style The ID of a style in the style registry.
+ * @returns {object|null} { options, system, deterministic }, or null if the model is not configured
+ */
+export function describeGeneration(modelId, style) {
+  const model = getModelById(modelSetup, modelId);
+  if (!model) return null;
+  const settings = getGenerationSettings(model, style);
+  return { options: settings.options, system: settings.system || null, deterministic: isDeterministic(settings.options) };
+}
+
+/**
+ * Checks the status of the OpenAI-compatible server.
+ *
+ * @returns {Promise<object>} Promise resolving to { status: 'running' } or { status: 'error', message: string }
+ */
+export async function checkStatus() {
+  if (!openaiConfig.models || openaiConfig.models.length === 0) {
+    return {
+      status: 'error',
+      message: 'OpenAI-compatible backend not properly initialized or no models configured.'
+    };
+  }
+
+  const modelToCheck = getDefaultModel(modelSetup);
+  try {
+    // List the server's models instead of generating, which would load the model into memory
+    const problem = describeModelAvailability(modelToCheck.id, await listServerModels());
+    if (problem) {
+      return { status: 'error', message: `The server at ${getBaseUrl()} is running, but: ${problem}` };
+    }
+    return {
+      status: 'running',
+      message: `The server at ${getBaseUrl()} is running with model ${modelToCheck.id}`
+    };
+  } catch (error) {
+    console.error('OpenAI-compatible status check error:', error);
+    return {
+      status: 'error',
+      message: `Failed to connect to the server at ${getBaseUrl()}: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Checks if a specific model is available on the server.
+ *
+ * @param {string} modelId The ID of the model to check
+ * @returns {Promise<object>} Promise resolving to { status: 'running' } or { status: 'error', message: string }
+ */
+export async function checkModelStatus(modelId) {
+  console.log(`Checking status for model: ${modelId}`);
+
+  if (!getModelById(modelSetup, modelId)) {
+    return {
+      status: 'error',
+      message: `Model ${modelId} not found in configuration.`
+    };
+  }
+
+  try {
+    const problem = describeModelAvailability(modelId, await listServerModels());
+    if (problem) {
+      return { status: 'error', message: problem };
+    }
+    return {
+      status: 'running',
+      message: `Model ${modelId} is available`
+    };
+  } catch (error) {
+    console.error(`Status check error for model ${modelId}:`, error);
+    return {
+      status: 'error',
+      message: `Model ${modelId} is not available: ${error.message}`
+    };
+  }
+}
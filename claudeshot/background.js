@@ -7,6 +7,7 @@
  * 3. Handles communication between different parts of the extension
  * 4. Performs health checks on the active translation backend
  * 5. Loads and manages the central configuration file
+ * 6. Routes each translation to the backends configured for its language pair, failing over between them
  * 
  * The background script runs persistently in the background and maintains
  * the state of the extension even when no browser tabs are actively using it.
@@ -21,21 +22,54 @@
 // No longer need js-yaml import
 // import { load as jsyamlLoad } from './js-yaml.min.js';
 
-// Import all potential backend modules statically
-// NOTE: These backend files (ollama.js, etc.) MUST use ES module 'export' syntax now.
-import * as ollamaBackend from './backends/ollama.js';
-import * as chromeApiBackend from './backends/chromeApi.js';
-// Example: import * as anotherBackend from './backends/another.js';
-// ... import other backends as needed ...
+// Every backend comes from the backend registry (backends/index.js)
+import { BACKENDS } from './backends/index.js';
+import { mergeConfig, loadConfigOverrides, saveConfigOverrides, clearConfigOverrides } from './config-store.js';
+import {
+  configureCache,
+  isCacheEnabled,
+  buildCacheKey,
+  getCachedTranslation,
+  cacheTranslation,
+  getCacheStats,
+  exportCache,
+  clearCache
+} from './translation-cache.js';
+import {
+  configureRouting,
+  getBackendChain,
+  isRoutingBySourceLanguage,
+  isBackendAvailable,
+  recordBackendSuccess,
+  recordBackendFailure,
+  getBackendHealth
+} from './backend-router.js';
+import { configureHistory, recordTranslation, queryHistory, deleteHistoryEntry, clearHistory } from './translation-history.js';
+import { addCard, getDeck, getDueCards, reviewCard, deleteCard } from './vocabulary-deck.js';
+import {
+  getGlossary,
+  saveGlossaryEntry,
+  deleteGlossaryEntry,
+  importGlossary,
+  findGlossaryMatches,
+  formatGlossaryForPrompt,
+  protectGlossaryTerms,
+  restoreGlossaryTerms,
+  checkGlossaryViolations
+} from './glossary.js';
+// Shared with the classic scripts (content script, popup, pages), so it sets globalThis.MessageProtocol
+// instead of exporting
+import './messages.js';
 
 console.log('Background script loading (as module)...');
 
-// Map backend names (from config) to the imported modules
-const backendModules = {
-  ollama: ollamaBackend,
-  chromeApi: chromeApiBackend,
-  // another: anotherBackend, // Add other backends here
-};
+const { ACTIONS, BACKGROUND_ACTIONS, PORTS, PORT_MESSAGE_TYPES, ERROR_CODES, validateMessage, errorResponse } = globalThis.MessageProtocol;
+
+// Map backend names (from config) to the registered modules
+const backendModules = registerBackends(BACKENDS);
+
+// Ollama also provides model management and learner mode, outside the backend interface
+const ollamaBackend = backendModules.ollama;
 
 /**
  * background.js - Background Service Worker for Instant Translator Chrome Extension
@@ -45,16 +79,56 @@ const backendModules = {
  */
 
 // --- Global State ---
-let config = null; // Holds the parsed config.json content
+let config = null; // Holds the effective config (bundled defaults + user overrides)
+let baseConfig = null; // Holds the bundled config.json content merged over defaultConfig
 let activeBackendModule = null; // Holds the dynamically loaded backend module
+let initializedBackends = new Set(); // Other backends initialized with the current config for routing
 let supportedLanguagesList = []; // Holds the combined list of supported languages
+let initialized = false; // Set once initialize() has finished; messages that arrive earlier wait for it
 
 // Default configuration (used if loading fails)
 const defaultConfig = {
   version: "1.0",
+  schemaVersion: 1,
   defaultTargetLanguage: "English",
   defaultSourceLanguage: "Auto-detect",
   defaultTranslationStyle: "natural",
+  streamTranslations: true,
+  cache: {
+    enabled: true,
+    maxEntries: 2000,
+    maxSizeMB: 10,
+    ttlDays: 30
+  },
+  history: {
+    enabled: true,
+    maxEntries: 5000
+  },
+  compare: {
+    candidates: [] // { backend, model }; empty means every configured Ollama model
+  },
+  routing: {
+    rules: [], // { source, target, bidirectional, backends }; pairs without a rule use activeBackend
+    fallbackBackends: [], // Tried after the pair's backends when they fail
+    circuitBreaker: {
+      failureThreshold: 3,
+      cooldownSeconds: 60
+    }
+  },
+  styles: [ // The style registry; config.json ships more styles
+    {
+      id: "natural",
+      label: "Natural Translation",
+      description: "Translates the meaning and context naturally",
+      templates: { default: "Translate the following text from {sourceLanguage} to {targetLanguage}: \"{text}\". Provide only the translation without any additional commentary." }
+    },
+    {
+      id: "literal",
+      label: "Word-for-Word Translation",
+      description: "Translates each word directly (better for learning)",
+      templates: { default: "Translate the following text from {sourceLanguage} to {targetLanguage} word-for-word: \"{text}\". Provide only the translation without any additional commentary." }
+    }
+  ],
   supportedLanguages: [
     { code: "auto", name: "Auto-detect", enabled: true },
     { code: "en", name: "English", enabled: true },
@@ -79,6 +153,20 @@ const defaultConfig = {
       detectOnly: false,
       name: "Chrome Translation API",
       description: "Uses Chrome's built-in translation capabilities"
+    },
+    libreTranslate: {
+      name: "LibreTranslate",
+      description: "Uses a self-hosted LibreTranslate server",
+      serverUrl: "http://localhost:5000",
+      apiKey: "",
+      languagePairs: []
+    },
+    openaiCompatible: {
+      baseUrl: "http://localhost:8080/v1",
+      apiKey: "",
+      models: [],
+      languagePairs: [],
+      fallbackModelId: null
     }
   }
 };
@@ -91,7 +179,6 @@ async function initialize() {
   try {
     await loadAndProcessConfig();
     await loadActiveBackend();
-    setupListeners(); // Setup listeners only after successful init steps
     console.log(`Initialization complete. Active backend: ${config?.activeBackend || 'unknown'}`);
   } catch (error) {
     console.error('Initialization failed:', error);
@@ -108,18 +195,16 @@ async function initialize() {
         try {
             await loadActiveBackend(); // Try again with default name
             console.log('Successfully loaded default backend after error.');
-            setupListeners(); // Setup listeners if backend loaded successfully on retry
         } catch (backendError) {
             console.error('Failed to load default backend after initialization error:', backendError);
         }
-    } else if (activeBackendModule) {
-         // If config loaded but backend failed initially, but we have a module now
-         setupListeners();
     }
+  } finally {
+    initialized = true;
   }
 }
 
-// Load and parse the config.json file
+// Load and parse the config.json file, then apply the user's stored overrides on top
 async function loadAndProcessConfig() {
   console.log('Attempting to load config.json...');
   try {
@@ -133,19 +218,19 @@ async function loadAndProcessConfig() {
     const loadedConfig = JSON.parse(jsonText);
 
     // Merge with defaults to ensure all keys exist
-    config = { ...defaultConfig, ...loadedConfig };
+    baseConfig = { ...defaultConfig, ...loadedConfig };
+
+    // Layer the user's persisted customisations over the bundled config
+    const overrides = await loadConfigOverrides(baseConfig);
+    config = mergeConfig(baseConfig, overrides);
 
     // Combine supported and disabled languages for internal use
-    supportedLanguagesList = [...(config.supportedLanguages || [])];
-    if (config.disabledLanguages) {
-      config.disabledLanguages.forEach(lang => {
-        if (!supportedLanguagesList.some(l => l.code === lang.code)) {
-          supportedLanguagesList.push({...lang, enabled: false });
-        }
-      });
-    }
+    rebuildSupportedLanguagesList();
+    configureCache(config);
+    configureHistory(config);
+    configureRouting(config);
 
-    console.log('Configuration loaded and processed successfully:', config);
+    console.log(`Configuration loaded and processed successfully. Active backend: ${config.activeBackend}`);
 
   } catch (error) {
     // Handle potential JSON parsing errors as well
@@ -154,21 +239,57 @@ async function loadAndProcessConfig() {
     } else {
         console.error('Error loading or processing config.json, using default configuration:', error);
     }
+    baseConfig = { ...defaultConfig };
     config = { ...defaultConfig };
     // Ensure supportedLanguagesList is populated even on error using defaults
-    supportedLanguagesList = [...(config.supportedLanguages || [])];
-     if (config.disabledLanguages) {
-      config.disabledLanguages.forEach(lang => {
-        if (!supportedLanguagesList.some(l => l.code === lang.code)) {
-          supportedLanguagesList.push({...lang, enabled: false });
-        }
-      });
-    }
+    rebuildSupportedLanguagesList();
+    configureRouting(config);
     // Re-throw the error so initialize() knows config loading failed
     throw error;
   }
 }
 
+// Combine supported and disabled languages from the current config
+function rebuildSupportedLanguagesList() {
+  supportedLanguagesList = [...(config.supportedLanguages || [])];
+  if (config.disabledLanguages) {
+    config.disabledLanguages.forEach(lang => {
+      if (!supportedLanguagesList.some(l => l.code === lang.code)) {
+        supportedLanguagesList.push({...lang, enabled: false });
+      }
+    });
+  }
+}
+
+// Persist the current config as overrides of the bundled config
+async function persistConfig() {
+  await saveConfigOverrides(baseConfig || defaultConfig, config);
+}
+
+// Index the registry's backends by manifest ID, skipping modules that can't work as a backend
+function registerBackends(backends) {
+  const modules = {};
+  backends.forEach(backendModule => {
+    const id = backendModule.manifest?.id;
+    if (!id || typeof backendModule.translate !== 'function' || typeof backendModule.checkStatus !== 'function') {
+      console.error('Skipping backend without a manifest ID, translate() or checkStatus():', backendModule);
+      return;
+    }
+    if (modules[id]) {
+      console.error(`Skipping second backend with ID "${id}"`);
+      return;
+    }
+    modules[id] = backendModule;
+  });
+  console.log('Registered backends:', Object.keys(modules));
+  return modules;
+}
+
+// The manifests of the registered backends, for the settings pages
+function getBackendManifests() {
+  return Object.values(backendModules).map(backendModule => backendModule.manifest);
+}
+
 // Load the active backend module specified in the config
 async function loadActiveBackend() {
   if (!config || !config.activeBackend) {
@@ -182,7 +303,7 @@ async function loadActiveBackend() {
   const newBackendModule = backendModules[backendName];
 
   if (!newBackendModule) {
-    console.error(`Backend module "${backendName}" not found in pre-imported modules. Check config.json and static imports in background.js.`);
+    console.error(`Backend module "${backendName}" not found in the registry. Check config.json and backends/index.js.`);
     throw new Error(`Backend module "${backendName}" is not registered or failed to import.`);
   }
 
@@ -199,6 +320,7 @@ async function loadActiveBackend() {
 
   // Set the new active backend module
   activeBackendModule = newBackendModule;
+  initializedBackends = new Set(); // Routing initializes the others again with the current config
   console.log(`Successfully loaded backend module: ${backendName}`);
 
   // Initialize the backend module if it has an initialize function
@@ -216,32 +338,12 @@ async function loadActiveBackend() {
   return true;
 }
 
-// --- Event Listeners Setup ---
-function setupListeners() {
-    // Remove existing listeners to prevent duplicates during potential re-initialization on error
-    if (chrome.runtime.onInstalled.hasListeners(onInstalledListener)) {
-        chrome.runtime.onInstalled.removeListener(onInstalledListener);
-    }
-    if (chrome.contextMenus.onClicked.hasListeners(onContextMenuClicked)) {
-        chrome.contextMenus.onClicked.removeListener(onContextMenuClicked);
-    }
-    if (chrome.runtime.onMessage.hasListeners(onMessageReceived)) {
-        chrome.runtime.onMessage.removeListener(onMessageReceived);
-    }
-
-    // Add listeners
-    chrome.runtime.onInstalled.addListener(onInstalledListener);
-    chrome.contextMenus.onClicked.addListener(onContextMenuClicked);
-    chrome.runtime.onMessage.addListener(onMessageReceived);
-    console.log('Event listeners set up.');
-}
-
-
 // --- Event Handlers ---
 
 // Handle extension installation or update
-function onInstalledListener(details) {
+async function onInstalledListener(details) {
   console.log('Extension installed or updated:', details.reason);
+  await initialization; // The menu lists the configured languages
   
   if (details.reason === 'install') {
     // First-time installation
@@ -264,6 +366,13 @@ function setupContextMenu() {
       contexts: ['selection']
     });
     
+    // Full-page translation (toggles back to the original when the page is already translated)
+    chrome.contextMenus.create({
+      id: 'translate-page',
+      title: 'Translate This Page / Show Original',
+      contexts: ['page']
+    });
+    
     // Add language-specific items
     const enabledLanguages = supportedLanguagesList.filter(lang => 
       lang.enabled && lang.code !== 'auto'
@@ -277,33 +386,29 @@ function setupContextMenu() {
         contexts: ['selection']
       });
     });
-    
-    // Add listener for context menu clicks
-    chrome.contextMenus.onClicked.addListener((info, tab) => {
-      if (info.menuItemId.startsWith('translate-to-')) {
-        const targetLang = info.menuItemId.replace('translate-to-', '');
-        const text = info.selectionText;
-        
-        // Send message to content script to show translation
-        chrome.tabs.sendMessage(tab.id, {
-          action: 'translateSelection',
-          text: text,
-          targetLang: targetLang,
-          sourceLang: 'auto' // Auto-detect source language
-        });
-      }
-    });
   });
 }
 
 // Handles clicks on the context menu item
 const onContextMenuClicked = (info, tab) => {
-  if (info.menuItemId === 'translateSelectedText' && tab) {
+  if (info.menuItemId === 'translate-page' && tab) {
+    console.log('Page translation toggled from context menu in tab:', tab.id);
+    chrome.tabs.sendMessage(tab.id, { action: ACTIONS.TOGGLE_PAGE_TRANSLATION }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`Error sending message to content script (tab ${tab.id}):`, chrome.runtime.lastError.message);
+      }
+    });
+    return;
+  }
+  // "Translate Selection" itself is only clickable when it has no "to <language>" submenu
+  const targetLang = info.menuItemId.startsWith('translate-to-') ? info.menuItemId.replace('translate-to-', '') : null;
+  if ((info.menuItemId === 'translate' || targetLang) && tab) {
     console.log('Context menu clicked. Sending message to content script in tab:', tab.id);
-    // Send message to content script to trigger translation of selected text
+    // Send message to the content script of the frame the selection is in
     chrome.tabs.sendMessage(tab.id, {
-      action: 'translateSelectedText'
-    }, (response) => {
+      action: ACTIONS.TRANSLATE_SELECTED_TEXT,
+      targetLang: targetLang
+    }, { frameId: info.frameId ?? 0 }, (response) => {
         if (chrome.runtime.lastError) {
             console.warn(`Error sending message to content script (tab ${tab.id}):`, chrome.runtime.lastError.message, "Maybe the content script isn't loaded?");
         } else {
@@ -313,80 +418,960 @@ const onContextMenuClicked = (info, tab) => {
   }
 };
 
+// Handles keyboard shortcuts declared in the manifest's "commands" (rebindable at chrome://extensions/shortcuts)
+const onCommandReceived = async (command, tab) => {
+  console.log('Keyboard command received:', command);
+  await initialization;
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  if (!tab) return;
+
+  try {
+    switch (command) {
+      case 'translate-selection':
+        await sendMessageToTab(tab.id, { action: ACTIONS.TRANSLATE_SELECTED_TEXT });
+        break;
+      case 'translate-secondary':
+        await translateSelectionToSecondaryTarget(tab.id);
+        break;
+      case 'swap-languages':
+        await swapLanguages(tab.id);
+        break;
+      case 'toggle-auto-translate':
+        await toggleAutoTranslate(tab.id);
+        break;
+      case 'retranslate-other-style':
+        await sendMessageToTab(tab.id, { action: ACTIONS.RETRANSLATE_WITH_OTHER_STYLE });
+        break;
+      default:
+        console.warn('Unknown command:', command);
+    }
+  } catch (error) {
+    console.error(`Error handling command ${command}:`, error);
+  }
+};
+
+// Send a message to a tab's content scripts (all frames unless options.frameId is given);
+// resolves with null if none of them answers
+function sendMessageToTab(tabId, message, options = {}) {
+  return new Promise(resolve => {
+    chrome.tabs.sendMessage(tabId, message, options, response => {
+      if (chrome.runtime.lastError) {
+        console.warn(`Error sending message to content script (tab ${tabId}):`, chrome.runtime.lastError.message);
+        resolve(null);
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+// Show a short notice on the page (in the top frame only)
+function showNotice(tabId, message) {
+  return sendMessageToTab(tabId, { action: ACTIONS.SHOW_NOTICE, message: message }, { frameId: 0 });
+}
+
+// Languages are stored by name in sync storage; resolve between names and codes
+function getLanguageByName(name) {
+  return supportedLanguagesList.find(lang => lang.name === name) || null;
+}
+
+function getLanguageByCode(code) {
+  return supportedLanguagesList.find(lang => lang.code === code) || null;
+}
+
+// Translate the selection into the secondary target language chosen in the popup
+async function translateSelectionToSecondaryTarget(tabId) {
+  const { secondaryTargetLanguage } = await chrome.storage.sync.get('secondaryTargetLanguage');
+  const language = getLanguageByName(secondaryTargetLanguage);
+  if (!language) {
+    await showNotice(tabId, 'Choose a secondary target language in the extension popup first');
+    return;
+  }
+  await sendMessageToTab(tabId, { action: ACTIONS.TRANSLATE_SELECTED_TEXT, targetLang: language.code });
+}
+
+// Swap the source and target languages. With auto-detect as the source, the language
+// detected for the tab's last translation becomes the new target.
+async function swapLanguages(tabId) {
+  const settings = await chrome.storage.sync.get(['sourceLanguage', 'targetLanguage']);
+  let sourceName = settings.sourceLanguage || config?.defaultSourceLanguage || 'Auto-detect';
+  const targetName = settings.targetLanguage || config?.defaultTargetLanguage || 'English';
+
+  if (getLanguageByName(sourceName)?.code === 'auto') {
+    const response = await sendMessageToTab(tabId, { action: ACTIONS.GET_LAST_TRANSLATION });
+    const detected = getLanguageByCode(response?.translation?.detectedSourceLang);
+    if (!detected) {
+      await showNotice(tabId, 'Translate something first so the source language can be detected');
+      return;
+    }
+    sourceName = detected.name;
+  }
+
+  await chrome.storage.sync.set({ sourceLanguage: targetName, targetLanguage: sourceName });
+  console.log(`Swapped languages: now ${targetName} -> ${sourceName}`);
+  await showNotice(tabId, `Now translating ${targetName} → ${sourceName}`);
+}
+
+// Turn translating as soon as text is selected on or off
+async function toggleAutoTranslate(tabId) {
+  const { autoTranslateOnSelect } = await chrome.storage.sync.get('autoTranslateOnSelect');
+  const enabled = autoTranslateOnSelect === false; // Defaults to on, so toggling an unset value turns it off
+  await chrome.storage.sync.set({ autoTranslateOnSelect: enabled });
+  await showNotice(tabId, enabled ? 'Translate on select: on' : 'Translate on select: off (use the shortcut or context menu)');
+}
+
 // Handles messages from popup or content scripts
 const onMessageReceived = (request, sender, sendResponse) => {
   console.log('Background received message:', request.action);
+  if (!initialized) {
+    initialization.then(() => onMessageReceived(request, sender, sendResponse));
+    return true; // Keep the message channel open for async response
+  }
+  
+  const invalid = validateMessage(request, BACKGROUND_ACTIONS);
+  if (invalid) {
+    console.warn('Rejected message:', invalid.error);
+    sendResponse(errorResponse(invalid.code, invalid.error));
+    return false;
+  }
   
   // Handle different message types
   switch (request.action) {
-    case 'translate':
-      handleTranslateRequest(request, sendResponse);
+    case ACTIONS.TRANSLATE:
+      handleTranslateRequest(request, sendResponse, sender);
       return true; // Keep the message channel open for async response
       
-    case 'checkStatus':
+    case ACTIONS.CHECK_STATUS:
       handleStatusCheck(sendResponse);
       return true; // Keep the message channel open for async response
       
-    case 'getConfig':
+    case ACTIONS.GET_BACKEND_HEALTH:
+      sendResponse({ success: true, health: getBackendHealth() });
+      return false; // No async response needed
+      
+    case ACTIONS.GET_CONFIG:
       sendResponse({
         success: true,
         config: config,
-        supportedLanguages: supportedLanguagesList
+        supportedLanguages: supportedLanguagesList,
+        backends: getBackendManifests()
       });
       return false; // No async response needed
       
-    case 'updateConfig':
+    case ACTIONS.UPDATE_CONFIG:
       handleConfigUpdate(request, sendResponse);
       return true; // Keep the message channel open for async response
       
-    case 'resetConfig':
+    case ACTIONS.RESET_CONFIG:
       handleConfigReset(sendResponse);
       return true; // Keep the message channel open for async response
       
-    case 'switchBackend':
+    case ACTIONS.SWITCH_BACKEND:
       handleBackendSwitch(request, sendResponse);
       return true; // Keep the message channel open for async response
       
-    case 'checkModelStatus':
+    case ACTIONS.CHECK_MODEL_STATUS:
       handleModelStatusCheck(request, sendResponse);
       return true; // Keep the message channel open for async response
       
+    case ACTIONS.REPORT_DOWNLOAD_PROGRESS:
+      // Chrome's on-device models are downloaded from Advanced Settings; the Chrome API backend reports the progress
+      backendModules.chromeApi.recordDownloadProgress(request.modelId, request.loaded);
+      sendResponse({ success: true });
+      return false; // No async response needed
+      
+    case ACTIONS.GET_CACHE_STATS:
+    case ACTIONS.EXPORT_CACHE:
+    case ACTIONS.CLEAR_CACHE:
+      handleCacheRequest(request, sendResponse);
+      return true; // Keep the message channel open for async response
+      
+    case ACTIONS.GET_HISTORY:
+    case ACTIONS.DELETE_HISTORY_ENTRY:
+    case ACTIONS.CLEAR_HISTORY:
+      handleHistoryRequest(request, sendResponse);
+      return true; // Keep the message channel open for async response
+      
+    case ACTIONS.LIST_OLLAMA_MODELS:
+    case ACTIONS.SHOW_OLLAMA_MODEL:
+    case ACTIONS.ADD_OLLAMA_MODEL:
+      handleOllamaModelsRequest(request, sendResponse);
+      return true; // Keep the message channel open for async response
+      
+    case ACTIONS.PREVIEW_PROMPT_TEMPLATE:
+      handlePromptTemplatePreview(request, sendResponse);
+      return true; // Keep the message channel open for async response
+      
+    case ACTIONS.ANALYZE_FOR_LEARNER:
+      handleLearnerRequest(request, sendResponse);
+      return true; // Keep the message channel open for async response
+      
+    case ACTIONS.COMPARE_TRANSLATIONS:
+      handleCompareRequest(request, sendResponse);
+      return true; // Keep the message channel open for async response
+      
+    case ACTIONS.VOTE_COMPARE_RESULT:
+      handleCompareVote(request, sendResponse);
+      return true; // Keep the message channel open for async response
+      
+    case ACTIONS.GET_GLOSSARY:
+    case ACTIONS.SAVE_GLOSSARY_ENTRY:
+    case ACTIONS.DELETE_GLOSSARY_ENTRY:
+    case ACTIONS.IMPORT_GLOSSARY:
+      handleGlossaryRequest(request, sendResponse);
+      return true; // Keep the message channel open for async response
+      
+    case ACTIONS.SAVE_TO_DECK:
+    case ACTIONS.GET_DECK:
+    case ACTIONS.GET_DUE_CARDS:
+    case ACTIONS.REVIEW_CARD:
+    case ACTIONS.DELETE_CARD:
+      handleDeckRequest(request, sendResponse);
+      return true; // Keep the message channel open for async response
+      
     default:
       console.warn('Unknown message action:', request.action);
-      sendResponse({ success: false, error: 'Unknown action' });
+      sendResponse(errorResponse(ERROR_CODES.UNKNOWN_ACTION, `Unknown action: ${request.action}`));
       return false;
   }
 };
 
-// Handle translation requests
-async function handleTranslateRequest(request, sendResponse) {
-  console.log('Translation request:', request);
-  
-  if (!activeBackendModule) {
-    sendResponse({
-      success: false,
-      error: 'No active translation backend available'
-    });
+// Handles long-lived connections from content scripts (used for streaming translations)
+const onPortConnected = (port) => {
+  if (port.name === PORTS.TRANSLATE_STREAM) {
+    console.log('Streaming translation port connected');
+    handleTranslateStream(port);
+    return;
+  }
+  if (port.name === PORTS.OLLAMA_PULL) {
+    console.log('Ollama model pull port connected');
+    handleModelPull(port);
     return;
   }
+  console.warn('Unknown port connection:', port.name);
+  port.disconnect();
+};
+
+// Handle a streaming translation over a port.
+// Content script -> background: { action: ACTIONS.STREAM_TRANSLATION, text, sourceLang, targetLang, style, context }
+// Background -> content script: { type: 'chunk', translation } (translation so far), then
+// { type: 'done', ...result }. Disconnecting the port stops the translation and aborts the fetch.
+function handleTranslateStream(port) {
+  const abortController = new AbortController();
+  let disconnected = false;
+
+  // Posting to a port the other side already closed throws, so guard every post
+  const post = (message) => {
+    if (disconnected) return;
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      console.warn('Could not post to streaming port:', error);
+    }
+  };
+
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    abortController.abort();
+  });
+
+  port.onMessage.addListener(async (request) => {
+    await initialization;
+    const invalid = validateMessage(request, [ACTIONS.STREAM_TRANSLATION]);
+    if (invalid) {
+      console.warn('Rejected streaming port message:', invalid.error);
+      post({ type: PORT_MESSAGE_TYPES.DONE, ...errorResponse(invalid.code, invalid.error) });
+      return;
+    }
+    console.log('Streaming translation request:', request);
+
+    const sourceLang = request.sourceLang || 'auto';
+    const style = request.style || config.defaultTranslationStyle || 'natural';
+
+    try {
+      // Repeated selections are served from the cache without streaming
+      const result = withTranslationErrorCode(await translateWithCache(
+        request.text, sourceLang, request.targetLang, style, request.context, {
+          onChunk: (partialTranslation) => post({ type: PORT_MESSAGE_TYPES.CHUNK, translation: partialTranslation }),
+          signal: abortController.signal
+        }));
+
+      console.log('Streaming translation result:', result);
+      post({ type: PORT_MESSAGE_TYPES.DONE, ...result });
+      await recordTranslation({
+        text: request.text,
+        sourceLang: sourceLang,
+        targetLang: request.targetLang,
+        style: style,
+        backend: result.backend,
+        pageUrl: port.sender?.tab?.url
+      }, result);
+    } catch (error) {
+      console.error('Streaming translation error:', error);
+      post({ type: PORT_MESSAGE_TYPES.DONE, ...errorResponse(ERROR_CODES.TRANSLATION_FAILED, `Translation failed: ${error.message}`) });
+    }
+  });
+}
+
+// Handle translation requests (a single text from a selection, or a batch of texts from page translation)
+async function handleTranslateRequest(request, sendResponse, sender) {
+  console.log('Translation request:', request);
   
   try {
-    // Call the active backend's translate method
-    const result = await activeBackendModule.translate(
-      request.text,
-      request.sourceLang || 'auto',
-      request.targetLang,
-      request.style || config.defaultTranslationStyle || 'natural'
-    );
+    const sourceLang = request.sourceLang || 'auto';
+    const style = request.style || config.defaultTranslationStyle || 'natural';
     
+    // A batch of texts (full-page translation). Translate one after the other so a
+    // local model isn't flooded; each text is still routed (and fails over) on its own.
+    if (Array.isArray(request.texts)) {
+      const translations = [];
+      for (const text of request.texts) {
+        try {
+          translations.push(withTranslationErrorCode(await translateWithCache(text, sourceLang, request.targetLang, style)));
+        } catch (error) {
+          console.error('Batch translation error:', error);
+          translations.push(errorResponse(ERROR_CODES.TRANSLATION_FAILED, `Translation failed: ${error.message}`));
+        }
+      }
+      console.log(`Batch translation finished: ${translations.filter(t => t.success).length}/${translations.length} succeeded`);
+      sendResponse({ success: true, translations: translations });
+      return;
+    }
+    
+    const result = withTranslationErrorCode(
+      await translateWithCache(request.text, sourceLang, request.targetLang, style, request.context));
     console.log('Translation result:', result);
     sendResponse(result);
+    
+    // Only single (selection) translations go into the history, not every text node of a page
+    recordTranslation({
+      text: request.text,
+      sourceLang: sourceLang,
+      targetLang: request.targetLang,
+      style: style,
+      backend: result.backend,
+      pageUrl: sender?.tab?.url
+    }, result);
   } catch (error) {
     console.error('Translation error:', error);
+    sendResponse(errorResponse(ERROR_CODES.TRANSLATION_FAILED, `Translation failed: ${error.message}`));
+  }
+}
+
+// Backends report failures as { success: false, error }; give them the protocol's error code
+function withTranslationErrorCode(result) {
+  return result && !result.success && !result.code ? { ...result, code: ERROR_CODES.TRANSLATION_FAILED } : result;
+}
+
+// --- Backend Routing ---
+
+// The backends to try for a pair, in order (see backend-router.js), without names that aren't registered
+function getRoutedBackends(sourceLang, targetLang) {
+  return getBackendChain(sourceLang, targetLang).filter(backendName => {
+    if (backendModules[backendName]) return true;
+    console.warn(`Routing: backend "${backendName}" is not registered`);
+    return false;
+  });
+}
+
+// The source language to route an auto-detected request by. Only detected when a routing rule depends on
+// it; chrome.i18n decides when it's sure of the text or the passage around it, else the page's declared
+// language, else 'auto' (which only matches rules for any source language). The backends still get
+// 'auto' and detect the language their own way.
+async function getRoutingSourceLanguage(text, sourceLang, context) {
+  if ((sourceLang && sourceLang !== 'auto') || !isRoutingBySourceLanguage()) {
+    return sourceLang;
+  }
+  for (const candidate of [text, context?.text].filter(Boolean)) {
+    try {
+      const result = await chrome.i18n.detectLanguage(candidate);
+      const top = [...(result?.languages || [])].sort((a, b) => b.percentage - a.percentage)[0];
+      if (result?.isReliable && top && top.language !== 'und') {
+        return top.language.split('-')[0];
+      }
+    } catch (error) {
+      console.warn('Routing: language detection failed:', error);
+    }
+  }
+  return context?.pageLanguage?.split('-')[0] || 'auto';
+}
+
+// Backends other than the active one are initialized the first time routing uses them
+async function prepareBackend(backendName) {
+  const backendModule = backendModules[backendName];
+  if (backendModule === activeBackendModule || initializedBackends.has(backendName) || !backendModule.initialize) {
+    return;
+  }
+  await backendModule.initialize(config);
+  initializedBackends.add(backendName);
+}
+
+// Display name of a backend, e.g. for the translation popup
+function getBackendLabel(backendName) {
+  return backendModules[backendName]?.manifest.name || backendName;
+}
+
+// Translate with the backends of a chain in order, moving on to the next one when a backend fails
+// (returns success: false or throws) and skipping backends whose circuit is open. The result names
+// the backend that produced it (backend, backendLabel) and the ones that failed before it (failedBackends).
+async function translateWithRouting(chain, text, sourceLang, targetLang, style, glossaryEntries, context, stream) {
+  const failedBackends = [];
+  for (const backendName of chain) {
+    const label = getBackendLabel(backendName);
+    if (!isBackendAvailable(backendName)) {
+      console.log(`Routing: skipping ${backendName} after repeated failures`);
+      failedBackends.push({ backend: backendName, label: label, error: 'Skipped after repeated failures', skipped: true });
+      continue;
+    }
+
+    const backendModule = backendModules[backendName];
+    let result;
+    try {
+      await prepareBackend(backendName);
+      const glossary = applyGlossary(backendModule, text, glossaryEntries);
+      const promptVariables = getPromptVariables(context, glossary);
+      if (stream && backendModule.translateStream) {
+        result = await backendModule.translateStream(
+          glossary.text,
+          sourceLang,
+          targetLang,
+          style,
+          (partialTranslation) => stream.onChunk(glossary.restore(partialTranslation)),
+          stream.signal,
+          promptVariables
+        );
+      } else {
+        // Backend can't stream (or this isn't a streaming request), deliver the whole translation at once
+        result = await backendModule.translate(glossary.text, sourceLang, targetLang, style, promptVariables);
+      }
+      result = glossary.finish(result);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const routed = { ...result, backend: backendName, backendLabel: label, failedBackends: failedBackends };
+    // Stopped by the user: not the backend's fault, and no reason to try the next one
+    if (result?.aborted || stream?.signal?.aborted) {
+      return routed;
+    }
+    if (result?.success) {
+      recordBackendSuccess(backendName);
+      if (failedBackends.length > 0) {
+        console.log(`Routing: translated by ${backendName} after ${failedBackends.map(f => f.backend).join(', ')} failed`);
+      }
+      return routed;
+    }
+    recordBackendFailure(backendName, result?.error);
+    console.warn(`Routing: ${backendName} failed:`, result?.error);
+    failedBackends.push({ backend: backendName, label: label, error: result?.error || 'Translation failed' });
+  }
+
+  return {
+    success: false,
+    error: failedBackends.length === 1
+      ? failedBackends[0].error
+      : `All backends failed. ${failedBackends.map(f => `${f.label}: ${f.error}`).join('; ')}`,
+    backend: null,
+    failedBackends: failedBackends
+  };
+}
+
+// --- Translation Cache Helpers ---
+
+// Build the cache key parameters for a request to a backend. The model is resolved by the backend when it
+// can tell us (Ollama picks it per language pair), so changing the pair's model misses the cache.
+// extras holds the glossary signature and the context text sent with the selection, which change the
+// translation too: editing the glossary or translating the same word in another sentence misses the cache.
+// So do the model's generation settings (Ollama options and system prompt) where the backend reports them.
+// promptVariables are the ones the translate call gets, so the model is resolved the way it will be.
+async function getCacheParams(backendName, text, sourceLang, targetLang, style, extras = {}, promptVariables = {}) {
+  const backendModule = backendModules[backendName];
+  let model = null;
+  let generation = null;
+  if (backendModule.resolveModel) {
+    try {
+      await prepareBackend(backendName);
+      model = await backendModule.resolveModel(text, sourceLang, targetLang, promptVariables);
+      generation = model && backendModule.describeGeneration ? backendModule.describeGeneration(model, style) : null;
+    } catch (error) {
+      console.warn('Could not resolve model for cache key:', error);
+    }
+  }
+  return {
+    text, sourceLang, targetLang, style, backend: backendName, model,
+    glossary: extras.glossary || null,
+    context: extras.context || null,
+    generation: generation
+  };
+}
+
+// Look up a cached response (null on a miss or when the cache is disabled)
+async function lookupCache(cacheParams) {
+  if (!isCacheEnabled()) return null;
+  const cached = await getCachedTranslation(buildCacheKey(cacheParams));
+  return cached ? { ...cached, fromCache: true } : null;
+}
+
+// Cache a successful result. Fallback results aren't cached so the preferred model is retried next time.
+async function storeInCache(cacheParams, result) {
+  if (!isCacheEnabled() || !result || !result.success || result.usedFallback || result.aborted) return;
+  await cacheTranslation(buildCacheKey(cacheParams), cacheParams, result);
+}
+
+// Translate a single text with the backends the pair is routed to, serving and filling the cache.
+// context is the optional { text, pageTitle, pageLanguage } sent with a selection, and stream the
+// optional { onChunk, signal } of a streaming request.
+async function translateWithCache(text, sourceLang, targetLang, style, context = null, stream = null) {
+  const chain = getRoutedBackends(await getRoutingSourceLanguage(text, sourceLang, context), targetLang);
+  if (chain.length === 0) {
+    return errorResponse(ERROR_CODES.NO_BACKEND, 'No translation backend is available for this language pair');
+  }
+
+  // Cached under the first backend of the chain; like fallback models, results from backends
+  // further down aren't cached, so the first one is tried again next time
+  const glossaryEntries = await loadGlossaryEntries(text, sourceLang, targetLang);
+  const glossary = applyGlossary(backendModules[chain[0]], text, glossaryEntries);
+  const cacheParams = await getCacheParams(chain[0], text, sourceLang, targetLang, style,
+    { glossary: getGlossarySignature(glossaryEntries), context: context?.text },
+    getPromptVariables(context, glossary));
+  const cached = await lookupCache(cacheParams);
+  if (cached) {
+    console.log('Translation served from cache:', cached);
+    return cached;
+  }
+  
+  const result = await translateWithRouting(chain, text, sourceLang, targetLang, style, glossaryEntries, context, stream);
+  if (result.backend === chain[0]) {
+    storeInCache(cacheParams, result); // Not awaited, the caller doesn't need to wait for the write
+  }
+  return result;
+}
+
+// Handle cache inspection/maintenance requests from advanced settings
+async function handleCacheRequest(request, sendResponse) {
+  try {
+    switch (request.action) {
+      case ACTIONS.GET_CACHE_STATS:
+        sendResponse({ success: true, stats: await getCacheStats() });
+        break;
+      case ACTIONS.EXPORT_CACHE:
+        sendResponse({ success: true, entries: await exportCache() });
+        break;
+      case ACTIONS.CLEAR_CACHE:
+        await clearCache();
+        sendResponse({ success: true });
+        break;
+    }
+  } catch (error) {
+    console.error(`Error handling ${request.action}:`, error);
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
+  }
+}
+
+// Handle history requests from the history page
+async function handleHistoryRequest(request, sendResponse) {
+  try {
+    switch (request.action) {
+      case ACTIONS.GET_HISTORY:
+        sendResponse({ success: true, ...(await queryHistory(request.filters || {})) });
+        break;
+      case ACTIONS.DELETE_HISTORY_ENTRY:
+        await deleteHistoryEntry(request.id);
+        sendResponse({ success: true });
+        break;
+      case ACTIONS.CLEAR_HISTORY:
+        await clearHistory();
+        sendResponse({ success: true });
+        break;
+    }
+  } catch (error) {
+    console.error(`Error handling ${request.action}:`, error);
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
+  }
+}
+
+// --- Ollama Model Management ---
+
+// Model discovery works whichever backend is active, so make sure the Ollama module has the current config
+function prepareOllamaBackend() {
+  if (activeBackendModule !== ollamaBackend) {
+    ollamaBackend.initialize(config);
+  }
+}
+
+async function handleOllamaModelsRequest(request, sendResponse) {
+  try {
+    prepareOllamaBackend();
+    switch (request.action) {
+      case ACTIONS.LIST_OLLAMA_MODELS:
+        sendResponse({
+          success: true,
+          installed: await ollamaBackend.listInstalledModels(),
+          configured: config.backendSettings?.ollama?.models || []
+        });
+        break;
+      case ACTIONS.SHOW_OLLAMA_MODEL:
+        sendResponse({ success: true, model: await ollamaBackend.showModel(request.modelId) });
+        break;
+      case ACTIONS.ADD_OLLAMA_MODEL:
+        sendResponse({ success: true, model: await addOllamaModel(request.modelId) });
+        break;
+    }
+  } catch (error) {
+    console.error(`Error handling ${request.action}:`, error);
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
+  }
+}
+
+// Add an installed model to the configured models, using the same endpoint as the existing ones
+async function addOllamaModel(modelId) {
+  const ollamaSettings = config.backendSettings.ollama;
+  ollamaSettings.models = ollamaSettings.models || [];
+  const existing = ollamaSettings.models.find(model => model.id === modelId);
+  if (existing) {
+    return existing;
+  }
+
+  const endpoint = ollamaSettings.models[0]?.endpoint || 'http://localhost:11434/api/generate';
+  const model = { id: modelId, name: modelId, endpoint: endpoint, default: ollamaSettings.models.length === 0 };
+  ollamaSettings.models.push(model);
+  console.log('Added Ollama model to config:', model);
+
+  await persistConfig();
+  ollamaBackend.initialize(config);
+  return model;
+}
+
+// Download a model over a port so advanced settings can show progress.
+// Settings page -> background: { action: ACTIONS.PULL_MODEL, modelId }
+// Background -> settings page: { type: 'progress', status, completed, total }, then { type: 'done', success, error }.
+// Disconnecting the port cancels the download request.
+function handleModelPull(port) {
+  const abortController = new AbortController();
+  let disconnected = false;
+
+  const post = (message) => {
+    if (disconnected) return;
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      console.warn('Could not post to pull port:', error);
+    }
+  };
+
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    abortController.abort();
+  });
+
+  port.onMessage.addListener(async (request) => {
+    await initialization;
+    const invalid = validateMessage(request, [ACTIONS.PULL_MODEL]);
+    if (invalid) {
+      post({ type: PORT_MESSAGE_TYPES.DONE, ...errorResponse(invalid.code, invalid.error) });
+      return;
+    }
+    try {
+      prepareOllamaBackend();
+      await ollamaBackend.pullModel(request.modelId, progress => post({ type: PORT_MESSAGE_TYPES.PROGRESS, ...progress }), abortController.signal);
+      post({ type: PORT_MESSAGE_TYPES.DONE, success: true });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error(`Pull of ${request.modelId} failed:`, error);
+      }
+      post({ type: PORT_MESSAGE_TYPES.DONE, ...errorResponse(ERROR_CODES.REQUEST_FAILED, error.message) });
+    }
+  });
+}
+
+// --- Prompt Templates ---
+
+// Try an unsaved prompt template from the template editor
+async function handlePromptTemplatePreview(request, sendResponse) {
+  try {
+    prepareOllamaBackend();
+    const result = await ollamaBackend.previewPromptTemplate(
+      request.template, request.modelId, request.text, request.sourceLang, request.targetLang, request.variables, request.style);
+    sendResponse(withTranslationErrorCode(result));
+  } catch (error) {
+    console.error('Error previewing prompt template:', error);
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
+  }
+}
+
+// Reject configs with a prompt template that can't work (e.g. one without {text}), in a model's
+// promptTemplates or in the style registry
+function findInvalidPromptTemplate(newConfig) {
+  for (const model of newConfig.backendSettings?.ollama?.models || []) {
+    for (const [style, template] of Object.entries(model.promptTemplates || {})) {
+      const validation = ollamaBackend.validatePromptTemplate(template);
+      if (!validation.valid) {
+        return `${model.name || model.id} (${style}): ${validation.errors.join(' ')}`;
+      }
+    }
+  }
+  for (const style of newConfig.styles || []) {
+    for (const [modelId, template] of Object.entries(style.templates || {})) {
+      const validation = ollamaBackend.validatePromptTemplate(template);
+      if (!validation.valid) {
+        return `style ${style.label || style.id} (${modelId === 'default' ? 'all models' : modelId}): ${validation.errors.join(' ')}`;
+      }
+    }
+  }
+  return null;
+}
+
+// --- Selection Context ---
+
+// Prompt variables for the context the content script sends with a selection when context-aware
+// translation is on: { text (surrounding sentence or paragraph), pageTitle, pageLanguage }
+function getContextVariables(context) {
+  if (!context) return {};
+  return {
+    context: context.text || '',
+    pageTitle: context.pageTitle || '',
+    pageLanguage: context.pageLanguage || ''
+  };
+}
+
+// The prompt variables a backend's translate() is given: the selection context and the glossary terms
+function getPromptVariables(context, glossary) {
+  return { ...getContextVariables(context), ...glossary.promptVariables };
+}
+
+// --- Learner Mode ---
+
+// Word-by-word breakdown with readings for the content popup's learner view. It is produced by
+// Ollama whichever backend is active, as it needs a model that can follow a structured prompt.
+async function handleLearnerRequest(request, sendResponse) {
+  try {
+    prepareOllamaBackend();
+    const result = await ollamaBackend.analyzeForLearner(
+      request.text, request.sourceLang, request.targetLang, getContextVariables(request.context));
+    sendResponse(withTranslationErrorCode(result));
+  } catch (error) {
+    console.error('Error building the learner view:', error);
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
+  }
+}
+
+// --- Glossary ---
+
+// The glossary entries that occur in a text (none when the glossary can't be read)
+async function loadGlossaryEntries(text, sourceLang, targetLang) {
+  try {
+    return await findGlossaryMatches(text, sourceLang, targetLang);
+  } catch (error) {
+    console.warn('Could not read the glossary, translating without it:', error);
+    return [];
+  }
+}
+
+// Signature of the entries that applied to a text, for the cache key
+function getGlossarySignature(entries) {
+  return entries.length > 0 ? entries.map(entry => `${entry.term}=${entry.translation}`).join('|') : null;
+}
+
+// Apply the glossary entries from loadGlossaryEntries() to a request to a backend. Returns the text
+// and prompt variables to send to the backend, restore(translation) to swap placeholders back (also
+// for streamed chunks), and finish(result) which restores them and adds glossaryViolations for
+// entries the translation didn't follow.
+function applyGlossary(backendModule, text, entries) {
+  if (entries.length === 0) {
+    return { text: text, promptVariables: {}, restore: translation => translation, finish: result => result };
+  }
+
+  // Backends that are sent a prompt can be told about glossary terms; the others get placeholders
+  const takesPrompts = backendModule.manifest.capabilities.prompts === true;
+  const { text: sentText, replacements } = takesPrompts ? { text: text, replacements: [] } : protectGlossaryTerms(text, entries);
+  const restore = translation => restoreGlossaryTerms(translation, replacements);
+  console.log(`Applying ${entries.length} glossary entries (${takesPrompts ? 'prompt' : 'placeholders'})`);
+
+  return {
+    text: sentText,
+    promptVariables: takesPrompts ? { glossary: formatGlossaryForPrompt(entries) } : {},
+    restore: restore,
+    finish: (result) => {
+      if (!result || !result.success) return result;
+      const translation = restore(result.translation);
+      const violations = checkGlossaryViolations(translation, entries);
+      if (violations.length > 0) {
+        console.warn('Translation did not follow the glossary:', violations);
+      }
+      return { ...result, translation: translation, glossaryViolations: violations };
+    }
+  };
+}
+
+// Handle glossary CRUD and import requests from advanced settings
+async function handleGlossaryRequest(request, sendResponse) {
+  try {
+    switch (request.action) {
+      case ACTIONS.GET_GLOSSARY:
+        sendResponse({ success: true, entries: await getGlossary() });
+        break;
+      case ACTIONS.SAVE_GLOSSARY_ENTRY:
+        sendResponse({ success: true, entry: await saveGlossaryEntry(request.entry) });
+        break;
+      case ACTIONS.DELETE_GLOSSARY_ENTRY:
+        await deleteGlossaryEntry(request.id);
+        sendResponse({ success: true });
+        break;
+      case ACTIONS.IMPORT_GLOSSARY:
+        sendResponse({ success: true, ...(await importGlossary(request.entries || [])) });
+        break;
+    }
+  } catch (error) {
+    console.error(`Error handling ${request.action}:`, error);
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
+  }
+}
+
+// --- Compare Mode ---
+
+// The candidates compare mode runs: the configured list, or every Ollama model when none are chosen
+function getCompareCandidates() {
+  const configured = config.compare?.candidates || [];
+  if (configured.length > 0) {
+    return configured;
+  }
+  return (config.backendSettings?.ollama?.models || []).map(model => ({ backend: 'ollama', model: model.id }));
+}
+
+// Display name of a compare candidate (the model name for backends with models, the backend name otherwise)
+function getCandidateLabel(candidate) {
+  if (candidate.model) {
+    const model = config.backendSettings?.[candidate.backend]?.models?.find(m => m.id === candidate.model);
+    return model?.name || candidate.model;
+  }
+  return getBackendLabel(candidate.backend);
+}
+
+// Translate with one candidate and time it
+async function runCompareCandidate(candidate, text, sourceLang, targetLang, style, context) {
+  const backendModule = backendModules[candidate.backend];
+  const startedAt = performance.now();
+  let result;
+  try {
+    if (!backendModule) {
+      throw new Error(`Backend "${candidate.backend}" is not registered`);
+    }
+    const glossary = applyGlossary(backendModule, text, await loadGlossaryEntries(text, sourceLang, targetLang));
+    const promptVariables = getPromptVariables(context, glossary);
+    if (candidate.model && backendModule.translateWithModel) {
+      result = await backendModule.translateWithModel(glossary.text, sourceLang, targetLang, style, candidate.model, promptVariables);
+    } else {
+      result = await backendModule.translate(glossary.text, sourceLang, targetLang, style, promptVariables);
+    }
+    result = glossary.finish(result);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  return {
+    ...result,
+    backend: candidate.backend,
+    model: candidate.model || null,
+    label: getCandidateLabel(candidate),
+    latencyMs: Math.round(performance.now() - startedAt)
+  };
+}
+
+// Run the text through every compare candidate in parallel.
+// Responds with { success, results: [{ backend, model, label, latencyMs, ...translation result }], detectedSourceLang }
+async function handleCompareRequest(request, sendResponse) {
+  try {
+    const candidates = getCompareCandidates();
+    if (candidates.length === 0) {
+      sendResponse(errorResponse(ERROR_CODES.NOT_AVAILABLE, 'No models are configured for compare mode'));
+      return;
+    }
+    const sourceLang = request.sourceLang || 'auto';
+    const style = request.style || config.defaultTranslationStyle || 'natural';
+
+    // Backends other than the active one are only initialized when loaded, so do it before timing them
+    const inactiveModules = [...new Set(candidates.map(candidate => backendModules[candidate.backend]))]
+      .filter(module => module && module !== activeBackendModule && module.initialize);
+    await Promise.all(inactiveModules.map(module =>
+      Promise.resolve(module.initialize(config)).catch(error => console.warn('Could not initialize backend for compare mode:', error))
+    ));
+
+    console.log(`Comparing ${candidates.length} candidates for: ${request.text}`);
+    const results = await Promise.all(candidates.map(candidate =>
+      runCompareCandidate(candidate, request.text, sourceLang, request.targetLang, style, request.context)
+    ));
+
     sendResponse({
-      success: false,
-      error: `Translation failed: ${error.message}`
+      success: true,
+      results: results,
+      detectedSourceLang: results.find(result => result.detectedSourceLang)?.detectedSourceLang || null
     });
+  } catch (error) {
+    console.error('Compare error:', error);
+    sendResponse(errorResponse(ERROR_CODES.TRANSLATION_FAILED, `Compare failed: ${error.message}`));
+  }
+}
+
+// A vote for the best compare result makes that model the preferred model of the language pair
+async function handleCompareVote(request, sendResponse) {
+  try {
+    const { backend, model, sourceLang, targetLang } = request;
+    const backendModule = backendModules[backend];
+    if (!backendModule?.manifest.capabilities.models || !model) {
+      throw new Error('Only models of a backend with several models can be made the preferred model of a language pair');
+    }
+    if (!sourceLang || sourceLang === 'auto' || !targetLang) {
+      throw new Error('The source language of this text is unknown');
+    }
+
+    const backendSettings = config.backendSettings[backend];
+    backendSettings.languagePairs = backendSettings.languagePairs || [];
+    let pair = backendSettings.languagePairs.find(p => p.source === sourceLang && p.target === targetLang);
+    if (pair) {
+      pair.preferredModel = model;
+    } else {
+      pair = { source: sourceLang, target: targetLang, preferredModel: model };
+      backendSettings.languagePairs.push(pair);
+    }
+    console.log(`Compare vote: ${backend} model ${model} is now preferred for ${sourceLang} -> ${targetLang}`);
+
+    await persistConfig();
+    if (activeBackendModule === backendModule) {
+      await backendModule.initialize(config);
+    }
+    initializedBackends.delete(backend); // Routing initializes it again with the new preferred model
+    sendResponse({ success: true, pair: pair });
+  } catch (error) {
+    console.error('Error recording compare vote:', error);
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
+  }
+}
+
+// Handle vocabulary deck requests from the content popup and the deck page
+async function handleDeckRequest(request, sendResponse) {
+  try {
+    switch (request.action) {
+      case ACTIONS.SAVE_TO_DECK:
+        sendResponse({ success: true, ...(await addCard(request.card)) });
+        break;
+      case ACTIONS.GET_DECK:
+        sendResponse({ success: true, ...(await getDeck()) });
+        break;
+      case ACTIONS.GET_DUE_CARDS:
+        sendResponse({ success: true, cards: await getDueCards(request.limit) });
+        break;
+      case ACTIONS.REVIEW_CARD:
+        sendResponse({ success: true, card: await reviewCard(request.id, request.quality) });
+        break;
+      case ACTIONS.DELETE_CARD:
+        await deleteCard(request.id);
+        sendResponse({ success: true });
+        break;
+    }
+  } catch (error) {
+    console.error(`Error handling ${request.action}:`, error);
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
   }
 }
 
@@ -394,7 +1379,7 @@ async function handleTranslateRequest(request, sendResponse) {
 async function handleStatusCheck(sendResponse) {
   if (!activeBackendModule) {
     sendResponse({
-      success: false,
+      ...errorResponse(ERROR_CODES.NO_BACKEND, 'No active translation backend available'),
       status: 'error',
       message: 'No active translation backend available'
     });
@@ -411,7 +1396,7 @@ async function handleStatusCheck(sendResponse) {
   } catch (error) {
     console.error('Status check error:', error);
     sendResponse({
-      success: false,
+      ...errorResponse(ERROR_CODES.REQUEST_FAILED, `Status check failed: ${error.message}`),
       status: 'error',
       message: `Status check failed: ${error.message}`
     });
@@ -422,8 +1407,17 @@ async function handleStatusCheck(sendResponse) {
 async function handleModelStatusCheck(request, sendResponse) {
   const modelId = request.modelId;
   
-  if (!activeBackendModule || !activeBackendModule.checkModelStatus) {
+  if (!activeBackendModule) {
     sendResponse({
+      ...errorResponse(ERROR_CODES.NO_BACKEND, 'No active translation backend available'),
+      status: 'error',
+      message: 'No active translation backend available'
+    });
+    return;
+  }
+  if (!activeBackendModule.checkModelStatus) {
+    sendResponse({
+      ...errorResponse(ERROR_CODES.NOT_AVAILABLE, 'Active backend does not support model status checks'),
       status: 'error',
       message: 'Active backend does not support model status checks'
     });
@@ -433,12 +1427,16 @@ async function handleModelStatusCheck(request, sendResponse) {
   try {
     // Call the active backend's checkModelStatus method
     const status = await activeBackendModule.checkModelStatus(modelId);
-    sendResponse(status);
+    sendResponse({
+      success: true,
+      ...status
+    });
   } catch (error) {
     console.error(`Error checking model status for ${modelId}:`, error);
     sendResponse({
+      ...errorResponse(ERROR_CODES.REQUEST_FAILED, `Model status check failed: ${error.message}`),
       status: 'error',
-      message: error.message
+      message: `Model status check failed: ${error.message}`
     });
   }
 }
@@ -446,12 +1444,18 @@ async function handleModelStatusCheck(request, sendResponse) {
 // Handle config update
 async function handleConfigUpdate(request, sendResponse) {
   try {
+    const invalidTemplate = findInvalidPromptTemplate(request.config);
+    if (invalidTemplate) {
+      sendResponse(errorResponse(ERROR_CODES.INVALID_MESSAGE, `Invalid prompt template for ${invalidTemplate}`));
+      return;
+    }
+    
     // Update the global config
     const oldBackend = config.activeBackend;
     config = request.config;
     
-    // Save to storage for persistence
-    await chrome.storage.local.set({ config: config });
+    // Save the changed fields to storage for persistence
+    await persistConfig();
     
     // Check if the backend has changed
     if (oldBackend !== config.activeBackend) {
@@ -461,16 +1465,13 @@ async function handleConfigUpdate(request, sendResponse) {
       // Re-initialize the active backend with the new config
       await activeBackendModule.initialize(config);
     }
+    initializedBackends = new Set();
     
     // Rebuild the supported languages list
-    supportedLanguagesList = [...(config.supportedLanguages || [])];
-    if (config.disabledLanguages) {
-      config.disabledLanguages.forEach(lang => {
-        if (!supportedLanguagesList.some(l => l.code === lang.code)) {
-          supportedLanguagesList.push({...lang, enabled: false });
-        }
-      });
-    }
+    rebuildSupportedLanguagesList();
+    configureCache(config);
+    configureHistory(config);
+    configureRouting(config);
     
     // Rebuild context menu with updated languages
     setupContextMenu();
@@ -478,14 +1479,15 @@ async function handleConfigUpdate(request, sendResponse) {
     sendResponse({ success: true });
   } catch (error) {
     console.error('Error updating config:', error);
-    sendResponse({ success: false, error: error.message });
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
   }
 }
 
 // Handle config reset
 async function handleConfigReset(sendResponse) {
   try {
-    // Reset to default config
+    // Drop the user's overrides and reload the bundled config
+    await clearConfigOverrides();
     await loadAndProcessConfig();
     
     // Re-initialize the active backend
@@ -497,7 +1499,7 @@ async function handleConfigReset(sendResponse) {
     sendResponse({ success: true });
   } catch (error) {
     console.error('Error resetting config:', error);
-    sendResponse({ success: false, error: error.message });
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
   }
 }
 
@@ -512,9 +1514,10 @@ async function handleBackendSwitch(request, sendResponse) {
     
     // Update config with new backend
     config.activeBackend = newBackend;
+    configureRouting(config);
     
     // Save to storage
-    await chrome.storage.local.set({ config: config });
+    await persistConfig();
     
     // Load the new backend
     await loadActiveBackend();
@@ -525,12 +1528,19 @@ async function handleBackendSwitch(request, sendResponse) {
     });
   } catch (error) {
     console.error('Error switching backend:', error);
-    sendResponse({ 
-      success: false, 
-      error: error.message 
-    });
+    sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
   }
 }
 
 // --- Start Initialization ---
-initialize(); 
\ No newline at end of file
+const initialization = initialize();
+
+// Listeners are added synchronously at startup, not after initialize()'s awaits: Chrome only delivers
+// the event that woke the service worker (a shortcut, a port, a message) to listeners that exist by
+// then. The handlers wait for initialization themselves.
+chrome.runtime.onInstalled.addListener(onInstalledListener);
+chrome.contextMenus.onClicked.addListener(onContextMenuClicked);
+chrome.runtime.onMessage.addListener(onMessageReceived);
+chrome.runtime.onConnect.addListener(onPortConnected);
+chrome.commands.onCommand.addListener(onCommandReceived);
+console.log('Event listeners set up.'); 
\ No newline at end of file
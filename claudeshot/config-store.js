@@ -0,0 +1,278 @@
+/**
+ * config-store.js - Layered configuration storage for Instant Translator
+ *
+ * The effective configuration is built from two layers:
+ * 1. Bundled defaults (config.json, merged over the hard-coded defaults in background.js)
+ * 2. The user's overrides, persisted in chrome.storage.local
+ *
+ * Only the fields the user actually changed are persisted, so shipping a new config.json
+ * (new models, new language pairs, new defaults) doesn't wipe user customisations.
+ * Deleted bundled fields and array items are persisted as removal markers ({ $removed: true },
+ * plus the item's identity fields inside arrays), so they stay deleted.
+ * Stored overrides carry the schema version they were written with and are migrated
+ * forward when the bundled schema version increases.
+ */
+
+// Storage keys used in chrome.storage.local
+const OVERRIDES_KEY = 'configOverrides';
+const SCHEMA_VERSION_KEY = 'configSchemaVersion';
+const LEGACY_CONFIG_KEY = 'config'; // Full config copy written by versions before schema 1
+
+// Fields that identify an item inside a config array, tried in order.
+// Arrays of identifiable items are merged item by item instead of being replaced.
+const ARRAY_ITEM_KEYS = [
+  ['id'],
+  ['code'],
+  ['source', 'target'],
+  ['pattern']
+];
+
+// Fields that always come from the bundled config and are never stored as overrides
+const UNSTORED_FIELDS = ['schemaVersion'];
+
+// Marks a bundled field or array item the user deleted
+const REMOVED_FIELD = '$removed';
+
+/**
+ * Migrations for stored overrides, keyed by the schema version they upgrade TO.
+ * Each migration receives the overrides at the previous version plus the bundled
+ * base config, and returns the overrides at its version.
+ */
+const migrations = {
+  // 0 -> 1: older versions stored the whole config object, reduce it to the user's changes
+  1: (legacyConfig, baseConfig) => diffConfig(baseConfig, legacyConfig)
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns the identity fields of an array item, e.g. ['source', 'target'] for a language pair
+function getItemKeyFields(item) {
+  if (!isPlainObject(item)) return undefined;
+  return ARRAY_ITEM_KEYS.find(fields => fields.every(field => item[field] !== undefined && item[field] !== null));
+}
+
+function getItemKey(item) {
+  const fields = getItemKeyFields(item);
+  return fields ? fields.map(field => String(item[field])).join('->') : undefined;
+}
+
+function isKeyedArray(array) {
+  return Array.isArray(array) && array.length > 0 && array.every(item => getItemKey(item) !== undefined);
+}
+
+function isRemoved(value) {
+  return isPlainObject(value) && value[REMOVED_FIELD] === true;
+}
+
+// A removal marker for a deleted array item, which keeps the item's identity fields
+function removedItem(item) {
+  const marker = {};
+  getItemKeyFields(item).forEach(field => { marker[field] = item[field]; });
+  marker[REMOVED_FIELD] = true;
+  return marker;
+}
+
+// Drop removal markers that no longer match anything in the base config
+function withoutRemoved(value) {
+  return Array.isArray(value) ? value.filter(item => !isRemoved(item)) : value;
+}
+
+// Merge two keyed arrays: override items are merged over the base item with the same key,
+// base items the user never touched (e.g. newly shipped models) are appended, and base items
+// the user deleted are left out.
+function mergeKeyedArrays(baseArray, overrideArray) {
+  const baseByKey = new Map(baseArray.map(item => [getItemKey(item), item]));
+  const overrideKeys = new Set();
+
+  const merged = overrideArray.map(item => {
+    const key = getItemKey(item);
+    overrideKeys.add(key);
+    if (isRemoved(item)) return undefined;
+    return baseByKey.has(key) ? mergeConfig(baseByKey.get(key), item) : item;
+  }).filter(item => item !== undefined);
+
+  baseArray.forEach(item => {
+    if (!overrideKeys.has(getItemKey(item))) {
+      merged.push(item);
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Deep-merges user overrides over a base config, field by field.
+ *
+ * @param {Object} base The base (bundled) configuration
+ * @param {Object} overrides The user's overrides
+ * @returns {Object} A new merged configuration object
+ */
+export function mergeConfig(base, overrides) {
+  if (overrides === undefined) return structuredClone(base);
+  if (!isPlainObject(base) || !isPlainObject(overrides)) {
+    if (Array.isArray(base) && Array.isArray(overrides) && isKeyedArray(base) && isKeyedArray(overrides)) {
+      return mergeKeyedArrays(structuredClone(base), structuredClone(overrides));
+    }
+    return withoutRemoved(structuredClone(overrides));
+  }
+
+  const merged = structuredClone(base);
+  Object.keys(overrides).forEach(key => {
+    if (isRemoved(overrides[key])) {
+      delete merged[key];
+    } else {
+      merged[key] = key in base ? mergeConfig(base[key], overrides[key]) : withoutRemoved(structuredClone(overrides[key]));
+    }
+  });
+  return merged;
+}
+
+// Diff two keyed arrays. Every item of the new array is kept (to preserve order),
+// but reduced to its identity fields plus the fields that differ from the base item.
+// Base items missing from the new array are added as removal markers.
+function diffKeyedArrays(baseArray, array) {
+  const baseByKey = new Map(baseArray.map(item => [getItemKey(item), item]));
+  const keys = new Set(array.map(getItemKey));
+  const sameOrder = array.length === baseArray.length && array.every((item, i) => getItemKey(item) === getItemKey(baseArray[i]));
+  let changed = !sameOrder;
+
+  const diff = array.map(item => {
+    const baseItem = baseByKey.get(getItemKey(item));
+    if (!baseItem) {
+      changed = true;
+      return structuredClone(item);
+    }
+    const itemDiff = diffConfig(baseItem, item);
+    if (itemDiff !== undefined) {
+      changed = true;
+    }
+    const reduced = {};
+    getItemKeyFields(item).forEach(field => { reduced[field] = item[field]; });
+    return { ...reduced, ...itemDiff };
+  });
+
+  baseArray.forEach(item => {
+    if (!keys.has(getItemKey(item))) {
+      changed = true;
+      diff.push(removedItem(item));
+    }
+  });
+
+  return changed ? diff : undefined;
+}
+
+/**
+ * Computes the overrides needed to turn a base config into the given config.
+ * Unchanged fields are omitted; items of identifiable arrays only keep their changed fields.
+ * Deleted fields and array items become removal markers.
+ *
+ * @param {Object} base The base (bundled) configuration
+ * @param {Object} config The full configuration edited by the user
+ * @returns {Object|undefined} The overrides, or undefined if nothing differs
+ */
+export function diffConfig(base, config) {
+  if (isPlainObject(base) && isPlainObject(config)) {
+    const diff = {};
+    Object.keys(config).forEach(key => {
+      if (UNSTORED_FIELDS.includes(key)) return;
+      const fieldDiff = diffConfig(base[key], config[key]);
+      if (fieldDiff !== undefined) {
+        diff[key] = fieldDiff;
+      }
+    });
+    Object.keys(base).forEach(key => {
+      if (!(key in config) && !UNSTORED_FIELDS.includes(key)) {
+        diff[key] = { [REMOVED_FIELD]: true };
+      }
+    });
+    return Object.keys(diff).length > 0 ? diff : undefined;
+  }
+
+  if (isKeyedArray(base) && isKeyedArray(config)) {
+    return diffKeyedArrays(base, config);
+  }
+
+  return JSON.stringify(base) === JSON.stringify(config) ? undefined : structuredClone(config);
+}
+
+// Run every migration between the stored and the current schema version
+function migrateOverrides(overrides, fromVersion, toVersion, baseConfig) {
+  let migrated = overrides;
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    if (migrations[version]) {
+      console.log(`Migrating stored config overrides to schema version ${version}`);
+      migrated = migrations[version](migrated, baseConfig) || {};
+    }
+  }
+  return migrated;
+}
+
+/**
+ * Loads the user's overrides from storage, migrating them to the base config's schema version.
+ *
+ * @param {Object} baseConfig The bundled configuration (must carry schemaVersion)
+ * @returns {Promise<Object>} The user's overrides (empty object if none)
+ */
+export async function loadConfigOverrides(baseConfig) {
+  const currentVersion = baseConfig.schemaVersion || 1;
+  const stored = await chrome.storage.local.get([OVERRIDES_KEY, SCHEMA_VERSION_KEY, LEGACY_CONFIG_KEY]);
+
+  let overrides = stored[OVERRIDES_KEY];
+  let storedVersion = stored[SCHEMA_VERSION_KEY];
+
+  // Nothing stored in the layered format yet, look for a legacy full config copy
+  if (overrides === undefined && stored[LEGACY_CONFIG_KEY]) {
+    overrides = stored[LEGACY_CONFIG_KEY];
+    storedVersion = 0;
+  }
+
+  if (overrides === undefined) {
+    return {};
+  }
+
+  storedVersion = storedVersion || 0;
+  if (storedVersion > currentVersion) {
+    // Written by a newer version of the extension, keep what we can understand
+    console.warn(`Stored config overrides have schema version ${storedVersion}, newer than ${currentVersion}. Using them as-is.`);
+    return overrides;
+  }
+
+  if (storedVersion < currentVersion) {
+    overrides = migrateOverrides(overrides, storedVersion, currentVersion, baseConfig);
+    await chrome.storage.local.set({
+      [OVERRIDES_KEY]: overrides,
+      [SCHEMA_VERSION_KEY]: currentVersion
+    });
+    await chrome.storage.local.remove(LEGACY_CONFIG_KEY);
+  }
+
+  return overrides;
+}
+
+/**
+ * Persists the difference between the base config and the user's full config.
+ *
+ * @param {Object} baseConfig The bundled configuration
+ * @param {Object} config The full configuration to persist
+ * @returns {Promise<Object>} The overrides that were stored
+ */
+export async function saveConfigOverrides(baseConfig, config) {
+  const overrides = diffConfig(baseConfig, config) || {};
+  await chrome.storage.local.set({
+    [OVERRIDES_KEY]: overrides,
+    [SCHEMA_VERSION_KEY]: baseConfig.schemaVersion || 1
+  });
+  console.log('Stored config overrides:', overrides);
+  return overrides;
+}
+
+/**
+ * Removes all stored overrides so the bundled config applies again.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearConfigOverrides() {
+  await chrome.storage.local.remove([OVERRIDES_KEY, SCHEMA_VERSION_KEY, LEGACY_CONFIG_KEY]);
+}
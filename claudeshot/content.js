@@ -7,14 +7,19 @@
  * 3. Communicating with the Ollama API to get translations
  * 4. Displaying translation results or error messages
  * 
- * The script injects a popup element into the page's DOM which appears
- * near the mouse cursor when text is selected, shows a loading indicator
- * while translating, and then displays the translated text or an error message.
+ * The script renders the popup inside a closed shadow root (styled by translation-popup.css),
+ * so page CSS can't break it and its styles can't leak into the page. The popup appears
+ * next to the selection, shows a loading indicator while translating, and then displays
+ * the translated text or an error message. It runs in every frame, so selections inside
+ * iframes get a popup in that frame.
  */
 
 // Add this at the top of your content.js file
 console.log('Content script loaded');
 
+// Message actions and error codes shared with the background (messages.js, loaded before this script)
+const { ACTIONS, CONTENT_ACTIONS, PORTS, PORT_MESSAGE_TYPES, ERROR_CODES, validateMessage, errorResponse } = MessageProtocol;
+
 // Global configuration (loaded from background)
 let config = {};
 let allLanguages = []; // Includes enabled and disabled from config
@@ -23,7 +28,18 @@ let allLanguages = []; // Includes enabled and disabled from config
 let translationPopup = null;
 let selectedText = '';
 let isTranslating = false;
-// let lastSelectionRange = null; // Keep if needed for positioning or other features
+let activeStreamPort = null; // Port of the streaming translation in progress, if any
+
+// Full-page translation state
+const PAGE_BATCH_MAX_CHARS = 2000; // Max characters sent to the background in one batch
+const PAGE_BATCH_MAX_ITEMS = 25; // Max text nodes sent to the background in one batch
+let pageTranslationState = 'original'; // 'original' | 'translating' | 'translated'
+let translatedNodes = new Map(); // Text node -> { original, translated }
+let pageObserver = null; // MutationObserver for content added after translation
+let pendingPageNodes = new Set(); // Newly inserted text nodes waiting to be translated
+let pendingPageTimer = null;
+let lastSelectionRange = null; // Range of the selection being translated, for the surrounding sentence
+let currentTranslation = null; // { text, sourceLangCode, targetLangCode, style, context, learnerMode, detectedSourceLang, notes } of the popup's translation
 
 // --- Initialization ---
 
@@ -32,7 +48,7 @@ async function loadConfigFromBackground() {
   console.log('Content script: Requesting config from background...');
   try {
     return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({ action: 'getConfig' }, response => {
+      chrome.runtime.sendMessage({ action: ACTIONS.GET_CONFIG }, response => {
         if (chrome.runtime.lastError) {
           console.error('Error getting config from background:', chrome.runtime.lastError.message);
           reject(new Error(chrome.runtime.lastError.message));
@@ -41,7 +57,7 @@ async function loadConfigFromBackground() {
         if (response && response.success && response.config && response.supportedLanguages) {
           config = response.config;
           allLanguages = response.supportedLanguages; // Get the full list
-          console.log('Content script: Configuration loaded successfully', config);
+          console.log('Content script: Configuration loaded successfully');
           resolve();
         } else {
           console.warn('Content script: Unable to load valid config from background, using defaults.', response);
@@ -64,12 +80,18 @@ async function loadConfigFromBackground() {
 // Initialize the content script
 async function initContentScript() {
   try {
+    // Fetch the popup stylesheet while the configuration loads
+    loadPopupStyles();
+
     // Load configuration first
     await loadConfigFromBackground();
     
     // Add event listeners for text selection and interaction
     document.addEventListener('mouseup', handleTextSelection);
     document.addEventListener('mousedown', handleMouseDown);
+    // Keep the popup next to its selection when the page or any scrollable container scrolls
+    window.addEventListener('scroll', schedulePopupReposition, { capture: true, passive: true });
+    window.addEventListener('resize', schedulePopupReposition);
     // Potentially add keyup listener if needed: document.addEventListener('keyup', handleTextSelection);
     
     // Listen for messages from background (e.g., context menu click)
@@ -84,26 +106,82 @@ async function initContentScript() {
 
 // --- Event Handlers ---
 
+// The style after the given one in the style registry, wrapping around, so pressing the
+// re-translate shortcut repeatedly goes through every style
+function getNextStyle(styleId) {
+  const styles = config?.styles?.length ? config.styles : [{ id: 'natural' }, { id: 'literal' }];
+  const index = styles.findIndex(style => style.id === styleId);
+  return styles[(index + 1) % styles.length];
+}
+
 // Handle messages from the background script
 function handleBackgroundMessage(request, sender, sendResponse) {
     console.log('Content script received message:', request);
-    if (request.action === 'translateSelectedText') {
+    const invalid = validateMessage(request, CONTENT_ACTIONS);
+    if (invalid) {
+        console.warn('Rejected message:', invalid.error);
+        sendResponse(errorResponse(invalid.code, invalid.error));
+        return false;
+    }
+    if (request.action === ACTIONS.TRANSLATE_SELECTED_TEXT) {
         const selection = window.getSelection();
         const text = selection.toString().trim();
         if (text) {
-            console.log('Context menu triggered translation for:', text);
+            console.log('Context menu or shortcut triggered translation for:', text);
             selectedText = text;
-            // lastSelectionRange = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
-            // Show loading immediately and trigger translation
-            showLoadingPopup(); 
-            translateText(text);
+            lastSelectionRange = selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+            // Translate (optionally into a different target language) unless the extension is off on this site
+            translateOnDemand(text, request.targetLang ? { targetLangCode: request.targetLang } : {});
             sendResponse({ success: true }); // Acknowledge message
         } else {
             console.warn('Context menu triggered but no text selected.');
-            sendResponse({ success: false, error: 'No text selected'});
+            sendResponse(errorResponse(ERROR_CODES.NOT_AVAILABLE, 'No text selected'));
+        }
+    } else if (request.action === ACTIONS.RETRANSLATE_WITH_OTHER_STYLE) {
+        if (currentTranslation) {
+            const otherStyle = getNextStyle(currentTranslation.style);
+            console.log(`Re-running the last translation with the ${otherStyle.id} style`);
+            showPageStatus(`Re-translating: ${otherStyle.label || otherStyle.id}`, true);
+            showLoadingPopup();
+            translateText(currentTranslation.text, {
+                sourceLangCode: currentTranslation.sourceLangCode,
+                targetLangCode: currentTranslation.targetLangCode,
+                style: otherStyle.id,
+                context: currentTranslation.context
+            });
+            sendResponse({ success: true, style: otherStyle.id });
+        } else if (window === window.top) {
+            // Only the top frame answers, so frames without a translation don't all show the notice
+            showPageStatus('Nothing to re-translate yet', true);
+            sendResponse(errorResponse(ERROR_CODES.NOT_AVAILABLE, 'No previous translation'));
         }
+    } else if (request.action === ACTIONS.GET_LAST_TRANSLATION) {
+        // Only the frame holding the last translation answers
+        if (currentTranslation) {
+            sendResponse({ success: true, translation: currentTranslation });
+        }
+    } else if (request.action === ACTIONS.GET_SITE_INFO) {
+        sendResponse({ success: true, origin: getPageOrigin() });
+    } else if (request.action === ACTIONS.SHOW_NOTICE) {
+        showPageStatus(request.message, true);
+        sendResponse({ success: true });
+    } else if (request.action === ACTIONS.TRANSLATE_PAGE) {
+        translatePage();
+        sendResponse({ success: true, state: pageTranslationState });
+    } else if (request.action === ACTIONS.RESTORE_PAGE) {
+        restorePage();
+        sendResponse({ success: true, state: pageTranslationState });
+    } else if (request.action === ACTIONS.TOGGLE_PAGE_TRANSLATION) {
+        if (pageTranslationState === 'original') {
+            translatePage();
+        } else {
+            restorePage();
+        }
+        sendResponse({ success: true, state: pageTranslationState });
+    } else if (request.action === ACTIONS.GET_PAGE_TRANSLATION_STATE) {
+        sendResponse({ success: true, state: pageTranslationState });
     } else {
-        sendResponse({ success: false, error: 'Unknown action' });
+        sendResponse(errorResponse(ERROR_CODES.UNKNOWN_ACTION, `Unknown action: ${request.action}`));
     }
     // Indicate async response not needed unless we add async ops here
     return false; 
@@ -121,19 +199,25 @@ async function handleTextSelection(e) {
     const newSelectedText = currentSelection.toString().trim();
 
     // Don't trigger if selection is empty or inside the popup itself
-    const popup = document.getElementById('translation-popup');
-    if (!newSelectedText || (popup && popup.contains(currentSelection.anchorNode))) {
+    if (!newSelectedText || isEventInsidePopup(e)) {
       // If selection is cleared, hide popup (unless triggered by context menu)
       // We might need more robust logic here if context menu is used
       // if (!newSelectedText) hideTranslationPopup(); 
       return;
     }
 
+    // Selecting only translates where the site rule (or the global setting) says so, and only long
+    // enough selections; otherwise the shortcut or context menu does it
+    const site = await resolveSiteSettings(getPageOrigin());
+    if (site.mode !== SITE_MODES.AUTO || newSelectedText.length < site.minSelectionLength) {
+      return;
+    }
+
     // Only trigger translation if the text is different from the last translation
     if (newSelectedText !== selectedText) {
       console.log('New text selected:', newSelectedText);
       selectedText = newSelectedText;
-      // lastSelectionRange = currentSelection.rangeCount > 0 ? currentSelection.getRangeAt(0) : null;
+      lastSelectionRange = currentSelection.rangeCount > 0 ? currentSelection.getRangeAt(0).cloneRange() : null;
 
       // Show loading indicator and initiate translation
       showLoadingPopup(); // Show loading immediately
@@ -144,15 +228,20 @@ async function handleTextSelection(e) {
 
 // Handle mouse down events to hide the popup when clicking outside
 function handleMouseDown(e) {
-  const popup = document.getElementById('translation-popup');
   // If the click is outside the popup, hide it
-  if (popup && !popup.contains(e.target)) {
+  if (translationPopup && !isEventInsidePopup(e)) {
     hideTranslationPopup();
   }
 }
 
 // --- Translation Logic ---
 
+// The origin site rules apply to: the top-level page's, also inside iframes (e.g. editor frames)
+function getPageOrigin() {
+  const ancestors = location.ancestorOrigins;
+  return getSiteOrigin(ancestors && ancestors.length > 0 ? ancestors[ancestors.length - 1] : location.href);
+}
+
 // Helper to get language code from language name using the loaded list
 function getLanguageCode(languageName) {
   if (!allLanguages || allLanguages.length === 0) {
@@ -164,8 +253,41 @@ function getLanguageCode(languageName) {
   return language ? language.code : 'auto'; // Default to auto if name not found
 }
 
-// Sends text to background script for translation
-async function translateText(text) {
+// Read the user's language choices from storage and resolve them to codes.
+// A site rule's default target language takes precedence over the global one.
+async function getLanguageSettings() {
+  const settings = await chrome.storage.sync.get(['targetLanguage', 'sourceLanguage', 'translationStyle', 'streamTranslations', 'compareMode', 'translationContext', 'learnerMode']);
+  const site = await resolveSiteSettings(getPageOrigin());
+  
+  const targetLanguageName = site.targetLanguage || settings.targetLanguage || config?.defaultTargetLanguage || 'English';
+  const sourceLanguageName = settings.sourceLanguage || config?.defaultSourceLanguage || 'Auto-detect';
+
+  return {
+    targetLangCode: getLanguageCode(targetLanguageName),
+    sourceLangCode: getLanguageCode(sourceLanguageName),
+    style: settings.translationStyle,
+    streamTranslations: settings.streamTranslations,
+    compareMode: settings.compareMode === true,
+    contextScope: settings.translationContext || 'off',
+    learnerMode: settings.learnerMode === true
+  };
+}
+
+// Translate text requested from the shortcut or context menu, unless the extension is off on this site
+async function translateOnDemand(text, overrides) {
+  const site = await resolveSiteSettings(getPageOrigin());
+  if (site.mode === SITE_MODES.OFF) {
+    console.log('Translation is turned off on this site:', site.origin);
+    showPageStatus('Instant Translator is turned off on this site', true);
+    return;
+  }
+  showLoadingPopup();
+  translateText(text, overrides);
+}
+
+// Sends text to background script for translation.
+// overrides ({ sourceLangCode, targetLangCode, style, context }) replace the stored settings for this translation.
+async function translateText(text, overrides = {}) {
   if (isTranslating) {
     console.log('Already translating, ignoring request');
     return;
@@ -177,23 +299,34 @@ async function translateText(text) {
 
   try {
     // Get the target and source languages from storage
-    const settings = await chrome.storage.sync.get(['targetLanguage', 'sourceLanguage']);
-    
-    const targetLanguageName = settings.targetLanguage || config?.defaultTargetLanguage || 'English';
-    const sourceLanguageName = settings.sourceLanguage || config?.defaultSourceLanguage || 'Auto-detect';
-
-    const targetLangCode = getLanguageCode(targetLanguageName);
-    const sourceLangCode = getLanguageCode(sourceLanguageName);
+    const settings = { ...(await getLanguageSettings()), ...overrides };
+    const { targetLangCode, sourceLangCode } = settings;
+    const context = settings.context !== undefined ? settings.context : getSelectionContext(text, settings.contextScope);
+    currentTranslation = { text, sourceLangCode, targetLangCode, style: settings.style || 'natural', context, learnerMode: settings.learnerMode, detectedSourceLang: null, notes: null };
 
     console.log(`Requesting translation from background: ${sourceLangCode} -> ${targetLangCode}`);
 
+    // Compare mode: run the text through every compare candidate and show the results side by side
+    if (settings.compareMode) {
+      compareTranslations(text, sourceLangCode, targetLangCode, settings.style, context);
+      return;
+    }
+
+    // Stream the translation into the popup as it is generated, if enabled
+    const streamTranslations = settings.streamTranslations ?? config?.streamTranslations ?? true;
+    if (streamTranslations) {
+      translateTextStreaming(text, sourceLangCode, targetLangCode, settings.style, context);
+      return;
+    }
+
     // Send request to background script
     chrome.runtime.sendMessage({
-      action: 'translate',
+      action: ACTIONS.TRANSLATE,
       text: text,
-      sourceLangCode: sourceLangCode,
-      targetLangCode: targetLangCode
-      // Style is handled by background script fetching from storage
+      sourceLang: sourceLangCode,
+      targetLang: targetLangCode,
+      style: settings.style,
+      context: context
     }, response => {
       if (chrome.runtime.lastError) {
           console.error('Error sending/receiving translation message:', chrome.runtime.lastError.message);
@@ -205,12 +338,18 @@ async function translateText(text) {
       console.log('Received translation response from background:', response);
 
       if (response && response.success) {
+        currentTranslation.detectedSourceLang = response.detectedSourceLang || null;
+        currentTranslation.notes = response.notes || null;
         showTranslationPopup(
           text,
           response.translation,
           false,
           response.usedFallback || false,
-          response.modelUsed || null // Pass the actual model used
+          response.modelUsed || null, // Pass the actual model used
+          false,
+          response.glossaryViolations || [],
+          getBackendInfo(response),
+          response.notes || null
         );
       } else {
         const errorMessage = response && response.error ? response.error : 'Translation failed';
@@ -227,10 +366,685 @@ async function translateText(text) {
   }
 }
 
+// Streams a translation from the background over a port, rendering it as it arrives
+function translateTextStreaming(text, sourceLangCode, targetLangCode, style, context) {
+  let partialTranslation = '';
+
+  // Stop button: close the port (the background aborts the fetch) and keep what we have so far.
+  // The popup is shown before connecting: showing it stops any previous stream, which would
+  // otherwise disconnect this one.
+  showStreamingPopup(() => {
+    stopStreamingTranslation();
+    if (partialTranslation) {
+      showTranslationPopup(text, partialTranslation, false, false, null, true);
+    } else {
+      showTranslationPopup(text, 'Translation stopped.', true);
+    }
+  });
+
+  const port = chrome.runtime.connect({ name: PORTS.TRANSLATE_STREAM });
+  activeStreamPort = port;
+
+  port.onMessage.addListener(message => {
+    if (message.type === PORT_MESSAGE_TYPES.CHUNK) {
+      partialTranslation = message.translation;
+      updateStreamingPopup(partialTranslation);
+      return;
+    }
+
+    if (message.type === PORT_MESSAGE_TYPES.DONE) {
+      console.log('Received streamed translation result from background:', message);
+      activeStreamPort = null;
+      port.disconnect();
+
+      if (message.success) {
+        currentTranslation.detectedSourceLang = message.detectedSourceLang || null;
+        currentTranslation.notes = message.notes || null;
+        showTranslationPopup(
+          text,
+          message.translation,
+          false,
+          message.usedFallback || false,
+          message.modelUsed || null,
+          false,
+          message.glossaryViolations || [],
+          getBackendInfo(message),
+          message.notes || null
+        );
+      } else if (!message.aborted) {
+        const errorMessage = message.error || 'Translation failed';
+        console.error('Translation failed:', errorMessage);
+        showTranslationPopup(text, `Error: ${errorMessage}`, true);
+      }
+      isTranslating = false;
+    }
+  });
+
+  // The background went away before sending a result (e.g. service worker restarted)
+  port.onDisconnect.addListener(() => {
+    if (activeStreamPort === port) {
+      console.error('Streaming port disconnected unexpectedly:', chrome.runtime.lastError?.message);
+      activeStreamPort = null;
+      showTranslationPopup(text, `Error communicating with background script.`, true);
+      isTranslating = false;
+    }
+  });
+
+  port.postMessage({
+    action: ACTIONS.STREAM_TRANSLATION,
+    text: text,
+    sourceLang: sourceLangCode,
+    targetLang: targetLangCode,
+    style: style,
+    context: context
+  });
+}
+
+// Runs the text through several models (and backends) in parallel and shows the results as tabs
+function compareTranslations(text, sourceLangCode, targetLangCode, style, context) {
+  isTranslating = true;
+  chrome.runtime.sendMessage({
+    action: ACTIONS.COMPARE_TRANSLATIONS,
+    text: text,
+    sourceLang: sourceLangCode,
+    targetLang: targetLangCode,
+    style: style,
+    context: context
+  }, response => {
+    if (chrome.runtime.lastError) {
+      console.error('Error sending/receiving compare message:', chrome.runtime.lastError.message);
+      showTranslationPopup(text, `Error communicating with background script.`, true);
+    } else if (response && response.success) {
+      console.log('Received compare results from background:', response.results);
+      currentTranslation.detectedSourceLang = response.detectedSourceLang || null;
+      showComparePopup(text, response.results);
+    } else {
+      const errorMessage = response && response.error ? response.error : 'Compare failed';
+      console.error('Compare failed:', errorMessage);
+      showTranslationPopup(text, `Error: ${errorMessage}`, true);
+    }
+    isTranslating = false;
+  });
+}
+
+// Make a compared model the preferred model of the current language pair
+function voteForCompareResult(result, button) {
+  button.disabled = true;
+  chrome.runtime.sendMessage({
+    action: ACTIONS.VOTE_COMPARE_RESULT,
+    backend: result.backend,
+    model: result.model,
+    sourceLang: currentTranslation?.detectedSourceLang || currentTranslation?.sourceLangCode,
+    targetLang: currentTranslation?.targetLangCode
+  }, response => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.error('Error voting for compare result:', chrome.runtime.lastError?.message || response?.error);
+      button.textContent = 'Could not save';
+      button.title = response?.error || '';
+      return;
+    }
+    button.textContent = 'Preferred ✓';
+  });
+}
+
+// Stops the streaming translation in progress, if any
+function stopStreamingTranslation() {
+  if (!activeStreamPort) return;
+  const port = activeStreamPort;
+  activeStreamPort = null; // Clear first so onDisconnect doesn't treat this as an error
+  port.disconnect();
+}
+
+// --- Full-Page Translation ---
+
+// Whether a text node holds visible, translatable text
+function isTranslatableTextNode(node) {
+  if (!node.nodeValue || !/\p{L}/u.test(node.nodeValue)) return false; // No letters, nothing to translate
+  const parent = node.parentElement;
+  if (!parent) return false;
+  // Skip code, form fields, editable areas, our own UI and content marked as not translatable
+  if (parent.closest('script, style, noscript, template, textarea, code, pre, svg, [contenteditable=""], [contenteditable="true"], [translate="no"], .notranslate')) {
+    return false;
+  }
+  // Skip hidden content
+  return parent.checkVisibility ? parent.checkVisibility() : parent.getClientRects().length > 0;
+}
+
+// Collect translatable text nodes under a root
+function collectTextNodes(root) {
+  const nodes = [];
+  if (root.nodeType === Node.TEXT_NODE) {
+    if (isTranslatableTextNode(root)) nodes.push(root);
+    return nodes;
+  }
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => isTranslatableTextNode(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+  });
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+  }
+  return nodes;
+}
+
+// Split a text node value into leading whitespace, text and trailing whitespace
+function splitWhitespace(value) {
+  const [, leading, core, trailing] = value.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return { leading, core, trailing };
+}
+
+// Group unique texts into batches bounded by size and count
+function buildPageBatches(texts) {
+  const batches = [];
+  let current = [];
+  let currentChars = 0;
+  texts.forEach(text => {
+    if (current.length > 0 && (current.length >= PAGE_BATCH_MAX_ITEMS || currentChars + text.length > PAGE_BATCH_MAX_CHARS)) {
+      batches.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(text);
+    currentChars += text.length;
+  });
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+// Send one batch of texts to the background's translate action
+function requestBatchTranslation(texts, settings) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({
+      action: ACTIONS.TRANSLATE,
+      texts: texts,
+      sourceLang: settings.sourceLangCode,
+      targetLang: settings.targetLangCode,
+      style: settings.style
+    }, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!response || !response.success) {
+        reject(new Error(response && response.error ? response.error : 'Batch translation failed'));
+        return;
+      }
+      resolve(response.translations);
+    });
+  });
+}
+
+// Translate a list of text nodes in place
+async function translateTextNodes(nodes) {
+  const settings = await getLanguageSettings();
+
+  // The same text often appears many times (menus, buttons), translate each once
+  const nodesByText = new Map();
+  nodes.forEach(node => {
+    const { core } = splitWhitespace(node.nodeValue);
+    if (!nodesByText.has(core)) nodesByText.set(core, []);
+    nodesByText.get(core).push(node);
+  });
+
+  const batches = buildPageBatches([...nodesByText.keys()]);
+  let done = 0;
+  let failed = 0;
+  const total = nodesByText.size;
+
+  for (const batch of batches) {
+    // The user restored the page while we were translating
+    if (pageTranslationState === 'original') return;
+
+    showPageStatus(`Translating page... ${done}/${total}`);
+    let results;
+    try {
+      results = await requestBatchTranslation(batch, settings);
+    } catch (error) {
+      console.error('Page translation batch failed:', error);
+      results = batch.map(() => ({ success: false }));
+    }
+    if (pageTranslationState === 'original') return;
+
+    batch.forEach((text, i) => {
+      const result = results[i];
+      if (!result || !result.success) {
+        failed++;
+        return;
+      }
+      nodesByText.get(text).forEach(node => {
+        const { leading, trailing } = splitWhitespace(node.nodeValue);
+        const translated = `${leading}${result.translation}${trailing}`;
+        if (!translatedNodes.has(node)) {
+          translatedNodes.set(node, { original: node.nodeValue, translated: translated });
+        } else {
+          translatedNodes.get(node).translated = translated;
+        }
+        node.nodeValue = translated;
+      });
+    });
+    done += batch.length;
+  }
+
+  if (failed > 0) {
+    showPageStatus(`Translated ${done - failed}/${total} texts (${failed} failed)`, true);
+  } else {
+    showPageStatus(`Page translated`, true);
+  }
+}
+
+// Translate the visible text of the whole page and keep translating new content
+async function translatePage() {
+  if (pageTranslationState !== 'original') {
+    console.log('Page is already translated or translating');
+    return;
+  }
+  pageTranslationState = 'translating'; // Set before awaiting so callers see the new state right away
+
+  const site = await resolveSiteSettings(getPageOrigin());
+  if (site.mode === SITE_MODES.OFF) {
+    pageTranslationState = 'original';
+    showPageStatus('Instant Translator is turned off on this site', true);
+    return;
+  }
+  console.log('Translating page...');
+  startPageObserver();
+
+  try {
+    await translateTextNodes(collectTextNodes(document.body));
+    if (pageTranslationState === 'translating') {
+      pageTranslationState = 'translated';
+    }
+  } catch (error) {
+    console.error('Page translation failed:', error);
+    showPageStatus(`Page translation failed: ${error.message}`, true);
+    if (pageTranslationState === 'translating') {
+      pageTranslationState = 'translated'; // Keep what was translated so it can be restored
+    }
+  }
+}
+
+// Put the original text back
+function restorePage() {
+  console.log('Restoring original page text');
+  stopPageObserver();
+  translatedNodes.forEach((entry, node) => {
+    // Only restore nodes the page hasn't changed since we translated them
+    if (node.nodeValue === entry.translated) {
+      node.nodeValue = entry.original;
+    }
+  });
+  translatedNodes = new Map();
+  pageTranslationState = 'original';
+  showPageStatus('Showing original page', true);
+}
+
+// Watch for content added after the page was translated (infinite scroll, SPAs, ...)
+function startPageObserver() {
+  if (pageObserver) return;
+  pageObserver = new MutationObserver(mutations => {
+    mutations.forEach(mutation => {
+      if (mutation.type === 'characterData') {
+        const node = mutation.target;
+        const entry = translatedNodes.get(node);
+        // Our own write, nothing to do
+        if (entry && node.nodeValue === entry.translated) return;
+        // The page changed the text, it needs translating again
+        translatedNodes.delete(node);
+        if (isTranslatableTextNode(node)) pendingPageNodes.add(node);
+        return;
+      }
+      mutation.addedNodes.forEach(added => {
+        collectTextNodes(added).forEach(node => {
+          if (!translatedNodes.has(node)) pendingPageNodes.add(node);
+        });
+      });
+    });
+
+    if (pendingPageNodes.size > 0 && !pendingPageTimer) {
+      // Debounce so bursts of insertions are translated together
+      pendingPageTimer = setTimeout(() => {
+        pendingPageTimer = null;
+        const nodes = [...pendingPageNodes].filter(node => node.isConnected);
+        pendingPageNodes = new Set();
+        if (nodes.length > 0 && pageTranslationState !== 'original') {
+          translateTextNodes(nodes);
+        }
+      }, 500);
+    }
+  });
+  pageObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+}
+
+function stopPageObserver() {
+  if (pageObserver) {
+    pageObserver.disconnect();
+    pageObserver = null;
+  }
+  clearTimeout(pendingPageTimer);
+  pendingPageTimer = null;
+  pendingPageNodes = new Set();
+}
+
+// Show a small status badge for page translation; autoHide removes it after a few seconds
+function showPageStatus(message, autoHide = false) {
+  const root = getPopupRoot();
+  let badge = root.getElementById('page-translation-status');
+  if (!badge) {
+    badge = document.createElement('div');
+    badge.id = 'page-translation-status';
+    badge.className = 'page-translation-status';
+    root.appendChild(badge);
+  }
+  badge.textContent = message;
+  clearTimeout(badge.hideTimer);
+  if (autoHide) {
+    badge.hideTimer = setTimeout(() => badge.remove(), 3000);
+  }
+}
+
+// --- Selection Context ---
+
+// Find the closest block-level element containing a node
+function getBlockAncestor(node) {
+  let element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+  while (element && element !== document.body && getComputedStyle(element).display.startsWith('inline')) {
+    element = element.parentElement;
+  }
+  return element || document.body;
+}
+
+// The text of the block a selection range is in, and the selection's offsets inside it
+function getRangeInBlock(range) {
+  const block = getBlockAncestor(range.commonAncestorContainer);
+  const prefixRange = document.createRange();
+  prefixRange.setStart(block, 0);
+  prefixRange.setEnd(range.startContainer, range.startOffset);
+  const selectionStart = prefixRange.toString().length;
+  return {
+    text: block.textContent || '',
+    selectionStart: selectionStart,
+    selectionEnd: selectionStart + range.toString().length
+  };
+}
+
+// Extract the sentence a selection range appears in (bounded by sentence punctuation or the enclosing block)
+function getSentenceAroundRange(range, maxLength = 500) {
+  if (!range) return '';
+  try {
+    const { text, selectionStart, selectionEnd } = getRangeInBlock(range);
+
+    // Expand to the surrounding sentence terminators (Latin and CJK punctuation)
+    const isTerminator = char => /[.!?。！？\n]/.test(char);
+    let start = selectionStart;
+    while (start > 0 && !isTerminator(text[start - 1]) && selectionEnd - start < maxLength) start--;
+    let end = selectionEnd;
+    while (end < text.length && !isTerminator(text[end]) && end - start < maxLength) end++;
+    if (end < text.length && text[end] !== '\n') end++; // Include the closing punctuation
+
+    return text.slice(start, end).replace(/\s+/g, ' ').trim();
+  } catch (error) {
+    console.warn('Could not extract the surrounding sentence:', error);
+    return '';
+  }
+}
+
+// Extract the paragraph (enclosing block) a selection range appears in, cut down to maxLength
+// characters centred on the selection for long blocks
+function getParagraphAroundRange(range, maxLength = 1500) {
+  if (!range) return '';
+  try {
+    const { text, selectionStart, selectionEnd } = getRangeInBlock(range);
+    const padding = Math.max(0, Math.floor((maxLength - (selectionEnd - selectionStart)) / 2));
+    const start = Math.max(0, selectionStart - padding);
+    const end = Math.min(text.length, selectionEnd + padding);
+    return text.slice(start, end).replace(/\s+/g, ' ').trim();
+  } catch (error) {
+    console.warn('Could not extract the surrounding paragraph:', error);
+    return '';
+  }
+}
+
+// Context sent with a selection for context-aware translation ('sentence' or 'paragraph' scope):
+// the surrounding text, the page title and the page's declared language. null when it's off.
+function getSelectionContext(text, scope) {
+  if (scope !== 'sentence' && scope !== 'paragraph') return null;
+
+  // Only use the stored range if it still belongs to this text (not e.g. a re-translation from the menu)
+  const range = lastSelectionRange && lastSelectionRange.toString().trim() === text ? lastSelectionRange : null;
+  const surrounding = scope === 'sentence' ? getSentenceAroundRange(range) : getParagraphAroundRange(range);
+  return {
+    text: surrounding && surrounding !== text ? surrounding : '', // Nothing to add if the selection is the whole block
+    pageTitle: document.title || '',
+    pageLanguage: document.documentElement.lang || ''
+  };
+}
+
+// --- Vocabulary Deck ---
+
+// Save the translated selection as a flashcard
+function saveToDeck(term, translation, button) {
+  button.disabled = true;
+  chrome.runtime.sendMessage({
+    action: ACTIONS.SAVE_TO_DECK,
+    card: {
+      term: term,
+      translation: translation,
+      sentence: getSentenceAroundRange(lastSelectionRange),
+      sourceUrl: location.href,
+      sourceLang: currentTranslation?.detectedSourceLang || currentTranslation?.sourceLangCode || null,
+      targetLang: currentTranslation?.targetLangCode || null
+    }
+  }, response => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.error('Error saving to deck:', chrome.runtime.lastError?.message || response?.error);
+      button.textContent = 'Could not save';
+      button.disabled = false;
+      return;
+    }
+    button.textContent = response.created ? 'Saved ✓' : 'Updated ✓';
+  });
+}
+
+// --- Learner Mode ---
+
+const LEARNER_LANGUAGES = ['ja', 'zh', 'ko'];
+// Used when the source language is 'auto' and wasn't detected; kana means Japanese even with kanji
+const LEARNER_SCRIPT_PATTERNS = [
+  { language: 'ja', pattern: /[\u3040-\u30FF]/ },
+  { language: 'ko', pattern: /[\uAC00-\uD7A3\u1100-\u11FF]/ },
+  { language: 'zh', pattern: /[\u4E00-\u9FFF]/ }
+];
+
+// The learner language (ja, zh or ko) of the current translation's text, or null if it isn't one
+function getLearnerLanguage(text) {
+  const sourceLang = currentTranslation?.detectedSourceLang || currentTranslation?.sourceLangCode;
+  if (sourceLang && sourceLang !== 'auto') {
+    return LEARNER_LANGUAGES.includes(sourceLang) ? sourceLang : null;
+  }
+  return LEARNER_SCRIPT_PATTERNS.find(entry => entry.pattern.test(text))?.language || null;
+}
+
+// Fetch the word breakdown of the text and render it into the learner view container
+function loadLearnerView(text, container, button) {
+  button.disabled = true;
+  container.hidden = false;
+  container.className = 'learner-view loading';
+  container.textContent = 'Loading readings…';
+  schedulePopupReposition();
+
+  chrome.runtime.sendMessage({
+    action: ACTIONS.ANALYZE_FOR_LEARNER,
+    text: text,
+    sourceLang: getLearnerLanguage(text),
+    targetLang: currentTranslation?.targetLangCode,
+    context: currentTranslation?.context || null
+  }, response => {
+    if (!container.isConnected) return; // The popup was closed in the meantime
+    container.className = 'learner-view';
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.error('Error loading the learner view:', chrome.runtime.lastError?.message || response?.error);
+      container.classList.add('error');
+      container.textContent = response?.error || 'Could not load the learner view.';
+      button.disabled = false;
+    } else {
+      renderLearnerView(container, text, response.tokens);
+      button.textContent = 'Hide learner view';
+      button.disabled = false;
+    }
+    schedulePopupReposition();
+  });
+}
+
+// The text with each word's reading above it (ruby), followed by a word-by-word gloss table.
+// Tokens carry their offset in the text; text between tokens is shown without a reading.
+function renderLearnerView(container, text, tokens) {
+  container.textContent = '';
+
+  const readingDiv = document.createElement('div');
+  readingDiv.className = 'learner-reading';
+  let cursor = 0;
+  tokens.forEach(token => {
+    if (token.offset > cursor) {
+      readingDiv.appendChild(document.createTextNode(text.slice(cursor, token.offset)));
+    }
+    // Words written the way they are read (kana, punctuation) need no annotation
+    if (token.reading && token.reading !== token.surface) {
+      const ruby = document.createElement('ruby');
+      ruby.appendChild(document.createTextNode(token.surface));
+      const rt = document.createElement('rt');
+      rt.textContent = token.reading;
+      ruby.appendChild(rt);
+      readingDiv.appendChild(ruby);
+    } else {
+      readingDiv.appendChild(document.createTextNode(token.surface));
+    }
+    cursor = token.offset + token.surface.length;
+  });
+  if (cursor < text.length) {
+    readingDiv.appendChild(document.createTextNode(text.slice(cursor)));
+  }
+  container.appendChild(readingDiv);
+
+  // Romanization gets its own column only where it differs from the reading (Japanese)
+  const showRomanization = tokens.some(token => token.romanization && token.romanization !== token.reading);
+  const columns = ['Word', 'Reading', ...(showRomanization ? ['Romanization'] : []), 'Meaning'];
+  const table = document.createElement('table');
+  table.className = 'learner-gloss';
+  const headerRow = table.createTHead().insertRow();
+  columns.forEach(column => {
+    const th = document.createElement('th');
+    th.textContent = column;
+    headerRow.appendChild(th);
+  });
+  const body = table.createTBody();
+  tokens.forEach(token => {
+    const row = body.insertRow();
+    const meaning = token.partOfSpeech ? `${token.gloss} (${token.partOfSpeech})` : token.gloss;
+    [token.surface, token.reading, ...(showRomanization ? [token.romanization] : []), meaning].forEach(value => {
+      row.insertCell().textContent = value || '';
+    });
+  });
+  container.appendChild(table);
+}
+
 // --- UI Management (Popup) ---
 
-// Create and show the translation popup
-function showTranslationPopup(originalText, translation, isError = false, usedFallback = false, modelUsed = null) {
+// The popup and the page status badge are rendered into a closed shadow root on a custom host
+// element, styled only by translation-popup.css
+const POPUP_HOST_TAG = 'instant-translator-ui';
+let popupHost = null;
+let popupShadowRoot = null;
+let popupStylesPromise = null; // Resolves to the popup's CSSStyleSheet (or null if it failed to load)
+let repositionFrame = null;
+
+// Fetch the popup stylesheet once per frame
+function loadPopupStyles() {
+  if (!popupStylesPromise) {
+    popupStylesPromise = fetch(chrome.runtime.getURL('translation-popup.css'))
+      .then(response => response.text())
+      .then(cssText => {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(cssText);
+        return sheet;
+      })
+      .catch(error => {
+        console.error('Could not load the popup stylesheet:', error);
+        return null;
+      });
+  }
+  return popupStylesPromise;
+}
+
+// The shadow root our UI lives in, created on first use (and re-attached if the page removed the host)
+function getPopupRoot() {
+  if (!popupHost) {
+    popupHost = document.createElement(POPUP_HOST_TAG);
+    popupShadowRoot = popupHost.attachShadow({ mode: 'closed' });
+    loadPopupStyles().then(sheet => {
+      if (sheet) popupShadowRoot.adoptedStyleSheets = [sheet];
+    });
+  }
+  if (!popupHost.isConnected) {
+    document.documentElement.appendChild(popupHost);
+  }
+  return popupShadowRoot;
+}
+
+// Whether an event happened inside our UI (events from a closed shadow root are retargeted to its host)
+function isEventInsidePopup(e) {
+  return popupHost !== null && e.composedPath().includes(popupHost);
+}
+
+// Add a popup to the shadow root and show it next to the selection once it's styled
+function mountPopup(popupElement) {
+  popupElement.style.visibility = 'hidden';
+  getPopupRoot().appendChild(popupElement);
+  loadPopupStyles().then(() => {
+    if (popupElement !== translationPopup) return; // Replaced in the meantime
+    positionPopupNearSelection(popupElement);
+    popupElement.style.visibility = '';
+  });
+}
+
+// Reposition the popup at most once per frame while scrolling or resizing
+function schedulePopupReposition() {
+  if (!translationPopup || repositionFrame !== null) return;
+  repositionFrame = requestAnimationFrame(() => {
+    repositionFrame = null;
+    if (translationPopup) positionPopupNearSelection(translationPopup);
+  });
+}
+
+// Describe glossary entries a translation didn't follow, or null if it followed them all
+function formatGlossaryWarning(violations) {
+  if (!violations || violations.length === 0) return null;
+  const terms = violations.map(violation => violation.doNotTranslate
+    ? `"${violation.term}" (keep as is)`
+    : `"${violation.term}" → "${violation.expected}"`);
+  return `Glossary not followed: ${terms.join(', ')}`;
+}
+
+// Which backend a translation came from, and the ones that failed before it, from a translation response
+function getBackendInfo(response) {
+  if (!response.backendLabel) return null;
+  return {
+    label: response.backendLabel,
+    failedOver: (response.failedBackends || []).map(failed => failed.label)
+  };
+}
+
+// The "(Using: ...)" line under a translation: the backend and model that produced it
+function describeTranslationSource(usedFallback, modelUsed, backendInfo) {
+  const parts = [];
+  if (backendInfo) parts.push(backendInfo.label);
+  if (modelUsed) parts.push(usedFallback ? `fallback ${modelUsed}` : modelUsed.split('/').pop()); // Show model name, maybe shorten it
+  if (parts.length === 0) return null;
+  const failedOver = backendInfo?.failedOver.length > 0 ? `, after ${backendInfo.failedOver.join(', ')} failed` : '';
+  return `(Using: ${parts.join(' · ')}${failedOver})`;
+}
+
+// Create and show the translation popup. notes are the model's comments on the translation, e.g. a
+// grammar explanation.
+function showTranslationPopup(originalText, translation, isError = false, usedFallback = false, modelUsed = null, stopped = false, glossaryViolations = [], backendInfo = null, notes = null) {
   hideTranslationPopup(); // Ensure only one popup exists
 
   translationPopup = document.createElement('div');
@@ -250,18 +1064,167 @@ function showTranslationPopup(originalText, translation, isError = false, usedFa
   contentDiv.textContent = translation;
   translationPopup.appendChild(contentDiv);
 
-  // Fallback/Model Info
-  if (!isError && modelUsed) {
+  if (!isError && notes) {
+    const notesDiv = document.createElement('div');
+    notesDiv.className = 'translation-notes';
+    notesDiv.textContent = notes;
+    translationPopup.appendChild(notesDiv);
+  }
+
+  // Backend/Model Info
+  const sourceInfo = !isError && describeTranslationSource(usedFallback, modelUsed, backendInfo);
+  if (sourceInfo) {
     const infoDiv = document.createElement('div');
     infoDiv.className = 'fallback-info'; // Use existing class
-    infoDiv.textContent = usedFallback 
-        ? `(Using fallback: ${modelUsed})` 
-        : `(Using: ${modelUsed.split('/').pop()})`; // Show model name, maybe shorten it
+    infoDiv.textContent = sourceInfo;
+    translationPopup.appendChild(infoDiv);
+  } else if (stopped) {
+    const infoDiv = document.createElement('div');
+    infoDiv.className = 'fallback-info';
+    infoDiv.textContent = '(Stopped before the translation finished)';
     translationPopup.appendChild(infoDiv);
   }
 
-  document.body.appendChild(translationPopup);
-  positionPopupNearSelection(translationPopup);
+  const glossaryWarning = formatGlossaryWarning(glossaryViolations);
+  if (!isError && glossaryWarning) {
+    const warningDiv = document.createElement('div');
+    warningDiv.className = 'glossary-warning';
+    warningDiv.textContent = glossaryWarning;
+    translationPopup.appendChild(warningDiv);
+  }
+
+  // Learner view (readings and word breakdown) for Japanese, Chinese and Korean selections
+  const learnerLanguage = !isError && getLearnerLanguage(originalText);
+  let learnerDiv = null;
+  if (learnerLanguage) {
+    learnerDiv = document.createElement('div');
+    learnerDiv.className = 'learner-view';
+    learnerDiv.hidden = true;
+    translationPopup.appendChild(learnerDiv);
+  }
+
+  // Actions
+  if (!isError) {
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'popup-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'popup-action-btn';
+    saveBtn.textContent = 'Save to deck';
+    saveBtn.onclick = () => saveToDeck(originalText, translation, saveBtn);
+    actionsDiv.appendChild(saveBtn);
+    const compareBtn = document.createElement('button');
+    compareBtn.className = 'popup-action-btn';
+    compareBtn.textContent = 'Compare models';
+    compareBtn.onclick = () => {
+      const { sourceLangCode, targetLangCode, style, context } = currentTranslation;
+      showLoadingPopup();
+      compareTranslations(originalText, sourceLangCode, targetLangCode, style, context);
+    };
+    actionsDiv.appendChild(compareBtn);
+    if (learnerDiv) {
+      const learnerBtn = document.createElement('button');
+      learnerBtn.className = 'popup-action-btn';
+      learnerBtn.textContent = 'Learner view';
+      learnerBtn.onclick = () => {
+        if (learnerDiv.childNodes.length > 0 && !learnerDiv.classList.contains('error')) {
+          // Already loaded: just show or hide it
+          learnerDiv.hidden = !learnerDiv.hidden;
+          learnerBtn.textContent = learnerDiv.hidden ? 'Learner view' : 'Hide learner view';
+          schedulePopupReposition();
+          return;
+        }
+        loadLearnerView(originalText, learnerDiv, learnerBtn);
+      };
+      actionsDiv.appendChild(learnerBtn);
+      if (currentTranslation?.learnerMode && !stopped) {
+        loadLearnerView(originalText, learnerDiv, learnerBtn);
+      }
+    }
+    translationPopup.appendChild(actionsDiv);
+  }
+
+  mountPopup(translationPopup);
+}
+
+// Show compare results as tabs (one per model, with its latency). The selected result can be
+// voted the best for the language pair or saved to the deck.
+function showComparePopup(originalText, results) {
+  hideTranslationPopup(); // Ensure only one popup exists
+
+  translationPopup = document.createElement('div');
+  translationPopup.id = 'translation-popup';
+  translationPopup.className = 'translation-popup compare';
+
+  const closeBtn = document.createElement('span');
+  closeBtn.className = 'close-btn';
+  closeBtn.textContent = '×';
+  closeBtn.onclick = hideTranslationPopup;
+  translationPopup.appendChild(closeBtn);
+
+  const tabsDiv = document.createElement('div');
+  tabsDiv.className = 'compare-tabs';
+  translationPopup.appendChild(tabsDiv);
+
+  const contentDiv = document.createElement('div');
+  contentDiv.className = 'content';
+  translationPopup.appendChild(contentDiv);
+
+  const notesDiv = document.createElement('div');
+  notesDiv.className = 'translation-notes';
+  translationPopup.appendChild(notesDiv);
+
+  const warningDiv = document.createElement('div');
+  warningDiv.className = 'glossary-warning';
+  translationPopup.appendChild(warningDiv);
+
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'popup-actions';
+  const voteBtn = document.createElement('button');
+  voteBtn.className = 'popup-action-btn';
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'popup-action-btn';
+  actionsDiv.appendChild(voteBtn);
+  actionsDiv.appendChild(saveBtn);
+  translationPopup.appendChild(actionsDiv);
+
+  const tabs = results.map((result, index) => {
+    const tab = document.createElement('button');
+    tab.className = `compare-tab ${result.success ? '' : 'failed'}`;
+    tab.textContent = result.label;
+    const latency = document.createElement('span');
+    latency.className = 'compare-latency';
+    latency.textContent = `${(result.latencyMs / 1000).toFixed(1)} s`;
+    tab.appendChild(latency);
+    tab.onclick = () => selectResult(index);
+    tabsDiv.appendChild(tab);
+    return tab;
+  });
+
+  function selectResult(index) {
+    const result = results[index];
+    tabs.forEach((tab, i) => tab.classList.toggle('active', i === index));
+    contentDiv.classList.toggle('error', !result.success);
+    contentDiv.textContent = result.success ? result.translation : `Error: ${result.error || 'Translation failed'}`;
+    notesDiv.textContent = (result.success && result.notes) || '';
+    notesDiv.hidden = !notesDiv.textContent;
+    const glossaryWarning = result.success ? formatGlossaryWarning(result.glossaryViolations) : null;
+    warningDiv.textContent = glossaryWarning || '';
+    warningDiv.hidden = !glossaryWarning;
+
+    // Only a model (not a whole backend) can become a language pair's preferred model
+    voteBtn.textContent = 'Best for this pair';
+    voteBtn.disabled = !result.success || !result.model;
+    voteBtn.onclick = () => voteForCompareResult(result, voteBtn);
+
+    saveBtn.textContent = 'Save to deck';
+    saveBtn.disabled = !result.success;
+    saveBtn.onclick = () => saveToDeck(originalText, result.translation, saveBtn);
+    schedulePopupReposition(); // The popup size changes with the result
+  }
+
+  const firstSuccess = results.findIndex(result => result.success);
+  selectResult(firstSuccess >= 0 ? firstSuccess : 0);
+  mountPopup(translationPopup);
 }
 
 // Show loading popup
@@ -279,12 +1242,43 @@ function showLoadingPopup() {
 
   // Optional: Add spinner via CSS pseudo-element or create it here
 
-  document.body.appendChild(translationPopup);
-  positionPopupNearSelection(translationPopup);
+  mountPopup(translationPopup);
+}
+
+// Show the popup used while a translation streams in, with a stop button
+function showStreamingPopup(onStop) {
+  hideTranslationPopup(); // Ensure only one popup exists
+  isTranslating = true; // hideTranslationPopup() resets it, but we're still translating
+
+  translationPopup = document.createElement('div');
+  translationPopup.id = 'translation-popup';
+  translationPopup.className = 'translation-popup loading streaming';
+
+  const contentDiv = document.createElement('div');
+  contentDiv.className = 'content';
+  contentDiv.textContent = 'Translating...';
+  translationPopup.appendChild(contentDiv);
+
+  const stopBtn = document.createElement('button');
+  stopBtn.className = 'stop-btn';
+  stopBtn.textContent = 'Stop';
+  stopBtn.onclick = onStop;
+  translationPopup.appendChild(stopBtn);
+
+  mountPopup(translationPopup);
+}
+
+// Render the translation received so far in the streaming popup
+function updateStreamingPopup(partialTranslation) {
+  if (!translationPopup || !translationPopup.classList.contains('streaming')) return;
+  translationPopup.classList.remove('loading');
+  translationPopup.querySelector('.content').textContent = partialTranslation;
+  schedulePopupReposition(); // The popup grows as text arrives
 }
 
 // Hides the translation popup
 function hideTranslationPopup() {
+  stopStreamingTranslation(); // Dismissing the popup also stops a streaming translation
   if (translationPopup) {
     translationPopup.remove();
     translationPopup = null;
@@ -293,52 +1287,37 @@ function hideTranslationPopup() {
   }
 }
 
-// Position the popup near the current text selection
+// Position the popup (fixed, in viewport coordinates) below the selection, or above it when there's no room
 function positionPopupNearSelection(popupElement) {
   const selection = window.getSelection();
-  if (!selection || selection.rangeCount === 0) return;
+  const range = lastSelectionRange || (selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null);
+  if (!range) return;
 
-  const range = selection.getRangeAt(0);
   const rect = range.getBoundingClientRect();
+  if (rect.width === 0 && rect.height === 0) return; // Selection no longer rendered, keep the last position
 
-  const scrollX = window.scrollX;
-  const scrollY = window.scrollY;
+  const windowWidth = window.innerWidth;
+  const windowHeight = window.innerHeight;
 
-  // Position below the selection
-  let top = rect.bottom + scrollY + 5; // 5px gap
-  let left = rect.left + scrollX;
+  // Hide the popup while its selection is scrolled out of view
+  const outOfView = rect.bottom < 0 || rect.top > windowHeight || rect.right < 0 || rect.left > windowWidth;
+  popupElement.classList.toggle('out-of-view', outOfView);
 
-  // Ensure it fits horizontally
-  popupElement.style.position = 'absolute'; // Ensure correct positioning mode
-  popupElement.style.left = '0px'; // Set initial position for measurement
-  popupElement.style.top = '0px';
-  document.body.appendChild(popupElement); // Needs to be in DOM for measurement
   const popupWidth = popupElement.offsetWidth;
   const popupHeight = popupElement.offsetHeight;
-  document.body.removeChild(popupElement); // Remove temporarily
 
-  const windowWidth = window.innerWidth;
-  if (left + popupWidth > windowWidth - 10) { // 10px margin from edge
-    left = windowWidth - popupWidth - 10;
-  }
-  if (left < 10) {
-      left = 10;
-  }
+  // Ensure it fits horizontally (10px margin from the edges)
+  let left = Math.min(rect.left, windowWidth - popupWidth - 10);
+  left = Math.max(left, 10);
 
-  // Ensure it fits vertically (try placing above if not enough space below)
-  const windowHeight = window.innerHeight;
-   if (top + popupHeight > scrollY + windowHeight - 10) { // Check if goes below viewport
-       let topAbove = rect.top + scrollY - popupHeight - 5; // Position above
-       if (topAbove > scrollY + 10) { // Check if there is space above
-           top = topAbove;
-       } // Otherwise, let it clip at the bottom (or adjust further)
-   }
+  // Below the selection, or above it if it would run off the bottom and there is room above
+  let top = rect.bottom + 5;
+  if (top + popupHeight > windowHeight - 10 && rect.top - popupHeight - 5 > 10) {
+    top = rect.top - popupHeight - 5;
+  }
 
   popupElement.style.top = `${top}px`;
   popupElement.style.left = `${left}px`;
-
-  // Re-append to body after calculating position
-  document.body.appendChild(popupElement);
 }
 
 
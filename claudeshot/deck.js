@@ -0,0 +1,237 @@
+/**
+ * deck.js - JavaScript for the Vocabulary Deck page
+ *
+ * Reviews the saved terms that are due (SM-2 scheduling happens in the background),
+ * lists every card with delete, and exports the deck as a tab-separated file that Anki
+ * imports with the columns Term, Translation, Sentence, Source and Tags.
+ */
+
+// Message actions shared with the background (messages.js, loaded before this script)
+const { ACTIONS } = MessageProtocol;
+
+document.addEventListener('DOMContentLoaded', () => {
+  // DOM elements
+  const reviewSummary = document.getElementById('review-summary');
+  const reviewCardElement = document.getElementById('review-card');
+  const reviewTerm = document.getElementById('review-term');
+  const reviewSentence = document.getElementById('review-sentence');
+  const reviewAnswer = document.getElementById('review-answer');
+  const showAnswerButton = document.getElementById('show-answer');
+  const reviewGrades = document.getElementById('review-grades');
+  const deckSummary = document.getElementById('deck-summary');
+  const cardsContainer = document.getElementById('cards-container');
+  const exportAnkiButton = document.getElementById('export-anki');
+  const statusContainer = document.getElementById('status-container');
+
+  // Global state
+  let dueCards = [];
+  let currentCard = null;
+
+  setupEventListeners();
+  loadDeck();
+
+  function setupEventListeners() {
+    showAnswerButton.addEventListener('click', showAnswer);
+    reviewGrades.querySelectorAll('.grade-button').forEach(button => {
+      button.addEventListener('click', () => gradeCard(Number(button.dataset.quality)));
+    });
+    exportAnkiButton.addEventListener('click', exportAnki);
+  }
+
+  // Send a message to the background and resolve with the successful response
+  function sendRequest(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (response && response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response?.error || `Request ${message.action} failed`));
+        }
+      });
+    });
+  }
+
+  async function loadDeck() {
+    try {
+      const [{ cards }, { cards: due }] = await Promise.all([
+        sendRequest({ action: ACTIONS.GET_DECK }),
+        sendRequest({ action: ACTIONS.GET_DUE_CARDS })
+      ]);
+      dueCards = due;
+      deckSummary.textContent = `${cards.length} card${cards.length === 1 ? '' : 's'}`;
+      renderCards(cards);
+      showNextCard();
+    } catch (error) {
+      console.error('Error loading deck:', error);
+      reviewSummary.textContent = `Error: ${error.message}`;
+    }
+  }
+
+  // --- Review ---
+
+  function showNextCard() {
+    currentCard = dueCards.shift() || null;
+
+    if (!currentCard) {
+      reviewSummary.textContent = 'No cards due for review. Save terms from the translation popup to add more.';
+      reviewCardElement.classList.add('hidden');
+      return;
+    }
+
+    reviewSummary.textContent = `${dueCards.length + 1} card${dueCards.length === 0 ? '' : 's'} due`;
+    reviewTerm.textContent = currentCard.term;
+    reviewSentence.textContent = currentCard.sentence || '';
+    reviewAnswer.textContent = currentCard.translation;
+    reviewAnswer.classList.add('hidden');
+    reviewGrades.classList.add('hidden');
+    showAnswerButton.classList.remove('hidden');
+    reviewCardElement.classList.remove('hidden');
+  }
+
+  function showAnswer() {
+    reviewAnswer.classList.remove('hidden');
+    reviewGrades.classList.remove('hidden');
+    showAnswerButton.classList.add('hidden');
+  }
+
+  async function gradeCard(quality) {
+    if (!currentCard) return;
+    try {
+      await sendRequest({ action: ACTIONS.REVIEW_CARD, id: currentCard.id, quality: quality });
+      // Failed cards come back later in the same session
+      if (quality < 3) {
+        dueCards.push(currentCard);
+      }
+      showNextCard();
+    } catch (error) {
+      console.error('Error reviewing card:', error);
+      showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  // --- Card List ---
+
+  function renderCards(cards) {
+    cardsContainer.innerHTML = '';
+
+    if (cards.length === 0) {
+      cardsContainer.innerHTML = '<p>Your deck is empty</p>';
+      return;
+    }
+
+    cards.forEach(card => {
+      const entryCard = document.createElement('div');
+      entryCard.className = 'history-entry';
+
+      const header = document.createElement('div');
+      header.className = 'history-entry-header';
+      const info = document.createElement('span');
+      const languages = card.sourceLang && card.targetLang ? `${card.sourceLang} → ${card.targetLang} · ` : '';
+      info.textContent = `${languages}Next review ${new Date(card.due).toLocaleDateString()}`;
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'delete-entry';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => deleteCard(card.id));
+      header.appendChild(info);
+      header.appendChild(deleteButton);
+
+      const term = document.createElement('div');
+      term.className = 'history-original';
+      term.textContent = card.term;
+
+      const translation = document.createElement('div');
+      translation.className = 'history-translation';
+      translation.textContent = card.translation;
+
+      entryCard.appendChild(header);
+      entryCard.appendChild(term);
+      entryCard.appendChild(translation);
+
+      if (card.sentence || card.sourceUrl) {
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = card.sentence || '';
+        if (card.sourceUrl) {
+          if (card.sentence) meta.appendChild(document.createTextNode(' · '));
+          const link = document.createElement('a');
+          link.href = card.sourceUrl;
+          link.target = '_blank';
+          link.textContent = card.sourceUrl;
+          meta.appendChild(link);
+        }
+        entryCard.appendChild(meta);
+      }
+
+      cardsContainer.appendChild(entryCard);
+    });
+  }
+
+  async function deleteCard(id) {
+    try {
+      await sendRequest({ action: ACTIONS.DELETE_CARD, id: id });
+      loadDeck();
+    } catch (error) {
+      showStatus('Failed to delete card', 'error');
+    }
+  }
+
+  // --- Anki Export ---
+
+  async function exportAnki() {
+    try {
+      const { cards } = await sendRequest({ action: ACTIONS.GET_DECK });
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(`vocabulary-deck-${date}.txt`, toAnkiTsv(cards), 'text/tab-separated-values');
+      showStatus(`Exported ${cards.length} cards`, 'success');
+    } catch (error) {
+      console.error('Error exporting deck:', error);
+      showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  // Anki's plain-text import format, with file headers naming the separator and columns
+  function toAnkiTsv(cards) {
+    // Tabs and newlines would break the row structure, so flatten them to spaces
+    const clean = value => String(value ?? '').replace(/[\t\r\n]+/g, ' ').trim();
+    const lines = [
+      '#separator:tab',
+      '#html:false',
+      '#columns:Term\tTranslation\tSentence\tSource\tTags',
+      '#tags column:5'
+    ];
+    cards.forEach(card => {
+      const tags = ['instant-translator'];
+      if (card.sourceLang && card.targetLang) {
+        tags.push(`${card.sourceLang}-${card.targetLang}`);
+      }
+      lines.push([card.term, card.translation, card.sentence, card.sourceUrl, tags.join(' ')].map(clean).join('\t'));
+    });
+    return lines.join('\n');
+  }
+
+  function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Helper to show status messages
+  function showStatus(message, type = 'info') {
+    statusContainer.innerHTML = `<div class="status ${type}">${message}</div>`;
+    statusContainer.classList.remove('hidden');
+
+    if (type === 'success' || type === 'info') {
+      setTimeout(() => {
+        statusContainer.classList.add('hidden');
+      }, 3000);
+    }
+  }
+});
@@ -0,0 +1,245 @@
+/**
+ * glossary.js - User glossary (terminology) for Instant Translator
+ *
+ * Stores per-language-pair term lists in IndexedDB. An entry either fixes how a term is
+ * translated (term -> translation) or marks it as do-not-translate (brand and product names).
+ * The background uses the entries that occur in a text in two ways:
+ *
+ * - Backends that take a prompt (Ollama) get them as the {glossary} prompt variable
+ * - Other backends (Chrome API, LibreTranslate) get the text with each term replaced by a
+ *   placeholder, which is swapped for the required translation afterwards
+ *
+ * Either way the output is checked afterwards and entries it didn't follow are reported.
+ */
+
+import { openDatabase, withStore } from './idb.js';
+
+const DB_NAME = 'instant-translator-glossary';
+const DB_VERSION = 1;
+const STORE_NAME = 'terms';
+
+// Placeholders survive machine translation better as short upper-case tokens than as markup
+const PLACEHOLDER_PREFIX = 'GLS';
+const PLACEHOLDER_PATTERN = new RegExp(`_{1,2}\\s*${PLACEHOLDER_PREFIX}\\s*(\\d+)\\s*_{1,2}`, 'gi');
+
+// Open (and create) the glossary database
+function openGlossaryDatabase() {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    }
+  });
+}
+
+// Run fn(store) against the terms store
+function withGlossaryStore(mode, fn) {
+  return withStore(openGlossaryDatabase(), STORE_NAME, mode, fn);
+}
+
+// Check and tidy an entry before it is stored
+function normalizeEntry(entry) {
+  const normalized = {
+    source: (entry.source || '').trim(),
+    target: (entry.target || '').trim(),
+    term: (entry.term || '').trim(),
+    translation: (entry.translation || '').trim(),
+    doNotTranslate: entry.doNotTranslate === true || entry.doNotTranslate === 'true',
+    note: (entry.note || '').trim()
+  };
+
+  if (!normalized.source || !normalized.target) {
+    throw new Error('A glossary entry needs a source and a target language.');
+  }
+  if (!normalized.term) {
+    throw new Error('A glossary entry needs a term.');
+  }
+  if (normalized.doNotTranslate) {
+    normalized.translation = normalized.term;
+  } else if (!normalized.translation) {
+    throw new Error(`"${normalized.term}" needs a translation, or must be marked do-not-translate.`);
+  }
+  return normalized;
+}
+
+// Same pair and term (ignoring case) as another entry
+function isSameTerm(a, b) {
+  return a.source === b.source && a.target === b.target && a.term.toLowerCase() === b.term.toLowerCase();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Match whole words for terms that start and end with a word character; CJK text has no
+// spaces between words, so other terms match anywhere
+function buildTermPattern(term, flags = 'gi') {
+  const escaped = escapeRegExp(term);
+  const start = /^\w/.test(term) ? '\\b' : '';
+  const end = /\w$/.test(term) ? '\\b' : '';
+  return new RegExp(`${start}${escaped}${end}`, flags);
+}
+
+/**
+ * Returns every glossary entry, sorted by language pair and term.
+ *
+ * @returns {Promise<Array>} The entries ({ id, source, target, term, translation, doNotTranslate, note })
+ */
+export async function getGlossary() {
+  const entries = await withGlossaryStore('readonly', store => store.getAll());
+  return entries.sort((a, b) =>
+    a.source.localeCompare(b.source) || a.target.localeCompare(b.target) || a.term.localeCompare(b.term));
+}
+
+/**
+ * Adds or updates a glossary entry. An entry without an ID that has the same pair and term as
+ * an existing one updates that entry instead of adding a duplicate.
+ *
+ * @param {Object} entry { id?, source, target, term, translation, doNotTranslate, note }
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function saveGlossaryEntry(entry) {
+  const normalized = normalizeEntry(entry);
+  const entries = await withGlossaryStore('readonly', store => store.getAll());
+  const existing = entry.id !== undefined && entry.id !== null
+    ? entries.find(e => e.id === entry.id)
+    : entries.find(e => isSameTerm(e, normalized));
+
+  const duplicate = entries.find(e => e.id !== existing?.id && isSameTerm(e, normalized));
+  if (duplicate) {
+    throw new Error(`"${normalized.term}" is already in the glossary for this language pair.`);
+  }
+
+  if (existing) {
+    const updated = { ...existing, ...normalized };
+    await withGlossaryStore('readwrite', store => store.put(updated));
+    return updated;
+  }
+
+  const created = { ...normalized, createdAt: Date.now() };
+  created.id = await withGlossaryStore('readwrite', store => store.add(created));
+  return created;
+}
+
+/**
+ * Deletes a glossary entry.
+ *
+ * @param {number} id The entry ID
+ * @returns {Promise<void>}
+ */
+export async function deleteGlossaryEntry(id) {
+  await withGlossaryStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Adds a list of entries (e.g. from a CSV import), updating entries with the same pair and term.
+ * Invalid rows are skipped and reported rather than failing the whole import.
+ *
+ * @param {Array<Object>} rows Entries without IDs
+ * @returns {Promise<Object>} { added, updated, errors } where errors are messages for skipped rows
+ */
+export async function importGlossary(rows) {
+  const entries = await withGlossaryStore('readonly', store => store.getAll());
+  const result = { added: 0, updated: 0, errors: [] };
+  const toStore = [];
+
+  rows.forEach((row, index) => {
+    try {
+      const normalized = normalizeEntry(row);
+      const existing = entries.find(e => isSameTerm(e, normalized)) || toStore.find(e => isSameTerm(e, normalized));
+      if (existing) {
+        // A term repeated in the import keeps its last row, and counts once
+        Object.assign(existing, normalized);
+        if (!toStore.includes(existing)) {
+          toStore.push(existing);
+          if (existing.id !== undefined) result.updated++;
+        }
+      } else {
+        toStore.push({ ...normalized, createdAt: Date.now() });
+        result.added++;
+      }
+    } catch (error) {
+      result.errors.push(`Row ${index + 1}: ${error.message}`);
+    }
+  });
+
+  await withGlossaryStore('readwrite', store => {
+    toStore.forEach(entry => store.put(entry));
+  });
+  return result;
+}
+
+/**
+ * Finds the glossary entries whose term occurs in a text. With an 'auto' source language the
+ * entries of every source language for the target are considered.
+ *
+ * @param {string} text The text to translate
+ * @param {string} sourceLang The source language code, or 'auto'
+ * @param {string} targetLang The target language code
+ * @returns {Promise<Array>} The matching entries, longest term first
+ */
+export async function findGlossaryMatches(text, sourceLang, targetLang) {
+  const entries = await withGlossaryStore('readonly', store => store.getAll());
+  return entries
+    .filter(entry => entry.target === targetLang && (sourceLang === 'auto' || !sourceLang || entry.source === sourceLang))
+    .filter(entry => buildTermPattern(entry.term, 'i').test(text))
+    // Longest first, so "Acme Cloud" is protected before "Acme"
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+/**
+ * Formats matching entries for the {glossary} prompt variable.
+ *
+ * @param {Array} entries Entries from findGlossaryMatches()
+ * @returns {string} One line per entry, or '' when there are none
+ */
+export function formatGlossaryForPrompt(entries) {
+  return entries.map(entry => entry.doNotTranslate
+    ? `- "${entry.term}": do not translate, keep it exactly as written`
+    : `- "${entry.term}": translate as "${entry.translation}"`
+  ).join('\n');
+}
+
+/**
+ * Replaces glossary terms with numbered placeholders, for backends that can't be told about the glossary.
+ *
+ * @param {string} text The text to translate
+ * @param {Array} entries Entries from findGlossaryMatches()
+ * @returns {Object} { text, replacements } where replacements[i] is the text placeholder i stands for
+ */
+export function protectGlossaryTerms(text, entries) {
+  const replacements = [];
+  let protectedText = text;
+  entries.forEach(entry => {
+    protectedText = protectedText.replace(buildTermPattern(entry.term), () => {
+      replacements.push(entry.translation);
+      return `__${PLACEHOLDER_PREFIX}${replacements.length - 1}__`;
+    });
+  });
+  return { text: protectedText, replacements: replacements };
+}
+
+/**
+ * Puts the glossary translations back in place of the placeholders. Tolerates the spacing
+ * and case changes translation engines make to the placeholders.
+ *
+ * @param {string} translation The translated text with placeholders
+ * @param {Array<string>} replacements From protectGlossaryTerms()
+ * @returns {string} The translation with the placeholders replaced
+ */
+export function restoreGlossaryTerms(translation, replacements) {
+  if (!translation || replacements.length === 0) return translation;
+  return translation.replace(PLACEHOLDER_PATTERN, (match, index) => replacements[Number(index)] ?? match);
+}
+
+/**
+ * Checks a translation against the glossary entries that applied to its source text.
+ *
+ * @param {string} translation The translated text
+ * @param {Array} entries Entries from findGlossaryMatches()
+ * @returns {Array<Object>} { term, expected, doNotTranslate } for each entry the translation doesn't follow
+ */
+export function checkGlossaryViolations(translation, entries) {
+  return entries
+    .filter(entry => !(translation || '').toLowerCase().includes(entry.translation.toLowerCase()))
+    .map(entry => ({ term: entry.term, expected: entry.translation, doNotTranslate: entry.doNotTranslate }));
+}
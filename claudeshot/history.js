@@ -0,0 +1,270 @@
+/**
+ * history.js - JavaScript for the Translation History page
+ *
+ * Lists past translations recorded by the background script, newest first, with
+ * full-text search, source/target language filters, per-entry delete and CSV/JSON export.
+ */
+
+// Message actions shared with the background (messages.js, loaded before this script)
+const { ACTIONS } = MessageProtocol;
+
+document.addEventListener('DOMContentLoaded', () => {
+  // DOM elements
+  const searchInput = document.getElementById('history-search');
+  const sourceFilter = document.getElementById('history-source-filter');
+  const targetFilter = document.getElementById('history-target-filter');
+  const historySummary = document.getElementById('history-summary');
+  const historyContainer = document.getElementById('history-container');
+  const exportCsvButton = document.getElementById('export-csv');
+  const exportJsonButton = document.getElementById('export-json');
+  const clearHistoryButton = document.getElementById('clear-history');
+  const statusContainer = document.getElementById('status-container');
+
+  // Number of entries shown at once; the export always includes every match
+  const PAGE_SIZE = 200;
+
+  // Global state
+  let supportedLanguages = [];
+  let searchTimer = null;
+
+  initialize();
+
+  async function initialize() {
+    try {
+      await loadLanguages();
+      populateLanguageFilters();
+    } catch (error) {
+      console.error('Error loading languages for history filters:', error);
+    }
+
+    setupEventListeners();
+    loadHistory();
+  }
+
+  function loadLanguages() {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: ACTIONS.GET_CONFIG }, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (response && response.success) {
+          supportedLanguages = response.supportedLanguages || [];
+          resolve();
+        } else {
+          reject(new Error('Failed to load configuration'));
+        }
+      });
+    });
+  }
+
+  function populateLanguageFilters() {
+    supportedLanguages
+      .filter(language => language.code !== 'auto')
+      .forEach(language => {
+        [sourceFilter, targetFilter].forEach(select => {
+          const option = document.createElement('option');
+          option.value = language.code;
+          option.textContent = language.name;
+          select.appendChild(option);
+        });
+      });
+  }
+
+  function setupEventListeners() {
+    // Debounce typing in the search box
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(loadHistory, 250);
+    });
+    sourceFilter.addEventListener('change', loadHistory);
+    targetFilter.addEventListener('change', loadHistory);
+
+    exportCsvButton.addEventListener('click', () => exportHistory('csv'));
+    exportJsonButton.addEventListener('click', () => exportHistory('json'));
+    clearHistoryButton.addEventListener('click', clearHistory);
+  }
+
+  function getFilters() {
+    return {
+      query: searchInput.value.trim(),
+      sourceLang: sourceFilter.value,
+      targetLang: targetFilter.value
+    };
+  }
+
+  // Fetch matching entries from the background
+  function requestHistory(filters) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: ACTIONS.GET_HISTORY, filters: filters }, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (response && response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response?.error || 'Failed to load history'));
+        }
+      });
+    });
+  }
+
+  async function loadHistory() {
+    try {
+      const { entries, total } = await requestHistory({ ...getFilters(), limit: PAGE_SIZE });
+      historySummary.textContent = total > entries.length
+        ? `Showing the ${entries.length} most recent of ${total} translations`
+        : `${total} translation${total === 1 ? '' : 's'}`;
+      renderEntries(entries);
+    } catch (error) {
+      console.error('Error loading history:', error);
+      historySummary.textContent = `Error: ${error.message}`;
+    }
+  }
+
+  function renderEntries(entries) {
+    historyContainer.innerHTML = '';
+
+    if (entries.length === 0) {
+      historyContainer.innerHTML = '<p>No translations found</p>';
+      return;
+    }
+
+    entries.forEach(entry => {
+      const entryCard = document.createElement('div');
+      entryCard.className = 'history-entry';
+
+      const header = document.createElement('div');
+      header.className = 'history-entry-header';
+      const languages = document.createElement('span');
+      const sourceName = getLanguageName(entry.detectedSourceLang || entry.sourceLang);
+      languages.textContent = `${sourceName} → ${getLanguageName(entry.targetLang)} · ${new Date(entry.timestamp).toLocaleString()}`;
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'delete-entry';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => deleteEntry(entry.id));
+      header.appendChild(languages);
+      header.appendChild(deleteButton);
+
+      const original = document.createElement('div');
+      original.className = 'history-original';
+      original.textContent = entry.originalText;
+
+      const translation = document.createElement('div');
+      translation.className = 'history-translation';
+      translation.textContent = entry.translation;
+
+      const meta = document.createElement('div');
+      meta.className = 'history-meta';
+      const model = entry.modelUsed || entry.backend || 'unknown';
+      meta.textContent = entry.usedFallback ? `Fallback model: ${model}` : `Model: ${model}`;
+      if (entry.pageUrl) {
+        meta.appendChild(document.createTextNode(' · '));
+        const link = document.createElement('a');
+        link.href = entry.pageUrl;
+        link.target = '_blank';
+        link.textContent = entry.pageUrl;
+        meta.appendChild(link);
+      }
+
+      entryCard.appendChild(header);
+      entryCard.appendChild(original);
+      entryCard.appendChild(translation);
+      entryCard.appendChild(meta);
+      historyContainer.appendChild(entryCard);
+    });
+  }
+
+  function deleteEntry(id) {
+    chrome.runtime.sendMessage({ action: ACTIONS.DELETE_HISTORY_ENTRY, id: id }, response => {
+      if (response && response.success) {
+        loadHistory();
+      } else {
+        showStatus('Failed to delete entry', 'error');
+      }
+    });
+  }
+
+  function clearHistory() {
+    if (!confirm('Are you sure you want to delete your whole translation history?')) {
+      return;
+    }
+    chrome.runtime.sendMessage({ action: ACTIONS.CLEAR_HISTORY }, response => {
+      if (response && response.success) {
+        showStatus('History cleared', 'success');
+        loadHistory();
+      } else {
+        showStatus('Failed to clear history', 'error');
+      }
+    });
+  }
+
+  // Export every entry matching the current filters
+  async function exportHistory(format) {
+    try {
+      const { entries } = await requestHistory(getFilters());
+      const date = new Date().toISOString().slice(0, 10);
+
+      if (format === 'csv') {
+        downloadFile(`translation-history-${date}.csv`, toCsv(entries), 'text/csv');
+      } else {
+        downloadFile(`translation-history-${date}.json`, JSON.stringify(entries, null, 2), 'application/json');
+      }
+      showStatus(`Exported ${entries.length} translations`, 'success');
+    } catch (error) {
+      console.error('Error exporting history:', error);
+      showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  function toCsv(entries) {
+    const columns = [
+      ['timestamp', entry => new Date(entry.timestamp).toISOString()],
+      ['sourceLang', entry => entry.sourceLang],
+      ['detectedSourceLang', entry => entry.detectedSourceLang],
+      ['targetLang', entry => entry.targetLang],
+      ['originalText', entry => entry.originalText],
+      ['translation', entry => entry.translation],
+      ['modelUsed', entry => entry.modelUsed],
+      ['usedFallback', entry => entry.usedFallback],
+      ['pageUrl', entry => entry.pageUrl]
+    ];
+    // Quote every field and double embedded quotes (RFC 4180)
+    const escape = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+    const lines = [columns.map(([name]) => name).join(',')];
+    entries.forEach(entry => {
+      lines.push(columns.map(([, getValue]) => escape(getValue(entry))).join(','));
+    });
+    return lines.join('\r\n');
+  }
+
+  function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Helper function to get language name from code
+  function getLanguageName(code) {
+    const language = supportedLanguages.find(lang => lang.code === code);
+    return language ? language.name : (code || 'Unknown');
+  }
+
+  // Helper to show status messages
+  function showStatus(message, type = 'info') {
+    statusContainer.innerHTML = `<div class="status ${type}">${message}</div>`;
+    statusContainer.classList.remove('hidden');
+
+    if (type === 'success' || type === 'info') {
+      setTimeout(() => {
+        statusContainer.classList.add('hidden');
+      }, 3000);
+    }
+  }
+});
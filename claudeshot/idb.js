@@ -0,0 +1,67 @@
+/**
+ * idb.js - Small promise wrappers around IndexedDB for the background service worker
+ *
+ * Used by the translation cache and history modules. Each database is opened once
+ * per service-worker lifetime and reused.
+ */
+
+const databases = new Map(); // Database name -> Promise<IDBDatabase>
+
+/**
+ * Opens (and creates/upgrades) a database once, reusing the connection afterwards.
+ *
+ * @param {string} name The database name
+ * @param {number} version The database version
+ * @param {function(IDBDatabase, number, IDBTransaction): void} onUpgrade Creates stores/indexes; receives the
+ * old version and the upgrade transaction (to reach existing stores)
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version, onUpgrade) {
+  if (!databases.has(name)) {
+    databases.set(name, new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = (event) => onUpgrade(request.result, event.oldVersion, request.transaction);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databases.delete(name); // Allow a retry on the next call
+        reject(request.error);
+      };
+    }));
+  }
+  return databases.get(name);
+}
+
+/**
+ * Runs fn(store) inside a transaction and resolves with the result of the request it returns.
+ *
+ * @param {Promise<IDBDatabase>} dbPromise The database, from openDatabase()
+ * @param {string} storeName The object store to use
+ * @param {'readonly'|'readwrite'} mode The transaction mode
+ * @param {function(IDBObjectStore): (IDBRequest|void)} fn Issues requests against the store
+ * @returns {Promise<*>} The result of the returned request, once the transaction completes
+ */
+export function withStore(dbPromise, storeName, mode, fn) {
+  return withTransaction(dbPromise, [storeName], mode, transaction => fn(transaction.objectStore(storeName)));
+}
+
+/**
+ * Runs fn(transaction) in one transaction over several stores, so a read-modify-write across them
+ * is atomic. Follow-up requests are made from the callbacks of earlier ones, as IndexedDB requires.
+ *
+ * @param {Promise<IDBDatabase>} dbPromise The database, from openDatabase()
+ * @param {Array<string>} storeNames The object stores to use
+ * @param {'readonly'|'readwrite'} mode The transaction mode
+ * @param {function(IDBTransaction): (Object|void)} fn Issues requests; may return a request, or any
+ * object whose `result` its callbacks fill in
+ * @returns {Promise<*>} The `result` of what fn returned, once the transaction completes
+ */
+export async function withTransaction(dbPromise, storeNames, mode, fn) {
+  const db = await dbPromise;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = fn(transaction);
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
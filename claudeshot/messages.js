@@ -0,0 +1,213 @@
+/**
+ * messages.js - Message protocol between the parts of Instant Translator
+ *
+ * Shared by the background service worker, the content script, the popup and the extension
+ * pages. The pages load it as a classic script before their own; background.js and offscreen.js
+ * (ES modules) import it for its side effect. Either way it defines globalThis.MessageProtocol with:
+ *
+ * - ACTIONS: every message action. Names carry a version ('translate.v1'); when the fields of a
+ *   message change, its version is bumped, so a stale sender (e.g. a content script left in a
+ *   tab after an update) gets an UNKNOWN_ACTION error instead of being misread
+ * - PORTS and PORT_MESSAGE_TYPES for the long-lived connections (streaming, model downloads)
+ * - validateMessage(), which checks a message against the fields its action requires
+ * - ERROR_CODES and errorResponse() for failed requests: { success: false, code, error }
+ */
+
+globalThis.MessageProtocol = (() => {
+  const ACTIONS = {
+    // Handled by the background (chrome.runtime.sendMessage)
+    TRANSLATE: 'translate.v1',
+    CHECK_STATUS: 'checkStatus.v1',
+    GET_BACKEND_HEALTH: 'getBackendHealth.v1',
+    GET_CONFIG: 'getConfig.v1',
+    UPDATE_CONFIG: 'updateConfig.v1',
+    RESET_CONFIG: 'resetConfig.v1',
+    SWITCH_BACKEND: 'switchBackend.v1',
+    CHECK_MODEL_STATUS: 'checkModelStatus.v1',
+    REPORT_DOWNLOAD_PROGRESS: 'reportDownloadProgress.v1',
+    GET_CACHE_STATS: 'getCacheStats.v1',
+    EXPORT_CACHE: 'exportCache.v1',
+    CLEAR_CACHE: 'clearCache.v1',
+    GET_HISTORY: 'getHistory.v1',
+    DELETE_HISTORY_ENTRY: 'deleteHistoryEntry.v1',
+    CLEAR_HISTORY: 'clearHistory.v1',
+    LIST_OLLAMA_MODELS: 'listOllamaModels.v1',
+    SHOW_OLLAMA_MODEL: 'showOllamaModel.v1',
+    ADD_OLLAMA_MODEL: 'addOllamaModel.v1',
+    PREVIEW_PROMPT_TEMPLATE: 'previewPromptTemplate.v1',
+    ANALYZE_FOR_LEARNER: 'analyzeForLearner.v1',
+    COMPARE_TRANSLATIONS: 'compareTranslations.v1',
+    VOTE_COMPARE_RESULT: 'voteCompareResult.v1',
+    GET_GLOSSARY: 'getGlossary.v1',
+    SAVE_GLOSSARY_ENTRY: 'saveGlossaryEntry.v1',
+    DELETE_GLOSSARY_ENTRY: 'deleteGlossaryEntry.v1',
+    IMPORT_GLOSSARY: 'importGlossary.v1',
+    SAVE_TO_DECK: 'saveToDeck.v1',
+    GET_DECK: 'getDeck.v1',
+    GET_DUE_CARDS: 'getDueCards.v1',
+    REVIEW_CARD: 'reviewCard.v1',
+    DELETE_CARD: 'deleteCard.v1',
+
+    // Handled by the content script (chrome.tabs.sendMessage)
+    TRANSLATE_SELECTED_TEXT: 'translateSelectedText.v1',
+    RETRANSLATE_WITH_OTHER_STYLE: 'retranslateWithOtherStyle.v1',
+    GET_LAST_TRANSLATION: 'getLastTranslation.v1',
+    GET_SITE_INFO: 'getSiteInfo.v1',
+    SHOW_NOTICE: 'showNotice.v1',
+    TRANSLATE_PAGE: 'translatePage.v1',
+    RESTORE_PAGE: 'restorePage.v1',
+    TOGGLE_PAGE_TRANSLATION: 'togglePageTranslation.v1',
+    GET_PAGE_TRANSLATION_STATE: 'getPageTranslationState.v1',
+
+    // Handled by the offscreen document (chrome.runtime.sendMessage from the background)
+    CALL_BUILT_IN_API: 'callBuiltInApi.v1',
+
+    // Sent over ports (see PORTS)
+    STREAM_TRANSLATION: 'streamTranslation.v1',
+    PULL_MODEL: 'pullModel.v1'
+  };
+
+  // Which actions each receiver handles, for validateMessage()
+  const CONTENT_ACTIONS = [
+    ACTIONS.TRANSLATE_SELECTED_TEXT, ACTIONS.RETRANSLATE_WITH_OTHER_STYLE, ACTIONS.GET_LAST_TRANSLATION,
+    ACTIONS.GET_SITE_INFO, ACTIONS.SHOW_NOTICE, ACTIONS.TRANSLATE_PAGE, ACTIONS.RESTORE_PAGE,
+    ACTIONS.TOGGLE_PAGE_TRANSLATION, ACTIONS.GET_PAGE_TRANSLATION_STATE
+  ];
+  const OFFSCREEN_ACTIONS = [ACTIONS.CALL_BUILT_IN_API];
+  const PORT_ACTIONS = [ACTIONS.STREAM_TRANSLATION, ACTIONS.PULL_MODEL];
+  const BACKGROUND_ACTIONS = Object.values(ACTIONS).filter(action =>
+    !CONTENT_ACTIONS.includes(action) && !OFFSCREEN_ACTIONS.includes(action) && !PORT_ACTIONS.includes(action));
+
+  const PORTS = {
+    TRANSLATE_STREAM: 'translate-stream',
+    OLLAMA_PULL: 'ollama-pull'
+  };
+
+  // Messages sent back over a port: partial results ('chunk', 'progress'), then one 'done'
+  const PORT_MESSAGE_TYPES = {
+    CHUNK: 'chunk',
+    PROGRESS: 'progress',
+    DONE: 'done'
+  };
+
+  const ERROR_CODES = {
+    INVALID_MESSAGE: 'INVALID_MESSAGE', // Missing or mistyped fields
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION', // Not an action of this protocol version
+    NO_BACKEND: 'NO_BACKEND', // No translation backend is loaded
+    TRANSLATION_FAILED: 'TRANSLATION_FAILED',
+    NOT_AVAILABLE: 'NOT_AVAILABLE', // Nothing to act on (no selection, no previous translation)
+    REQUEST_FAILED: 'REQUEST_FAILED' // Any other error while handling the request
+  };
+
+  // The fields of each action's message besides `action`. Types are checked with typeof (plus
+  // 'array'); a trailing '?' marks an optional field, which may also be null.
+  const MESSAGE_FIELDS = {
+    [ACTIONS.TRANSLATE]: { text: 'string?', texts: 'array?', sourceLang: 'string?', targetLang: 'string', style: 'string?', context: 'object?' },
+    [ACTIONS.CHECK_STATUS]: {},
+    [ACTIONS.GET_BACKEND_HEALTH]: {},
+    [ACTIONS.GET_CONFIG]: {},
+    [ACTIONS.UPDATE_CONFIG]: { config: 'object' },
+    [ACTIONS.RESET_CONFIG]: {},
+    [ACTIONS.SWITCH_BACKEND]: { backend: 'string' },
+    [ACTIONS.CHECK_MODEL_STATUS]: { modelId: 'string' },
+    [ACTIONS.REPORT_DOWNLOAD_PROGRESS]: { modelId: 'string', loaded: 'number' },
+    [ACTIONS.GET_CACHE_STATS]: {},
+    [ACTIONS.EXPORT_CACHE]: {},
+    [ACTIONS.CLEAR_CACHE]: {},
+    [ACTIONS.GET_HISTORY]: { filters: 'object?' },
+    [ACTIONS.DELETE_HISTORY_ENTRY]: { id: 'number' },
+    [ACTIONS.CLEAR_HISTORY]: {},
+    [ACTIONS.LIST_OLLAMA_MODELS]: {},
+    [ACTIONS.SHOW_OLLAMA_MODEL]: { modelId: 'string' },
+    [ACTIONS.ADD_OLLAMA_MODEL]: { modelId: 'string' },
+    [ACTIONS.PREVIEW_PROMPT_TEMPLATE]: { template: 'string', modelId: 'string', text: 'string', sourceLang: 'string?', targetLang: 'string', variables: 'object?', style: 'string?' },
+    [ACTIONS.ANALYZE_FOR_LEARNER]: { text: 'string', sourceLang: 'string?', targetLang: 'string', context: 'object?' },
+    [ACTIONS.COMPARE_TRANSLATIONS]: { text: 'string', sourceLang: 'string?', targetLang: 'string', style: 'string?', context: 'object?' },
+    [ACTIONS.VOTE_COMPARE_RESULT]: { backend: 'string', model: 'string?', sourceLang: 'string?', targetLang: 'string?' },
+    [ACTIONS.GET_GLOSSARY]: {},
+    [ACTIONS.SAVE_GLOSSARY_ENTRY]: { entry: 'object' },
+    [ACTIONS.DELETE_GLOSSARY_ENTRY]: { id: 'number' },
+    [ACTIONS.IMPORT_GLOSSARY]: { entries: 'array' },
+    [ACTIONS.SAVE_TO_DECK]: { card: 'object' },
+    [ACTIONS.GET_DECK]: {},
+    [ACTIONS.GET_DUE_CARDS]: { limit: 'number?' },
+    [ACTIONS.REVIEW_CARD]: { id: 'number', quality: 'number' },
+    [ACTIONS.DELETE_CARD]: { id: 'number' },
+
+    [ACTIONS.TRANSLATE_SELECTED_TEXT]: { targetLang: 'string?' },
+    [ACTIONS.RETRANSLATE_WITH_OTHER_STYLE]: {},
+    [ACTIONS.GET_LAST_TRANSLATION]: {},
+    [ACTIONS.GET_SITE_INFO]: {},
+    [ACTIONS.SHOW_NOTICE]: { message: 'string' },
+    [ACTIONS.TRANSLATE_PAGE]: {},
+    [ACTIONS.RESTORE_PAGE]: {},
+    [ACTIONS.TOGGLE_PAGE_TRANSLATION]: {},
+    [ACTIONS.GET_PAGE_TRANSLATION_STATE]: {},
+
+    [ACTIONS.CALL_BUILT_IN_API]: { method: 'string', args: 'array' },
+
+    [ACTIONS.STREAM_TRANSLATION]: { text: 'string', sourceLang: 'string?', targetLang: 'string', style: 'string?', context: 'object?' },
+    [ACTIONS.PULL_MODEL]: { modelId: 'string' }
+  };
+
+  // Checks that can't be expressed as field types
+  const MESSAGE_CHECKS = {
+    [ACTIONS.TRANSLATE]: (message) => (typeof message.text === 'string') === Array.isArray(message.texts)
+      ? 'needs either text or texts'
+      : null
+  };
+
+  function getType(value) {
+    return Array.isArray(value) ? 'array' : typeof value;
+  }
+
+  /**
+   * Checks a message against its action's fields.
+   *
+   * @param {Object} message The received message
+   * @param {Array<string>} [expectedActions] The actions the receiver handles (e.g. BACKGROUND_ACTIONS, or
+   * [ACTIONS.PULL_MODEL] on a port); other actions are UNKNOWN_ACTION
+   * @returns {Object|null} null for a valid message, otherwise { code, error }
+   */
+  function validateMessage(message, expectedActions = Object.keys(MESSAGE_FIELDS)) {
+    if (!message || typeof message !== 'object' || typeof message.action !== 'string') {
+      return { code: ERROR_CODES.INVALID_MESSAGE, error: 'The message has no action' };
+    }
+    const fields = MESSAGE_FIELDS[message.action];
+    if (!fields || !expectedActions.includes(message.action)) {
+      return { code: ERROR_CODES.UNKNOWN_ACTION, error: `Unknown action: ${message.action}` };
+    }
+
+    for (const [name, spec] of Object.entries(fields)) {
+      const optional = spec.endsWith('?');
+      const type = optional ? spec.slice(0, -1) : spec;
+      const value = message[name];
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        return { code: ERROR_CODES.INVALID_MESSAGE, error: `${message.action}: ${name} is required` };
+      }
+      if (getType(value) !== type) {
+        return { code: ERROR_CODES.INVALID_MESSAGE, error: `${message.action}: ${name} must be ${type === 'array' ? 'an array' : `a ${type}`}` };
+      }
+    }
+
+    const problem = MESSAGE_CHECKS[message.action]?.(message);
+    return problem ? { code: ERROR_CODES.INVALID_MESSAGE, error: `${message.action}: ${problem}` } : null;
+  }
+
+  /**
+   * Builds the response for a failed request.
+   *
+   * @param {string} code One of ERROR_CODES
+   * @param {string} error A message for the user or the log
+   * @returns {Object} { success: false, code, error }
+   */
+  function errorResponse(code, error) {
+    return { success: false, code: code, error: error };
+  }
+
+  return {
+    ACTIONS, BACKGROUND_ACTIONS, CONTENT_ACTIONS, OFFSCREEN_ACTIONS, PORTS, PORT_MESSAGE_TYPES, ERROR_CODES, MESSAGE_FIELDS,
+    validateMessage, errorResponse
+  };
+})();
@@ -0,0 +1,40 @@
+/**
+ * offscreen.js - Offscreen document for Instant Translator
+ *
+ * Chrome's on-device Translator and LanguageDetector APIs are exposed to windows but not to the
+ * background service worker. The Chrome API backend creates this document when it needs them and
+ * calls createBuiltInApi()'s methods here with CALL_BUILT_IN_API messages (see backends/chromeApi.js).
+ * The document stays open, so translators and language pack downloads outlive the service worker.
+ */
+
+import './messages.js';
+import { createBuiltInApi, BUILT_IN_API_METHODS } from './backends/chromeApi.js';
+
+const { ACTIONS, OFFSCREEN_ACTIONS, ERROR_CODES, validateMessage, errorResponse } = globalThis.MessageProtocol;
+
+const builtInApi = createBuiltInApi(globalThis);
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Messages from the pages and content scripts reach this document too; leave them to the background
+  if (!request || request.action !== ACTIONS.CALL_BUILT_IN_API) {
+    return false;
+  }
+
+  const invalid = validateMessage(request, OFFSCREEN_ACTIONS);
+  if (invalid) {
+    sendResponse(errorResponse(invalid.code, invalid.error));
+    return false;
+  }
+  if (!BUILT_IN_API_METHODS.includes(request.method)) {
+    sendResponse(errorResponse(ERROR_CODES.INVALID_MESSAGE, `Unknown built-in API method: ${request.method}`));
+    return false;
+  }
+
+  builtInApi[request.method](...request.args)
+    .then(result => sendResponse({ success: true, result: result }))
+    .catch(error => {
+      console.error(`Built-in API call ${request.method} failed:`, error);
+      sendResponse(errorResponse(ERROR_CODES.REQUEST_FAILED, error.message));
+    });
+  return true; // Keep the message channel open for async response
+});
@@ -7,11 +7,17 @@
  * 1. Source and target language selection and persistence via Chrome's storage API
  * 2. Ollama connection status checking
  * 3. User feedback through status messages
+ * 4. The keyboard shortcuts currently bound to the extension's commands
+ * 5. The site rule for the active tab (translate on select, on demand only, or disabled)
+ * 6. The model's notes on the active tab's last translation, such as a grammar explanation
  * 
  * The popup serves as the main settings interface for the extension, allowing users
  * to change which languages they want to translate between.
  */
 
+// Message actions shared with the background (messages.js, loaded before this script)
+const { ACTIONS } = MessageProtocol;
+
 // Global configuration (loaded from background)
 let config = {};
 let allLanguages = []; // Full list from config
@@ -21,12 +27,29 @@ document.addEventListener('DOMContentLoaded', () => {
   const targetLanguageSelect = document.getElementById('target-language');
   const checkStatusBtn = document.getElementById('check-status');
   const statusContainer = document.getElementById('status-container');
-  const translationStyleRadios = document.getElementsByName('translation-style');
+  const translationStylesContainer = document.getElementById('translation-styles');
+  const translationStyleRadios = document.getElementsByName('translation-style'); // Live list, filled by populateStyleOptions()
+  const streamTranslationsCheckbox = document.getElementById('stream-translations');
+  const translationContextSelect = document.getElementById('translation-context');
+  const translatePageBtn = document.getElementById('translate-page');
+  const secondaryTargetSelect = document.getElementById('secondary-target-language');
+  const autoTranslateCheckbox = document.getElementById('auto-translate');
+  const compareModeCheckbox = document.getElementById('compare-mode');
+  const learnerModeCheckbox = document.getElementById('learner-mode');
+  const shortcutList = document.getElementById('shortcut-list');
+  const editShortcutsLink = document.getElementById('edit-shortcuts');
+  const siteRuleGroup = document.getElementById('site-rule-group');
+  const siteOriginLabel = document.getElementById('site-origin');
+  const siteModeSelect = document.getElementById('site-mode');
+  const lastNotesGroup = document.getElementById('last-notes-group');
+  const lastTranslationNotes = document.getElementById('last-translation-notes');
+  let activeSiteOrigin = null;
   
   // Load configuration and setup UI
   loadConfigAndLanguages()
     .then(() => {
       populateLanguageDropdowns();
+      populateStyleOptions();
       loadSavedSettings();
     })
     .catch(error => {
@@ -34,6 +57,7 @@ document.addEventListener('DOMContentLoaded', () => {
       showStatus('Error loading settings', 'error');
       // Populate with minimal defaults if loading failed
       populateLanguageDropdowns(); // Will use hardcoded defaults if allLanguages is empty
+      populateStyleOptions();
       loadSavedSettings();
     });
   
@@ -53,14 +77,93 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
   
-  // Save translation style when changed
-  translationStyleRadios.forEach(radio => {
-    radio.addEventListener('change', () => {
-      if (radio.checked) {
-        chrome.storage.sync.set({ translationStyle: radio.value }, () => {
-          showStatus(`Translation style set to ${radio.value === 'natural' ? 'Natural' : 'Word-for-Word'}`, 'success');
-        });
+  // Save how much of the surrounding text is sent with a selection when changed
+  translationContextSelect.addEventListener('change', () => {
+    const scope = translationContextSelect.value;
+    chrome.storage.sync.set({ translationContext: scope }, () => {
+      showStatus(scope === 'off' ? 'Context-aware translation disabled' : `The surrounding ${scope} is sent with selections`, 'success');
+    });
+  });
+  
+  // Save streaming preference when changed
+  streamTranslationsCheckbox.addEventListener('change', () => {
+    const enabled = streamTranslationsCheckbox.checked;
+    chrome.storage.sync.set({ streamTranslations: enabled }, () => {
+      showStatus(`Streaming translations ${enabled ? 'enabled' : 'disabled'}`, 'success');
+    });
+  });
+  
+  // Save secondary target language (used by the "translate into secondary target" shortcut) when changed
+  secondaryTargetSelect.addEventListener('change', () => {
+    const selectedLanguage = secondaryTargetSelect.value;
+    chrome.storage.sync.set({ secondaryTargetLanguage: selectedLanguage }, () => {
+      showStatus(selectedLanguage ? `Secondary target language set to ${selectedLanguage}` : 'Secondary target language cleared', 'success');
+    });
+  });
+  
+  // Save compare mode preference when changed
+  compareModeCheckbox.addEventListener('change', () => {
+    const enabled = compareModeCheckbox.checked;
+    chrome.storage.sync.set({ compareMode: enabled }, () => {
+      showStatus(`Compare mode ${enabled ? 'enabled' : 'disabled'}`, 'success');
+    });
+  });
+  
+  // Save learner view preference when changed
+  learnerModeCheckbox.addEventListener('change', () => {
+    const enabled = learnerModeCheckbox.checked;
+    chrome.storage.sync.set({ learnerMode: enabled }, () => {
+      showStatus(`Learner view ${enabled ? 'enabled' : 'disabled'}`, 'success');
+    });
+  });
+  
+  // Save translate-on-select preference when changed
+  autoTranslateCheckbox.addEventListener('change', () => {
+    const enabled = autoTranslateCheckbox.checked;
+    chrome.storage.sync.set({ autoTranslateOnSelect: enabled }, () => {
+      showStatus(`Translate on select ${enabled ? 'enabled' : 'disabled'}`, 'success');
+    });
+  });
+  
+  // Show the page translation state of the active tab on the button
+  updatePageTranslationButton();
+  
+  // Show the model's notes on the tab's last translation (e.g. a grammar explanation)
+  loadLastTranslationNotes();
+  
+  // Show and edit the rule for the active tab's site
+  loadSiteRule();
+  siteModeSelect.addEventListener('change', async () => {
+    if (!activeSiteOrigin) return;
+    const mode = siteModeSelect.value;
+    try {
+      await saveSiteRule(activeSiteOrigin, { mode: mode || null });
+    } catch (error) {
+      console.error('Error saving site rule:', error);
+      showStatus(`Could not save the rule for ${activeSiteOrigin}: ${error.message}`, 'error');
+      return;
+    }
+    const labels = { auto: 'Translating on select', 'on-demand': 'Translating only on demand', off: 'Disabled' };
+    showStatus(mode ? `${labels[mode]} on ${activeSiteOrigin}` : `${activeSiteOrigin} now uses the global setting`, 'success');
+  });
+  
+  // List the keyboard shortcuts; chrome:// pages can't be opened from a plain link
+  loadShortcuts();
+  editShortcutsLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  
+  // Translate the current page, or restore the original if it's already translated
+  translatePageBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    sendToActiveTab({ action: ACTIONS.TOGGLE_PAGE_TRANSLATION }, (response) => {
+      if (!response || !response.success) {
+        showStatus('Page translation is not available on this page', 'error');
+        return;
       }
+      setPageTranslationButton(response.state);
+      showStatus(response.state === 'original' ? 'Restored original page' : 'Translating page...', 'info');
     });
   });
   
@@ -69,7 +172,7 @@ document.addEventListener('DOMContentLoaded', () => {
     e.preventDefault();
     showStatus('Checking backend status...', 'info');
 
-    chrome.runtime.sendMessage({ action: 'checkBackendStatus' }, (response) => {
+    chrome.runtime.sendMessage({ action: ACTIONS.CHECK_STATUS }, (response) => {
        if (chrome.runtime.lastError) {
           console.error("Error checking backend status:", chrome.runtime.lastError.message);
           showStatus(`Error: ${chrome.runtime.lastError.message}`, 'error');
@@ -87,11 +190,88 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
   
+  // Send a message to the content script of the active tab's top frame
+  function sendToActiveTab(message, callback) {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs || tabs.length === 0) {
+        callback(null);
+        return;
+      }
+      chrome.tabs.sendMessage(tabs[0].id, message, { frameId: 0 }, (response) => {
+        if (chrome.runtime.lastError) {
+          // No content script on this page (e.g. chrome:// pages)
+          console.warn('Could not reach content script:', chrome.runtime.lastError.message);
+          callback(null);
+          return;
+        }
+        callback(response);
+      });
+    });
+  }
+  
+  // Ask the active tab's content script for its site (pages without one, like chrome://, can't have rules)
+  function loadSiteRule() {
+    sendToActiveTab({ action: ACTIONS.GET_SITE_INFO }, async (response) => {
+      if (!response || !response.success || !response.origin) return;
+      activeSiteOrigin = response.origin;
+      const rule = await getSiteRule(activeSiteOrigin);
+      siteOriginLabel.textContent = new URL(activeSiteOrigin).hostname;
+      siteModeSelect.value = rule?.mode || '';
+      siteRuleGroup.style.display = 'block';
+    });
+  }
+  
+  function loadLastTranslationNotes() {
+    sendToActiveTab({ action: ACTIONS.GET_LAST_TRANSLATION }, (response) => {
+      const notes = response && response.success ? response.translation?.notes : null;
+      if (!notes) return;
+      lastTranslationNotes.textContent = notes;
+      lastNotesGroup.style.display = 'block';
+    });
+  }
+  
+  function updatePageTranslationButton() {
+    sendToActiveTab({ action: ACTIONS.GET_PAGE_TRANSLATION_STATE }, (response) => {
+      setPageTranslationButton(response && response.success ? response.state : 'original');
+    });
+  }
+  
+  function setPageTranslationButton(state) {
+    translatePageBtn.textContent = state === 'original' ? 'Translate This Page' : 'Show Original Page';
+  }
+  
+  // Show each command with its current key binding (users can rebind them in Chrome)
+  function loadShortcuts() {
+    chrome.commands.getAll((commands) => {
+      shortcutList.innerHTML = '';
+      commands
+        .filter(command => command.description) // Skip built-in commands such as _execute_action
+        .forEach(command => {
+          const item = document.createElement('li');
+          const description = document.createElement('span');
+          description.textContent = command.description;
+          item.appendChild(description);
+
+          if (command.shortcut) {
+            const key = document.createElement('kbd');
+            key.textContent = command.shortcut;
+            item.appendChild(key);
+          } else {
+            const unset = document.createElement('span');
+            unset.className = 'unset';
+            unset.textContent = 'Not set';
+            item.appendChild(unset);
+          }
+          shortcutList.appendChild(item);
+        });
+    });
+  }
+  
   // Load configuration and language list from background script
   async function loadConfigAndLanguages() {
     console.log('Popup: Requesting config and languages...');
     return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({ action: 'getConfig' }, response => {
+      chrome.runtime.sendMessage({ action: ACTIONS.GET_CONFIG }, response => {
         if (chrome.runtime.lastError) {
            console.error("Error getting config/languages:", chrome.runtime.lastError.message);
            reject(new Error(chrome.runtime.lastError.message));
@@ -100,7 +280,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (response && response.success && response.config && response.supportedLanguages) {
           config = response.config;
           allLanguages = response.supportedLanguages; // Use the full list from background
-          console.log('Popup: Config and languages loaded', config, allLanguages);
+          console.log('Popup: Config and languages loaded', allLanguages);
           resolve();
         } else {
           console.warn('Popup: Failed to load config/languages from background', response);
@@ -110,11 +290,47 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
   
+  // One radio button per style in the style registry (config.styles), saved when changed
+  function populateStyleOptions() {
+    const styles = config?.styles?.length > 0 ? config.styles : [
+        // Hardcoded minimal defaults if loading failed
+        { id: 'natural', label: 'Natural Translation', description: 'Translates the meaning and context naturally' },
+        { id: 'literal', label: 'Word-for-Word Translation', description: 'Translates each word directly (better for learning)' }
+    ];
+
+    translationStylesContainer.innerHTML = '';
+    styles.forEach(style => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'translation-style';
+      radio.value = style.id;
+      radio.addEventListener('change', () => {
+        if (radio.checked) {
+          chrome.storage.sync.set({ translationStyle: style.id }, () => {
+            showStatus(`Translation style set to ${style.label || style.id}`, 'success');
+          });
+        }
+      });
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(` ${style.label || style.id}`));
+      if (style.description) {
+        const description = document.createElement('div');
+        description.className = 'description';
+        description.textContent = style.description;
+        label.appendChild(description);
+      }
+      translationStylesContainer.appendChild(label);
+    });
+  }
+  
   // Populate language dropdowns from the loaded language list
   function populateLanguageDropdowns() {
     // Clear existing options first
     sourceLanguageSelect.innerHTML = '';
     targetLanguageSelect.innerHTML = '';
+    secondaryTargetSelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
     
     const languagesToDisplay = allLanguages && allLanguages.length > 0 ? allLanguages : [
         // Hardcoded minimal defaults if loading failed
@@ -136,6 +352,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Add enabled languages EXCEPT Auto-detect to target
         if (language.code !== 'auto') {
           addLanguageOption(targetLanguageSelect, language.name);
+          addLanguageOption(secondaryTargetSelect, language.name);
         }
       }
     });
@@ -151,7 +368,7 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Load saved languages and style from storage and set UI elements
   function loadSavedSettings() {
-    chrome.storage.sync.get(['sourceLanguage', 'targetLanguage', 'translationStyle'], (result) => {
+    chrome.storage.sync.get(['sourceLanguage', 'targetLanguage', 'secondaryTargetLanguage', 'translationStyle', 'streamTranslations', 'autoTranslateOnSelect', 'compareMode', 'translationContext', 'learnerMode'], (result) => {
       // Set source language dropdown
       const defaultSource = config?.defaultSourceLanguage || 'Auto-detect';
       if (result.sourceLanguage && sourceLanguageSelect.querySelector(`option[value="${result.sourceLanguage}"]`)) {
@@ -168,13 +385,35 @@ document.addEventListener('DOMContentLoaded', () => {
         targetLanguageSelect.value = defaultTarget; // Fallback to config default
       }
 
+      // Set secondary target dropdown (empty when not chosen)
+      if (result.secondaryTargetLanguage && secondaryTargetSelect.querySelector(`option[value="${result.secondaryTargetLanguage}"]`)) {
+        secondaryTargetSelect.value = result.secondaryTargetLanguage;
+      }
+
       // Set translation style radio button
       const defaultStyle = config?.defaultTranslationStyle || 'natural';
-      const style = result.translationStyle || defaultStyle;
+      // A saved style that was removed from the registry falls back to the default
+      const savedStyle = result.translationStyle || defaultStyle;
+      const style = Array.from(translationStyleRadios).some(radio => radio.value === savedStyle) ? savedStyle : defaultStyle;
       translationStyleRadios.forEach(radio => {
         radio.checked = (radio.value === style);
       });
       
+      // Set context scope dropdown
+      translationContextSelect.value = result.translationContext || 'off';
+      
+      // Set streaming checkbox
+      streamTranslationsCheckbox.checked = result.streamTranslations ?? config?.streamTranslations ?? true;
+      
+      // Set compare mode checkbox
+      compareModeCheckbox.checked = result.compareMode === true;
+      
+      // Set learner view checkbox
+      learnerModeCheckbox.checked = result.learnerMode === true;
+      
+      // Set translate-on-select checkbox
+      autoTranslateCheckbox.checked = result.autoTranslateOnSelect !== false;
+      
       console.log('Popup: Loaded settings from storage:', result);
     });
   }
@@ -186,7 +425,11 @@ document.addEventListener('DOMContentLoaded', () => {
         clearTimeout(window.statusTimeout);
     }
     
-    statusContainer.innerHTML = `<div class="status ${type}">${message}</div>`;
+    // Set as text: the message can hold site origins and server errors
+    const status = document.createElement('div');
+    status.className = `status ${type}`;
+    status.textContent = message;
+    statusContainer.replaceChildren(status);
     statusContainer.style.display = 'block'; // Make sure it's visible
 
     // Auto-hide success/info messages after 3 seconds
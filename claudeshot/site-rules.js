@@ -0,0 +1,93 @@
+/**
+ * site-rules.js - Per-site translation rules for Instant Translator
+ *
+ * Shared (classic script) by the content script, the popup and the advanced settings page.
+ * Each site's rule is its own chrome.storage.sync item, keyed 'siteRule:' + origin, so the number of
+ * rules isn't limited by sync's 8 KB per-item quota:
+ *
+ *   "siteRule:https://docs.google.com": { mode: 'off', minSelectionLength: 3, targetLanguage: 'Japanese' }
+ *
+ * Storage errors (such as sync's quotas) are thrown to the caller.
+ *
+ * Modes:
+ * - 'auto': translate as soon as text is selected
+ * - 'on-demand': only translate from the keyboard shortcut or context menu
+ * - 'off': the extension does nothing on the site
+ *
+ * Sites without a rule (or a rule without a mode) follow the global "Translate on select"
+ * setting, and the global minimum selection length stored under 'minSelectionLength'.
+ * targetLanguage is a language name, like the popup's targetLanguage setting.
+ */
+
+const SITE_RULE_KEY_PREFIX = 'siteRule:';
+const SITE_MODES = {
+  AUTO: 'auto',
+  ON_DEMAND: 'on-demand',
+  OFF: 'off'
+};
+const DEFAULT_MIN_SELECTION_LENGTH = 1;
+
+// The origin rules are keyed on, or null for pages that can't have rules (chrome://, file://, ...)
+function getSiteOrigin(url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getSiteRuleKey(origin) {
+  return SITE_RULE_KEY_PREFIX + origin;
+}
+
+// All stored rules, keyed by origin
+async function getSiteRules() {
+  const stored = await chrome.storage.sync.get(null);
+  const rules = {};
+  Object.entries(stored).forEach(([key, rule]) => {
+    if (key.startsWith(SITE_RULE_KEY_PREFIX)) rules[key.slice(SITE_RULE_KEY_PREFIX.length)] = rule;
+  });
+  return rules;
+}
+
+// The stored rule for an origin, or null
+async function getSiteRule(origin) {
+  const key = getSiteRuleKey(origin);
+  const stored = await chrome.storage.sync.get(key);
+  return stored[key] || null;
+}
+
+// Merge changes into the rule for an origin; rules left without settings are removed
+async function saveSiteRule(origin, changes) {
+  const rule = { ...((await getSiteRule(origin)) || {}), ...changes };
+  Object.keys(rule).forEach(key => {
+    if (rule[key] === null || rule[key] === undefined || rule[key] === '') delete rule[key];
+  });
+
+  if (Object.keys(rule).length === 0) {
+    await removeSiteRule(origin);
+    return null;
+  }
+  await chrome.storage.sync.set({ [getSiteRuleKey(origin)]: rule });
+  return rule;
+}
+
+async function removeSiteRule(origin) {
+  await chrome.storage.sync.remove(getSiteRuleKey(origin));
+}
+
+// The settings in effect on an origin once the site rule and the global settings are combined
+async function resolveSiteSettings(origin) {
+  const stored = await chrome.storage.sync.get(['autoTranslateOnSelect', 'minSelectionLength']);
+  const rule = (origin && (await getSiteRule(origin))) || {};
+  const globalMode = stored.autoTranslateOnSelect === false ? SITE_MODES.ON_DEMAND : SITE_MODES.AUTO;
+
+  return {
+    origin: origin,
+    hasRule: Object.keys(rule).length > 0,
+    mode: rule.mode || globalMode,
+    minSelectionLength: rule.minSelectionLength ?? stored.minSelectionLength ?? DEFAULT_MIN_SELECTION_LENGTH,
+    targetLanguage: rule.targetLanguage || null
+  };
+}
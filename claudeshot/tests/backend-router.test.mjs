@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureRouting, getBackendChain, isRoutingBySourceLanguage } from '../backend-router.js';
+
+function route(rules, fallbackBackends = []) {
+  configureRouting({ activeBackend: 'libreTranslate', routing: { rules, fallbackBackends } });
+}
+
+const enJa = { source: 'en', target: 'ja', bidirectional: true, backends: ['ollama'] };
+
+test('a bidirectional rule routes its pair both ways and nothing else', () => {
+  route([enJa], ['chromeApi']);
+  assert.deepEqual(getBackendChain('en', 'ja'), ['ollama', 'chromeApi']);
+  assert.deepEqual(getBackendChain('ja', 'en'), ['ollama', 'chromeApi']);
+  assert.deepEqual(getBackendChain('es', 'en'), ['libreTranslate', 'chromeApi']);
+});
+
+test('an undetected source language does not match rules for specific source languages', () => {
+  route([enJa]);
+  assert.deepEqual(getBackendChain('auto', 'en'), ['libreTranslate']);
+  assert.deepEqual(getBackendChain('auto', 'ja'), ['libreTranslate']);
+  assert.equal(isRoutingBySourceLanguage(), true);
+});
+
+test('an undetected source language matches rules for any source language', () => {
+  route([{ source: '*', target: 'ja', backends: ['ollama'] }]);
+  assert.deepEqual(getBackendChain('auto', 'ja'), ['ollama']);
+  assert.deepEqual(getBackendChain('auto', 'en'), ['libreTranslate']);
+  assert.equal(isRoutingBySourceLanguage(), false);
+});
+
+test('a bidirectional rule for any source language needs detection in reverse', () => {
+  route([{ source: '*', target: 'ja', bidirectional: true, backends: ['ollama'] }]);
+  assert.equal(isRoutingBySourceLanguage(), true);
+  assert.deepEqual(getBackendChain('ja', 'en'), ['ollama']);
+});
@@ -0,0 +1,126 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChromeMock } from './helpers/chrome-mock.mjs';
+import * as chromeApi from '../backends/chromeApi.js';
+
+// Mocked Translator and LanguageDetector globals, with the availability of each model
+function createScope({ translator = true, detector = true, packs = {}, detectorAvailability = 'available', detected = [] } = {}) {
+  const created = [];
+  const scope = {};
+  if (translator) {
+    scope.Translator = {
+      availability: async ({ sourceLanguage, targetLanguage }) => packs[`${sourceLanguage}:${targetLanguage}`] || 'downloadable',
+      create: async (options) => {
+        created.push(options);
+        return { translate: async (text) => `[${options.targetLanguage}] ${text}` };
+      }
+    };
+  }
+  if (detector) {
+    scope.LanguageDetector = {
+      availability: async () => detectorAvailability,
+      create: async () => ({ detect: async () => detected })
+    };
+  }
+  return { scope, created };
+}
+
+function useScope(options) {
+  const { scope, created } = createScope(options);
+  chromeApi.setBuiltInApi(chromeApi.createBuiltInApi(scope));
+  return created;
+}
+
+beforeEach(() => {
+  globalThis.chrome = createChromeMock({ detectLanguage: () => [{ language: 'fr', percentage: 88 }] });
+  chromeApi.initialize({ backendSettings: { chromeApi: { detectOnly: false } } });
+});
+
+test('feature detection: no Translator means a clear unsupported error', async () => {
+  useScope({ translator: false, detector: false });
+  const result = await chromeApi.translate('Hello', 'en', 'ja');
+  assert.equal(result.success, false);
+  assert.match(result.error, /Translator API is not available in this browser/);
+  assert.equal((await chromeApi.checkStatus()).status, 'error');
+  assert.equal((await chromeApi.checkModelStatus('en:ja')).status, 'error');
+});
+
+test('feature detection: detect-only mode works without the Translator API', async () => {
+  useScope({ translator: false, detector: false });
+  chromeApi.initialize({ backendSettings: { chromeApi: { detectOnly: true } } });
+  const result = await chromeApi.translate('Bonjour', 'auto', 'en');
+  assert.deepEqual({ success: result.success, detectedSourceLang: result.detectedSourceLang }, { success: true, detectedSourceLang: 'fr' });
+  assert.equal((await chromeApi.checkStatus()).status, 'running');
+});
+
+test('an available pack translates', async () => {
+  const created = useScope({ packs: { 'en:ja': 'available' } });
+  const result = await chromeApi.translate('Hello', 'en', 'ja');
+  assert.equal(result.success, true);
+  assert.equal(result.translation, '[ja] Hello');
+  await chromeApi.translate('Again', 'en', 'ja');
+  assert.equal(created.length, 1, 'the translator is created once per pair');
+});
+
+test('a pack that is not downloaded is not created and points to Advanced Settings', async () => {
+  const created = useScope({ packs: { 'en:ja': 'downloadable' } });
+  const result = await chromeApi.translate('Hello', 'en', 'ja');
+  assert.equal(result.success, false);
+  assert.match(result.error, /Chrome Language Packs/);
+  assert.equal(created.length, 0, 'create() would fail without a user gesture');
+});
+
+test('checkModelStatus reports packs and the language detector', async () => {
+  useScope({ packs: { 'en:ja': 'available', 'en:de': 'downloading', 'en:xx': 'unavailable' }, detectorAvailability: 'downloadable' });
+  assert.equal((await chromeApi.checkModelStatus('en:ja')).status, 'running');
+  assert.equal((await chromeApi.checkModelStatus('en:de')).status, 'downloading');
+  assert.equal((await chromeApi.checkModelStatus('en:fr')).status, 'downloadable');
+  assert.equal((await chromeApi.checkModelStatus('en:xx')).status, 'unavailable');
+  assert.equal((await chromeApi.checkModelStatus('language-detector')).status, 'downloadable');
+  assert.equal((await chromeApi.checkModelStatus('nonsense')).status, 'error');
+});
+
+test('checkModelStatus reports the download progress until the model is ready', async () => {
+  const packs = { 'en:de': 'downloading' };
+  useScope({ packs });
+  assert.equal((await chromeApi.checkModelStatus('en:de')).progress, null, 'no progress reported yet');
+
+  chromeApi.recordDownloadProgress('en:de', 0.42);
+  const status = await chromeApi.checkModelStatus('en:de');
+  assert.equal(status.status, 'downloading');
+  assert.equal(status.progress, 0.42);
+  assert.match(status.message, /42%/);
+
+  packs['en:de'] = 'available';
+  assert.equal((await chromeApi.checkModelStatus('en:de')).progress, undefined);
+  packs['en:de'] = 'downloading';
+  assert.equal((await chromeApi.checkModelStatus('en:de')).progress, null, 'the finished download is forgotten');
+});
+
+test('auto-detect uses the LanguageDetector when its model is available', async () => {
+  useScope({ packs: { 'de:en': 'available' }, detected: [{ detectedLanguage: 'de', confidence: 0.9 }] });
+  const result = await chromeApi.translate('Guten Morgen', 'auto', 'en');
+  assert.equal(result.detectedSourceLang, 'de');
+  assert.equal(result.translation, '[en] Guten Morgen');
+});
+
+test('auto-detect falls back to chrome.i18n until the detector is downloaded', async () => {
+  useScope({ packs: { 'fr:en': 'available' }, detectorAvailability: 'downloadable' });
+  const result = await chromeApi.translate('Bonjour', 'auto', 'en');
+  assert.equal(result.detectedSourceLang, 'fr');
+});
+
+test('auto-detect falls back to chrome.i18n without the LanguageDetector API', async () => {
+  useScope({ detector: false, packs: { 'fr:en': 'available' } });
+  const result = await chromeApi.translate('Bonjour', 'auto', 'en');
+  assert.equal(result.detectedSourceLang, 'fr');
+});
+
+test('undetected languages are not treated as English', async () => {
+  globalThis.chrome = createChromeMock({ detectLanguage: () => [] });
+  useScope({ detector: false, packs: { 'en:ja': 'available' } });
+  const result = await chromeApi.translate('???', 'auto', 'ja');
+  assert.equal(result.success, false);
+  assert.equal(result.detectedSourceLang, undefined);
+  assert.match(result.error, /couldn't determine the language/);
+});
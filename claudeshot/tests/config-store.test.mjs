@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChromeMock } from './helpers/chrome-mock.mjs';
+import { mergeConfig, diffConfig, saveConfigOverrides, loadConfigOverrides } from '../config-store.js';
+
+const BASE = {
+  schemaVersion: 1,
+  activeBackend: 'ollama',
+  styles: [
+    { id: 'natural', name: 'Natural' },
+    { id: 'literal', name: 'Literal' }
+  ],
+  backendSettings: {
+    ollama: {
+      models: [
+        { id: 'gemma3:4b', name: 'Gemma 3' },
+        { id: 'qwen2.5:7b', name: 'Qwen 2.5' }
+      ],
+      languagePairs: [
+        { source: 'en', target: 'ja', preferredModel: 'gemma3:4b' },
+        { source: 'ja', target: 'en', preferredModel: 'gemma3:4b' }
+      ]
+    },
+    chromeApi: { detectOnly: false }
+  }
+};
+
+// Save a config edited from BASE and load it back, the way the background does on startup
+async function roundTrip(edited, base = BASE) {
+  globalThis.chrome = createChromeMock();
+  await saveConfigOverrides(BASE, edited);
+  return mergeConfig(base, await loadConfigOverrides(base));
+}
+
+test('unchanged config stores no overrides', () => {
+  assert.equal(diffConfig(BASE, structuredClone(BASE)), undefined);
+});
+
+test('changed fields of array items survive a reload', async () => {
+  const edited = structuredClone(BASE);
+  edited.backendSettings.ollama.models[1].name = 'Qwen';
+  const loaded = await roundTrip(edited);
+  assert.deepEqual(loaded, edited);
+});
+
+test('deleted bundled model stays deleted', async () => {
+  const edited = structuredClone(BASE);
+  edited.backendSettings.ollama.models.splice(0, 1);
+  const loaded = await roundTrip(edited);
+  assert.deepEqual(loaded.backendSettings.ollama.models.map(model => model.id), ['qwen2.5:7b']);
+});
+
+test('deleted language pair and style stay deleted', async () => {
+  const edited = structuredClone(BASE);
+  edited.backendSettings.ollama.languagePairs.pop();
+  edited.styles = edited.styles.filter(style => style.id !== 'literal');
+  const loaded = await roundTrip(edited);
+  assert.deepEqual(loaded.backendSettings.ollama.languagePairs, [BASE.backendSettings.ollama.languagePairs[0]]);
+  assert.deepEqual(loaded.styles, [BASE.styles[0]]);
+});
+
+test('deleted object keys stay deleted', async () => {
+  const edited = structuredClone(BASE);
+  delete edited.backendSettings.chromeApi;
+  const loaded = await roundTrip(edited);
+  assert.equal('chromeApi' in loaded.backendSettings, false);
+});
+
+test('items shipped in a newer config.json still appear', async () => {
+  const edited = structuredClone(BASE);
+  edited.backendSettings.ollama.models.splice(0, 1);
+  const newerBase = structuredClone(BASE);
+  newerBase.backendSettings.ollama.models.push({ id: 'llama3.2:3b', name: 'Llama 3.2' });
+  const loaded = await roundTrip(edited, newerBase);
+  assert.deepEqual(loaded.backendSettings.ollama.models.map(model => model.id), ['qwen2.5:7b', 'llama3.2:3b']);
+});
+
+test('a deleted item added back again is kept', async () => {
+  const edited = structuredClone(BASE);
+  edited.styles = [BASE.styles[1], { id: 'natural', name: 'Natural (mine)' }];
+  const loaded = await roundTrip(edited);
+  assert.deepEqual(loaded.styles, edited.styles);
+});
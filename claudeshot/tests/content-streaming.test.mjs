@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChromeMock } from './helpers/chrome-mock.mjs';
+import { loadScripts, flush } from './helpers/load-script.mjs';
+
+function loadContentScript() {
+  const chrome = createChromeMock();
+  const page = loadScripts(['messages.js', 'site-rules.js', 'content.js'], { chrome });
+  return { chrome, ...page };
+}
+
+const OVERRIDES = "{ sourceLangCode: 'en', targetLangCode: 'ja', style: 'natural', context: null, streamTranslations: true }";
+
+test('a streamed translation reaches the popup', async () => {
+  const { chrome, evaluate } = loadContentScript();
+
+  evaluate('showLoadingPopup()');
+  await evaluate(`translateText('Good morning', ${OVERRIDES})`);
+
+  assert.equal(chrome.ports.length, 1);
+  const [port] = chrome.ports;
+  assert.equal(port.disconnected, false, 'showing the streaming popup must not close the new port');
+  assert.equal(port.posted.length, 1);
+  assert.equal(port.posted[0].action, 'streamTranslation.v1');
+  assert.equal(port.posted[0].text, 'Good morning');
+
+  port.emit({ type: 'chunk', translation: 'おはよう' });
+  assert.equal(evaluate('translationPopup').querySelector('.content').textContent, 'おはよう');
+
+  port.emit({ type: 'done', success: true, translation: 'おはようございます', modelUsed: 'gemma3:4b' });
+  await flush();
+  const popup = evaluate('translationPopup');
+  assert.ok(!popup.classList.contains('error'));
+  assert.equal(popup.querySelector('.content').textContent, 'おはようございます');
+  assert.equal(evaluate('isTranslating'), false);
+});
+
+test('a new translation stops the stream in progress', async () => {
+  const { chrome, evaluate } = loadContentScript();
+
+  await evaluate(`translateText('First', ${OVERRIDES})`);
+  evaluate('isTranslating = false');
+  await evaluate(`translateText('Second', ${OVERRIDES})`);
+
+  const [first, second] = chrome.ports;
+  assert.equal(first.disconnected, true);
+  assert.equal(second.disconnected, false);
+  assert.equal(second.posted[0].text, 'Second');
+});
+
+test("the model's notes are shown under the translation", async () => {
+  const { chrome, evaluate } = loadContentScript();
+
+  await evaluate(`translateText('I like cats', ${OVERRIDES})`);
+  chrome.ports[0].emit({ type: 'done', success: true, translation: '猫が好きです', notes: 'が marks the object of 好き' });
+  await flush();
+
+  const popup = evaluate('translationPopup');
+  assert.equal(popup.querySelector('.content').textContent, '猫が好きです');
+  assert.equal(popup.querySelector('.translation-notes').textContent, 'が marks the object of 好き');
+  assert.equal(evaluate('currentTranslation.notes'), 'が marks the object of 好き');
+});
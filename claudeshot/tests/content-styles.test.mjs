@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChromeMock } from './helpers/chrome-mock.mjs';
+import { loadScripts, flush } from './helpers/load-script.mjs';
+
+const OVERRIDES = "{ sourceLangCode: 'en', targetLangCode: 'ja', style: 'natural', context: null, streamTranslations: true }";
+
+test('the re-translate shortcut goes through every style in the registry', async () => {
+  const chrome = createChromeMock();
+  const { evaluate } = loadScripts(['messages.js', 'site-rules.js', 'content.js'], { chrome });
+  evaluate("config = { styles: [{ id: 'natural' }, { id: 'literal' }, { id: 'formal', label: 'Formal' }] }");
+
+  await evaluate(`translateText('Good morning', ${OVERRIDES})`);
+  const styles = [];
+  for (let i = 0; i < 3; i++) {
+    chrome.ports.at(-1).emit({ type: 'done', success: true, translation: 'おはよう' });
+    await flush();
+    let response;
+    evaluate('handleBackgroundMessage')({ action: 'retranslateWithOtherStyle.v1' }, {}, r => { response = r; });
+    await flush();
+    styles.push([response.style, chrome.ports.at(-1).posted[0].style]);
+  }
+
+  assert.deepEqual(styles, [['literal', 'literal'], ['formal', 'formal'], ['natural', 'natural']]);
+});
@@ -0,0 +1,80 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIndexedDBMock } from './helpers/indexeddb-mock.mjs';
+import {
+  getGlossary, saveGlossaryEntry, importGlossary, findGlossaryMatches,
+  protectGlossaryTerms, restoreGlossaryTerms, checkGlossaryViolations
+} from '../glossary.js';
+
+const database = createIndexedDBMock();
+globalThis.indexedDB = database.indexedDB;
+
+const entry = (term, translation, extra = {}) => ({ source: 'en', target: 'ja', term, translation, ...extra });
+
+beforeEach(() => {
+  database.clear();
+});
+
+test('the longest term is matched first', async () => {
+  await saveGlossaryEntry(entry('Acme', 'アクメ'));
+  await saveGlossaryEntry(entry('Acme Cloud', '', { doNotTranslate: true }));
+
+  const matches = await findGlossaryMatches('Try Acme Cloud, by Acme', 'en', 'ja');
+  assert.deepEqual(matches.map(match => match.term), ['Acme Cloud', 'Acme']);
+
+  const { text, replacements } = protectGlossaryTerms('Try Acme Cloud, by Acme', matches);
+  assert.equal(text, 'Try __GLS0__, by __GLS1__');
+  assert.deepEqual(replacements, ['Acme Cloud', 'アクメ']);
+});
+
+test('word boundaries are only required at word-character edges', () => {
+  const entries = [entry('cat', '猫'), entry('C++', 'C++', { doNotTranslate: true }), { ...entry('東京', 'Tokyo'), source: 'ja', target: 'en' }];
+
+  // A whole word only: not inside "concatenate"
+  assert.equal(protectGlossaryTerms('concatenate the cat', entries).text, 'concatenate the __GLS0__');
+  // "+" is not a word character, so "C++" is matched before the full stop
+  assert.equal(protectGlossaryTerms('I write C++.', entries).text, 'I write __GLS0__.');
+  // CJK text has no spaces between words
+  assert.equal(protectGlossaryTerms('私は東京に住んでいます', entries).text, '私は__GLS0__に住んでいます');
+});
+
+test('the CJK and word-edge rules apply when finding matches too', async () => {
+  await saveGlossaryEntry({ ...entry('東京', 'Tokyo'), source: 'ja', target: 'en' });
+  await saveGlossaryEntry({ ...entry('cat', 'chat'), target: 'en' });
+  assert.deepEqual((await findGlossaryMatches('私は東京に住んでいます', 'auto', 'en')).map(match => match.term), ['東京']);
+  assert.deepEqual(await findGlossaryMatches('concatenate', 'en', 'en'), []);
+});
+
+test('placeholders are restored after translation changes their spacing or case', () => {
+  const replacements = ['Acme Cloud', 'アクメ'];
+  assert.equal(restoreGlossaryTerms('__GLS0__を試す', replacements), 'Acme Cloudを試す');
+  assert.equal(restoreGlossaryTerms('__ gls1 __ の __Gls 0__', replacements), 'アクメ の Acme Cloud');
+  assert.equal(restoreGlossaryTerms('_GLS1_ と _ GLS0 _', replacements), 'アクメ と Acme Cloud');
+  assert.equal(restoreGlossaryTerms('__GLS7__ stays', replacements), '__GLS7__ stays', 'unknown placeholders are left alone');
+});
+
+test('violations are the entries whose translation is missing, ignoring case', () => {
+  const entries = [entry('Acme Cloud', 'Acme Cloud', { doNotTranslate: true }), entry('invoice', '請求書')];
+  assert.deepEqual(checkGlossaryViolations('ACME cloud の請求書', entries), []);
+  assert.deepEqual(checkGlossaryViolations('アクメクラウドの請求書', entries), [
+    { term: 'Acme Cloud', expected: 'Acme Cloud', doNotTranslate: true }
+  ]);
+});
+
+test('a term repeated within one import is stored once, with the last row', async () => {
+  const result = await importGlossary([entry('Acme', 'アクメ'), entry('acme', 'ACME社'), entry('invoice', '請求書')]);
+  assert.deepEqual(result, { added: 2, updated: 0, errors: [] });
+
+  const glossary = await getGlossary();
+  assert.deepEqual(glossary.map(({ term, translation }) => [term, translation]), [['acme', 'ACME社'], ['invoice', '請求書']]);
+});
+
+test('a term repeated within one import updates an existing entry once', async () => {
+  await saveGlossaryEntry(entry('Acme', 'アクメ'));
+  const result = await importGlossary([entry('ACME', 'エーシーエムイー'), entry('Acme', 'アクメ社'), { term: 'missing pair' }]);
+  assert.deepEqual(result, { added: 0, updated: 1, errors: ['Row 3: A glossary entry needs a source and a target language.'] });
+
+  const glossary = await getGlossary();
+  assert.equal(glossary.length, 1);
+  assert.equal(glossary[0].translation, 'アクメ社');
+});
@@ -0,0 +1,147 @@
+/**
+ * tests/helpers/chrome-mock.mjs
+ *
+ * An in-memory stand-in for the parts of the chrome.* API the extension uses: storage areas
+ * (with sync's per-item quota), ports, runtime messages and events, i18n language detection, and
+ * no-op context menus, tabs and offscreen documents for loading the background.
+ */
+
+// Mirrors chrome.storage.sync.QUOTA_BYTES_PER_ITEM; Chrome counts the key and the JSON value
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+function createStorageArea(quotaBytesPerItem = Infinity) {
+  const items = new Map();
+
+  function pick(keys) {
+    if (keys === null || keys === undefined) return Object.fromEntries(items);
+    if (typeof keys === 'string') keys = [keys];
+    const defaults = Array.isArray(keys) ? {} : keys;
+    const names = Array.isArray(keys) ? keys : Object.keys(keys);
+    const result = {};
+    for (const name of names) {
+      if (items.has(name)) result[name] = structuredClone(items.get(name));
+      else if (name in defaults) result[name] = defaults[name];
+    }
+    return result;
+  }
+
+  return {
+    items,
+    QUOTA_BYTES_PER_ITEM: quotaBytesPerItem,
+    async get(keys) {
+      return pick(keys);
+    },
+    async set(values) {
+      for (const [key, value] of Object.entries(values)) {
+        if (key.length + JSON.stringify(value).length > quotaBytesPerItem) {
+          throw new Error(`QUOTA_BYTES_PER_ITEM quota exceeded`);
+        }
+      }
+      for (const [key, value] of Object.entries(values)) items.set(key, structuredClone(value));
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) items.delete(key);
+    }
+  };
+}
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      if (listeners.includes(listener)) listeners.splice(listeners.indexOf(listener), 1);
+    },
+    hasListener: (listener) => listeners.includes(listener),
+    hasListeners: () => listeners.length > 0,
+    emit: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+// A port whose other end is the test: posted messages are recorded, emit() delivers one
+function createPort(name) {
+  const port = {
+    name,
+    posted: [],
+    disconnected: false,
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+    postMessage(message) {
+      if (port.disconnected) throw new Error('Attempting to use a disconnected port object');
+      port.posted.push(message);
+    },
+    disconnect() {
+      port.disconnected = true;
+    },
+    emit(message) {
+      port.onMessage.emit(message);
+    }
+  };
+  return port;
+}
+
+/**
+ * Builds a chrome object for one test.
+ *
+ * @param {Object} [options] { detectLanguage(text) => [{ language, percentage }], sendMessage(message) => response }
+ * @returns {Object} The mock; `ports` holds every port opened with runtime.connect()
+ */
+export function createChromeMock(options = {}) {
+  const ports = [];
+  return {
+    ports,
+    storage: {
+      sync: createStorageArea(SYNC_QUOTA_BYTES_PER_ITEM),
+      local: createStorageArea(),
+      onChanged: createEvent()
+    },
+    runtime: {
+      id: 'test-extension',
+      lastError: undefined,
+      onMessage: createEvent(),
+      onConnect: createEvent(),
+      onInstalled: createEvent(),
+      getURL: (path) => `chrome-extension://test-extension/${path}`,
+      connect({ name }) {
+        const port = createPort(name);
+        ports.push(port);
+        return port;
+      },
+      async sendMessage(message, callback) {
+        const response = await options.sendMessage?.(message);
+        if (callback) callback(response);
+        return response;
+      },
+      async getContexts() {
+        return [];
+      }
+    },
+    contextMenus: {
+      onClicked: createEvent(),
+      create() {},
+      removeAll(callback) {
+        callback?.();
+      }
+    },
+    commands: {
+      onCommand: createEvent()
+    },
+    tabs: {
+      async query() {
+        return [];
+      },
+      sendMessage(tabId, message, options, callback) {
+        (typeof options === 'function' ? options : callback)?.(undefined);
+      }
+    },
+    offscreen: {
+      async createDocument() {}
+    },
+    i18n: {
+      detectLanguage(text, callback) {
+        callback({ languages: options.detectLanguage ? options.detectLanguage(text) : [] });
+      }
+    }
+  };
+}
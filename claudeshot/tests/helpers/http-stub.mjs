@@ -0,0 +1,67 @@
+/**
+ * tests/helpers/http-stub.mjs
+ *
+ * A local HTTP server standing in for a backend's API (Ollama, OpenAI-compatible servers).
+ * Each request is recorded with its parsed JSON body and answered by the test's route handler.
+ */
+
+import http from 'node:http';
+
+/**
+ * Starts a stub server on a free local port.
+ *
+ * @param {Object} routes 'METHOD /path' -> async (request, response) => void, where request has
+ * { method, path, headers, body } (body parsed as JSON when possible) and response is Node's
+ * http.ServerResponse. Unknown routes answer 404.
+ * @returns {Promise<Object>} { url, requests, close() }
+ */
+export async function startStubServer(routes) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    let body = raw;
+    try {
+      body = raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      // Not JSON, keep the raw text
+    }
+    const request = { method: req.method, path: req.url, headers: req.headers, body };
+    requests.push(request);
+
+    const route = routes[`${req.method} ${req.url}`];
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `No stub for ${req.method} ${req.url}` }));
+      return;
+    }
+    await route(request, res);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Writes a streamed response in the given pieces, flushing each one separately so the
+ * client reads them as separate chunks.
+ *
+ * @param {http.ServerResponse} res The response
+ * @param {Array<string>} pieces The body, split where the chunks should end
+ * @param {Object} [headers] Response headers
+ */
+export async function writeChunks(res, pieces, headers = {}) {
+  res.writeHead(200, headers);
+  for (const piece of pieces) {
+    res.write(piece);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  res.end();
+}
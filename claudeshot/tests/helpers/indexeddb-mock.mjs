@@ -0,0 +1,97 @@
+/**
+ * tests/helpers/indexeddb-mock.mjs
+ *
+ * An in-memory stand-in for the parts of IndexedDB the glossary uses through idb.js: opening
+ * (and upgrading) a database, object stores with in-line or auto-incremented keys, and
+ * getAll/put/add/delete requests inside transactions. Indexes and cursors are not covered.
+ */
+
+// Requests succeed at once; their transaction completes on the next tick
+function createRequest(result) {
+  return { result, error: null };
+}
+
+function createObjectStore({ keyPath, autoIncrement = false }) {
+  return { keyPath, autoIncrement, nextKey: 1, records: new Map() };
+}
+
+function createStoreHandle(store) {
+  const keyOf = (value) => {
+    if (value[store.keyPath] === undefined && store.autoIncrement) {
+      value[store.keyPath] = store.nextKey++;
+    }
+    return value[store.keyPath];
+  };
+  return {
+    getAll: () => createRequest([...store.records.values()].map(value => structuredClone(value))),
+    put(value) {
+      const copy = structuredClone(value);
+      store.records.set(keyOf(copy), copy);
+      return createRequest(copy[store.keyPath]);
+    },
+    add(value) {
+      const copy = structuredClone(value);
+      const key = keyOf(copy);
+      if (store.records.has(key)) throw new Error(`Key ${key} already exists in the object store`);
+      store.records.set(key, copy);
+      return createRequest(key);
+    },
+    delete(key) {
+      store.records.delete(key);
+      return createRequest(undefined);
+    }
+  };
+}
+
+function createDatabase(stores) {
+  return {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore(name, options = {}) {
+      stores.set(name, createObjectStore(options));
+    },
+    transaction(storeNames) {
+      const transaction = {
+        error: null,
+        objectStore(name) {
+          if (![].concat(storeNames).includes(name)) throw new Error(`${name} is not in this transaction`);
+          return createStoreHandle(stores.get(name));
+        }
+      };
+      setTimeout(() => transaction.oncomplete?.(), 0);
+      return transaction;
+    }
+  };
+}
+
+/**
+ * Builds an indexedDB object for one test file.
+ *
+ * @returns {Object} { indexedDB, clear() } - clear() empties every store of every database
+ */
+export function createIndexedDBMock() {
+  const databases = new Map(); // Name -> { version, stores: Map(name -> store) }
+  return {
+    indexedDB: {
+      open(name, version = 1) {
+        const request = { result: null, error: null, transaction: null };
+        setTimeout(() => {
+          if (!databases.has(name)) databases.set(name, { version: 0, stores: new Map() });
+          const database = databases.get(name);
+          request.result = createDatabase(database.stores);
+          if (version > database.version) {
+            const oldVersion = database.version;
+            database.version = version;
+            request.onupgradeneeded?.({ oldVersion });
+          }
+          request.onsuccess?.();
+        }, 0);
+        return request;
+      }
+    },
+    clear() {
+      for (const { stores } of databases.values()) {
+        for (const store of stores.values()) store.records.clear();
+      }
+    }
+  };
+}
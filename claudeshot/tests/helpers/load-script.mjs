@@ -0,0 +1,177 @@
+/**
+ * tests/helpers/load-script.mjs
+ *
+ * Runs the extension's classic scripts (content.js, messages.js, site-rules.js, ...) in a vm
+ * context, with a minimal DOM that covers what the translation popup builds.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+class FakeClassList {
+  constructor(element) {
+    this.element = element;
+  }
+
+  get names() {
+    return this.element.className.split(/\s+/).filter(Boolean);
+  }
+
+  contains(name) {
+    return this.names.includes(name);
+  }
+
+  add(...names) {
+    this.element.className = [...new Set([...this.names, ...names])].join(' ');
+  }
+
+  remove(...names) {
+    this.element.className = this.names.filter(name => !names.includes(name)).join(' ');
+  }
+
+  toggle(name, force = !this.contains(name)) {
+    if (force) this.add(name);
+    else this.remove(name);
+    return force;
+  }
+}
+
+export class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.childNodes = [];
+    this.parentNode = null;
+    this.className = '';
+    this.style = {};
+    this.hidden = false;
+    this.disabled = false;
+    this.classList = new FakeClassList(this);
+    this.ownText = '';
+  }
+
+  get textContent() {
+    return this.ownText + this.childNodes.map(child => child.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.childNodes = [];
+    this.ownText = String(value);
+  }
+
+  get isConnected() {
+    return this.parentNode !== null && (this.parentNode.isRoot || this.parentNode.isConnected);
+  }
+
+  appendChild(child) {
+    child.remove();
+    child.parentNode = this;
+    this.childNodes.push(child);
+    return child;
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    this.parentNode.childNodes.splice(this.parentNode.childNodes.indexOf(this), 1);
+    this.parentNode = null;
+  }
+
+  attachShadow() {
+    const root = new FakeElement('#shadow-root');
+    root.host = this;
+    Object.defineProperty(root, 'isConnected', { get: () => this.isConnected });
+    return root;
+  }
+
+  // Supports the '.class' selectors the extension uses on its own elements
+  querySelectorAll(selector) {
+    const className = selector.replace(/^\./, '');
+    const matches = [];
+    for (const child of this.childNodes) {
+      if (child.classList.contains(className)) matches.push(child);
+      matches.push(...child.querySelectorAll(selector));
+    }
+    return matches;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  getElementById(id) {
+    for (const child of this.childNodes) {
+      const match = child.id === id ? child : child.getElementById(id);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  addEventListener() {}
+  removeEventListener() {}
+  setAttribute(name, value) {
+    this[name] = value;
+  }
+}
+
+function createDocument() {
+  const documentElement = new FakeElement('html');
+  documentElement.isRoot = true;
+  return {
+    readyState: 'loading', // Scripts only register their DOMContentLoaded handlers
+    documentElement,
+    body: documentElement.appendChild(new FakeElement('body')),
+    title: 'Test page',
+    createElement: (tagName) => new FakeElement(tagName),
+    addEventListener() {},
+    removeEventListener() {}
+  };
+}
+
+/**
+ * Runs classic scripts, in order, in a fresh context that shares its globals between them.
+ *
+ * @param {Array<string>} files Paths relative to the extension root
+ * @param {Object} globals Globals to define first, e.g. { chrome }
+ * @returns {Object} { context, document, evaluate(expression) } - top-level `let`/`const` bindings
+ * are only reachable through evaluate()
+ */
+export function loadScripts(files, globals = {}) {
+  const document = createDocument();
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {}, info() {} },
+    document,
+    location: { href: 'https://example.com/article' },
+    window: {
+      innerWidth: 1024,
+      innerHeight: 768,
+      getSelection: () => null,
+      addEventListener() {}
+    },
+    Node: { TEXT_NODE: 3, ELEMENT_NODE: 1 },
+    CSSStyleSheet: class { replaceSync() {} },
+    MutationObserver: class { observe() {} disconnect() {} },
+    fetch: async () => ({ text: async () => '' }),
+    requestAnimationFrame: (callback) => setTimeout(callback, 0),
+    setTimeout,
+    clearTimeout,
+    URL,
+    Intl,
+    structuredClone,
+    ...globals
+  });
+  for (const file of files) {
+    vm.runInContext(readFileSync(ROOT + file, 'utf8'), context, { filename: file });
+  }
+  return {
+    context,
+    document,
+    evaluate: (expression) => vm.runInContext(expression, context)
+  };
+}
+
+// Lets pending promise callbacks and timers run
+export function flush() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
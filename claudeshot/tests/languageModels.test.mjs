@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChromeMock } from './helpers/chrome-mock.mjs';
+import {
+  createModelSetup, generateStructuredTranslation, extractStreamedTranslation, resolvePreferredModelId
+} from '../backends/languageModels.js';
+
+const setup = createModelSetup(null, {}, 'Test');
+
+// The translation a model's plain-text (schema-ignoring) answer comes out as
+async function plainTextTranslation(rawText) {
+  const output = await generateStructuredTranslation(setup, 'test-model', 'prompt', async () => rawText);
+  return output.translation;
+}
+
+test('quotes around a plain-text answer are removed', async () => {
+  assert.equal(await plainTextTranslation('"Bonjour"'), 'Bonjour');
+  assert.equal(await plainTextTranslation("'Bonjour'"), 'Bonjour');
+  assert.equal(await plainTextTranslation('“Bonjour”'), 'Bonjour');
+  assert.equal(await plainTextTranslation('Translation: "Bonjour"'), 'Bonjour');
+});
+
+test('quotes that belong to the translation are kept', async () => {
+  assert.equal(await plainTextTranslation('"Hi," she said.'), '"Hi," she said.');
+  assert.equal(await plainTextTranslation('"Yes" and "no"'), '"Yes" and "no"');
+  assert.equal(await plainTextTranslation("Don't"), "Don't");
+  assert.equal(await plainTextTranslation("'Tis the season"), "'Tis the season");
+  assert.equal(await plainTextTranslation('He said "hello"'), 'He said "hello"');
+});
+
+test('a structured answer keeps its notes', async () => {
+  const output = await generateStructuredTranslation(setup, 'test-model', 'prompt', async () =>
+    JSON.stringify({ translation: '猫が好きです', detectedSourceLanguage: 'en', notes: '- が marks the object of 好き' }));
+  assert.deepEqual(output, { translation: '猫が好きです', detectedSourceLanguage: 'en', notes: '- が marks the object of 好き' });
+});
+
+test('the prompt asks for explanations in notes', async () => {
+  let sentPrompt = '';
+  await generateStructuredTranslation(setup, 'test-model', 'prompt', async (prompt) => {
+    sentPrompt = prompt;
+    return '{"translation": "x", "detectedSourceLanguage": "", "notes": ""}';
+  });
+  assert.match(sentPrompt, /"notes" holds any explanation the instructions above ask for/);
+});
+
+test('the streamed translation is read from partial JSON', () => {
+  assert.equal(extractStreamedTranslation(''), null);
+  assert.equal(extractStreamedTranslation('{"translation": "Bon'), 'Bon');
+  assert.equal(extractStreamedTranslation('{"translation": "Say \\"hi\\"", "notes'), 'Say "hi"');
+});
+
+test('the cache model is resolved from the context and page language like the translation', async () => {
+  const pairSetup = createModelSetup(
+    { supportedLanguages: [{ code: 'fr', name: 'French' }, { code: 'en', name: 'English' }] },
+    {
+      models: [{ id: 'general', default: true }, { id: 'french' }],
+      languagePairs: [{ source: 'fr', target: 'en', preferredModel: 'french' }]
+    },
+    'Test'
+  );
+  // Only the surrounding passage is long enough to detect
+  globalThis.chrome = createChromeMock({
+    detectLanguage: (text) => text.length > 20 ? [{ language: 'fr', percentage: 95 }] : []
+  });
+
+  assert.equal(await resolvePreferredModelId(pairSetup, 'OK', 'auto', 'en'), 'general');
+  assert.equal(await resolvePreferredModelId(pairSetup, 'OK', 'auto', 'en',
+    { context: 'Il a dit OK puis il est parti sans attendre.' }), 'french');
+  assert.equal(await resolvePreferredModelId(pairSetup, 'OK', 'auto', 'en', { pageLanguage: 'fr-FR' }), 'french');
+  delete globalThis.chrome;
+});
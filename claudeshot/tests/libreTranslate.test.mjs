@@ -0,0 +1,131 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStubServer } from './helpers/http-stub.mjs';
+import * as libreTranslate from '../backends/libreTranslateAPI.js';
+
+const LANGUAGES = [
+  { code: 'en', name: 'English', targets: ['en', 'es', 'ja'] },
+  { code: 'es', name: 'Spanish', targets: ['en'] },
+  { code: 'ja', name: 'Japanese', targets: ['en'] }
+];
+
+// How the stub answers /detect and /translate, set per test
+let detected;
+let translateResponse;
+let stub;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+before(async () => {
+  stub = await startStubServer({
+    'GET /languages': (request, res) => sendJson(res, 200, LANGUAGES),
+    'POST /detect': (request, res) => sendJson(res, 200, detected),
+    'POST /translate': (request, res) => translateResponse(request, res)
+  });
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  detected = [{ language: 'es', confidence: 90 }];
+  translateResponse = (request, res) => sendJson(res, 200, { translatedText: `[${request.body.target}] ${request.body.q}` });
+});
+
+// Initializes the backend against the stub (which loads /languages) and forgets those requests
+async function useSettings(settings = {}) {
+  await libreTranslate.initialize({ backendSettings: { libreTranslate: { serverUrl: `${stub.url}/`, ...settings } } });
+  stub.requests.length = 0;
+}
+
+function requestsTo(path) {
+  return stub.requests.filter(request => request.path === path);
+}
+
+test('an auto-detected source language is detected with /detect first', async () => {
+  await useSettings();
+  detected = [{ language: 'ja', confidence: 40 }, { language: 'es', confidence: 95 }];
+  const result = await libreTranslate.translate('Hola mundo', 'auto', 'en', 'natural');
+
+  assert.equal(result.success, true);
+  assert.equal(result.detectedSourceLang, 'es');
+  assert.deepEqual(requestsTo('/detect')[0].body, { q: 'Hola mundo' });
+  assert.deepEqual(requestsTo('/translate')[0].body, { q: 'Hola mundo', source: 'es', target: 'en', format: 'text' });
+});
+
+test('a known source language is not detected', async () => {
+  await useSettings();
+  await libreTranslate.translate('Hello', 'en', 'ja', 'natural');
+  assert.equal(requestsTo('/detect').length, 0);
+});
+
+test('failed detection is reported', async () => {
+  await useSettings();
+  detected = [];
+  const result = await libreTranslate.translate('???', 'auto', 'en', 'natural');
+  assert.equal(result.success, false);
+  assert.match(result.error, /Language detection failed/);
+});
+
+test('the API key is sent only when one is configured', async () => {
+  await useSettings();
+  await libreTranslate.translate('Hello', 'en', 'ja', 'natural');
+  assert.equal('api_key' in requestsTo('/translate')[0].body, false);
+
+  await useSettings({ apiKey: 'secret' });
+  await libreTranslate.translate('Hola', 'auto', 'en', 'natural');
+  assert.equal(requestsTo('/detect')[0].body.api_key, 'secret');
+  assert.equal(requestsTo('/translate')[0].body.api_key, 'secret');
+});
+
+test("the server's error message is reported", async () => {
+  await useSettings();
+  translateResponse = (request, res) => sendJson(res, 403, { error: 'Invalid API key' });
+  const result = await libreTranslate.translate('Hello', 'en', 'ja', 'natural');
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Translation failed: API error 403: Invalid API key');
+});
+
+test('a pair the server does not offer is not sent to it', async () => {
+  await useSettings();
+  const result = await libreTranslate.translate('Hola', 'es', 'ja', 'natural');
+  assert.equal(result.success, false);
+  assert.match(result.error, /does not support es -> ja/);
+  assert.equal(requestsTo('/translate').length, 0);
+});
+
+test('configured language pairs limit the pairs that are translated', async () => {
+  await useSettings({ languagePairs: [{ source: 'en', target: 'ja' }] });
+  assert.equal((await libreTranslate.translate('Hello', 'en', 'ja', 'natural')).success, true);
+  const result = await libreTranslate.translate('Hello', 'en', 'es', 'natural');
+  assert.equal(result.success, false);
+  assert.match(result.error, /not set up for en -> es/);
+  assert.equal(requestsTo('/translate').length, 1);
+});
+
+test("the status lists the server's language pairs", async () => {
+  await useSettings();
+  const status = await libreTranslate.checkStatus();
+  assert.equal(status.status, 'running');
+  assert.equal(status.limitedToConfiguredPairs, false);
+  assert.deepEqual(status.languagePairs, [
+    { source: 'en', target: 'es' },
+    { source: 'en', target: 'ja' },
+    { source: 'es', target: 'en' },
+    { source: 'ja', target: 'en' }
+  ]);
+
+  await useSettings({ languagePairs: [{ source: 'ja', target: 'en' }, { source: 'ja', target: 'es' }] });
+  const limited = await libreTranslate.checkStatus();
+  assert.equal(limited.limitedToConfiguredPairs, true);
+  assert.deepEqual(limited.languagePairs, [{ source: 'ja', target: 'en' }]);
+});
+
+test('an unreachable server is reported by the status check', async () => {
+  await useSettings({ serverUrl: 'http://127.0.0.1:9' });
+  const status = await libreTranslate.checkStatus();
+  assert.equal(status.status, 'error');
+  assert.match(status.message, /Failed to connect to LibreTranslate/);
+});
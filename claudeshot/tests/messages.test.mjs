@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../messages.js';
+
+const {
+  ACTIONS, BACKGROUND_ACTIONS, CONTENT_ACTIONS, OFFSCREEN_ACTIONS, ERROR_CODES, MESSAGE_FIELDS,
+  validateMessage, errorResponse
+} = globalThis.MessageProtocol;
+
+const PORT_ACTIONS = [ACTIONS.STREAM_TRANSLATION, ACTIONS.PULL_MODEL];
+
+const SAMPLE_VALUES = { string: 'en', number: 1, boolean: true, object: {}, array: [] };
+
+// A valid message for an action, with every field (optional ones too) set
+function sampleMessage(action) {
+  const message = { action };
+  for (const [name, spec] of Object.entries(MESSAGE_FIELDS[action])) {
+    message[name] = SAMPLE_VALUES[spec.replace('?', '')];
+  }
+  if (action === ACTIONS.TRANSLATE) delete message.texts; // Either text or texts
+  return message;
+}
+
+function requiredFields(action) {
+  return Object.entries(MESSAGE_FIELDS[action]).filter(([, spec]) => !spec.endsWith('?')).map(([name]) => name);
+}
+
+test('every action is versioned and has a field spec', () => {
+  for (const action of Object.values(ACTIONS)) {
+    assert.match(action, /^[a-zA-Z]+\.v\d+$/, action);
+    assert.ok(MESSAGE_FIELDS[action], `${action} has no MESSAGE_FIELDS entry`);
+  }
+});
+
+test('every action belongs to exactly one receiver', () => {
+  for (const action of Object.values(ACTIONS)) {
+    const receivers = [BACKGROUND_ACTIONS, CONTENT_ACTIONS, OFFSCREEN_ACTIONS, PORT_ACTIONS].filter(group => group.includes(action));
+    assert.equal(receivers.length, 1, action);
+  }
+});
+
+for (const action of Object.values(ACTIONS)) {
+  test(`${action}: validation`, () => {
+    const message = sampleMessage(action);
+    assert.equal(validateMessage(message), null, 'a complete message is valid');
+
+    for (const name of requiredFields(action)) {
+      const missing = { ...message };
+      delete missing[name];
+      assert.deepEqual(validateMessage(missing), {
+        code: ERROR_CODES.INVALID_MESSAGE,
+        error: `${action}: ${name} is required`
+      });
+    }
+
+    for (const [name, spec] of Object.entries(MESSAGE_FIELDS[action])) {
+      const wrongType = { ...message, [name]: spec.startsWith('string') ? 42 : 'wrong' };
+      assert.equal(validateMessage(wrongType)?.code, ERROR_CODES.INVALID_MESSAGE, `${name} with the wrong type`);
+      if (spec.endsWith('?') && !(action === ACTIONS.TRANSLATE && name === 'text')) {
+        assert.equal(validateMessage({ ...message, [name]: null }), null, `${name} is optional`);
+      }
+    }
+  });
+
+  test(`${action}: version handling`, () => {
+    const message = sampleMessage(action);
+    const [name, version] = action.split('.v');
+    for (const stale of [name, `${name}.v${Number(version) + 1}`, `${name}.v${Number(version) - 1}`]) {
+      assert.deepEqual(validateMessage({ ...message, action: stale }), {
+        code: ERROR_CODES.UNKNOWN_ACTION,
+        error: `Unknown action: ${stale}`
+      });
+    }
+  });
+
+  test(`${action}: only accepted by its receiver`, () => {
+    const message = sampleMessage(action);
+    for (const group of [BACKGROUND_ACTIONS, CONTENT_ACTIONS, OFFSCREEN_ACTIONS, PORT_ACTIONS]) {
+      const result = validateMessage(message, group);
+      if (group.includes(action)) assert.equal(result, null);
+      else assert.equal(result?.code, ERROR_CODES.UNKNOWN_ACTION);
+    }
+  });
+}
+
+test('translate needs either text or texts', () => {
+  const base = { action: ACTIONS.TRANSLATE, targetLang: 'ja' };
+  assert.equal(validateMessage({ ...base, text: 'Hi' }), null);
+  assert.equal(validateMessage({ ...base, texts: ['Hi'] }), null);
+  assert.equal(validateMessage(base)?.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(validateMessage({ ...base, text: 'Hi', texts: ['Hi'] })?.code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test('messages without an action are invalid', () => {
+  for (const message of [null, undefined, 'translate.v1', {}, { action: 3 }]) {
+    assert.deepEqual(validateMessage(message), { code: ERROR_CODES.INVALID_MESSAGE, error: 'The message has no action' });
+  }
+});
+
+test('errorResponse builds the failure envelope', () => {
+  assert.deepEqual({ ...errorResponse(ERROR_CODES.NO_BACKEND, 'No backend') }, { success: false, code: 'NO_BACKEND', error: 'No backend' });
+  assert.deepEqual(Object.keys(ERROR_CODES).sort(), Object.values(ERROR_CODES).sort());
+});
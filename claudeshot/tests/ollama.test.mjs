@@ -0,0 +1,86 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStubServer, writeChunks } from './helpers/http-stub.mjs';
+import * as ollama from '../backends/ollama.js';
+
+const NDJSON = { 'Content-Type': 'application/x-ndjson' };
+
+// What the stub's /api/pull streams back, set per test
+let pullPieces = [];
+let stub;
+
+before(async () => {
+  stub = await startStubServer({
+    'POST /api/pull': (request, res) => {
+      if (request.body.model === 'missing:1b') {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'pull model manifest: file does not exist' }));
+        return;
+      }
+      return writeChunks(res, pullPieces, NDJSON);
+    },
+    'GET /api/tags': (request, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        models: [
+          { name: 'gemma3:1b', size: 815, details: { family: 'gemma3', parameter_size: '1B' } },
+          { name: 'qwen3', size: 5200, details: { family: 'qwen3' } }
+        ]
+      }));
+    }
+  });
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.requests.length = 0;
+  ollama.initialize({ backendSettings: { ollama: { serverUrl: `${stub.url}/`, models: [{ id: 'gemma3:1b' }, { id: 'qwen3:latest' }] } } });
+});
+
+test('a pull reports its progress and succeeds', async () => {
+  // The second progress line is split across chunks, and the last one has no newline
+  pullPieces = [
+    '{"status":"pulling manifest"}\n{"status":"pulling 1a2b","completed":100,',
+    '"total":400}\n{"status":"pulling 1a2b","completed":400,"total":400}\n',
+    '{"status":"success"}'
+  ];
+  const progress = [];
+  const result = await ollama.pullModel('gemma3:1b', update => progress.push(update));
+
+  assert.deepEqual(result, { success: true });
+  assert.deepEqual(stub.requests[0].body, { model: 'gemma3:1b', stream: true });
+  assert.deepEqual(progress, [
+    { status: 'pulling manifest', completed: undefined, total: undefined },
+    { status: 'pulling 1a2b', completed: 100, total: 400 },
+    { status: 'pulling 1a2b', completed: 400, total: 400 },
+    { status: 'success', completed: undefined, total: undefined }
+  ]);
+});
+
+test('a pull that ends before success fails', async () => {
+  pullPieces = ['{"status":"pulling manifest"}\n'];
+  await assert.rejects(ollama.pullModel('gemma3:1b', () => {}), /ended before it finished/);
+});
+
+test('an error in the pull stream fails the pull', async () => {
+  pullPieces = ['{"status":"pulling manifest"}\n', '{"error":"max retries exceeded"}\n'];
+  await assert.rejects(ollama.pullModel('gemma3:1b', () => {}), /Ollama error: max retries exceeded/);
+});
+
+test('a rejected pull reports the server\'s error message', async () => {
+  await assert.rejects(ollama.pullModel('missing:1b', () => {}), /file does not exist/);
+});
+
+test('a pull can be stopped', async () => {
+  pullPieces = Array.from({ length: 20 }, () => '{"status":"pulling 1a2b","completed":1,"total":400}\n');
+  const controller = new AbortController();
+  const pull = ollama.pullModel('gemma3:1b', () => controller.abort(), controller.signal);
+  await assert.rejects(pull, { name: 'AbortError' });
+});
+
+test('installed models are listed with whether they are configured', async () => {
+  const models = await ollama.listInstalledModels();
+  assert.deepEqual(models.map(model => [model.id, model.configured]), [['gemma3:1b', true], ['qwen3', true]]);
+  assert.equal(models[0].parameterSize, '1B');
+});
@@ -0,0 +1,128 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStubServer, writeChunks } from './helpers/http-stub.mjs';
+import { TRANSLATION_RESPONSE_SCHEMA } from '../backends/languageModels.js';
+import * as openaiCompatible from '../backends/openaiCompatible.js';
+
+const SSE = { 'Content-Type': 'text/event-stream' };
+const ANSWER = '{"translation":"Bonjour le monde","detectedSourceLanguage":"en","notes":""}';
+
+// The SSE event for a piece of the answer
+function delta(content) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+}
+
+// The SSE events for the whole answer, a few characters each
+function answerEvents(answer = ANSWER) {
+  return answer.match(/.{1,12}/g).map(delta);
+}
+
+// How the stub answers the next chat completion request, set per test
+let respond;
+let stub;
+
+before(async () => {
+  stub = await startStubServer({
+    'POST /v1/chat/completions': (request, res) => respond(request, res),
+    'GET /v1/models': (request, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: [{ id: 'local-model' }] }));
+    }
+  });
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.requests.length = 0;
+  openaiCompatible.initialize({
+    backendSettings: { openaiCompatible: { baseUrl: `${stub.url}/v1/`, apiKey: 'secret', models: [{ id: 'local-model' }] } }
+  });
+});
+
+function translateStream() {
+  const chunks = [];
+  return openaiCompatible.translateStream('Hello world', 'en', 'fr', 'natural', chunk => chunks.push(chunk))
+    .then(result => ({ result, chunks }));
+}
+
+test('requests ask for the translation schema, which strict servers accept', async () => {
+  respond = (request, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: ANSWER } }] }));
+  };
+  const result = await openaiCompatible.translate('Hello world', 'en', 'fr', 'natural');
+
+  assert.equal(result.translation, 'Bonjour le monde');
+  const { body, headers } = stub.requests[0];
+  assert.equal(headers.authorization, 'Bearer secret');
+  assert.equal(body.stream, false);
+  assert.deepEqual(body.response_format.json_schema, { name: 'translation', strict: true, schema: TRANSLATION_RESPONSE_SCHEMA });
+  // Strict mode needs every property required and no others allowed
+  assert.equal(TRANSLATION_RESPONSE_SCHEMA.additionalProperties, false);
+  assert.deepEqual(TRANSLATION_RESPONSE_SCHEMA.required, Object.keys(TRANSLATION_RESPONSE_SCHEMA.properties));
+});
+
+test('events split across chunks are put back together', async () => {
+  // Split every event in two, and the [DONE] event too, so no chunk holds a whole event
+  const events = [': keep-alive\n\n', ...answerEvents(), 'data: [DONE]\n\n'].join('');
+  respond = (request, res) => writeChunks(res, events.match(/[^]{1,17}/g), SSE);
+  const { result, chunks } = await translateStream();
+
+  assert.equal(stub.requests[0].body.stream, true);
+  assert.equal(result.success, true);
+  assert.equal(result.translation, 'Bonjour le monde');
+  assert.equal(chunks.at(-1), 'Bonjour le monde');
+  assert.ok(chunks.length > 1, 'the translation arrives in pieces');
+});
+
+test('events after [DONE] are ignored', async () => {
+  respond = (request, res) => writeChunks(res, [...answerEvents(), 'data: [DONE]\n\n', delta(' (extra)')], SSE);
+  const { result } = await translateStream();
+  assert.equal(result.translation, 'Bonjour le monde');
+});
+
+test('a last event without a trailing newline is read', async () => {
+  const events = answerEvents();
+  respond = (request, res) => writeChunks(res, [...events.slice(0, -1), events.at(-1).trimEnd()], SSE);
+  const { result } = await translateStream();
+  assert.equal(result.success, true);
+  assert.equal(result.translation, 'Bonjour le monde');
+});
+
+test('CRLF line endings are accepted', async () => {
+  respond = (request, res) => writeChunks(res, answerEvents().map(event => event.replace(/\n/g, '\r\n')), SSE);
+  const { result } = await translateStream();
+  assert.equal(result.translation, 'Bonjour le monde');
+});
+
+for (const [name, errorEvent] of [
+  ['an error object', 'data: {"error":{"message":"model crashed"}}\n\n'],
+  ['an error event', 'event: error\ndata: {"message":"model crashed"}\n\n'],
+  ['llama.cpp\'s error line', 'error: {"code":500,"message":"model crashed","type":"server_error"}\n\n']
+]) {
+  test(`a mid-stream error reported as ${name} fails the translation`, async () => {
+    respond = (request, res) => writeChunks(res, [...answerEvents().slice(0, 2), errorEvent, ...answerEvents().slice(2)], SSE);
+    const { result } = await translateStream();
+    assert.equal(result.success, false);
+    assert.match(result.error, /Server error: model crashed/);
+  });
+}
+
+test('a rejected API key is reported', async () => {
+  respond = (request, res) => {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: 'Invalid API key' } }));
+  };
+  const { result } = await translateStream();
+  assert.equal(result.success, false);
+  assert.match(result.error, /Invalid API key \(check the API key\)/);
+});
+
+test('a stopped stream is reported as stopped', async () => {
+  const controller = new AbortController();
+  respond = (request, res) => writeChunks(res, answerEvents(), SSE);
+  const result = await openaiCompatible.translateStream('Hello world', 'en', 'fr', 'natural',
+    () => controller.abort(), controller.signal);
+  assert.equal(result.aborted, true);
+});
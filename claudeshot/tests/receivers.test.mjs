@@ -0,0 +1,181 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createChromeMock } from './helpers/chrome-mock.mjs';
+import { loadScripts, flush } from './helpers/load-script.mjs';
+import '../messages.js';
+
+// Loads each receiver (content script, offscreen document, background) with the mocked chrome
+// APIs, sends it every action it accepts and checks what comes back
+
+const {
+  ACTIONS, BACKGROUND_ACTIONS, CONTENT_ACTIONS, OFFSCREEN_ACTIONS, PORTS, PORT_MESSAGE_TYPES, ERROR_CODES, MESSAGE_FIELDS
+} = globalThis.MessageProtocol;
+
+const SAMPLE_VALUES = { string: 'en', number: 1, boolean: true, object: {}, array: [] };
+const NO_RESPONSE = 'no response';
+
+// A valid message for an action, with its required fields set
+function sampleMessage(action) {
+  const message = { action };
+  for (const [name, spec] of Object.entries(MESSAGE_FIELDS[action])) {
+    if (!spec.endsWith('?')) message[name] = SAMPLE_VALUES[spec];
+  }
+  if (action === ACTIONS.TRANSLATE) message.text = 'Hello';
+  return message;
+}
+
+// Calls an onMessage listener like Chrome does: the response counts if it is sent before the
+// listener returns, or later if the listener returned true to keep the channel open
+function dispatch(listener, message) {
+  return new Promise(resolve => {
+    let responded = false;
+    const keepOpen = listener(message, {}, response => {
+      responded = true;
+      resolve(JSON.parse(JSON.stringify(response ?? null)));
+    });
+    if (keepOpen !== true && !responded) resolve(NO_RESPONSE);
+  });
+}
+
+// Either { success: true, ... } or the errorResponse() envelope with a known code
+function assertEnvelope(response, label) {
+  assert.equal(typeof response, 'object', `${label} responds with an object`);
+  assert.ok(response !== null, `${label} responds with an object`);
+  if (response.success === false) {
+    assert.ok(Object.values(ERROR_CODES).includes(response.code), `${label}: unknown error code ${response.code}`);
+    assert.equal(typeof response.error, 'string', `${label} has an error message`);
+  } else {
+    assert.equal(response.success, true, `${label} has success`);
+  }
+}
+
+// The messages a port sends back until its DONE message
+async function runPort(onConnect, name, message) {
+  const port = chrome.runtime.connect({ name });
+  onConnect.emit(port);
+  port.emit(message);
+  for (let i = 0; i < 200 && !port.posted.some(posted => posted.type === PORT_MESSAGE_TYPES.DONE); i++) {
+    await flush();
+  }
+  return port.posted;
+}
+
+// The offscreen document and the background share one chrome mock, like they share the runtime
+const chrome = createChromeMock();
+globalThis.chrome = chrome;
+let offscreenListener;
+let backgroundListener;
+const earlyMessage = {}; // Sent to the background before it finished initializing
+
+before(async () => {
+  // Only the bundled config.json can be fetched; backends can't reach their servers
+  globalThis.fetch = async (url) => {
+    if (String(url) === chrome.runtime.getURL('config.json')) {
+      return new Response(readFileSync(new URL('../config.json', import.meta.url), 'utf8'));
+    }
+    throw new TypeError('fetch failed');
+  };
+
+  await import('../offscreen.js');
+  offscreenListener = chrome.runtime.onMessage.listeners[0];
+
+  await import('../background.js');
+  backgroundListener = chrome.runtime.onMessage.listeners.find(listener => listener !== offscreenListener);
+  assert.ok(backgroundListener, 'the background registers a message listener');
+  earlyMessage.keptOpen = backgroundListener(sampleMessage(ACTIONS.GET_CONFIG), {}, response => {
+    earlyMessage.response = response;
+  });
+});
+
+test('the background listens from startup and answers messages once initialized', async () => {
+  // Events that wake the service worker only reach listeners added before the first await
+  for (const event of [chrome.runtime.onMessage, chrome.runtime.onConnect, chrome.runtime.onInstalled, chrome.commands.onCommand, chrome.contextMenus.onClicked]) {
+    assert.ok(event.hasListeners());
+  }
+  for (let i = 0; i < 200 && !earlyMessage.response; i++) {
+    await flush();
+  }
+  const { keptOpen, response } = earlyMessage;
+  assert.equal(keptOpen, true, 'the message waited for initialization');
+  assert.equal(response.success, true);
+  assert.equal(response.config.activeBackend, 'ollama');
+});
+
+test('the content script handles every content action', async () => {
+  const { evaluate } = loadScripts(['messages.js', 'site-rules.js', 'content.js'], { chrome: createChromeMock() });
+  evaluate("window.top = window; window.getSelection = () => ({ toString: () => 'Hello', rangeCount: 0 })");
+  const listener = evaluate('handleBackgroundMessage');
+
+  for (const action of CONTENT_ACTIONS) {
+    const response = await dispatch(listener, sampleMessage(action));
+    if (action === ACTIONS.GET_LAST_TRANSLATION) {
+      // Only the frame holding the last translation answers
+      assert.equal(response, NO_RESPONSE, action);
+      continue;
+    }
+    assertEnvelope(response, action);
+    assert.notEqual(response.code, ERROR_CODES.UNKNOWN_ACTION, action);
+  }
+});
+
+test('the content script rejects actions for other receivers', async () => {
+  const { evaluate } = loadScripts(['messages.js', 'site-rules.js', 'content.js'], { chrome: createChromeMock() });
+  const listener = evaluate('handleBackgroundMessage');
+  for (const action of [ACTIONS.TRANSLATE, ACTIONS.CALL_BUILT_IN_API, 'translateSelectedText.v0']) {
+    const response = await dispatch(listener, { ...sampleMessage(ACTIONS.TRANSLATE), action });
+    assert.equal(response.code, ERROR_CODES.UNKNOWN_ACTION, action);
+  }
+  assert.equal((await dispatch(listener, { action: ACTIONS.SHOW_NOTICE })).code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test('the offscreen document calls the built-in API', async () => {
+  const [action] = OFFSCREEN_ACTIONS;
+  const response = await dispatch(offscreenListener, { action, method: 'getSupport', args: [] });
+  assertEnvelope(response, action);
+  assert.deepEqual(response, { success: true, result: { translator: false, languageDetector: false } });
+
+  const unknownMethod = await dispatch(offscreenListener, { action, method: 'eval', args: [] });
+  assert.equal(unknownMethod.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal((await dispatch(offscreenListener, { action })).code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test('the offscreen document leaves other messages to the background', async () => {
+  for (const action of BACKGROUND_ACTIONS) {
+    assert.equal(await dispatch(offscreenListener, sampleMessage(action)), NO_RESPONSE, action);
+  }
+});
+
+test('the background handles every background action', async () => {
+  for (const action of BACKGROUND_ACTIONS) {
+    const response = await dispatch(backgroundListener, sampleMessage(action));
+    assertEnvelope(response, action);
+    assert.notEqual(response.code, ERROR_CODES.UNKNOWN_ACTION, action);
+    assert.notEqual(response.code, ERROR_CODES.INVALID_MESSAGE, action);
+  }
+});
+
+test('the background rejects unknown, stale and invalid messages', async () => {
+  for (const action of [...CONTENT_ACTIONS, ...OFFSCREEN_ACTIONS, 'translate.v0', 'translate']) {
+    const response = await dispatch(backgroundListener, { ...sampleMessage(ACTIONS.TRANSLATE), action });
+    assert.deepEqual(response, { success: false, code: ERROR_CODES.UNKNOWN_ACTION, error: `Unknown action: ${action}` });
+  }
+  const invalid = await dispatch(backgroundListener, { action: ACTIONS.CHECK_MODEL_STATUS, modelId: 42 });
+  assert.equal(invalid.code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test('the background answers each port action with a DONE message', async () => {
+  const onConnect = chrome.runtime.onConnect;
+  const cases = [[PORTS.TRANSLATE_STREAM, ACTIONS.STREAM_TRANSLATION], [PORTS.OLLAMA_PULL, ACTIONS.PULL_MODEL]];
+  for (const [name, action] of cases) {
+    const posted = await runPort(onConnect, name, sampleMessage(action));
+    const done = posted.find(message => message.type === PORT_MESSAGE_TYPES.DONE);
+    assert.ok(done, `${action} ends with a DONE message`);
+    const { type, ...response } = done;
+    assertEnvelope(response, action);
+    assert.notEqual(response.code, ERROR_CODES.INVALID_MESSAGE, action);
+
+    const [invalid] = await runPort(onConnect, name, { action });
+    assert.equal(invalid.code, ERROR_CODES.INVALID_MESSAGE, `${action} without its fields`);
+  }
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChromeMock } from './helpers/chrome-mock.mjs';
+import { loadScripts } from './helpers/load-script.mjs';
+
+function loadSiteRules() {
+  const chrome = createChromeMock();
+  const { evaluate } = loadScripts(['site-rules.js'], { chrome });
+  // Values from the script's context are copied into this one so they compare with deepEqual
+  const call = async (expression) => JSON.parse(JSON.stringify(await evaluate(expression)) ?? 'null');
+  return { sync: chrome.storage.sync, call };
+}
+
+test('each site rule is stored in its own sync item', async () => {
+  const { sync, call } = loadSiteRules();
+  await call("saveSiteRule('https://docs.google.com', { mode: 'off' })");
+  await call("saveSiteRule('https://example.com', { mode: 'auto', minSelectionLength: 3 })");
+
+  assert.deepEqual(Object.fromEntries(sync.items), {
+    'siteRule:https://docs.google.com': { mode: 'off' },
+    'siteRule:https://example.com': { mode: 'auto', minSelectionLength: 3 }
+  });
+  assert.deepEqual(await call('getSiteRules()'), {
+    'https://docs.google.com': { mode: 'off' },
+    'https://example.com': { mode: 'auto', minSelectionLength: 3 }
+  });
+  assert.equal((await call("resolveSiteSettings('https://example.com')")).minSelectionLength, 3);
+});
+
+test('a rule left without settings is removed', async () => {
+  const { sync, call } = loadSiteRules();
+  await call("saveSiteRule('https://example.com', { mode: 'off' })");
+  assert.equal(await call("saveSiteRule('https://example.com', { mode: null })"), null);
+  assert.equal(sync.items.size, 0);
+});
+
+test('more rules than fit in one sync item can be saved', async () => {
+  const { sync, call } = loadSiteRules();
+  for (let i = 0; i < 200; i++) {
+    await call(`saveSiteRule('https://site-${i}.example.com', { mode: 'on-demand', targetLanguage: 'Japanese' })`);
+  }
+  assert.equal(Object.keys(await call('getSiteRules()')).length, 200);
+  assert.ok(JSON.stringify(Object.fromEntries(sync.items)).length > sync.QUOTA_BYTES_PER_ITEM);
+});
+
+test('storage errors reach the caller', async () => {
+  const { call } = loadSiteRules();
+  const tooLong = 'x'.repeat(9000);
+  await assert.rejects(call(`saveSiteRule('https://example.com', { targetLanguage: '${tooLong}' })`), /quota/i);
+});
@@ -0,0 +1,385 @@
+/**
+ * translation-cache.js - Persistent translation cache for Instant Translator
+ *
+ * Stores successful translations in IndexedDB so selecting the same text again
+ * doesn't hit the (slow) translation backend. Entries are keyed on the normalised
+ * text plus source/target language, style, backend and model (and the model's generation
+ * settings). Entries generated deterministically (temperature 0, fixed seed) are marked as such.
+ *
+ * Limits:
+ * - TTL: entries older than ttlDays are treated as misses and removed
+ * - Size: when maxEntries or maxSizeMB is exceeded, the least recently used entries are evicted
+ *
+ * The hit/miss counters and the number and size of the entries are kept in the database's stats store
+ * and updated in the same transaction as the entries, so concurrent lookups don't lose counts and the
+ * limits are checked without reading every entry. Expired and least recently used entries are found
+ * with cursors over the createdAt and lastAccessed indexes.
+ */
+
+import { openDatabase, withStore, withTransaction } from './idb.js';
+
+const DB_NAME = 'instant-translator-cache';
+const DB_VERSION = 2;
+const STORE_NAME = 'translations';
+const STATS_STORE_NAME = 'stats';
+const STATS_KEY = 'counters';
+// Where versions before the stats store kept the hit/miss counters (chrome.storage.local)
+const LEGACY_STATS_KEY = 'cacheStats';
+const EMPTY_STATS = { hits: 0, misses: 0, entries: 0, totalBytes: 0 };
+// Number of most recently used entries getCacheStats() lists
+const RECENT_ENTRY_COUNT = 20;
+
+const DEFAULT_CACHE_SETTINGS = {
+  enabled: true,
+  maxEntries: 2000,
+  maxSizeMB: 10,
+  ttlDays: 30
+};
+
+let cacheSettings = { ...DEFAULT_CACHE_SETTINGS };
+
+// Open (and create or upgrade) the cache database
+function openCacheDatabase() {
+  return openDatabase(DB_NAME, DB_VERSION, (db, oldVersion, transaction) => {
+    const store = db.objectStoreNames.contains(STORE_NAME)
+      ? transaction.objectStore(STORE_NAME)
+      : db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    if (!store.indexNames.contains('lastAccessed')) {
+      store.createIndex('lastAccessed', 'lastAccessed');
+    }
+    if (!store.indexNames.contains('createdAt')) {
+      store.createIndex('createdAt', 'createdAt');
+    }
+    if (!db.objectStoreNames.contains(STATS_STORE_NAME)) {
+      const statsStore = db.createObjectStore(STATS_STORE_NAME);
+      // Count the entries cached before the counters were kept here
+      const stats = { ...EMPTY_STATS };
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          stats.entries++;
+          stats.totalBytes += cursor.value.size;
+          cursor.continue();
+        } else {
+          statsStore.put(stats, STATS_KEY);
+        }
+      };
+      if (oldVersion > 0) {
+        importLegacyStats(); // Not awaited, it waits for the upgrade to finish
+      }
+    }
+  });
+}
+
+// Run fn(store) against the cache store
+function withCacheStore(mode, fn) {
+  return withStore(openCacheDatabase(), STORE_NAME, mode, fn);
+}
+
+// Run fn(store, statsStore) in one transaction over the entries and their counters
+function withCacheTransaction(mode, fn) {
+  return withTransaction(openCacheDatabase(), [STORE_NAME, STATS_STORE_NAME], mode,
+    transaction => fn(transaction.objectStore(STORE_NAME), transaction.objectStore(STATS_STORE_NAME)));
+}
+
+// Read the counters and call fn(stats, save) with them; fn updates stats and calls save() once its requests are done
+function withStats(statsStore, fn) {
+  statsStore.get(STATS_KEY).onsuccess = (event) => {
+    const stats = { ...EMPTY_STATS, ...(event.target.result || {}) };
+    fn(stats, () => statsStore.put(stats, STATS_KEY));
+  };
+}
+
+// Add the hit/miss counters kept in chrome.storage.local by older versions to the stats store
+async function importLegacyStats() {
+  try {
+    const stored = await chrome.storage.local.get(LEGACY_STATS_KEY);
+    const legacy = stored[LEGACY_STATS_KEY];
+    if (legacy) {
+      await withCacheTransaction('readwrite', (store, statsStore) => {
+        withStats(statsStore, (stats, save) => {
+          stats.hits += legacy.hits || 0;
+          stats.misses += legacy.misses || 0;
+          save();
+        });
+      });
+    }
+    await chrome.storage.local.remove(LEGACY_STATS_KEY);
+  } catch (error) {
+    console.warn('Could not import the old cache stats:', error);
+  }
+}
+
+// Normalise text so trivial differences (whitespace, Unicode composition) share an entry
+function normalizeText(text) {
+  return (text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function getTtlMs() {
+  return cacheSettings.ttlDays * 24 * 60 * 60 * 1000;
+}
+
+function isExpired(entry) {
+  const ttlMs = getTtlMs();
+  return ttlMs > 0 && Date.now() - entry.createdAt > ttlMs;
+}
+
+// Delete an entry and take it off the counters
+function removeEntry(store, stats, entry) {
+  store.delete(entry.key);
+  stats.entries = Math.max(0, stats.entries - 1);
+  stats.totalBytes = Math.max(0, stats.totalBytes - entry.size);
+}
+
+// Evict expired entries, then least recently used ones until within the configured limits, and call
+// done() when finished. Runs in the caller's transaction; cursors only visit the entries they remove.
+function enforceLimits(store, stats, done) {
+  const maxBytes = cacheSettings.maxSizeMB * 1024 * 1024;
+  const isOverLimit = () => stats.entries > cacheSettings.maxEntries || stats.totalBytes > maxBytes;
+  let expiredCount = 0;
+  let evictedCount = 0;
+
+  const finish = () => {
+    if (expiredCount > 0 || evictedCount > 0) {
+      console.log(`Translation cache: removed ${expiredCount} expired and ${evictedCount} least recently used entries`);
+    }
+    done();
+  };
+
+  const evictLeastRecentlyUsed = () => {
+    if (!isOverLimit()) {
+      finish();
+      return;
+    }
+    store.index('lastAccessed').openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor && isOverLimit()) {
+        removeEntry(store, stats, cursor.value);
+        evictedCount++;
+        cursor.continue();
+      } else {
+        finish();
+      }
+    };
+  };
+
+  const ttlMs = getTtlMs();
+  if (ttlMs <= 0) {
+    evictLeastRecentlyUsed();
+    return;
+  }
+  store.index('createdAt').openCursor(IDBKeyRange.upperBound(Date.now() - ttlMs, true)).onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (cursor) {
+      removeEntry(store, stats, cursor.value);
+      expiredCount++;
+      cursor.continue();
+    } else {
+      evictLeastRecentlyUsed();
+    }
+  };
+}
+
+/**
+ * Applies the cache settings from the global config.
+ *
+ * @param {Object} config The global configuration object
+ */
+export function configureCache(config) {
+  cacheSettings = { ...DEFAULT_CACHE_SETTINGS, ...(config?.cache || {}) };
+  console.log('Translation cache settings:', cacheSettings);
+}
+
+/**
+ * Whether the cache is enabled in the current settings.
+ *
+ * @returns {boolean}
+ */
+export function isCacheEnabled() {
+  return cacheSettings.enabled !== false;
+}
+
+/**
+ * Builds the cache key for a translation request.
+ *
+ * @param {Object} params { text, sourceLang, targetLang, style, backend, model, glossary, context, generation }, where
+ * glossary is an optional signature of the glossary entries that applied, context the optional text
+ * around the selection and generation the optional { options, system, deterministic } the model was run with
+ * @returns {string} The cache key
+ */
+export function buildCacheKey({ text, sourceLang, targetLang, style, backend, model, glossary, context, generation }) {
+  const parts = [
+    backend || '',
+    model || '',
+    sourceLang || 'auto',
+    targetLang || '',
+    style || 'natural',
+    normalizeText(text)
+  ];
+  // Only added when set, so keys of plain translations stay the same
+  const generationKey = generation && (Object.keys(generation.options || {}).length > 0 || generation.system)
+    ? { options: generation.options, system: generation.system || null }
+    : null;
+  if (glossary || context || generationKey) {
+    parts.push({
+      glossary: glossary || null,
+      context: context ? normalizeText(context) : null,
+      ...(generationKey ? { generation: generationKey } : {})
+    });
+  }
+  return JSON.stringify(parts);
+}
+
+/**
+ * Looks up a cached translation response.
+ *
+ * @param {string} key The cache key from buildCacheKey()
+ * @returns {Promise<Object|null>} The cached translation response, or null on a miss
+ */
+export async function getCachedTranslation(key) {
+  try {
+    return await withCacheTransaction('readwrite', (store, statsStore) => {
+      const lookup = { result: null };
+      withStats(statsStore, (stats, saveStats) => {
+        store.get(key).onsuccess = (event) => {
+          const entry = event.target.result;
+          if (!entry || isExpired(entry)) {
+            if (entry) {
+              removeEntry(store, stats, entry);
+            }
+            stats.misses++;
+          } else {
+            // Touch the entry for LRU eviction
+            entry.lastAccessed = Date.now();
+            entry.hits = (entry.hits || 0) + 1;
+            store.put(entry);
+            stats.hits++;
+            lookup.result = entry.result;
+          }
+          saveStats();
+        };
+      });
+      return lookup;
+    });
+  } catch (error) {
+    console.warn('Translation cache lookup failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Stores a successful translation response.
+ *
+ * @param {string} key The cache key from buildCacheKey()
+ * @param {Object} params The request parameters used to build the key (stored for inspection)
+ * @param {Object} result The translation response to cache
+ * @returns {Promise<void>}
+ */
+export async function cacheTranslation(key, params, result) {
+  try {
+    const now = Date.now();
+    const entry = {
+      key: key,
+      text: params.text,
+      sourceLang: params.sourceLang,
+      targetLang: params.targetLang,
+      style: params.style,
+      backend: params.backend,
+      model: params.model,
+      deterministic: params.generation?.deterministic === true,
+      result: result,
+      size: key.length + JSON.stringify(result).length,
+      createdAt: now,
+      lastAccessed: now,
+      hits: 0
+    };
+
+    await withCacheTransaction('readwrite', (store, statsStore) => {
+      withStats(statsStore, (stats, saveStats) => {
+        // A replaced entry comes off the counters first
+        store.get(key).onsuccess = (event) => {
+          if (event.target.result) {
+            removeEntry(store, stats, event.target.result);
+          }
+          store.put(entry);
+          stats.entries++;
+          stats.totalBytes += entry.size;
+          enforceLimits(store, stats, saveStats);
+        };
+      });
+    });
+  } catch (error) {
+    console.warn('Could not store translation in cache:', error);
+  }
+}
+
+/**
+ * Returns statistics about the cache contents and lookups.
+ *
+ * @returns {Promise<Object>} { entries, totalBytes, hits, misses, hitRate, oldest, newest, recent, settings }
+ */
+export async function getCacheStats() {
+  const summary = await withCacheTransaction('readonly', (store, statsStore) => {
+    const request = { result: { recent: [], oldest: null, newest: null } };
+    withStats(statsStore, (stats) => {
+      request.result.stats = stats;
+    });
+    const byCreation = store.index('createdAt');
+    byCreation.openKeyCursor().onsuccess = (event) => {
+      request.result.oldest = event.target.result ? event.target.result.key : null;
+    };
+    byCreation.openKeyCursor(null, 'prev').onsuccess = (event) => {
+      request.result.newest = event.target.result ? event.target.result.key : null;
+    };
+    // Most recently used entries, for inspection in advanced settings
+    store.index('lastAccessed').openCursor(null, 'prev').onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const { text, sourceLang, targetLang, style, backend, model, deterministic, result, hits, lastAccessed } = cursor.value;
+      request.result.recent.push({
+        text, sourceLang, targetLang, style, backend, model, deterministic,
+        translation: result.translation,
+        hits,
+        lastAccessed
+      });
+      if (request.result.recent.length < RECENT_ENTRY_COUNT) {
+        cursor.continue();
+      }
+    };
+    return request;
+  });
+  const { hits, misses, entries, totalBytes } = summary.stats;
+
+  return {
+    entries: entries,
+    totalBytes: totalBytes,
+    hits: hits,
+    misses: misses,
+    hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+    oldest: summary.oldest,
+    newest: summary.newest,
+    recent: summary.recent,
+    settings: cacheSettings
+  };
+}
+
+/**
+ * Returns every cache entry, for export.
+ *
+ * @returns {Promise<Array>} All stored cache entries
+ */
+export async function exportCache() {
+  return withCacheStore('readonly', store => store.getAll());
+}
+
+/**
+ * Removes all cached translations and resets the counters.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearCache() {
+  await withCacheTransaction('readwrite', (store, statsStore) => {
+    store.clear();
+    statsStore.put({ ...EMPTY_STATS }, STATS_KEY);
+  });
+}
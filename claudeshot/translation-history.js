@@ -0,0 +1,149 @@
+/**
+ * translation-history.js - Translation history for Instant Translator
+ *
+ * Records every successful selection translation (original text, translation, languages,
+ * model, fallback use, page URL and time) in IndexedDB, and answers the queries of the
+ * history page: full-text search, language filters, delete and export.
+ */
+
+import { openDatabase, withStore } from './idb.js';
+
+const DB_NAME = 'instant-translator-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+const DEFAULT_HISTORY_SETTINGS = {
+  enabled: true,
+  maxEntries: 5000
+};
+
+let historySettings = { ...DEFAULT_HISTORY_SETTINGS };
+
+// Open (and create) the history database
+function openHistoryDatabase() {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('timestamp', 'timestamp');
+    }
+  });
+}
+
+// Run fn(store) against the history store
+function withHistoryStore(mode, fn) {
+  return withStore(openHistoryDatabase(), STORE_NAME, mode, fn);
+}
+
+// Drop the oldest entries beyond maxEntries
+async function enforceLimit() {
+  const count = await withHistoryStore('readonly', store => store.count());
+  const excess = count - historySettings.maxEntries;
+  if (excess <= 0) return;
+
+  await withHistoryStore('readwrite', store => {
+    let removed = 0;
+    const cursorRequest = store.index('timestamp').openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor && removed < excess) {
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      }
+    };
+  });
+}
+
+// Whether an entry matches every word of the query and the language filters
+function matchesFilters(entry, { query, sourceLang, targetLang }) {
+  // 'auto' requests are filed under the language that was detected
+  if (sourceLang && entry.sourceLang !== sourceLang && entry.detectedSourceLang !== sourceLang) {
+    return false;
+  }
+  if (targetLang && entry.targetLang !== targetLang) {
+    return false;
+  }
+  if (query) {
+    const haystack = `${entry.originalText}\n${entry.translation}\n${entry.pageUrl || ''}`.toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+  }
+  return true;
+}
+
+/**
+ * Applies the history settings from the global config.
+ *
+ * @param {Object} config The global configuration object
+ */
+export function configureHistory(config) {
+  historySettings = { ...DEFAULT_HISTORY_SETTINGS, ...(config?.history || {}) };
+}
+
+/**
+ * Records a successful translation.
+ *
+ * @param {Object} params { text, sourceLang, targetLang, style, backend, pageUrl }
+ * @param {Object} result The successful translation response
+ * @returns {Promise<void>}
+ */
+export async function recordTranslation(params, result) {
+  if (historySettings.enabled === false || !result || !result.success) return;
+
+  try {
+    await withHistoryStore('readwrite', store => store.add({
+      originalText: params.text,
+      translation: result.translation,
+      sourceLang: params.sourceLang,
+      detectedSourceLang: result.detectedSourceLang || null,
+      targetLang: params.targetLang,
+      style: params.style,
+      backend: params.backend,
+      modelUsed: result.modelUsed || null,
+      usedFallback: result.usedFallback === true,
+      pageUrl: params.pageUrl || null,
+      timestamp: Date.now()
+    }));
+    await enforceLimit();
+  } catch (error) {
+    console.warn('Could not record translation history:', error);
+  }
+}
+
+/**
+ * Searches the history, newest first.
+ *
+ * @param {Object} [filters] { query, sourceLang, targetLang, limit, offset }
+ * @returns {Promise<Object>} { entries, total } where total counts all matches
+ */
+export async function queryHistory(filters = {}) {
+  const all = await withHistoryStore('readonly', store => store.getAll());
+  const matches = all
+    .filter(entry => matchesFilters(entry, filters))
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  const offset = filters.offset || 0;
+  const limit = filters.limit || matches.length;
+  return {
+    entries: matches.slice(offset, offset + limit),
+    total: matches.length
+  };
+}
+
+/**
+ * Deletes one history entry.
+ *
+ * @param {number} id The entry ID
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryEntry(id) {
+  await withHistoryStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Deletes all history entries.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  await withHistoryStore('readwrite', store => store.clear());
+}
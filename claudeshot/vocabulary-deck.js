@@ -0,0 +1,165 @@
+/**
+ * vocabulary-deck.js - Vocabulary flashcard deck for Instant Translator
+ *
+ * Stores terms saved from the translation popup (term, translation, the sentence it
+ * appeared in and the page URL) in IndexedDB and schedules reviews with the SM-2
+ * spaced-repetition algorithm. Also exports the deck in a tab-separated format that
+ * Anki imports directly.
+ */
+
+import { openDatabase, withStore } from './idb.js';
+
+const DB_NAME = 'instant-translator-deck';
+const DB_VERSION = 1;
+const STORE_NAME = 'cards';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+
+// Open (and create) the deck database
+function openDeckDatabase() {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('due', 'due');
+    }
+  });
+}
+
+// Run fn(store) against the cards store
+function withDeckStore(mode, fn) {
+  return withStore(openDeckDatabase(), STORE_NAME, mode, fn);
+}
+
+/**
+ * Applies one SM-2 review to a card.
+ *
+ * @param {Object} card The card ({ repetitions, interval, easeFactor })
+ * @param {number} quality Recall quality from 0 (blackout) to 5 (perfect)
+ * @param {number} [now] Review time in ms, defaults to Date.now()
+ * @returns {Object} The updated scheduling fields { repetitions, interval, easeFactor, due, lastReviewed }
+ */
+export function scheduleReview(card, quality, now = Date.now()) {
+  let repetitions = card.repetitions || 0;
+  let interval = card.interval || 0;
+  let easeFactor = card.easeFactor || DEFAULT_EASE_FACTOR;
+
+  if (quality < 3) {
+    // Failed recall: start the repetition sequence again
+    repetitions = 0;
+    interval = 1;
+  } else {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    repetitions++;
+  }
+
+  easeFactor = Math.max(MIN_EASE_FACTOR, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return {
+    repetitions: repetitions,
+    interval: interval,
+    easeFactor: easeFactor,
+    due: now + interval * DAY_MS,
+    lastReviewed: now
+  };
+}
+
+/**
+ * Adds a card to the deck. Saving the same term for the same target language again
+ * updates the existing card's translation and sentence instead of adding a duplicate.
+ *
+ * @param {Object} card { term, translation, sentence, sourceUrl, sourceLang, targetLang }
+ * @returns {Promise<Object>} { card, created } where created is false for an update
+ */
+export async function addCard(card) {
+  const cards = await withDeckStore('readonly', store => store.getAll());
+  const existing = cards.find(c => c.term === card.term && c.targetLang === card.targetLang);
+
+  if (existing) {
+    const updated = {
+      ...existing,
+      translation: card.translation,
+      sentence: card.sentence || existing.sentence,
+      sourceUrl: card.sourceUrl || existing.sourceUrl
+    };
+    await withDeckStore('readwrite', store => store.put(updated));
+    return { card: updated, created: false };
+  }
+
+  const now = Date.now();
+  const newCard = {
+    term: card.term,
+    translation: card.translation,
+    sentence: card.sentence || '',
+    sourceUrl: card.sourceUrl || null,
+    sourceLang: card.sourceLang || null,
+    targetLang: card.targetLang || null,
+    createdAt: now,
+    repetitions: 0,
+    interval: 0,
+    easeFactor: DEFAULT_EASE_FACTOR,
+    due: now, // New cards are due immediately
+    lastReviewed: null
+  };
+  newCard.id = await withDeckStore('readwrite', store => store.add(newCard));
+  return { card: newCard, created: true };
+}
+
+/**
+ * Returns every card, newest first, plus how many are due now.
+ *
+ * @returns {Promise<Object>} { cards, dueCount }
+ */
+export async function getDeck() {
+  const cards = await withDeckStore('readonly', store => store.getAll());
+  const now = Date.now();
+  return {
+    cards: cards.sort((a, b) => b.createdAt - a.createdAt),
+    dueCount: cards.filter(card => card.due <= now).length
+  };
+}
+
+/**
+ * Returns the cards due for review, most overdue first.
+ *
+ * @param {number} [limit] Maximum number of cards to return
+ * @returns {Promise<Array>} The due cards
+ */
+export async function getDueCards(limit) {
+  const cards = await withDeckStore('readonly', store => store.index('due').getAll(IDBKeyRange.upperBound(Date.now())));
+  return limit ? cards.slice(0, limit) : cards;
+}
+
+/**
+ * Records a review of a card and schedules the next one.
+ *
+ * @param {number} id The card ID
+ * @param {number} quality Recall quality from 0 to 5
+ * @returns {Promise<Object>} The updated card
+ */
+export async function reviewCard(id, quality) {
+  const card = await withDeckStore('readonly', store => store.get(id));
+  if (!card) {
+    throw new Error(`Card ${id} not found`);
+  }
+  const updated = { ...card, ...scheduleReview(card, quality) };
+  await withDeckStore('readwrite', store => store.put(updated));
+  return updated;
+}
+
+/**
+ * Deletes a card.
+ *
+ * @param {number} id The card ID
+ * @returns {Promise<void>}
+ */
+export async function deleteCard(id) {
+  await withDeckStore('readwrite', store => store.delete(id));
+}